@@ -1,4 +1,4 @@
-import { LLMPlug, LLMPlugError, LLMPlugToolError } from '../src/index.js';
+import { LLMPlug, LLMPlugError, LLMPlugToolError, collectStream } from '../src/index.js';
 import readline from 'node:readline/promises';
 
 const rl = readline.createInterface({
@@ -23,34 +23,11 @@ async function main() {
   };
 
   const handleStream = async (providerName, type, stream, note = "") => {
-    console.log(`\n--- ${providerName} | ${type} (Streaming) ${note} ---`);
-    let fullText = '';
-    const toolCalls = {};
-    let finalUsage, finalFinishReason, lastSafetyRatings;
-    process.stdout.write("Streamed Text: ");
-    for await (const chunk of stream) {
-      if (chunk.text) { process.stdout.write(chunk.text); fullText += chunk.text; }
-      if (chunk.toolCalls) {
-        chunk.toolCalls.forEach(tcChunk => {
-          if (!toolCalls[tcChunk.id]) toolCalls[tcChunk.id] = { ...tcChunk, function: { name: tcChunk.function.name, arguments: '' } };
-          if (tcChunk.function.arguments) toolCalls[tcChunk.id].function.arguments += tcChunk.function.arguments;
-        });
-      }
-      if (chunk.usage) finalUsage = chunk.usage;
-      if (chunk.finishReason) finalFinishReason = chunk.finishReason;
-      if (chunk.rawChunk?.candidates?.[0]?.safetyRatings) lastSafetyRatings = chunk.rawChunk.candidates[0].safetyRatings;
-    }
+    process.stdout.write(`\n--- ${providerName} | ${type} (Streaming) ${note} ---\nStreamed Text: `);
+    const result = await collectStream(stream, { onText: text => process.stdout.write(text) });
     process.stdout.write("\n");
-    console.log("Full Streamed Text:", fullText.trim());
-    if (Object.keys(toolCalls).length > 0) {
-      console.log("Streamed Tool Calls Requested:");
-      Object.values(toolCalls).forEach(tc => console.log(`  - ID: ${tc.id}, Function: ${tc.function.name}(${tc.function.arguments})`));
-    }
-    if (finalUsage) console.log("Stream Usage:", `Prompt: ${finalUsage.promptTokens || 'N/A'}, Completion: ${finalUsage.completionTokens || 'N/A'}, Total: ${finalUsage.totalTokens || 'N/A'}`);
-    if (finalFinishReason) console.log("Stream Finish Reason:", finalFinishReason);
-    if (lastSafetyRatings) console.log("Stream Safety Ratings (Gemini - last chunk):", JSON.stringify(lastSafetyRatings));
-    console.log("-----------------------------------\n");
-    return { text: fullText.trim(), toolCalls: Object.values(toolCalls), usage: finalUsage, finishReason: finalFinishReason };
+    displayResult(providerName, `${type} (Streamed)`, result, note);
+    return result;
   };
 
   const tools = [
@@ -63,31 +40,14 @@ async function main() {
     lookup_stock_price: async ({ ticker_symbol }) => { console.log(` MOCK TOOL: 'lookup_stock_price' for ${ticker_symbol}`); await new Promise(r => setTimeout(r,100)); return { ticker: ticker_symbol.toUpperCase(), price: (Math.random() * 400 + 20).toFixed(2), currency: "USD" }; },
     generate_python_code: async ({ task_description }) => { console.log(` MOCK TOOL: 'generate_python_code' for: "${task_description}"`); await new Promise(r => setTimeout(r,50)); return `print("Mock code for: ${task_description.replace(/"/g, '\\"')}")\n# TODO: Implement logic`; }
   };
-  async function processToolCalls(provider, conversationHistory, toolCalls) { /* ... (same as previous advancedUsage.js) ... */ 
-    if (!toolCalls || toolCalls.length === 0) return conversationHistory;
-    let updatedConversation = [...conversationHistory];
-    updatedConversation.push({ role: 'assistant', content: null, tool_calls: toolCalls });
-    for (const toolCall of toolCalls) {
-      const functionName = toolCall.function.name;
-      let functionArgs;
-      try { functionArgs = JSON.parse(toolCall.function.arguments || '{}'); } 
-      catch (e) {
-        updatedConversation.push({ role: 'tool', tool_call_id: toolCall.id, name: functionName, content: [{ type: 'tool_output', tool_call_id: toolCall.id, content: { error: "Invalid JSON arguments", details: e.message } }] });
-        continue;
-      }
-      if (availableTools[functionName]) {
-        try {
-          const toolOutputContent = await availableTools[functionName](functionArgs);
-          updatedConversation.push({ role: 'tool', tool_call_id: toolCall.id, name: functionName, content: [{ type: 'tool_output', tool_call_id: toolCall.id, content: toolOutputContent }] });
-        } catch (toolError) {
-          updatedConversation.push({ role: 'tool', tool_call_id: toolCall.id, name: functionName, content: [{ type: 'tool_output', tool_call_id: toolCall.id, content: { error: toolError.message } }] });
-        }
-      } else {
-         updatedConversation.push({ role: 'tool', tool_call_id: toolCall.id, name: functionName, content: [{ type: 'tool_output', tool_call_id: toolCall.id, content: { error: `Tool ${functionName} not available.` } }] });
-      }
-    }
-    return updatedConversation;
-  }
+  // runTools drives the call -> execute tools -> call again loop; onStep shows each model turn.
+  const runToolLoop = (provider, providerName, conversation, options = {}) => provider.runTools(conversation, {
+    tools: tools,
+    handlers: availableTools,
+    maxIterations: 3,
+    onStep: step => displayResult(providerName, `Tool Call Step ${step.iteration}`, step.result),
+    ...options,
+  });
 
   const catImageUrl = "https://upload.wikimedia.org/wikipedia/commons/thumb/3/3a/Cat03.jpg/1200px-Cat03.jpg";
   const logoImageUrl = "https://upload.wikimedia.org/wikipedia/commons/thumb/a/a7/React-icon.svg/1200px-React-icon.svg.png";
@@ -101,13 +61,7 @@ async function main() {
         { maxTokens: 150 }
     );
     displayResult("OpenAI", "Multimodal Chat", openAIResult);
-    let toolConversation = [{role: 'system', content: 'Use tools effectively.'}, { role: 'user', content: "Weather in London and GOOGL stock?" }];
-    for (let i = 0; i < 3; i++) {
-        const toolCallResult = await openai.chat(toolConversation, { tools: tools, maxTokens: 300 });
-        displayResult("OpenAI", `Tool Call Step ${i + 1}`, toolCallResult);
-        if (toolCallResult.toolCalls?.length) toolConversation = await processToolCalls(openai, toolConversation, toolCallResult.toolCalls); else break;
-        if (toolCallResult.text && i > 0) break;
-    }
+    await runToolLoop(openai, "OpenAI", [{role: 'system', content: 'Use tools effectively.'}, { role: 'user', content: "Weather in London and GOOGL stock?" }], { maxTokens: 300 });
   } catch (e) { console.warn("[OpenAI] Skipping:", e.message); }
   
   try { /* Anthropic section ... (can keep as is) */
@@ -117,13 +71,7 @@ async function main() {
       [{ role: 'user', content: [{ type: 'text', text: 'Explain this logo:' }, { type: 'image_url', image_url: { url: logoImageUrl } }] }], { maxTokens: 200 }
     );
     displayResult("Anthropic", "Multimodal Chat", anthropicResult);
-    let toolConversation = [{role: 'user', content: "Weather in Berlin and Python code for string reversal?" }];
-    for (let i = 0; i < 3; i++) {
-        const toolCallResult = await anthropic.chat(toolConversation, { tools: tools, maxTokens: 350 });
-        displayResult("Anthropic", `Tool Call Step ${i + 1}`, toolCallResult);
-        if (toolCallResult.toolCalls?.length) toolConversation = await processToolCalls(anthropic, toolConversation, toolCallResult.toolCalls); else break;
-        if (toolCallResult.text && i > 0) break;
-    }
+    await runToolLoop(anthropic, "Anthropic", [{role: 'user', content: "Weather in Berlin and Python code for string reversal?" }], { maxTokens: 350 });
   } catch (e) { console.warn("[Anthropic] Skipping:", e.message); }
 
   try { /* Google Gemini section ... (can keep as is, including safety retry) */
@@ -133,18 +81,11 @@ async function main() {
       [{ role: 'user', content: [{ type: 'text', text: 'Funny caption for this cat:' }, { type: 'image_url', image_url: { url: catImageUrl } }] }], { maxTokens: 200 }
     );
     displayResult("Google Gemini", "Multimodal Chat", geminiResult);
-    let toolConversation = [{role: 'system', content: 'You MUST use tools if available.'}, { role: 'user', content: "Weather in Rome? Python code for prime check?" }];
-    let geminiSafetyRetry = false;
-     for (let i = 0; i < 3; i++) {
-        const toolCallOptions = { tools: tools, maxTokens: 300, extraParams: { usePermissiveSafety: geminiSafetyRetry } };
-        const toolCallResult = await google.chat(toolConversation, toolCallOptions);
-        displayResult("Google Gemini", `Tool Call Step ${i + 1}`, toolCallResult, geminiSafetyRetry ? '(Permissive Safety)' : '');
-        if (toolCallResult.text === null && toolCallResult.finishReason === 'SAFETY' && !geminiSafetyRetry) {
-            console.warn("Gemini: Retrying with permissive safety ONCE."); geminiSafetyRetry = true; i--; continue;
-        }
-        geminiSafetyRetry = false;
-        if (toolCallResult.toolCalls?.length) toolConversation = await processToolCalls(google, toolConversation, toolCallResult.toolCalls); else break;
-        if (toolCallResult.text && i > 0) break;
+    const geminiToolConversation = [{role: 'system', content: 'You MUST use tools if available.'}, { role: 'user', content: "Weather in Rome? Python code for prime check?" }];
+    const geminiRun = await runToolLoop(google, "Google Gemini", geminiToolConversation, { maxTokens: 300 });
+    if (geminiRun.text === null && geminiRun.result.finishReason === 'SAFETY') {
+        console.warn("Gemini: Retrying with permissive safety ONCE.");
+        await runToolLoop(google, "Google Gemini (Permissive Safety)", geminiToolConversation, { maxTokens: 300, extraParams: { safetySettings: google.permissiveSafetySettings } });
     }
   } catch (e) { console.warn("[Google Gemini] Skipping:", e.message); }
 
@@ -155,21 +96,11 @@ async function main() {
     let cohereResult = await cohere.generate("Write a tagline for a new AI-powered coffee machine.", { maxTokens: 50 });
     displayResult("Cohere", "Generate", cohereResult);
     
-    let toolConversation = [
+    // Cohere's tool result format is specific; the provider converts the generic 'tool' messages produced by runTools.
+    await runToolLoop(cohere, "Cohere", [
         {role: 'system', content: 'You are Command-R-Plus, a helpful AI. Use tools to answer questions.'},
         {role: 'user', content: "What's the weather in Toronto and the stock price for MSFT?"}
-    ];
-    for (let i = 0; i < 3; i++) {
-        const toolCallResult = await cohere.chat(toolConversation, { tools: tools, maxTokens: 300 });
-        displayResult("Cohere", `Tool Call Step ${i + 1}`, toolCallResult);
-        if (toolCallResult.toolCalls?.length) {
-            // Cohere's tool result formatting is specific. Our processToolCalls is generic.
-            // For Cohere, the `processToolCalls` would need to ensure the 'tool' message sent back
-            // has the `tool_results` structure Cohere expects. The provider attempts this.
-            toolConversation = await processToolCalls(cohere, toolConversation, toolCallResult.toolCalls);
-        } else break;
-        if (toolCallResult.text && i > 0) break;
-    }
+    ], { maxTokens: 300 });
     await handleStream("Cohere", "Chat Stream", cohere.chatStream([{role: 'user', content: "Explain the difference between RAM and ROM."}], {maxTokens: 200}));
   } catch (e) { console.warn("[Cohere] Skipping:", e.message); }
 
@@ -181,16 +112,10 @@ async function main() {
     );
     displayResult("Mistral AI", "Chat", mistralResult);
 
-    let toolConversation = [
+    await runToolLoop(mistral, "Mistral AI", [
         {role: 'system', content: 'You are a helpful assistant. Use tools when appropriate.'},
         {role: 'user', content: "Generate Python code for a fibonacci sequence function, then tell me the weather in Paris."}
-    ];
-    for (let i = 0; i < 3; i++) {
-        const toolCallResult = await mistral.chat(toolConversation, { tools: tools, maxTokens: 400 });
-        displayResult("Mistral AI", `Tool Call Step ${i + 1}`, toolCallResult);
-        if (toolCallResult.toolCalls?.length) toolConversation = await processToolCalls(mistral, toolConversation, toolCallResult.toolCalls); else break;
-        if (toolCallResult.text && i > 0) break;
-    }
+    ], { maxTokens: 400 });
     await handleStream("Mistral AI", "Chat Stream (JSON mode attempt)", mistral.chatStream(
         [{role: 'system', content: 'Respond only in valid JSON.'}, {role: 'user', content: 'Give me a JSON object with city: Paris, country: France.'}],
         { responseFormat: {type: 'json_object'}, maxTokens: 100}
@@ -213,14 +138,8 @@ async function main() {
     displayResult("OpenRouter", "Chat", orResult);
 
     // Tool use with an OpenRouter model that supports it (e.g., a capable Mistral or OpenAI model)
-    let orToolConversation = [{role: 'user', content: "What's the weather in New York City using tools?"}];
     const orToolModel = 'openai/gpt-3.5-turbo'; // Or another tool-capable model available on OR
-    for (let i = 0; i < 2; i++) {
-        const toolCallResult = await openrouter.chat(orToolConversation, { model: orToolModel, tools: tools, maxTokens: 250 });
-        displayResult("OpenRouter", `Tool Call (${orToolModel}) Step ${i + 1}`, toolCallResult);
-        if (toolCallResult.toolCalls?.length) orToolConversation = await processToolCalls(openrouter, orToolConversation, toolCallResult.toolCalls); else break;
-        if (toolCallResult.text && i > 0) break;
-    }
+    await runToolLoop(openrouter, `OpenRouter (${orToolModel})`, [{role: 'user', content: "What's the weather in New York City using tools?"}], { model: orToolModel, maxIterations: 2, maxTokens: 250 });
   } catch (e) { console.warn("[OpenRouter] Skipping:", e.message); }
 
 
@@ -247,14 +166,8 @@ async function main() {
 
     // Tool use with Ollama depends HEAVILY on the model.
     // Models like Llama3-Instruct are more likely to attempt it.
-    let ollamaToolConversation = [{role: 'user', content: `Using model ${ollamaModelToTest}: what's the weather in Berlin?`}];
     if (ollamaModelToTest.includes("instruct") || ollamaModelToTest.includes("llama3")) { // Heuristic
-        for (let i = 0; i < 2; i++) {
-            const toolCallResult = await ollama.chat(ollamaToolConversation, { tools: tools, maxTokens: 300 });
-            displayResult("Ollama", `Tool Call Step ${i + 1}`, toolCallResult);
-            if (toolCallResult.toolCalls?.length) ollamaToolConversation = await processToolCalls(ollama, ollamaToolConversation, toolCallResult.toolCalls); else break;
-            if (toolCallResult.text && i > 0) break;
-        }
+        await runToolLoop(ollama, "Ollama", [{role: 'user', content: `Using model ${ollamaModelToTest}: what's the weather in Berlin?`}], { maxIterations: 2, maxTokens: 300 });
     } else { console.log(`[Ollama] Skipping tool use test for ${ollamaModelToTest} as it might not support it well.`); }
     await handleStream("Ollama", "Chat Stream", ollama.chatStream([{role: 'user', content: `Explain "localhost" using ${ollamaModelToTest}.`}], {maxTokens: 150}));
 
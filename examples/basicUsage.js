@@ -1,4 +1,4 @@
-import { LLMPlug, LLMPlugError, LLMPlugToolError } from '../src/index.js';
+import { LLMPlug, LLMPlugError, LLMPlugToolError, collectStream } from '../src/index.js';
 // For Node.js < 20.6.0 or if not using --env-file, you might need to load .env manually:
 // import dotenv from 'dotenv';
 // dotenv.config();
@@ -28,44 +28,11 @@ async function main() {
   };
 
   const handleStream = async (providerName, type, stream) => {
-    console.log(`\n--- ${providerName} | ${type} (Streaming) ---`);
-    let fullText = '';
-    const toolCalls = {};
-    let finalUsage;
-    let finalFinishReason;
-
-    process.stdout.write("Streamed Text: ");
-    for await (const chunk of stream) {
-      if (chunk.text) {
-        process.stdout.write(chunk.text);
-        fullText += chunk.text;
-      }
-      if (chunk.toolCalls) {
-        chunk.toolCalls.forEach(tcChunk => {
-            if (!toolCalls[tcChunk.id]) {
-                toolCalls[tcChunk.id] = { ...tcChunk, function: { name: tcChunk.function.name, arguments: '' } };
-            }
-            if (tcChunk.function.arguments) {
-                toolCalls[tcChunk.id].function.arguments += tcChunk.function.arguments;
-            }
-        });
-      }
-      if (chunk.usage) finalUsage = chunk.usage;
-      if (chunk.finishReason) finalFinishReason = chunk.finishReason;
-    }
+    process.stdout.write(`\n--- ${providerName} | ${type} (Streaming) ---\nStreamed Text: `);
+    const result = await collectStream(stream, { onText: text => process.stdout.write(text) });
     process.stdout.write("\n");
-
-    console.log("Full Streamed Text:", fullText.trim());
-    if (Object.keys(toolCalls).length > 0) {
-      console.log("Streamed Tool Calls Requested:");
-      Object.values(toolCalls).forEach(tc => console.log(`  - ID: ${tc.id}, Function: ${tc.function.name}(${tc.function.arguments})`));
-    }
-    if (finalUsage) {
-        console.log("Stream Usage:", `Prompt: ${finalUsage.promptTokens || 'N/A'}, Completion: ${finalUsage.completionTokens || 'N/A'}, Total: ${finalUsage.totalTokens || 'N/A'}`);
-    }
-    if (finalFinishReason) console.log("Stream Finish Reason:", finalFinishReason);
-    console.log("---------------------------\n");
-    return { text: fullText.trim(), toolCalls: Object.values(toolCalls), usage: finalUsage, finishReason: finalFinishReason };
+    displayResult(providerName, `${type} (Streamed)`, result);
+    return result;
   };
 
   // --- Tool Definitions and Execution Logic ---
@@ -8,46 +8,81 @@ import { OpenRouterProvider } from './providers/openRouterProvider.js';
 import { OllamaProvider } from './providers/ollamaProvider.js';
 import { LlamaCppServerProvider } from './providers/llamaCppServerProvider.js';
 import { OobaboogaProvider } from './providers/oobaboogaProvider.js';
-import { LLMPlugError } from './utils/errors.js';
-
-const PROVIDERS = {
-  openai: OpenAIProvider,
-  anthropic: AnthropicProvider,
-  google: GoogleProvider,
-  huggingface: HuggingFaceProvider,
-  cohere: CohereProvider,
-  mistralai: MistralProvider,
-  openrouter: OpenRouterProvider,
-  ollama: OllamaProvider,
-  llamacpp: LlamaCppServerProvider,
-  oobabooga: OobaboogaProvider,
-  // TODO: Add more providers here as they are implemented
-};
+import { FallbackProvider } from './providers/fallbackProvider.js';
+import { RouterProvider } from './providers/routerProvider.js';
+import { MockProvider } from './providers/mockProvider.js';
+import { registerProvider, unregisterProvider, listProviders, createProvider } from './providerRegistry.js';
 
 export class LLMPlug {
+  /**
+   * Registers a provider class so it can be created through `LLMPlug.getProvider`.
+   * Re-registering an existing name replaces the previous registration (including built-ins).
+   * @param {string} name - The provider name (case-insensitive).
+   * @param {typeof import('./providers/baseProvider.js').BaseProvider} ProviderClass - A class extending BaseProvider that implements `chat` and `chatStream`.
+   * @param {object} [options={}]
+   * @param {string[]} [options.aliases=[]] - Alternative names for the provider (e.g. 'gemini' for 'google').
+   * @param {import('./providerRegistry.js').ProviderCapabilities} [options.capabilities={}] - Informational capability flags.
+   * @throws {import('./utils/errors.js').LLMPlugConfigurationError} If the class is invalid or an alias is already taken by another provider.
+   */
+  static registerProvider(name, ProviderClass, options = {}) {
+    registerProvider(name, ProviderClass, { ...options, builtIn: false });
+  }
+
+  /**
+   * Removes a provider (and its aliases) from the registry.
+   * @param {string} name - The provider name or one of its aliases.
+   * @returns {boolean} True if a provider was removed.
+   */
+  static unregisterProvider(name) {
+    return unregisterProvider(name);
+  }
+
+  /**
+   * Lists the registered providers.
+   * @returns {{name: string, aliases: string[], capabilities: import('./providerRegistry.js').ProviderCapabilities, builtIn: boolean}[]}
+   */
+  static listProviders() {
+    return listProviders();
+  }
+
   /**
    * Gets an instance of a specific LLM provider.
-   * @param {keyof PROVIDERS} providerName - The name of the provider.
+   * @param {string} providerName - The name (or alias) of a registered provider.
    * @param {object} [config={}] - Provider-specific configuration.
    *                               For local providers (Ollama, LlamaCpp, Oobabooga):
    *                                 `baseURL` (e.g., "http://localhost:11434/v1")
    *                                 `defaultModel` (name of the model loaded/served locally)
    *                                 `apiKey` (optional, usually not needed or a dummy string)
    * @returns {import('./providers/baseProvider.js').BaseProvider} An instance of the requested provider.
-   * @throws {LLMPlugError} If the provider is not supported.
+   * @throws {import('./utils/errors.js').LLMPlugError} If the provider is not supported.
    */
   static getProvider(providerName, config = {}) {
-    const lowerProviderName = providerName.toLowerCase();
-    const ProviderClass = PROVIDERS[lowerProviderName];
-    
-    if (!ProviderClass) {
-      throw new LLMPlugError(`Unsupported provider: ${providerName}. Supported providers are: ${Object.keys(PROVIDERS).join(', ')}`);
-    }
-    return new ProviderClass(config);
+    return createProvider(providerName, config);
   }
 }
 
+const BUILT_IN_PROVIDERS = [
+  ['openai', OpenAIProvider, { capabilities: { streaming: true, tools: true, vision: true, jsonMode: true, embeddings: true } }],
+  ['anthropic', AnthropicProvider, { aliases: ['claude'], capabilities: { streaming: true, tools: true, vision: true } }],
+  ['google', GoogleProvider, { aliases: ['gemini'], capabilities: { streaming: true, tools: true, vision: true, jsonMode: true, embeddings: true } }],
+  ['huggingface', HuggingFaceProvider, { aliases: ['hf'], capabilities: { streaming: false, embeddings: true } }],
+  ['cohere', CohereProvider, { capabilities: { streaming: true, tools: true, embeddings: true } }],
+  ['mistralai', MistralProvider, { aliases: ['mistral'], capabilities: { streaming: true, tools: true, jsonMode: true, embeddings: true } }],
+  ['openrouter', OpenRouterProvider, { capabilities: { streaming: true, tools: true, vision: true, jsonMode: true } }],
+  ['ollama', OllamaProvider, { capabilities: { streaming: true, tools: true, jsonMode: true, embeddings: true } }],
+  ['llamacpp', LlamaCppServerProvider, { aliases: ['llama.cpp'], capabilities: { streaming: true, embeddings: true } }],
+  ['oobabooga', OobaboogaProvider, { capabilities: { streaming: true, embeddings: true } }],
+  ['fallback', FallbackProvider, { capabilities: { streaming: true } }],
+  ['router', RouterProvider, { capabilities: { streaming: true } }],
+  ['mock', MockProvider, { capabilities: { streaming: true, tools: true, vision: true, jsonMode: true, embeddings: true } }],
+];
+
+for (const [name, ProviderClass, options] of BUILT_IN_PROVIDERS) {
+  registerProvider(name, ProviderClass, { ...options, builtIn: true });
+}
+
 // Export individual providers for direct use if desired, though getProvider is recommended
+export * from './providers/baseProvider.js';
 export * from './providers/openaiProvider.js';
 export * from './providers/anthropicProvider.js';
 export * from './providers/googleProvider.js';
@@ -59,5 +94,26 @@ export * from './providers/ollamaProvider.js';
 export * from './providers/llamaCppServerProvider.js';
 export * from './providers/oobaboogaProvider.js';
 export * from './providers/genericOpenAICompatibleProvider.js';
+export * from './providers/fallbackProvider.js';
+export * from './providers/routerProvider.js';
+export * from './providers/mockProvider.js';
 
-export * from './utils/errors.js'; // Export error classes
\ No newline at end of file
+export * from './utils/streamAccumulator.js';
+export * from './utils/finishReason.js';
+export * from './utils/usage.js';
+export * from './utils/usageTracker.js';
+export * from './utils/budget.js';
+export * from './utils/rateLimiter.js';
+export * from './utils/apiKeyPool.js';
+export * from './utils/circuitBreaker.js';
+export * from './utils/cassette.js';
+export * from './utils/wireFormats.js';
+export * from './utils/stubServer.js';
+export * from './utils/conformance.js';
+export * from './utils/responseCache.js';
+export * from './utils/semanticCache.js';
+export * from './utils/tokenEstimate.js';
+export * from './utils/telemetry.js';
+export * from './utils/logger.js';
+export { DEFAULT_PRICING, getModelPrice, computeCost } from './utils/pricing.js';
+export * from './utils/errors.js'; // Export error classes
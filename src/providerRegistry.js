@@ -0,0 +1,131 @@
+import { BaseProvider } from './providers/baseProvider.js';
+import { LLMPlugError, LLMPlugConfigurationError } from './utils/errors.js';
+
+/**
+ * Describes what a provider can do. Purely informational; used by `listProviders()`
+ * so applications can pick a provider by feature.
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} [streaming] - Supports `chatStream` / `generateStream`.
+ * @property {boolean} [tools] - Supports function calling / tool use.
+ * @property {boolean} [vision] - Accepts `image_url` content parts.
+ * @property {boolean} [jsonMode] - Supports `responseFormat: { type: 'json_object' }`.
+ * @property {boolean} [embeddings] - Implements `embed()`.
+ */
+
+/**
+ * @typedef {Object} ProviderRegistration
+ * @property {string} name - Canonical (lowercase) provider name.
+ * @property {typeof BaseProvider} ProviderClass - The class instantiated by `createProvider`.
+ * @property {string[]} aliases - Alternative names resolving to this provider.
+ * @property {ProviderCapabilities} capabilities
+ * @property {boolean} builtIn - True for providers shipped with LLMPlug.
+ */
+
+/** @type {Map<string, ProviderRegistration>} */
+const registry = new Map();
+/** @type {Map<string, string>} alias -> canonical name */
+const aliases = new Map();
+
+function normalizeName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new LLMPlugConfigurationError('Provider name must be a non-empty string.', 'LLMPlug');
+  }
+  return name.trim().toLowerCase();
+}
+
+function resolveName(name) {
+  const lowerName = normalizeName(name);
+  return aliases.get(lowerName) || lowerName;
+}
+
+function validateProviderClass(name, ProviderClass) {
+  if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseProvider)) {
+    throw new LLMPlugConfigurationError(`Provider '${name}' must be a class extending BaseProvider.`, 'LLMPlug');
+  }
+  for (const method of ['chat', 'chatStream']) {
+    if (typeof ProviderClass.prototype[method] !== 'function' || ProviderClass.prototype[method] === BaseProvider.prototype[method]) {
+      throw new LLMPlugConfigurationError(`Provider '${name}' must implement the '${method}' method.`, 'LLMPlug');
+    }
+  }
+}
+
+/**
+ * Registers a provider class. Re-registering an existing name replaces the previous registration.
+ * @param {string} name - The provider name (case-insensitive).
+ * @param {typeof BaseProvider} ProviderClass - A class extending BaseProvider that implements `chat` and `chatStream`.
+ * @param {object} [options={}]
+ * @param {string[]} [options.aliases=[]] - Alternative names for the provider.
+ * @param {ProviderCapabilities} [options.capabilities={}] - Informational capability flags.
+ * @param {boolean} [options.builtIn=false] - Marks providers shipped with LLMPlug.
+ * @throws {LLMPlugConfigurationError} If the class is invalid or an alias is already taken by another provider.
+ */
+export function registerProvider(name, ProviderClass, { aliases: providerAliases = [], capabilities = {}, builtIn = false } = {}) {
+  const canonicalName = normalizeName(name);
+  validateProviderClass(canonicalName, ProviderClass);
+
+  const normalizedAliases = providerAliases.map(normalizeName);
+  for (const alias of normalizedAliases) {
+    const owner = registry.has(alias) ? alias : aliases.get(alias);
+    if (owner && owner !== canonicalName) {
+      throw new LLMPlugConfigurationError(`Alias '${alias}' is already used by provider '${owner}'.`, 'LLMPlug');
+    }
+  }
+  if (aliases.has(canonicalName)) {
+    throw new LLMPlugConfigurationError(`Name '${canonicalName}' is already an alias of provider '${aliases.get(canonicalName)}'.`, 'LLMPlug');
+  }
+
+  if (registry.has(canonicalName)) {
+    unregisterProvider(canonicalName);
+  }
+  registry.set(canonicalName, {
+    name: canonicalName,
+    ProviderClass,
+    aliases: normalizedAliases,
+    capabilities: { ...capabilities },
+    builtIn,
+  });
+  normalizedAliases.forEach(alias => aliases.set(alias, canonicalName));
+}
+
+/**
+ * Removes a provider (and its aliases) from the registry.
+ * @param {string} name - The provider name or one of its aliases.
+ * @returns {boolean} True if a provider was removed.
+ */
+export function unregisterProvider(name) {
+  const canonicalName = resolveName(name);
+  const registration = registry.get(canonicalName);
+  if (!registration) return false;
+  registration.aliases.forEach(alias => aliases.delete(alias));
+  registry.delete(canonicalName);
+  return true;
+}
+
+/**
+ * Lists the registered providers.
+ * @returns {{name: string, aliases: string[], capabilities: ProviderCapabilities, builtIn: boolean}[]}
+ */
+export function listProviders() {
+  return [...registry.values()].map(({ name, aliases: providerAliases, capabilities, builtIn }) => ({
+    name,
+    aliases: [...providerAliases],
+    capabilities: { ...capabilities },
+    builtIn,
+  }));
+}
+
+/**
+ * Instantiates a registered provider by name or alias.
+ * @param {string} providerName
+ * @param {object} [config={}]
+ * @returns {BaseProvider}
+ * @throws {LLMPlugError} If the provider is not registered.
+ */
+export function createProvider(providerName, config = {}) {
+  const registration = registry.get(resolveName(providerName));
+
+  if (!registration) {
+    throw new LLMPlugError(`Unsupported provider: ${providerName}. Supported providers are: ${[...registry.keys()].join(', ')}`);
+  }
+  return new registration.ProviderClass(config);
+}
@@ -1,6 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { DEFAULT_SCHEMA_NAME, isJsonResponseFormat, isJsonSchemaFormat, withFormatInstruction } from '../utils/structuredOutput.js';
+import { usageFromAnthropic } from '../utils/usage.js';
 
 export class AnthropicProvider extends BaseProvider {
   constructor(config = {}) {
@@ -8,7 +10,7 @@ export class AnthropicProvider extends BaseProvider {
     this.providerName = "Anthropic";
     try {
       this.apiKey = this._getApiKey('ANTHROPIC_API_KEY');
-      this.client = new Anthropic({ apiKey: this.apiKey });
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       if (error instanceof LLMPlugConfigurationError) throw error;
       throw new LLMPlugConfigurationError(`Anthropic client initialization failed: ${error.message}`, this.providerName, error);
@@ -16,6 +18,17 @@ export class AnthropicProvider extends BaseProvider {
     this.defaultModel = config.defaultModel || 'claude-3-haiku-20240307';
   }
 
+  _createClient(apiKey) {
+    // Retries are handled by LLMPlug's retry policy. `config.baseURL` points the client at a proxy or gateway.
+    return this._observeClientResponses(new Anthropic({ apiKey, baseURL: this.config.baseURL, maxRetries: 0 }));
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    // This SDK version has no models resource, but the endpoint exists and is free.
+    await this.client.get('/v1/models', { query: { limit: 1 }, signal });
+  }
+
   /**
    * Prepares messages for the Anthropic API.
    * - Handles system prompts.
@@ -102,7 +115,13 @@ export class AnthropicProvider extends BaseProvider {
              throw new LLMPlugRequestError(`Tool message (role 'tool') with tool_call_id '${msg.tool_call_id}' must contain a 'tool_output' content part.`, this.providerName);
         }
         // For 'tool' role, Anthropic expects the message role to be 'user' and content to be the tool_result blocks.
-        anthropicMessages.push({ role: 'user', content: [toolResultBlock] });
+        // Results of parallel tool calls must share a single user message, so consecutive tool messages are merged.
+        const previous = anthropicMessages[anthropicMessages.length - 1];
+        if (previous && previous.role === 'user' && previous.content.every(block => block.type === 'tool_result')) {
+          previous.content.push(toolResultBlock);
+        } else {
+          anthropicMessages.push({ role: 'user', content: [toolResultBlock] });
+        }
 
       } else if (contentBlocks.length > 0) {
         // For user or assistant messages with content (text, image, or tool_use intent)
@@ -121,6 +140,51 @@ export class AnthropicProvider extends BaseProvider {
     return { systemPrompt, anthropicMessages };
   }
 
+  /**
+   * Anthropic has no JSON Schema response format, so a schema is sent as a tool the model is forced
+   * to call; the tool input is the structured answer. The schema's top level must be an object.
+   * @param {import('../baseProvider.js').ResponseFormat} [responseFormat]
+   * @returns {{name: string, description: string, input_schema: object} | null}
+   * @protected
+   */
+  _structuredOutputTool(responseFormat) {
+    if (!isJsonSchemaFormat(responseFormat)) return null;
+    return {
+      name: responseFormat.name || DEFAULT_SCHEMA_NAME,
+      description: responseFormat.description || 'Returns the final answer in the required structure.',
+      input_schema: responseFormat.schema,
+    };
+  }
+
+  /**
+   * Builds the `tools`, `tool_choice` and messages for a request, including the structured output tool.
+   * @param {import('../baseProvider.js').ChatMessage[]} messages
+   * @param {import('../baseProvider.js').GenerationOptions} options
+   * @returns {Promise<{systemPrompt?: string, anthropicMessages: Anthropic.Messages.MessageParam[], tools?: object[], toolChoice?: object, structuredTool: object | null}>}
+   * @protected
+   */
+  async _prepareRequest(messages, options) {
+    const structuredTool = this._structuredOutputTool(options.responseFormat);
+    // Plain JSON mode has no native equivalent, so it is requested in the system prompt.
+    const promptMessages = isJsonResponseFormat(options.responseFormat) && !structuredTool
+      ? withFormatInstruction(messages, options.responseFormat)
+      : messages;
+    const { systemPrompt, anthropicMessages } = await this._prepareMessages(promptMessages);
+    const tools = (options.tools || []).map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters, // Anthropic uses input_schema
+    }));
+    if (structuredTool) tools.push(structuredTool);
+    return {
+      systemPrompt,
+      anthropicMessages,
+      tools: tools.length > 0 ? tools : undefined,
+      toolChoice: structuredTool ? { type: 'tool', name: structuredTool.name } : undefined,
+      structuredTool,
+    };
+  }
+
   /**
    * Converts a simple prompt string or an array of ChatMessages into a valid ChatMessage array.
    * @param {string | import('../baseProvider.js').ChatMessage[]} input
@@ -154,7 +218,7 @@ export class AnthropicProvider extends BaseProvider {
    */
   async chat(messages, options = {}) {
     const model = options.model || this.defaultModel;
-    const { systemPrompt, anthropicMessages } = await this._prepareMessages(messages);
+    const { systemPrompt, anthropicMessages, tools, toolChoice, structuredTool } = await this._prepareRequest(messages, options);
 
     const requestParams = {
       model: model,
@@ -162,21 +226,21 @@ export class AnthropicProvider extends BaseProvider {
       max_tokens: options.maxTokens || 1024, // Anthropic requires max_tokens
       temperature: options.temperature,
       stop_sequences: options.stopSequences,
-      tools: options.tools?.map(tool => ({
-        name: tool.function.name,
-        description: tool.function.description,
-        input_schema: tool.function.parameters, // Anthropic uses input_schema
-      })),
+      tools: tools,
+      tool_choice: toolChoice,
       ...(systemPrompt && { system: systemPrompt }), // Conditionally add system prompt
       ...options.extraParams,
     };
 
     try {
-      const response = await this.client.messages.create(requestParams);
+      const { result: response, attempts } = await this._withRetry((attempt, signal) => this.client.messages.create(requestParams, { signal }), options);
 
-      const textContent = response.content.filter(block => block.type === 'text').map(block => block.text).join('').trim() || null;
+      const structuredBlock = structuredTool && response.content.find(block => block.type === 'tool_use' && block.name === structuredTool.name);
+      const textContent = structuredBlock
+        ? JSON.stringify(structuredBlock.input)
+        : response.content.filter(block => block.type === 'text').map(block => block.text).join('').trim() || null;
       const toolCalls = response.content
-        .filter(block => block.type === 'tool_use')
+        .filter(block => block.type === 'tool_use' && block !== structuredBlock)
         .map(block => ({
           id: block.id,
           type: 'function',
@@ -186,26 +250,25 @@ export class AnthropicProvider extends BaseProvider {
           },
         }));
 
-      const usage = {
-        promptTokens: response.usage?.input_tokens,
-        completionTokens: response.usage?.output_tokens,
-        totalTokens: (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0),
-      };
+      const usage = usageFromAnthropic(response.usage);
       
       // Anthropic's stop_reason maps to finishReason
       // e.g., "end_turn", "max_tokens", "stop_sequence", "tool_use"
-      const finishReason = response.stop_reason; 
+      // The forced structured output call is the answer itself, not a pending tool call.
+      const finishReason = structuredBlock && response.stop_reason === 'tool_use' ? 'end_turn' : response.stop_reason;
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        rawFinishReason: response.stop_reason,
+        attempts: attempts,
         rawResponse: response,
-      };
+      });
     } catch (error) {
       const errorMessage = error.error?.message || error.message || "Unknown Anthropic API error";
-      throw new LLMPlugRequestError(`Anthropic API chat request failed: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Anthropic API chat request failed: ${errorMessage}`, error);
     }
   }
 
@@ -226,7 +289,7 @@ export class AnthropicProvider extends BaseProvider {
    */
   async *chatStream(messages, options = {}) {
     const model = options.model || this.defaultModel;
-    const { systemPrompt, anthropicMessages } = await this._prepareMessages(messages);
+    const { systemPrompt, anthropicMessages, tools, toolChoice, structuredTool } = await this._prepareRequest(messages, options);
 
     const requestParams = {
       model: model,
@@ -234,72 +297,63 @@ export class AnthropicProvider extends BaseProvider {
       max_tokens: options.maxTokens || 1024,
       temperature: options.temperature,
       stop_sequences: options.stopSequences,
-      tools: options.tools?.map(tool => ({
-        name: tool.function.name,
-        description: tool.function.description,
-        input_schema: tool.function.parameters,
-      })),
+      tools: tools,
+      tool_choice: toolChoice,
       stream: true,
       ...(systemPrompt && { system: systemPrompt }),
       ...options.extraParams,
     };
 
     try {
-      const stream = this.client.messages.stream(requestParams); // Use .stream() for Anthropic SDK
+      // Use .stream() for Anthropic SDK. The request is only sent once iteration starts, so establishment is retried up to the first event.
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.messages.stream(requestParams, { signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
-      // Accumulators for tool call arguments if they stream partially
-      // (Anthropic usually sends tool_use input fully in content_block_start)
+      // Tool call inputs stream as input_json_delta fragments per content block; complete calls are yielded on message_stop.
       const streamingToolCallArgs = {};
+      let structuredBlockIndex; // Content block holding the forced structured output call, streamed as text
 
       for await (const event of stream) {
         const chunkData = { rawChunk: event };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
           chunkData.text = event.delta.text;
-        } else if (event.type === 'content_block_start' && event.delta?.type === 'input_json_delta') {
-            // This event type is for Claude 3.5 Sonnet streaming tool inputs
-            if (event.content_block.type === 'tool_use') {
-                const toolUseId = event.content_block.id;
-                if (!streamingToolCallArgs[toolUseId]) {
-                    streamingToolCallArgs[toolUseId] = {
-                        id: toolUseId,
-                        name: event.content_block.name,
-                        arguments: ''
-                    };
-                }
-                streamingToolCallArgs[toolUseId].arguments += event.delta.partial_json;
-            }
+        } else if (structuredTool && event.type === 'content_block_start' && event.content_block.type === 'tool_use' && event.content_block.name === structuredTool.name) {
+          structuredBlockIndex = event.index;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta' && event.index === structuredBlockIndex) {
+          chunkData.text = event.delta.partial_json;
         } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
-          // For models older than Claude 3.5 Sonnet, input comes fully here
-          chunkData.toolCalls = [{
+          const input = event.content_block.input;
+          streamingToolCallArgs[event.index] = {
             id: event.content_block.id,
-            type: 'function',
-            function: {
-              name: event.content_block.name,
-              arguments: JSON.stringify(event.content_block.input || {}),
-            }
-          }];
-        } else if (event.type === 'message_delta' && event.delta.stop_reason) {
-            // Claude 3.5 Sonnet sends stop_reason and usage in message_delta
-            chunkData.finishReason = event.delta.stop_reason;
-            if (event.usage) { // Check if usage is present on this specific event
-                chunkData.usage = {
-                    output_tokens: event.usage.output_tokens,
-                    // input_tokens usually comes in message_start
-                };
+            name: event.content_block.name,
+            // The input is normally empty here and streamed afterwards; keep it if it was sent in full.
+            arguments: input && Object.keys(input).length > 0 ? JSON.stringify(input) : '',
+          };
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta' && streamingToolCallArgs[event.index]) {
+          streamingToolCallArgs[event.index].arguments += event.delta.partial_json;
+        } else if (event.type === 'message_delta') {
+            // Claude 3.5 Sonnet sends stop_reason and the final output_tokens in message_delta
+            if (event.delta.stop_reason) {
+              chunkData.finishReason = structuredBlockIndex !== undefined && event.delta.stop_reason === 'tool_use' ? 'end_turn' : event.delta.stop_reason;
+              chunkData.rawFinishReason = event.delta.stop_reason;
             }
+            const usage = usageFromAnthropic(event.usage);
+            if (usage) chunkData.usage = usage;
         } else if (event.type === 'message_start') {
-            // Contains input_tokens
-            if (event.message.usage) {
-                 chunkData.usage = { promptTokens: event.message.usage.input_tokens };
-            }
+            // Contains the input and cache tokens; its output_tokens is only a placeholder until message_delta
+            const { completionTokens, totalTokens, ...promptUsage } = usageFromAnthropic(event.message.usage) || {};
+            if (promptUsage.promptTokens !== undefined) chunkData.usage = promptUsage;
         } else if (event.type === 'message_stop') {
-          // This event signals the end of the stream.
-          // For Claude 3.5 Sonnet, tool_calls derived from input_json_delta should be finalized here
+          // This event signals the end of the stream; tool calls are complete now.
           const finalizedToolCalls = Object.values(streamingToolCallArgs).map(tc => ({
                 id: tc.id,
                 type: 'function',
-                function: { name: tc.name, arguments: tc.arguments }
+                function: { name: tc.name, arguments: tc.arguments || '{}' }
           }));
           if (finalizedToolCalls.length > 0) {
               chunkData.toolCalls = finalizedToolCalls;
@@ -314,7 +368,7 @@ export class AnthropicProvider extends BaseProvider {
       }
     } catch (error) {
       const errorMessage = error.error?.message || error.message || "Unknown Anthropic API stream error";
-      throw new LLMPlugRequestError(`Anthropic API chat stream failed: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Anthropic API chat stream failed: ${errorMessage}`, error);
     }
   }
 }
\ No newline at end of file
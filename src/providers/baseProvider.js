@@ -1,6 +1,54 @@
-import fetch from 'node-fetch';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { EventEmitter } from 'node:events';
+import { createHash, randomUUID } from 'node:crypto';
+import { fetch, interceptable } from '../utils/http.js';
 import { fileTypeFromBuffer } from 'file-type'; // Import file-type
-import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError, LLMPlugTimeoutError, LLMPlugAbortError, LLMPlugToolError, LLMPlugOutputValidationError, LLMPlugCircuitOpenError } from '../utils/errors.js';
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+import { isJsonResponseFormat, checkStructuredOutput, buildRepairPrompt } from '../utils/structuredOutput.js';
+import { classifyRequestError } from '../utils/errorClassification.js';
+import { resolveRetryPolicy, withRetry } from '../utils/retry.js';
+import { createRequestSignal, raceWithSignal } from '../utils/abort.js';
+import { getModelPrice, computeCost } from '../utils/pricing.js';
+import { Budget } from '../utils/budget.js';
+import { StreamAccumulator, streamFromResult } from '../utils/streamAccumulator.js';
+import { createResponseCache } from '../utils/responseCache.js';
+import { SemanticCache } from '../utils/semanticCache.js';
+import { createTelemetryMiddleware } from '../utils/telemetry.js';
+import { estimateCompletionTokens, estimatePromptTokens, estimateTextTokens } from '../utils/tokenEstimate.js';
+import { createLogger } from '../utils/logger.js';
+import { RateLimiter, getSharedRateLimiter } from '../utils/rateLimiter.js';
+import { ApiKeyPool, maskApiKey } from '../utils/apiKeyPool.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { normalizeFinishReason } from '../utils/finishReason.js';
+import { addUsage } from '../utils/usage.js';
+
+// Public methods that run through the middleware pipeline and usage accounting, and whether they return a stream.
+const PIPELINE_METHODS = { generate: false, chat: false, embed: false, generateStream: true, chatStream: true };
+// The providers currently inside a pipeline call, mapped to the call's state (see `_startCall`), so delegations such as
+// generate → chat or structured-output repairs pass through middleware and accounting once, in the outermost call.
+const accountingScope = new AsyncLocalStorage();
+// The provider and pooled API key of the request attempt in progress (see `_withApiKey`).
+const apiKeyScope = new AsyncLocalStorage();
+
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/** @returns {number | undefined} The total tokens of a usage report, undefined if there is none. */
+function totalTokensOf(usage) {
+  return usage ? usage.totalTokens ?? (usage.promptTokens || 0) + (usage.completionTokens || 0) : undefined;
+}
+
+/**
+ * The canonical `finishReason` of a result or chunk, with the vendor's value in `rawFinishReason`.
+ * A result that passed through another provider's pipeline (e.g. a fallback backend) keeps its `rawFinishReason`.
+ * @returns {{finishReason: import('../utils/finishReason.js').FinishReason, rawFinishReason: string | null}}
+ */
+function finishReasonsOf(resultOrChunk, hasToolCalls) {
+  return {
+    finishReason: normalizeFinishReason(resultOrChunk.finishReason, { hasToolCalls }),
+    rawFinishReason: 'rawFinishReason' in resultOrChunk ? resultOrChunk.rawFinishReason : resultOrChunk.finishReason ?? null,
+  };
+}
 
 /**
  * @typedef {'text' | 'image_url' | 'tool_code' | 'tool_output'} ContentType
@@ -47,6 +95,17 @@ import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError } from '..
  * @property {string} function.arguments - A JSON string of the arguments to call the function with.
  */
 
+/**
+ * A tool call as yielded by a stream. `collectStream` / `StreamAccumulator` reassemble fragments into ToolCalls.
+ * @typedef {Object} ToolCallFragment
+ * @property {number} [index] - Position of the tool call in the response; set only on partial fragments.
+ * @property {string} [id] - The ID of the tool call (only on the first fragment of a partial call).
+ * @property {'function'} [type]
+ * @property {Object} function
+ * @property {string} [function.name] - Function name (only on the first fragment of a partial call).
+ * @property {string} function.arguments - The complete arguments JSON, or the next piece of it.
+ */
+
 /**
  * @typedef {Object} ChatMessage
  * @property {'system' | 'user' | 'assistant' | 'tool'} role
@@ -78,15 +137,26 @@ import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError } from '..
 /**
  * Represents token usage information for a generation request.
  * @typedef {Object} UsageData
- * @property {number} [promptTokens] - Number of tokens in the prompt/input.
- * @property {number} [completionTokens] - Number of tokens in the generated completion.
+ * @property {number} [promptTokens] - Number of tokens in the prompt/input, including cached ones.
+ * @property {number} [completionTokens] - Number of tokens in the generated completion, including reasoning tokens.
  * @property {number} [totalTokens] - Total number of tokens used.
+ * @property {number} [cachedPromptTokens] - Prompt tokens read from the vendor's prompt cache (OpenAI, Anthropic, Gemini).
+ * @property {number} [cacheCreationTokens] - Prompt tokens written to the prompt cache (Anthropic).
+ * @property {number} [reasoningTokens] - Completion tokens spent on hidden reasoning (OpenAI o-series, Gemini thinking models).
+ * @property {boolean} [estimated] - True if some counts are local estimates because the backend did not report them.
  */
 
 /**
  * Specifies the desired format for the model's response.
+ * With `json_object` or `json_schema`, `chat`/`generate` parse the answer into `result.parsed`
+ * and throw `LLMPlugOutputValidationError` if it is not valid JSON or does not match `schema`.
  * @typedef {Object} ResponseFormat
- * @property {'text' | 'json_object'} type - The desired response format.
+ * @property {'text' | 'json_object' | 'json_schema'} type - The desired response format.
+ * @property {Object} [schema] - JSON Schema the answer must match (required for `json_schema`).
+ * @property {string} [name] - Name of the schema (OpenAI `json_schema.name`, Anthropic tool name).
+ * @property {string} [description] - Description of the expected output.
+ * @property {boolean} [strict] - Enables OpenAI's strict schema adherence.
+ * @property {number} [maxRepairs=0] - How many times to re-ask the model, with the validation errors, before giving up.
  */
 
 /**
@@ -99,6 +169,10 @@ import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError } from '..
  * @property {ResponseFormat} [responseFormat] - Desired format of the response (e.g., for JSON mode).
  * @property {ToolDefinition[]} [tools] - Array of tool definitions available to the model.
  * @property {'auto' | 'none' | {type: 'function', function: {name: string}}} [toolChoice='auto'] - Controls how the model uses tools.
+ * @property {AbortSignal} [signal] - Cancels the request (or stops the stream) when aborted; throws `LLMPlugAbortError`.
+ * @property {number} [timeoutMs] - Deadline for the whole call, including retries and reading a stream; throws `LLMPlugTimeoutError`.
+ * @property {string[]} [tags] - Caller-defined labels (e.g. the feature making the call) recorded with the usage by `config.usageTracker`.
+ * @property {false} [cache] - Set to false to bypass `config.cache` and `config.semanticCache` for this call.
  * @property {any} [extraParams] - Any other provider-specific parameters not covered by standard options.
  */
 
@@ -107,27 +181,1127 @@ import { LLMPlugError, LLMPlugConfigurationError, LLMPlugRequestError } from '..
  * @typedef {Object} GenerationResult
  * @property {string | null} text - The generated text content. Null if only tool calls are made.
  * @property {UsageData} [usage] - Information about token usage.
- * @property {string} [finishReason] - The reason the model stopped generating (e.g., 'stop', 'length', 'tool_calls').
+ * @property {import('../utils/finishReason.js').FinishReason} [finishReason] - Why the model stopped generating, in the
+ *   same terms for every vendor ('stop', 'length', 'tool_calls', 'content_filter', 'error' or 'other').
+ * @property {string | null} [rawFinishReason] - The vendor's own finish reason (e.g. 'end_turn', 'MAX_TOKENS'), null if it gave none.
  * @property {ToolCall[]} [toolCalls] - Array of tool calls made by the model.
  * @property {any} [rawResponse] - The raw response object from the underlying provider SDK for debugging or extra data.
+ * @property {number} [attempts] - Number of attempts the request needed (1 means it succeeded without retries).
+ * @property {string} [provider] - Name of the provider that actually answered (set by FallbackProvider).
+ * @property {{provider: string, error: Error}[]} [failovers] - Providers that failed before this one answered (set by FallbackProvider).
+ * @property {any} [parsed] - The parsed JSON answer when a JSON `responseFormat` was requested.
+ * @property {number} [repairs] - Number of repair round-trips needed before the answer matched the schema.
+ * @property {string} [model] - The model the request was made with.
+ * @property {number} [cost] - Cost of the request in USD, from `usage` and the model's price. Undefined if either is unknown.
+ * @property {boolean} [cached] - True if the result came from `config.cache` or `config.semanticCache` instead of the provider (`cost` is then 0).
+ * @property {number} [similarity] - For semantic cache hits: cosine similarity between this prompt and the cached one.
  */
 
 /**
  * A chunk of data from a streaming generation request.
  * @typedef {Object} GenerationStreamChunk
  * @property {string} [text] - Partial generated text content for this chunk.
- * @property {ToolCall[]} [toolCalls] - Partial or complete tool calls for this chunk.
- * @property {string} [finishReason] - The reason the stream finished (usually in the last chunk).
- * @property {UsageData} [usage] - Usage data for the entire response (often at the end of stream or in the last chunk).
+ * @property {ToolCallFragment[]} [toolCalls] - Tool calls for this chunk. Fragments with an `index` are partial
+ *   (their `arguments` must be concatenated per index); fragments without one are complete calls.
+ * @property {import('../utils/finishReason.js').FinishReason} [finishReason] - The canonical reason the stream finished
+ *   (on one of the last chunks).
+ * @property {string | null} [rawFinishReason] - The vendor's own finish reason, on the chunk carrying `finishReason`.
+ * @property {UsageData} [usage] - Usage data, possibly split across chunks (e.g. prompt tokens first, completion tokens last).
  * @property {any} [rawChunk] - The raw chunk object from the underlying provider SDK for debugging or extra data.
+ * @property {number} [attempts] - Attempts needed to establish the stream (set on the first chunk only).
+ * @property {string} [provider] - Name of the provider that produced the chunk (set by FallbackProvider).
+ * @property {string} [model] - The model the request was made with (set on chunks carrying `usage`).
+ * @property {number} [cost] - Set on chunks carrying `usage`: the cost in USD of the usage reported so far.
  */
 
-export class BaseProvider {
+/**
+ * What the embeddings will be used for. Providers that distinguish input types (Cohere, Google)
+ * map these to their own values; others ignore it.
+ * @typedef {'query' | 'document' | 'classification' | 'clustering' | 'similarity'} EmbeddingInputType
+ */
+
+/**
+ * Options for `embed`.
+ * @typedef {Object} EmbeddingOptions
+ * @property {string} [model] - The embedding model to use (overrides the provider's `defaultEmbeddingModel`).
+ * @property {EmbeddingInputType} [inputType] - The intended use of the embeddings.
+ * @property {number} [dimensions] - Requested output dimensionality, for models that support shortening embeddings.
+ * @property {number} [batchSize] - Override the number of texts sent per request (defaults to the vendor's limit).
+ * @property {AbortSignal} [signal] - Cancels the remaining requests when aborted; throws `LLMPlugAbortError`.
+ * @property {number} [timeoutMs] - Deadline for each batch request, including retries; throws `LLMPlugTimeoutError`.
+ * @property {string[]} [tags] - Caller-defined labels recorded with the usage by `config.usageTracker`.
+ * @property {false} [cache] - Set to false to bypass `config.cache` for this call.
+ */
+
+/**
+ * The result of `embed`.
+ * @typedef {Object} EmbeddingResult
+ * @property {number[][]} embeddings - One vector per input text, in input order.
+ * @property {UsageData | null} usage - Token usage summed over all batches, or null if the provider does not report it.
+ * @property {string} model - The model that produced the embeddings.
+ * @property {number} [cost] - Cost of the request in USD. Undefined if the usage or the model's price is unknown.
+ * @property {boolean} [cached] - True if the result came from `config.cache`.
+ */
+
+/**
+ * A function that executes a tool call requested by the model.
+ * Its return value is sent back to the model as the tool output.
+ * @callback ToolHandler
+ * @param {Object.<string, any>} args - The parsed (and schema-validated) arguments.
+ * @param {{toolCall: ToolCall, messages: ChatMessage[]}} context - The originating tool call and the transcript so far.
+ * @returns {any | Promise<any>}
+ */
+
+/**
+ * The outcome of executing one tool call inside `runTools`.
+ * @typedef {Object} ToolExecutionResult
+ * @property {ToolCall} toolCall - The tool call requested by the model.
+ * @property {any} output - The content sent back to the model (the handler result, or an `{ error }` object).
+ * @property {LLMPlugToolError} [error] - Set when the arguments were invalid, the tool is unknown or the handler threw.
+ */
+
+/**
+ * One model turn inside `runTools`.
+ * @typedef {Object} ToolRunStep
+ * @property {number} iteration - 1-based iteration number.
+ * @property {GenerationResult} result - The model's response for this turn.
+ * @property {ToolExecutionResult[]} toolResults - The executed tool calls (empty on the final turn).
+ */
+
+/**
+ * The result of `runTools`.
+ * @typedef {Object} ToolRunResult
+ * @property {string | null} text - The model's final answer.
+ * @property {GenerationResult} result - The last GenerationResult returned by the model.
+ * @property {ChatMessage[]} messages - The full transcript, including assistant tool calls, tool outputs and the final answer.
+ * @property {ToolRunStep[]} steps - Every model turn with the tool calls executed after it.
+ * @property {UsageData} usage - Token usage summed over all turns.
+ * @property {boolean} completed - False if `maxIterations` was reached while the model was still calling tools.
+ */
+
+/**
+ * What a middleware sees of a call. Middleware may change `input`/`messages`, `options` and `model`
+ * before calling `next()`; the changes are what the provider sends.
+ * @typedef {Object} MiddlewareContext
+ * @property {'chat' | 'generate' | 'chatStream' | 'generateStream' | 'embed'} method
+ * @property {boolean} stream - True for `chatStream`/`generateStream`: `next()` then resolves to the chunk stream.
+ * @property {string} providerName
+ * @property {string | undefined} model - The model the call will use (`options.model` or the provider default).
+ * @property {ChatMessage[] | string | string[]} input - The first argument of the call: messages, a prompt, or the texts to embed.
+ * @property {ChatMessage[] | string | string[]} messages - Alias of `input`.
+ * @property {GenerationOptions & EmbeddingOptions} options
+ */
+
+/**
+ * Wraps a provider call. Return `next()` (or a changed copy of its result) to continue, or return a
+ * result without calling `next()` to short-circuit. For streams, `next()` resolves to an AsyncIterable of
+ * chunks that can be wrapped to observe or change them; a GenerationResult may also be returned and is sent as one chunk.
+ * Errors thrown by the call (or by later middleware) reject `next()` and can be caught, replaced or rethrown.
+ * @callback Middleware
+ * @param {MiddlewareContext} context
+ * @param {() => Promise<GenerationResult | EmbeddingResult | AsyncIterable<GenerationStreamChunk>>} next
+ * @returns {Promise<GenerationResult | EmbeddingResult | AsyncIterable<GenerationStreamChunk>> | GenerationResult | EmbeddingResult | AsyncIterable<GenerationStreamChunk>}
+ */
+
+/**
+ * Payload of the 'request' event, emitted when a public call starts.
+ * @typedef {Object} RequestEvent
+ * @property {string} requestId - Identifies the call in all of its events.
+ * @property {string} provider
+ * @property {'chat' | 'generate' | 'chatStream' | 'generateStream' | 'embed'} method
+ * @property {string | undefined} model
+ * @property {boolean} stream
+ */
+
+/**
+ * Payload of the 'response' event, emitted when a call has returned its result or its stream has ended.
+ * @typedef {Object} ResponseEvent
+ * @property {string} requestId
+ * @property {string} provider
+ * @property {string} method
+ * @property {string | undefined} model
+ * @property {number} durationMs
+ * @property {UsageData | null} usage
+ * @property {number | null} [cost]
+ * @property {import('../utils/finishReason.js').FinishReason | null} [finishReason]
+ * @property {boolean} cached
+ * @property {number} [attempts]
+ */
+
+/**
+ * Payload of the 'stream:chunk' event, emitted for every chunk a stream yields.
+ * @typedef {Object} StreamChunkEvent
+ * @property {string} requestId
+ * @property {string} provider
+ * @property {string} method
+ * @property {number} index - Position of the chunk in the stream, starting at 0.
+ * @property {GenerationStreamChunk} chunk
+ */
+
+/**
+ * Payload of the 'retry' event, emitted before the wait preceding a retry.
+ * @typedef {Object} RetryEvent
+ * @property {string | undefined} requestId - Undefined for requests outside the public methods (e.g. `listLocalModels`).
+ * @property {string} provider
+ * @property {number} attempt - The attempt that failed (1-based).
+ * @property {number} delayMs
+ * @property {Error} error
+ */
+
+/**
+ * Payload of the 'warning' event.
+ * @typedef {Object} ProviderWarning
+ * @property {string} provider
+ * @property {string} code - E.g. 'missing_default_model', 'content_ignored', 'safety_block', 'budget'.
+ * @property {string} message
+ * @property {object} [details]
+ */
+
+/**
+ * Payload of the 'error' event, emitted when a call fails. Only emitted while an 'error' listener is attached,
+ * since the error also rejects the call.
+ * @typedef {Object} ErrorEvent
+ * @property {string} requestId
+ * @property {string} provider
+ * @property {string} method
+ * @property {string | undefined} model
+ * @property {number} durationMs
+ * @property {Error} error
+ */
+
+/**
+ * Outcome of `healthCheck()`.
+ * @typedef {Object} HealthCheckResult
+ * @property {boolean} healthy
+ * @property {number} latencyMs
+ * @property {number} checkedAt - Epoch milliseconds.
+ * @property {string | null} error - Why the check failed, null if it passed.
+ */
+
+/**
+ * Returned by `getHealth()`.
+ * @typedef {Object} ProviderHealth
+ * @property {string} provider
+ * @property {boolean} healthy - False while the circuit breaker is open or if the last health check failed.
+ * @property {import('../utils/circuitBreaker.js').CircuitBreakerState | null} circuit - Null without `config.circuitBreaker`.
+ * @property {HealthCheckResult | null} lastCheck - Null if `healthCheck()` has not run yet.
+ */
+
+/**
+ * What the pipeline tracks about one public call.
+ * @typedef {Object} CallState
+ * @property {string} requestId
+ * @property {string} method
+ * @property {string | undefined} model
+ * @property {number} startedAt - `performance.now()` when the call started.
+ * @property {string} [apiKey] - The pooled API key of the last successful request attempt.
+ * @private
+ */
+
+/**
+ * Base class of all providers. Providers are EventEmitters and emit 'request', 'response', 'stream:chunk',
+ * 'retry', 'warning' and 'error' events (see the `*Event` typedefs above); diagnostics are also written to `config.logger`.
+ */
+export class BaseProvider extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.providerName = "BaseProvider"; // Should be overridden by subclasses
+    // Diagnostics go to `config.logger` (console by default), filtered by `config.logLevel` ('warn' by default).
+    this.logger = createLogger(config.logger, config.logLevel);
     // Max image size to fetch (e.g., 20MB) to prevent abuse. Providers have their own limits too.
     this.maxImageFetchSize = config.maxImageFetchSize || 20 * 1024 * 1024;
+    // Shared retry policy (see utils/retry.js). SDK-level retries are disabled where possible so attempts don't multiply.
+    this.retryPolicy = resolveRetryPolicy(config.retry);
+    // Per-model prices overriding the built-in catalogue (see utils/pricing.js), and an optional shared UsageTracker.
+    this.pricing = config.pricing || {};
+    this.usageTracker = config.usageTracker || null;
+    // Spend limits; a Budget instance can be shared by several providers (see utils/budget.js).
+    this.budget = config.budget ? (config.budget instanceof Budget ? config.budget : new Budget({ logger: this.logger, ...config.budget })) : null;
+    // Several API keys rotated per request attempt (see utils/apiKeyPool.js); `_getApiKey` then returns the first one.
+    this.apiKeyPool = config.apiKeys ? (config.apiKeys instanceof ApiKeyPool ? config.apiKeys : new ApiKeyPool(config.apiKeys)) : null;
+    this._clientsByKey = new Map();
+    // Fails calls fast while the backend keeps failing (see utils/circuitBreaker.js).
+    this.circuitBreaker = config.circuitBreaker
+      ? (config.circuitBreaker instanceof CircuitBreaker ? config.circuitBreaker : new CircuitBreaker(config.circuitBreaker === true ? {} : config.circuitBreaker))
+      : null;
+    /** @type {HealthCheckResult | null} */
+    this.lastHealthCheck = null;
+    // Client-side rate limits; resolved on first use, since shared limiters are keyed by the API key the subclass sets up.
+    this._rateLimiter = config.rateLimit instanceof RateLimiter ? config.rateLimit : (config.rateLimit ? undefined : null);
+
+    /** @type {Middleware[]} */
+    this.middleware = [];
+    // Telemetry is outermost, so spans and metrics cover the whole call including middleware and cache hits.
+    if (config.telemetry) this.use(createTelemetryMiddleware(config.telemetry));
+    (config.middleware || []).forEach(middleware => this.use(middleware));
+    // The caches sit inside `config.middleware`, which therefore also sees cache hits. Exact matches are checked first.
+    if (config.cache) this.use(createResponseCache({ logger: this.logger, ...(config.cache === true ? {} : config.cache) }));
+    this.semanticCache = null;
+    if (config.semanticCache) {
+      this.semanticCache = config.semanticCache instanceof SemanticCache ? config.semanticCache : new SemanticCache({ logger: this.logger, ...config.semanticCache });
+      this.use(this.semanticCache.middleware());
+    }
+
+    // Every public call runs through the middleware and the usage accounting, whichever subclass implements it.
+    for (const [method, streaming] of Object.entries(PIPELINE_METHODS)) {
+      const implementation = this[method];
+      this[method] = streaming
+        ? (input, options = {}) => this._streamPipeline(method, implementation, input, options)
+        : (input, options = {}) => this._callPipeline(method, implementation, input, options);
+    }
+  }
+
+  /**
+   * The vendor SDK client. During a request attempt with a key from `config.apiKeys`, this is the client for that key.
+   * @type {any}
+   */
+  get client() {
+    const active = apiKeyScope.getStore();
+    if (!active || active.provider !== this || active.key === this.apiKey) return this._defaultClient;
+    if (!this._clientsByKey.has(active.key)) this._clientsByKey.set(active.key, this._createClient(active.key));
+    return this._clientsByKey.get(active.key);
+  }
+
+  set client(client) {
+    this._defaultClient = client;
+  }
+
+  /**
+   * Creates the SDK client for an API key. Providers that support `config.apiKeys` implement this
+   * and create their default client with it too.
+   * @param {string} apiKey
+   * @returns {any}
+   * @throws {LLMPlugConfigurationError} If the provider does not support key rotation.
+   * @protected
+   */
+  _createClient(apiKey) {
+    throw new LLMPlugConfigurationError(`${this.providerName} does not support \`apiKeys\` rotation.`, this.providerName);
+  }
+
+  /**
+   * The API key to use for the current request: the pooled key of the attempt in progress, or the configured key.
+   * @returns {string | undefined}
+   * @protected
+   */
+  _currentApiKey() {
+    const active = apiKeyScope.getStore();
+    return active?.provider === this ? active.key : this.apiKey ?? this.apiToken;
+  }
+
+  /**
+   * Runs one request attempt with the next key from `config.apiKeys`, so `client` and `_currentApiKey()`
+   * use that key. A key that fails with 401/403/429 is quarantined and the attempt is repeated right away
+   * with the next key that is still in rotation, without counting as a retry.
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @protected
+   */
+  async _withApiKey(fn) {
+    if (!this.apiKeyPool) return fn();
+    for (;;) {
+      const key = this.apiKeyPool.acquire();
+      let result;
+      try {
+        result = await apiKeyScope.run({ provider: this, key }, fn);
+      } catch (error) {
+        const quarantinedForMs = this.apiKeyPool.release(key, error);
+        if (!quarantinedForMs) throw error;
+        this._warn('api_key_quarantined', `API key ${maskApiKey(key)} taken out of rotation for ${Math.round(quarantinedForMs / 1000)}s: ${error.message}`);
+        if (!this.apiKeyPool.hasAvailableKey()) throw error;
+        continue;
+      }
+      this.apiKeyPool.release(key);
+      const call = accountingScope.getStore()?.get(this);
+      if (call) call.apiKey = key;
+      return result;
+    }
+  }
+
+  /**
+   * The limiter enforcing `config.rateLimit`, or null without one.
+   * @type {RateLimiter | null}
+   */
+  get rateLimiter() {
+    if (this._rateLimiter === undefined) {
+      const { shared, ...limits } = this.config.rateLimit;
+      this._rateLimiter = shared ? getSharedRateLimiter(this._rateLimitKey(), limits) : new RateLimiter(limits);
+    }
+    return this._rateLimiter;
+  }
+
+  /**
+   * Identifies the account whose limits a shared rate limiter enforces: the vendor, endpoint and API key (hashed).
+   * @returns {string}
+   * @protected
+   */
+  _rateLimitKey() {
+    const apiKey = this.apiKey || this.apiToken || '';
+    return createHash('sha256').update(JSON.stringify([this.providerName, this.client?.baseURL ?? null, apiKey])).digest('hex');
+  }
+
+  /**
+   * Lets the rate limiter adapt to the `x-ratelimit-*` headers of an HTTP response.
+   * @param {{headers?: Headers | Object.<string, string>}} response
+   * @protected
+   */
+  _observeResponse(response) {
+    this.rateLimiter?.updateFromHeaders(response?.headers);
+  }
+
+  /**
+   * Routes the requests of an OpenAI or Anthropic SDK client (which keep their fetch function
+   * on `client.fetch`) through the fetch interceptor (see utils/http.js) and their responses through `_observeResponse`.
+   * @template T
+   * @param {T} client
+   * @returns {T}
+   * @protected
+   */
+  _observeClientResponses(client) {
+    if (typeof client?.fetch !== 'function') return client;
+    const clientFetch = interceptable(client.fetch);
+    client.fetch = async (url, init) => {
+      const response = await clientFetch(url, init);
+      this._observeResponse(response);
+      return response;
+    };
+    return client;
+  }
+
+  /**
+   * Adds a middleware around every `chat`, `generate`, `chatStream`, `generateStream` and `embed` call.
+   * Middleware runs in the order it was added; the first one added is the outermost.
+   * @param {Middleware} middleware
+   * @returns {this}
+   * @throws {LLMPlugConfigurationError} If `middleware` is not a function.
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new LLMPlugConfigurationError('Middleware must be a function `(context, next) => result`.', this.providerName);
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Checks whether the backend is reachable with a cheap request, such as listing the models. Never throws;
+   * the result is also kept for `getHealth()`.
+   * @param {{signal?: AbortSignal, timeoutMs?: number}} [options={}] - `timeoutMs` defaults to 5 seconds.
+   * @returns {Promise<HealthCheckResult>}
+   */
+  async healthCheck(options = {}) {
+    const startedAt = performance.now();
+    let error = null;
+    try {
+      await this._withRequestSignal({ timeoutMs: DEFAULT_HEALTH_CHECK_TIMEOUT_MS, ...options }, signal => this._ping(signal));
+    } catch (pingError) {
+      error = pingError.message || String(pingError);
+    }
+    this.lastHealthCheck = { healthy: error === null, latencyMs: performance.now() - startedAt, checkedAt: Date.now(), error };
+    if (error) this.logger.info(`[${this.providerName}] Health check failed: ${error}`);
+    return this.lastHealthCheck;
+  }
+
+  /**
+   * The provider's current health: its circuit breaker and the last `healthCheck()` result.
+   * @returns {ProviderHealth}
+   */
+  getHealth() {
+    const circuit = this.circuitBreaker?.state ?? null;
+    return {
+      provider: this.providerName,
+      healthy: circuit?.state !== 'open' && (this.lastHealthCheck?.healthy ?? true),
+      circuit,
+      lastCheck: this.lastHealthCheck,
+    };
+  }
+
+  /**
+   * The request behind `healthCheck()`; resolves if the backend answered. Providers override this with a
+   * request that costs nothing, such as listing the models. The fallback generates a single token.
+   * @param {AbortSignal | undefined} signal
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _ping(signal) {
+    await this.generate('ping', { maxTokens: 1, signal });
+  }
+
+  /**
+   * Runs a request under `options.signal` / `options.timeoutMs`. `fn` receives the combined signal and should
+   * pass it to the SDK or fetch call when supported; otherwise the call is abandoned when the signal aborts.
+   * @template T
+   * @param {GenerationOptions} options
+   * @param {(signal: AbortSignal | undefined) => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {LLMPlugAbortError | LLMPlugTimeoutError} if the request was cancelled or timed out.
+   * @protected
+   */
+  async _withRequestSignal(options, fn) {
+    const request = createRequestSignal(options);
+    try {
+      return await raceWithSignal(fn(request.signal), request.signal);
+    } catch (error) {
+      throw request.signal?.aborted ? this._abortError(request, options, error) : error;
+    } finally {
+      request.cleanup();
+    }
+  }
+
+  /**
+   * Runs a single provider request under the configured retry policy.
+   * The function should throw the raw SDK/HTTP error so its status and headers can be inspected.
+   * @template T
+   * @param {(attempt: number, signal: AbortSignal | undefined) => Promise<T>} fn
+   * @param {GenerationOptions} [options={}] - Provides `signal` and `timeoutMs`, see `_withRequestSignal`.
+   * @param {import('../utils/retry.js').RetryPolicy} [retryPolicy=this.retryPolicy]
+   * @returns {Promise<{result: T, attempts: number}>}
+   * @protected
+   */
+  async _withRetry(fn, options = {}, retryPolicy = this.retryPolicy) {
+    return this._withRequestSignal(options, signal =>
+      withRetry(attempt => this._withApiKey(() => raceWithSignal(fn(attempt, signal), signal)), retryPolicy, { signal, onRetry: info => this._onRetry(info) }));
+  }
+
+  /**
+   * Reports a retry as a 'retry' event and to the logger.
+   * @param {{attempt: number, delayMs: number, error: Error}} info
+   * @private
+   */
+  _onRetry({ attempt, delayMs, error }) {
+    const requestId = accountingScope.getStore()?.get(this)?.requestId;
+    this.logger.info(`[${this.providerName}] Attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delayMs)}ms`);
+    this.emit('retry', { requestId, provider: this.providerName, attempt, delayMs, error });
+  }
+
+  /**
+   * Reports a problem that does not fail the call as a 'warning' event and to the logger.
+   * @param {string} code - Short machine-readable kind of warning, see `ProviderWarning`.
+   * @param {string} message
+   * @param {object} [details]
+   * @protected
+   */
+  _warn(code, message, details) {
+    this.logger.warn(`[${this.providerName}] ${message}`);
+    this.emit('warning', { provider: this.providerName, code, message, ...(details && { details }) });
+  }
+
+  /**
+   * @param {import('../utils/abort.js').RequestSignal} request
+   * @param {GenerationOptions} options
+   * @param {any} error - The error the aborted call failed with.
+   * @returns {LLMPlugRequestError}
+   * @protected
+   */
+  _abortError(request, options, error) {
+    if (request.timedOut()) {
+      return new LLMPlugTimeoutError(`[${this.providerName}] Request timed out after ${options.timeoutMs}ms`, this.providerName, error);
+    }
+    return new LLMPlugAbortError(`[${this.providerName}] Request was aborted`, this.providerName, error);
+  }
+
+  /**
+   * Wraps an error thrown by an SDK/HTTP call in the most specific LLMPlug request error
+   * (rate limit, authentication, context length, ...). Errors that are already LLMPlug errors are returned unchanged.
+   * @param {string} message - Message for the wrapped error.
+   * @param {any} error - The underlying error.
+   * @returns {LLMPlugError}
+   * @protected
+   */
+  _wrapRequestError(message, error) {
+    if (error instanceof LLMPlugError) return error;
+    // SDKs wrap errors thrown by their fetch function, e.g. by a cassette (see utils/cassette.js).
+    if (error?.cause instanceof LLMPlugError) return error.cause;
+    return classifyRequestError(message, this.providerName, error);
+  }
+
+  /**
+   * Parses and validates a chat result when a JSON `responseFormat` was requested. Answers that
+   * fail validation are sent back to the model together with the errors, up to `responseFormat.maxRepairs` times.
+   * Results containing tool calls are returned unchanged, since the model has not answered yet.
+   * @param {ChatMessage[]} messages - The messages the result answers (without any format instructions).
+   * @param {GenerationOptions} options
+   * @param {GenerationResult} result
+   * @returns {Promise<GenerationResult>}
+   * @protected
+   */
+  async _applyResponseFormat(messages, options, result) {
+    const responseFormat = options.responseFormat;
+    if (!isJsonResponseFormat(responseFormat) || result.toolCalls?.length) return result;
+
+    const { parsed, errors } = checkStructuredOutput(result.text, responseFormat);
+    if (errors.length === 0) return { ...result, parsed };
+
+    const maxRepairs = responseFormat.maxRepairs || 0;
+    if (maxRepairs <= 0) {
+      throw new LLMPlugOutputValidationError(
+        `[${this.providerName}] Response does not match the requested format: ${errors.join('; ')}`,
+        this.providerName,
+        { text: result.text, validationErrors: errors }
+      );
+    }
+    const repairMessages = [
+      ...messages,
+      { role: 'assistant', content: result.text ?? '' },
+      { role: 'user', content: buildRepairPrompt(errors) },
+    ];
+    const repaired = await this.chat(repairMessages, { ...options, responseFormat: { ...responseFormat, maxRepairs: maxRepairs - 1 } });
+    return {
+      ...repaired,
+      usage: addUsage(result.usage, repaired.usage),
+      repairs: (repaired.repairs || 0) + 1,
+    };
+  }
+
+  /**
+   * Opens a stream under the retry policy. The stream counts as established once its first
+   * chunk has arrived; errors after that point are not retried since output has already been consumed.
+   * `options.signal` / `options.timeoutMs` stay in effect until the stream is fully read; an abort
+   * stops iteration and releases the underlying connection.
+   * @param {(signal: AbortSignal | undefined) => Promise<AsyncIterable<any>> | AsyncIterable<any>} createStream - Creates the underlying SDK stream.
+   * @param {GenerationOptions} [options={}]
+   * @param {import('../utils/retry.js').RetryPolicy} [retryPolicy=this.retryPolicy]
+   * @returns {Promise<{stream: AsyncIterable<any>, attempts: number}>}
+   * @protected
+   */
+  async _openStreamWithRetry(createStream, options = {}, retryPolicy = this.retryPolicy) {
+    const request = createRequestSignal(options);
+    let opened;
+    try {
+      opened = await withRetry(() => this._withApiKey(async () => {
+        const iterator = (await raceWithSignal(createStream(request.signal), request.signal))[Symbol.asyncIterator]();
+        return { iterator, first: await raceWithSignal(iterator.next(), request.signal) };
+      }), retryPolicy, { signal: request.signal, onRetry: info => this._onRetry(info) });
+    } catch (error) {
+      request.cleanup();
+      throw request.signal?.aborted ? this._abortError(request, options, error) : error;
+    }
+
+    const { result: { iterator, first }, attempts } = opened;
+    const provider = this;
+    async function* resume() {
+      let finished = first.done;
+      try {
+        if (finished) return;
+        yield first.value;
+        while (true) {
+          const next = await raceWithSignal(iterator.next(), request.signal);
+          if (next.done) {
+            finished = true;
+            return;
+          }
+          yield next.value;
+        }
+      } catch (error) {
+        throw request.signal?.aborted ? provider._abortError(request, options, error) : error;
+      } finally {
+        request.cleanup();
+        // Release the underlying connection when the consumer stops early or the request was aborted.
+        if (!finished) Promise.resolve(iterator.return?.()).catch(() => {});
+      }
+    }
+    return { stream: resume(), attempts };
+  }
+
+  /**
+   * The model a call uses when `options.model` is not given. Providers with different defaults
+   * per method (or a differently named default) override this.
+   * @param {string} method - The public method being called (e.g. 'chat', 'embed').
+   * @returns {string | undefined}
+   * @protected
+   */
+  _defaultModelFor(method) {
+    return method === 'embed' ? this.defaultEmbeddingModel : this.defaultModel;
+  }
+
+  /**
+   * Computes the USD cost of a request from `config.pricing` and the built-in price catalogue.
+   * @param {string | undefined} model
+   * @param {UsageData | null | undefined} usage
+   * @returns {number | undefined} Undefined if the usage or the model's price is unknown.
+   * @protected
+   */
+  _computeCost(model, usage) {
+    return computeCost(usage, getModelPrice(this.providerName, model, this.pricing));
+  }
+
+  /**
+   * Rejects a request that does not fit into `config.budget`, based on its estimated prompt size plus `maxTokens`,
+   * and otherwise reserves the estimate until `_recordUsage` or `_releaseBudget`.
+   * @param {string} method
+   * @param {any} input - The prompt, messages or embedding texts.
+   * @param {GenerationOptions} options
+   * @param {Map<BaseProvider, CallState> | undefined} outerScope
+   * @returns {import('../utils/budget.js').BudgetReservation | undefined} The reserved estimate, or undefined if no budget applies.
+   * @throws {LLMPlugBudgetExceededError}
+   * @protected
+   */
+  _checkBudget(method, input, options, outerScope) {
+    if (!this.budget || this._isAccountedByOuterCall(outerScope, 'budget')) return undefined;
+    const { promptTokens, completionTokens } = this._estimateTokens(method, input, options);
+    const model = options.model || this._defaultModelFor(method);
+    return this.budget.check({
+      provider: this.providerName,
+      tokens: promptTokens + completionTokens,
+      usd: this._computeCost(model, { promptTokens, completionTokens }) || 0,
+    });
+  }
+
+  /**
+   * Gives back the budget reserved for a request that failed or was not sent.
+   * @param {import('../utils/budget.js').BudgetReservation | undefined} reservation - From `_checkBudget`.
+   * @private
+   */
+  _releaseBudget(reservation) {
+    if (reservation) this.budget.release(reservation);
+  }
+
+  /**
+   * Estimates the tokens a request will use before it is sent: its prompt plus `maxTokens`.
+   * @param {string} method
+   * @param {any} input - The prompt, messages or embedding texts.
+   * @param {GenerationOptions} options
+   * @returns {{promptTokens: number, completionTokens: number}}
+   * @protected
+   */
+  _estimateTokens(method, input, options) {
+    if (method === 'embed') {
+      return { promptTokens: [].concat(input).reduce((sum, text) => sum + estimateTextTokens(text), 0), completionTokens: 0 };
+    }
+    return { promptTokens: estimatePromptTokens(input, options.tools), completionTokens: options.maxTokens || 0 };
+  }
+
+  /**
+   * Fills in the token counts the backend did not report with local estimates, marking the usage `estimated`.
+   * @param {string} method
+   * @param {any} input - The prompt, messages or embedding texts.
+   * @param {GenerationOptions} options
+   * @param {UsageData | null | undefined} usage - As reported by the backend.
+   * @param {{text?: string | null, toolCalls?: object[]}} [output={}] - The generated answer.
+   * @returns {UsageData}
+   * @protected
+   */
+  _completeUsage(method, input, options, usage, output = {}) {
+    const counts = method === 'embed' ? ['promptTokens'] : ['promptTokens', 'completionTokens'];
+    const missing = counts.filter(key => typeof usage?.[key] !== 'number');
+    if (missing.length === 0) return { ...usage, totalTokens: totalTokensOf(usage), estimated: usage.estimated ?? false };
+
+    const estimate = {
+      promptTokens: this._estimateTokens(method, input, options).promptTokens,
+      completionTokens: estimateCompletionTokens(output.text, output.toolCalls),
+    };
+    const completed = { ...usage };
+    for (const key of missing) completed[key] = estimate[key];
+    return { ...completed, totalTokens: completed.promptTokens + (completed.completionTokens || 0), estimated: true };
+  }
+
+  /**
+   * Waits until `config.rateLimit` lets the request start. The wait is subject to `options.signal` and `options.timeoutMs`.
+   * @param {string} method
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @param {Map<BaseProvider, CallState> | undefined} outerScope
+   * @returns {Promise<import('../utils/rateLimiter.js').RateLimitPermit | null>} Null if no limiter applies.
+   * @throws {LLMPlugAbortError | LLMPlugTimeoutError} if the request was cancelled or timed out while waiting.
+   * @protected
+   */
+  async _acquireRateLimit(method, input, options, outerScope) {
+    const limiter = this.rateLimiter;
+    // An enclosing call on the same limiter already holds a permit; waiting for a second one could deadlock.
+    if (!limiter || this._isAccountedByOuterCall(outerScope, 'rateLimiter')) return null;
+    const { promptTokens, completionTokens } = this._estimateTokens(method, input, options);
+    const request = createRequestSignal(options);
+    try {
+      return await limiter.acquire({ tokens: promptTokens + completionTokens, signal: request.signal });
+    } catch (error) {
+      throw request.signal?.aborted ? this._abortError(request, options, error) : error;
+    } finally {
+      request.cleanup();
+    }
+  }
+
+  /**
+   * Lets a call through the circuit breaker, or fails it fast while the circuit is open.
+   * @param {import('../utils/rateLimiter.js').RateLimitPermit | null} permit - Released if the call fails fast.
+   * @returns {import('../utils/circuitBreaker.js').CircuitPermit | null} To pass to `_recordCircuit`; null without a circuit breaker.
+   * @throws {LLMPlugCircuitOpenError}
+   * @private
+   */
+  _enterCircuit(permit) {
+    if (!this.circuitBreaker) return null;
+    const circuitPermit = this.circuitBreaker.tryAcquire();
+    if (circuitPermit) return circuitPermit;
+    permit?.release(0);
+    const { retryAfterMs, lastError } = this.circuitBreaker.state;
+    throw new LLMPlugCircuitOpenError(
+      `[${this.providerName}] Circuit breaker is open${retryAfterMs ? ` for another ${Math.ceil(retryAfterMs / 1000)}s` : ''} after repeated failures (last: ${lastError}); the request was not sent.`,
+      this.providerName, { retryAfterMs });
+  }
+
+  /**
+   * Reports the outcome of a call that went through the circuit breaker.
+   * @param {import('../utils/circuitBreaker.js').CircuitPermit | null} circuitPermit - From `_enterCircuit`.
+   * @param {Error} [error]
+   * @private
+   */
+  _recordCircuit(circuitPermit, error) {
+    const transition = this.circuitBreaker?.record(error, circuitPermit);
+    if (transition === 'opened') {
+      this._warn('circuit_open', `Circuit breaker opened after ${this.circuitBreaker.state.consecutiveFailures} consecutive failures: ${error.message}`);
+    } else if (transition === 'closed') {
+      this.logger.info(`[${this.providerName}] Circuit breaker closed`);
+    }
+  }
+
+  /**
+   * Reports a finished request to `config.usageTracker` and `config.budget`. Requests without
+   * reported usage are charged to the budget at their estimated size.
+   * @param {string} method
+   * @param {{provider?: string, model?: string, usage?: UsageData | null, cost?: number}} result
+   * @param {GenerationOptions} options
+   * @param {Map<BaseProvider, CallState> | undefined} outerScope
+   * @param {import('../utils/budget.js').BudgetReservation} [estimate] - From `_checkBudget`; replaced by the actual spend.
+   * @protected
+   */
+  _recordUsage(method, result, options, outerScope, estimate) {
+    const provider = result.provider || this.providerName;
+    if (this.usageTracker && !this._isAccountedByOuterCall(outerScope, 'usageTracker')) {
+      this.usageTracker.record({
+        provider,
+        model: result.model,
+        operation: method,
+        usage: result.usage || null,
+        cost: result.cost,
+        tags: options.tags || [],
+      });
+    }
+    if (estimate) {
+      const tokens = totalTokensOf(result.usage) ?? estimate.tokens;
+      const warnings = this.budget.record({ provider, tokens, usd: result.cost ?? estimate.usd, reservation: estimate });
+      for (const warning of warnings) {
+        this._warn('budget', `Budget warning: ${Math.round(warning.threshold * 100)}% of ${warning.limit} (${warning.max}) reached.`, warning);
+      }
+    }
+  }
+
+  /**
+   * Whether an enclosing call (e.g. a FallbackProvider around this provider) uses the same usage tracker,
+   * budget or rate limiter, in which case only the outer call accounts the request.
+   * @param {Map<BaseProvider, CallState> | undefined} scope
+   * @param {'usageTracker' | 'budget' | 'rateLimiter'} key
+   * @returns {boolean}
+   * @private
+   */
+  _isAccountedByOuterCall(scope, key) {
+    return !!scope && [...scope.keys()].some(provider => provider[key] === this[key]);
+  }
+
+  /**
+   * Builds the context a call's middleware receives. `messages` is an alias of `input`.
+   * @param {string} method
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @param {boolean} stream
+   * @returns {MiddlewareContext}
+   * @private
+   */
+  _createMiddlewareContext(method, input, options, stream) {
+    const context = { method, stream, providerName: this.providerName, model: options.model || this._defaultModelFor(method), input, options };
+    Object.defineProperty(context, 'messages', {
+      get: () => context.input,
+      set: value => { context.input = value; },
+      enumerable: true,
+    });
+    return context;
+  }
+
+  /**
+   * Runs the middleware from `index` on, ending with `terminal` (the actual call).
+   * @param {MiddlewareContext} context
+   * @param {number} index
+   * @param {(input: any, options: GenerationOptions) => any} terminal
+   * @param {string | undefined} initialModel - The model before any middleware ran; a changed `context.model` is passed on as `options.model`.
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _dispatchMiddleware(context, index, terminal, initialModel) {
+    const middleware = this.middleware[index];
+    if (!middleware) {
+      const options = context.model === initialModel ? context.options : { ...context.options, model: context.model };
+      return terminal(context.input, options);
+    }
+    let called = false;
+    const output = await middleware(context, () => {
+      if (called) {
+        return Promise.reject(new LLMPlugError('Middleware called next() more than once.', this.providerName));
+      }
+      called = true;
+      return this._dispatchMiddleware(context, index + 1, terminal, initialModel);
+    });
+    if (output === undefined || output === null) {
+      throw new LLMPlugError(`Middleware returned no result for ${context.method}. Did it forget to return next()?`, this.providerName);
+    }
+    return output;
+  }
+
+  /**
+   * Entry point of the non-streaming public methods.
+   * @param {string} method
+   * @param {Function} implementation - The subclass implementation of the method.
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @returns {Promise<GenerationResult | EmbeddingResult>}
+   * @private
+   */
+  async _callPipeline(method, implementation, input, options) {
+    const outerScope = accountingScope.getStore();
+    if (outerScope?.has(this)) return implementation.call(this, input, options);
+
+    const call = this._startCall(method, options, false);
+    const account = (finalInput, finalOptions) =>
+      this._accountCall(method, implementation, finalInput, finalOptions, outerScope, call);
+    let result;
+    try {
+      if (this.middleware.length === 0) {
+        result = await account(input, options);
+      } else {
+        const context = this._createMiddlewareContext(method, input, options, false);
+        result = await this._dispatchMiddleware(context, 0, account, context.model);
+      }
+    } catch (error) {
+      this._failCall(call, error);
+      throw error;
+    }
+    this._endCall(call, result);
+    return result;
+  }
+
+  /**
+   * Entry point of the streaming public methods. A middleware may short-circuit a stream with a
+   * GenerationResult, which is streamed as a single chunk.
+   * @param {string} method
+   * @param {Function} implementation - The subclass implementation of the method.
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @returns {AsyncIterable<GenerationStreamChunk>}
+   * @private
+   */
+  async *_streamPipeline(method, implementation, input, options) {
+    const outerScope = accountingScope.getStore();
+    if (outerScope?.has(this)) {
+      yield* implementation.call(this, input, options);
+      return;
+    }
+
+    const call = this._startCall(method, options, true);
+    const account = (finalInput, finalOptions) =>
+      this._accountStream(method, implementation, finalInput, finalOptions, outerScope, call);
+    const accumulator = new StreamAccumulator();
+    let failed = false;
+    try {
+      let stream;
+      if (this.middleware.length === 0) {
+        stream = account(input, options);
+      } else {
+        const context = this._createMiddlewareContext(method, input, options, true);
+        const output = await this._dispatchMiddleware(context, 0, account, context.model);
+        stream = typeof output[Symbol.asyncIterator] === 'function' ? output : streamFromResult(output);
+      }
+      let index = 0;
+      for await (const chunk of stream) {
+        accumulator.add(chunk);
+        this.emit('stream:chunk', { requestId: call.requestId, provider: this.providerName, method, index: index++, chunk });
+        yield chunk;
+      }
+    } catch (error) {
+      failed = true;
+      this._failCall(call, error);
+      throw error;
+    } finally {
+      // Also reported when the consumer stops reading early.
+      if (!failed) this._endCall(call, accumulator.finish());
+    }
+  }
+
+  /**
+   * Emits the 'request' event of a public call.
+   * @param {string} method
+   * @param {GenerationOptions} options
+   * @param {boolean} stream
+   * @returns {CallState}
+   * @private
+   */
+  _startCall(method, options, stream) {
+    const call = { requestId: randomUUID(), method, model: options.model || this._defaultModelFor(method), startedAt: performance.now() };
+    this.logger.debug(`[${this.providerName}] ${method} request ${call.requestId} (model: ${call.model ?? 'default'})`);
+    this.emit('request', { requestId: call.requestId, provider: this.providerName, method, model: call.model, stream });
+    return call;
+  }
+
+  /**
+   * Emits the 'response' event of a public call.
+   * @param {CallState} call
+   * @param {GenerationResult | EmbeddingResult} result
+   * @private
+   */
+  _endCall(call, result) {
+    const durationMs = performance.now() - call.startedAt;
+    this.logger.debug(`[${this.providerName}] ${call.method} request ${call.requestId} finished in ${Math.round(durationMs)}ms`);
+    this.emit('response', {
+      requestId: call.requestId,
+      provider: this.providerName,
+      method: call.method,
+      model: result.model || call.model,
+      durationMs,
+      usage: result.usage || null,
+      cost: result.cost,
+      finishReason: result.finishReason,
+      cached: Boolean(result.cached),
+      attempts: result.attempts,
+    });
+  }
+
+  /**
+   * Emits the 'error' event of a failed public call, if anyone listens (an unhandled 'error' event would throw).
+   * @param {CallState} call
+   * @param {Error} error
+   * @private
+   */
+  _failCall(call, error) {
+    const durationMs = performance.now() - call.startedAt;
+    this.logger.debug(`[${this.providerName}] ${call.method} request ${call.requestId} failed after ${Math.round(durationMs)}ms: ${error.message}`);
+    if (this.listenerCount('error') === 0) return;
+    this.emit('error', { requestId: call.requestId, provider: this.providerName, method: call.method, model: call.model, durationMs, error });
+  }
+
+  /**
+   * Runs an accounted non-streaming call: checks the budget, adds `model`, `cost` and the canonical `finishReason`
+   * to its result, estimates the usage the backend did not report and records it.
+   * @param {string} method
+   * @param {Function} implementation - The subclass implementation of the method.
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @param {Map<BaseProvider, CallState> | undefined} scope - The enclosing pipeline calls.
+   * @param {CallState} call
+   * @returns {Promise<GenerationResult | EmbeddingResult>}
+   * @private
+   */
+  async _accountCall(method, implementation, input, options, scope, call) {
+    const estimate = this._checkBudget(method, input, options, scope);
+    let circuitPermit;
+    let result;
+    try {
+      const permit = await this._acquireRateLimit(method, input, options, scope);
+      circuitPermit = this._enterCircuit(permit);
+      try {
+        result = await accountingScope.run(new Map(scope).set(this, call), () => implementation.call(this, input, options));
+      } catch (error) {
+        this._recordCircuit(circuitPermit, error);
+        throw error;
+      } finally {
+        permit?.release(totalTokensOf(result?.usage));
+      }
+    } catch (error) {
+      this._releaseBudget(estimate);
+      throw error;
+    }
+    this._recordCircuit(circuitPermit);
+    const usage = this._completeUsage(method, input, options, result.usage, result);
+    if (call.apiKey) this.apiKeyPool.recordUsage(call.apiKey, usage);
+    const model = result.model || options.model || this._defaultModelFor(method);
+    const accounted = { ...result, usage, model, cost: result.cost ?? this._computeCost(model, usage) };
+    if (method !== 'embed') Object.assign(accounted, finishReasonsOf(result, result.toolCalls?.length > 0));
+    this._recordUsage(method, accounted, options, scope, estimate);
+    return accounted;
+  }
+
+  /**
+   * Runs an accounted stream: adds `model` and the running `cost` to chunks carrying usage, makes `finishReason`
+   * canonical and records the usage once the stream ends (also when the consumer stops early or the stream fails
+   * after reporting usage). A stream that ends without complete usage gets a last chunk with the estimate.
+   * @param {string} method
+   * @param {Function} implementation - The subclass implementation of the method.
+   * @param {any} input
+   * @param {GenerationOptions} options
+   * @param {Map<BaseProvider, CallState> | undefined} outerScope - The enclosing pipeline calls.
+   * @param {CallState} call
+   * @returns {AsyncIterable<GenerationStreamChunk>}
+   * @private
+   */
+  async *_accountStream(method, implementation, input, options, outerScope, call) {
+    const estimate = this._checkBudget(method, input, options, outerScope);
+    const scope = new Map(outerScope).set(this, call);
+    let permit;
+    let circuitPermit;
+    let iterator;
+    try {
+      permit = await this._acquireRateLimit(method, input, options, outerScope);
+      circuitPermit = this._enterCircuit(permit);
+      try {
+        iterator = accountingScope.run(scope, () => implementation.call(this, input, options)[Symbol.asyncIterator]());
+      } catch (error) {
+        permit?.release();
+        this._recordCircuit(circuitPermit, error);
+        throw error;
+      }
+    } catch (error) {
+      this._releaseBudget(estimate);
+      throw error;
+    }
+    let model = options.model || this._defaultModelFor(method);
+    let usage;
+    let cost;
+    let provider;
+    let text = '';
+    const toolCalls = [];
+    let done = false;
+    let failure;
+    try {
+      while (true) {
+        const next = await accountingScope.run(scope, () => iterator.next());
+        if (next.done) {
+          done = true;
+          const completed = this._completeUsage(method, input, options, usage, { text, toolCalls });
+          if (completed.estimated && !usage?.estimated) {
+            usage = completed;
+            cost = this._computeCost(model, usage);
+            yield { usage, model, cost, ...(provider && { provider }) };
+          }
+          return;
+        }
+        let chunk = next.value;
+        provider = provider || chunk.provider;
+        if (chunk.text) text += chunk.text;
+        if (chunk.toolCalls) toolCalls.push(...chunk.toolCalls);
+        if (chunk.finishReason) chunk = { ...chunk, ...finishReasonsOf(chunk, toolCalls.length > 0) };
+        if (chunk.usage) {
+          usage = { ...usage };
+          for (const [key, value] of Object.entries(chunk.usage)) {
+            if (value !== undefined && value !== null) usage[key] = value;
+          }
+          usage.estimated = usage.estimated ?? false;
+          model = chunk.model || model;
+          cost = chunk.cost ?? this._computeCost(model, usage);
+          chunk = { ...chunk, usage: { estimated: false, ...chunk.usage }, model, cost };
+        }
+        yield chunk;
+      }
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      permit?.release(totalTokensOf(usage));
+      this._recordCircuit(circuitPermit, failure); // A consumer stopping early counts as success
+      if (call.apiKey) this.apiKeyPool.recordUsage(call.apiKey, usage);
+      if (!done) await iterator.return?.();
+      if (done || usage) {
+        if (usage && usage.totalTokens === undefined) usage.totalTokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+        this._recordUsage(method, { provider, model, usage, cost }, options, outerScope, estimate);
+      } else {
+        this._releaseBudget(estimate);
+      }
+    }
   }
 
   /**
@@ -203,7 +1377,7 @@ export class BaseProvider {
         return { base64Data, mimeType };
       } catch (error) {
         if (error.name === 'AbortError') {
-             throw new LLMPlugRequestError(`Image fetch timed out from URL (${imageUrl})`, this.providerName, error);
+             throw new LLMPlugTimeoutError(`Image fetch timed out from URL (${imageUrl})`, this.providerName, error);
         }
         throw new LLMPlugRequestError(`Failed to fetch or process image from URL (${imageUrl}): ${error.message}`, this.providerName, error);
       }
@@ -258,6 +1432,163 @@ export class BaseProvider {
     throw new LLMPlugError(`'chatStream' method not implemented for ${this.providerName}`, this.providerName);
   }
 
+  /**
+   * Creates embedding vectors for one or more texts. Large inputs are split into batches
+   * that respect the vendor's per-request limit.
+   * @param {string | string[]} texts - The text(s) to embed.
+   * @param {EmbeddingOptions} [options={}]
+   * @returns {Promise<EmbeddingResult>}
+   * @throws {LLMPlugError} If the provider does not support embeddings or an API error occurs.
+   */
+  async embed(texts, options = {}) {
+    throw new LLMPlugError(`'embed' method not implemented for ${this.providerName}`, this.providerName);
+  }
+
+  /**
+   * Splits `texts` into batches, embeds them sequentially and merges the results.
+   * @param {string | string[]} texts
+   * @param {number} batchSize - Maximum number of texts per request.
+   * @param {(batch: string[]) => Promise<{embeddings: number[][], usage?: UsageData | null, model?: string}>} embedBatch
+   * @returns {Promise<EmbeddingResult>}
+   * @protected
+   */
+  async _embedInBatches(texts, batchSize, embedBatch) {
+    const inputs = typeof texts === 'string' ? [texts] : texts;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(text => typeof text !== 'string')) {
+      throw new LLMPlugRequestError("Invalid input for embed. Must be a string or a non-empty array of strings.", this.providerName);
+    }
+
+    const embeddings = [];
+    let usage = null;
+    let model;
+    for (let start = 0; start < inputs.length; start += batchSize) {
+      const batch = await embedBatch(inputs.slice(start, start + batchSize));
+      embeddings.push(...batch.embeddings);
+      model = batch.model || model;
+      usage = addUsage(usage, batch.usage);
+    }
+    return { embeddings, usage, model };
+  }
+
+  /**
+   * Drives the tool-use loop: calls `chat`, executes the requested tools with the given handlers,
+   * appends the tool outputs to the conversation and calls `chat` again until the model answers
+   * without tool calls or `maxIterations` is reached.
+   *
+   * Tool arguments are parsed and validated against each tool's JSON Schema. Invalid arguments,
+   * unknown tools and handler exceptions are turned into LLMPlugToolError outputs that are sent
+   * back to the model (so it can correct itself) instead of aborting the loop.
+   * @param {ChatMessage[]} messages - The conversation to start from. It is not mutated.
+   * @param {GenerationOptions & {
+   *   tools: ToolDefinition[],
+   *   handlers: Object.<string, ToolHandler>,
+   *   maxIterations?: number,
+   *   parallel?: boolean,
+   *   onStep?: (step: ToolRunStep) => void | Promise<void>
+   * }} options - Generation options plus the tool loop settings. `maxIterations` defaults to 10; `parallel` (default true)
+   *   runs the tool calls of one turn concurrently.
+   * @returns {Promise<ToolRunResult>}
+   * @throws {LLMPlugConfigurationError} If tools or handlers are missing.
+   */
+  async runTools(messages, options = {}) {
+    const { handlers, maxIterations = 10, parallel = true, onStep, ...generationOptions } = options;
+    const tools = generationOptions.tools;
+    if (!Array.isArray(tools) || tools.length === 0) {
+      throw new LLMPlugConfigurationError('runTools requires a non-empty `tools` array.', this.providerName);
+    }
+    if (!handlers || typeof handlers !== 'object') {
+      throw new LLMPlugConfigurationError('runTools requires a `handlers` object mapping tool names to functions.', this.providerName);
+    }
+
+    const toolsByName = new Map(tools.map(tool => [tool.function.name, tool]));
+    const transcript = [...messages];
+    const steps = [];
+    let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let result;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      result = await this.chat(transcript, generationOptions);
+      usage = addUsage(usage, result.usage);
+
+      const toolCalls = result.toolCalls || [];
+      if (toolCalls.length === 0) {
+        transcript.push({ role: 'assistant', content: result.text });
+        const step = { iteration, result, toolResults: [] };
+        steps.push(step);
+        if (onStep) await onStep(step);
+        return { text: result.text, result, messages: transcript, steps, usage, completed: true };
+      }
+
+      transcript.push({ role: 'assistant', content: result.text || null, tool_calls: toolCalls });
+      const context = { messages: [...transcript] };
+      const execute = toolCall => this._executeToolCall(toolCall, toolsByName, handlers, context);
+      const toolResults = [];
+      if (parallel) {
+        toolResults.push(...await Promise.all(toolCalls.map(execute)));
+      } else {
+        for (const toolCall of toolCalls) toolResults.push(await execute(toolCall));
+      }
+
+      for (const { toolCall, output } of toolResults) {
+        transcript.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          name: toolCall.function.name,
+          content: [{ type: 'tool_output', tool_call_id: toolCall.id, content: output }],
+        });
+      }
+
+      const step = { iteration, result, toolResults };
+      steps.push(step);
+      if (onStep) await onStep(step);
+    }
+
+    return { text: result?.text ?? null, result, messages: transcript, steps, usage, completed: false };
+  }
+
+  /**
+   * Parses, validates and executes a single tool call for `runTools`.
+   * Never throws: failures are returned as an LLMPlugToolError plus an `{ error }` output for the model.
+   * @param {ToolCall} toolCall
+   * @param {Map<string, ToolDefinition>} toolsByName
+   * @param {Object.<string, ToolHandler>} handlers
+   * @param {{messages: ChatMessage[]}} context
+   * @returns {Promise<ToolExecutionResult>}
+   * @protected
+   */
+  async _executeToolCall(toolCall, toolsByName, handlers, context) {
+    const toolName = toolCall.function?.name;
+    const fail = (message, originalError = null) => {
+      const error = new LLMPlugToolError(message, this.providerName, toolName, originalError);
+      return { toolCall, output: { error: message }, error };
+    };
+
+    const tool = toolsByName.get(toolName);
+    const handler = handlers[toolName];
+    if (!tool || typeof handler !== 'function') {
+      return fail(`Tool '${toolName}' is not available.`);
+    }
+
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      return fail(`Invalid JSON arguments for tool '${toolName}': ${error.message}`, error);
+    }
+
+    const validationErrors = validateJsonSchema(args, tool.function.parameters);
+    if (validationErrors.length > 0) {
+      return fail(`Invalid arguments for tool '${toolName}': ${validationErrors.join('; ')}`);
+    }
+
+    try {
+      const output = await handler(args, { toolCall, messages: context.messages });
+      return { toolCall, output: output === undefined ? null : output };
+    } catch (error) {
+      return fail(`Tool '${toolName}' failed: ${error.message}`, error);
+    }
+  }
+
   /**
    * A common method to get the API key, prioritizing direct config over environment variables.
    * @param {string} envVarName - The environment variable name for the API key.
@@ -267,6 +1598,7 @@ export class BaseProvider {
    * @protected
    */
   _getApiKey(envVarName, configKeyName = 'apiKey') {
+    if (this.apiKeyPool) return this.apiKeyPool.keys[0];
     const key = this.config[configKeyName] || process.env[envVarName];
     if (!key) {
       throw new LLMPlugConfigurationError(
@@ -317,7 +1649,7 @@ export class BaseProvider {
             return { type: 'tool_output', tool_call_id: part.tool_call_id, content: part.content };
         }
         // If a provider doesn't know how to handle a content type, it should error or log.
-        console.warn(`BaseProvider: _normalizeContent encountered unknown content part type: ${part.type}`);
+        this._warn('unsupported_content', `Unknown content part type '${part.type}' passed through unchanged.`);
         return part; // Pass through unknown types
       });
     }
@@ -325,4 +1657,18 @@ export class BaseProvider {
     // This base normalizer will just pass it. Providers should validate.
     return content;
   }
+
+  /**
+   * Returns the `tool_output` of a `tool` message as the plain string that OpenAI-style APIs expect,
+   * or undefined when the message carries none (e.g. its content is already a string).
+   * @param {ChatMessage} msg
+   * @returns {string | undefined}
+   * @protected
+   */
+  _toolOutputText(msg) {
+    if (msg.role !== 'tool' || !Array.isArray(msg.content)) return undefined;
+    const part = msg.content.find(p => p.type === 'tool_output');
+    if (!part) return undefined;
+    return typeof part.content === 'string' ? part.content : JSON.stringify(part.content);
+  }
 }
\ No newline at end of file
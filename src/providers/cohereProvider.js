@@ -1,6 +1,19 @@
 import { CohereClient, CohereError } from 'cohere-ai';
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError, LLMPlugToolError } from '../utils/errors.js';
+import { isJsonResponseFormat } from '../utils/structuredOutput.js';
+import { usageFromCohere } from '../utils/usage.js';
+
+// The Cohere client retries on its own by default; LLMPlug's retry policy takes over instead.
+const COHERE_REQUEST_OPTIONS = { maxRetries: 0 };
+const COHERE_EMBEDDING_BATCH_SIZE = 96; // Maximum number of texts per embed request
+const COHERE_INPUT_TYPES = {
+  query: 'search_query',
+  document: 'search_document',
+  classification: 'classification',
+  clustering: 'clustering',
+  similarity: 'clustering',
+};
 
 export class CohereProvider extends BaseProvider {
   constructor(config = {}) {
@@ -8,13 +21,29 @@ export class CohereProvider extends BaseProvider {
     this.providerName = "Cohere";
     try {
       this.apiKey = this._getApiKey('COHERE_API_KEY');
-      this.client = new CohereClient({ token: this.apiKey });
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       if (error instanceof LLMPlugConfigurationError) throw error;
       throw new LLMPlugConfigurationError(`Cohere client initialization failed: ${error.message}`, this.providerName, error);
     }
     this.defaultChatModel = config.defaultChatModel || 'command-r'; // Good for chat and tool use
     this.defaultGenerateModel = config.defaultGenerateModel || 'command-light'; // Good for generation tasks
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || 'embed-english-v3.0';
+  }
+
+  _createClient(apiKey) {
+    return new CohereClient({ token: apiKey, baseUrl: this.config.baseURL });
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    await this.client.models.list({ pageSize: 1 }, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal });
+  }
+
+  /** @protected */
+  _defaultModelFor(method) {
+    if (method === 'embed') return this.defaultEmbeddingModel;
+    return method === 'generate' || method === 'generateStream' ? this.defaultGenerateModel : this.defaultChatModel;
   }
 
   /**
@@ -23,6 +52,10 @@ export class CohereProvider extends BaseProvider {
    * @returns {Promise<import('../baseProvider.js').GenerationResult>}
    */
   async generate(input, options = {}) {
+    // The legacy generate endpoint has no JSON mode, so structured output goes through chat.
+    if (isJsonResponseFormat(options.responseFormat)) {
+      return this.chat(typeof input === 'string' ? [{ role: 'user', content: input }] : input, options);
+    }
     const model = options.model || this.defaultGenerateModel;
     let promptText;
 
@@ -43,7 +76,7 @@ export class CohereProvider extends BaseProvider {
     }
 
     try {
-      const response = await this.client.generate({
+      const { result: response, attempts } = await this._withRetry((attempt, signal) => this.client.generate({
         prompt: promptText,
         model: model,
         maxTokens: options.maxTokens,
@@ -53,30 +86,54 @@ export class CohereProvider extends BaseProvider {
         stopSequences: options.stopSequences,
         returnLikelihoods: options.extraParams?.returnLikelihoods, // 'GENERATION', 'ALL', or 'NONE'
         // Cohere's generate doesn't directly support JSON mode or tool use
-      });
+      }, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal }), options);
 
       const generation = response.generations?.[0];
       if (!generation) {
         throw new LLMPlugRequestError("Cohere API returned no generations.", this.providerName, response);
       }
 
-      // Cohere's generate endpoint doesn't typically provide token counts in the same way chat does.
-      // We can get it if `returnLikelihoods` is not NONE, but it's more complex.
-      // For simplicity, we'll mark usage as null for generate.
+      // The generate endpoint usually only reports billed units (no `meta.tokens` like chat).
       return {
         text: generation.text.trim(),
-        usage: null, // Detailed token usage not directly available from generate like chat
-        finishReason: generation.finishReason?.toLowerCase(), // e.g. COMPLETE, MAX_TOKENS, ERROR_TOXIC
+        usage: usageFromCohere(response.meta),
+        finishReason: generation.finishReason, // e.g. COMPLETE, MAX_TOKENS, ERROR_TOXIC
+        attempts: attempts,
         rawResponse: response,
       };
     } catch (error) {
         if (error instanceof CohereError) {
-            throw new LLMPlugRequestError(`Cohere API generate request failed: ${error.message} (Status: ${error.statusCode})`, this.providerName, error);
+            throw this._wrapRequestError(`Cohere API generate request failed: ${error.message} (Status: ${error.statusCode})`, error);
         }
-        throw new LLMPlugRequestError(`Cohere API generate request failed: ${error.message}`, this.providerName, error);
+        throw this._wrapRequestError(`Cohere API generate request failed: ${error.message}`, error);
     }
   }
 
+  /**
+   * Converts complete Cohere tool calls from a stream event. Cohere tool calls have no IDs, so one is generated.
+   * @param {{name: string, parameters?: object}[]} toolCalls
+   * @returns {import('../baseProvider.js').ToolCall[]}
+   * @protected
+   */
+  _toStreamToolCalls(toolCalls) {
+    return toolCalls.map((tc, index) => ({
+      id: `${tc.name}-stream-${Date.now()}-${index}`,
+      type: 'function',
+      function: { name: tc.name, arguments: JSON.stringify(tc.parameters || {}) },
+    }));
+  }
+
+  /**
+   * Cohere's JSON mode accepts an optional JSON Schema directly.
+   * @param {import('../baseProvider.js').ResponseFormat} [responseFormat]
+   * @returns {{type: 'json_object', schema?: object} | undefined}
+   * @protected
+   */
+  _toCohereResponseFormat(responseFormat) {
+    if (!isJsonResponseFormat(responseFormat)) return undefined;
+    return { type: 'json_object', ...(responseFormat.schema && { schema: responseFormat.schema }) };
+  }
+
   _formatMessagesForCohere(messages) {
     // Cohere's chat expects: { role: "USER" | "CHATBOT" | "SYSTEM" | "TOOL", message: string }
     // Tool results: { role: "TOOL", tool_results: [{ call: {...}, outputs: [{...}]}] }
@@ -92,7 +149,7 @@ export class CohereProvider extends BaseProvider {
         };
         const cohereRole = roleMap[msg.role];
         if (!cohereRole) {
-            console.warn(`CohereProvider: Unsupported role '${msg.role}' will be mapped to USER.`);
+            this._warn('unsupported_role', `Unsupported role '${msg.role}' will be mapped to USER.`);
             cohereRole = 'USER';
         }
 
@@ -154,7 +211,7 @@ export class CohereProvider extends BaseProvider {
                 // It primarily expects text. We will concatenate text parts.
                 messageText = msg.content.filter(p => p.type === 'text').map(p => p.text).join('\n');
                 if (msg.content.some(p => p.type === 'image_url')) {
-                    console.warn("CohereProvider: Image content parts are ignored for chat messages as Cohere chat API is primarily text-based.");
+                    this._warn('content_ignored', 'Image content parts are ignored for chat messages as Cohere chat API is primarily text-based.');
                 }
             }
 
@@ -240,11 +297,10 @@ export class CohereProvider extends BaseProvider {
       stopSequences: options.stopSequences,
       // promptTruncation: 'AUTO', // Default
       tools: cohereTools,
+      responseFormat: this._toCohereResponseFormat(options.responseFormat),
       // toolResults: if the last turn was CHATBOT making tool_calls, and this turn is providing results.
       // This is handled by formatting TOOL messages in _formatMessagesForCohere.
       // forceSingleStep: false, // If true, model won't make tool calls.
-      // Cohere chat doesn't have a direct JSON mode flag like OpenAI.
-      // You'd instruct it via prompt if you want JSON.
       ...options.extraParams,
     };
     
@@ -255,7 +311,7 @@ export class CohereProvider extends BaseProvider {
 
 
     try {
-      const response = await this.client.chat(request);
+      const { result: response, attempts } = await this._withRetry((attempt, signal) => this.client.chat(request, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal }), options);
 
       const textContent = response.text?.trim() || null;
       const toolCalls = response.toolCalls?.map(tc => ({
@@ -268,28 +324,25 @@ export class CohereProvider extends BaseProvider {
       })) || [];
 
       // Cohere's chat response provides detailed token counts via `meta`
-      const usage = {
-        promptTokens: response.meta?.tokens?.inputTokens,
-        completionTokens: response.meta?.tokens?.outputTokens,
-        totalTokens: response.meta?.tokens?.inputTokens + response.meta?.tokens?.outputTokens,
-      };
+      const usage = usageFromCohere(response.meta);
       
       // Cohere's finishReason in chat: "COMPLETE", "MAX_TOKENS", "ERROR", "ERROR_TOXIC", "ERROR_LIMIT"
       // Also "TOOL_CALLS" if it made tool calls.
-      const finishReason = response.finishReason?.toUpperCase();
+      const finishReason = response.finishReason;
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        attempts: attempts,
         rawResponse: response,
-      };
+      });
     } catch (error) {
         if (error instanceof CohereError) {
-            throw new LLMPlugRequestError(`Cohere API chat request failed: ${error.message} (Status: ${error.statusCode}) Body: ${JSON.stringify(error.body)}`, this.providerName, error);
+            throw this._wrapRequestError(`Cohere API chat request failed: ${error.message} (Status: ${error.statusCode}) Body: ${JSON.stringify(error.body)}`, error);
         }
-      throw new LLMPlugRequestError(`Cohere API chat request failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Cohere API chat request failed: ${error.message}`, error);
     }
   }
 
@@ -316,7 +369,7 @@ export class CohereProvider extends BaseProvider {
     }
 
     try {
-      const stream = await this.client.generateStream({
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.generateStream({
         prompt: promptText,
         model: model,
         maxTokens: options.maxTokens,
@@ -324,23 +377,30 @@ export class CohereProvider extends BaseProvider {
         k: options.extraParams?.k,
         p: options.extraParams?.p,
         stopSequences: options.stopSequences,
-      });
+      }, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const event of stream) {
         const chunkData = { rawChunk: event };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
         if (event.eventType === 'text-generation' && event.text) {
           chunkData.text = event.text;
         } else if (event.eventType === 'stream-end') {
-          chunkData.finishReason = event.finishReason?.toLowerCase();
-          // Usage data not typically provided per chunk or at end of generateStream in same detail as chatStream
+          chunkData.finishReason = event.finishReason;
+          // Only the final response may carry billed units; otherwise the usage is estimated
+          const usage = usageFromCohere(event.response?.meta);
+          if (usage) chunkData.usage = usage;
         }
         yield chunkData;
       }
     } catch (error) {
         if (error instanceof CohereError) {
-             throw new LLMPlugRequestError(`Cohere API generateStream failed: ${error.message} (Status: ${error.statusCode})`, this.providerName, error);
+             throw this._wrapRequestError(`Cohere API generateStream failed: ${error.message} (Status: ${error.statusCode})`, error);
         }
-      throw new LLMPlugRequestError(`Cohere API generateStream failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Cohere API generateStream failed: ${error.message}`, error);
     }
   }
 
@@ -399,75 +459,38 @@ export class CohereProvider extends BaseProvider {
       p: options.extraParams?.p,
       stopSequences: options.stopSequences,
       tools: cohereTools,
+      responseFormat: this._toCohereResponseFormat(options.responseFormat),
       ...options.extraParams,
     };
     
     try {
-      const stream = await this.client.chatStream(request);
-      let accumulatedToolCallParams = {}; // { [toolName]: "partial_json_args" }
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.chatStream(request, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
+      let toolCallsYielded = false;
 
       for await (const event of stream) {
         const chunkData = { rawChunk: event };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (event.eventType === 'text-generation' && event.text) {
           chunkData.text = event.text;
         } else if (event.eventType === 'tool-calls-generation') {
-            // This event type provides the names and initial (often empty) parameters of tools the model wants to call.
-            // The actual parameters stream via 'tool-calls-chunk'.
-            // The Cohere SDK might already aggregate this, but we can prepare.
+            // Sent once the model has finished generating its tool calls, with complete parameters.
+            // (The preceding 'tool-calls-chunk' events only repeat the same JSON piece by piece.)
             if (event.toolCalls && event.toolCalls.length > 0) {
-                chunkData.toolCalls = event.toolCalls.map(tc => {
-                    accumulatedToolCallParams[tc.name] = ''; // Initialize accumulator
-                    return {
-                        id: `${tc.name}-stream-${Date.now()}`, // Generate ID
-                        type: 'function',
-                        function: { name: tc.name, arguments: '' } // Arguments will be filled
-                    };
-                });
-            }
-        } else if (event.eventType === 'tool-calls-chunk') {
-            // This is where Cohere streams the parameters for the tool calls.
-            // The 'text' field in this event contains a chunk of the JSON parameters.
-            // We need to associate this with the correct tool call.
-            // This part is tricky as the event doesn't directly link to a specific toolCall from the 'tool-calls-generation' event.
-            // Assuming it relates to the most recently announced tool call or a single tool call if only one.
-            // A more robust implementation would need careful state management based on Cohere's streaming specifics.
-            // For now, if there's one active tool call being streamed, append to it.
-            const activeToolNames = Object.keys(accumulatedToolCallParams);
-            if (activeToolNames.length === 1 && event.text) { // Simplistic: assumes one tool call's params stream at a time
-                const toolName = activeToolNames[0];
-                accumulatedToolCallParams[toolName] += event.text;
-                // We don't yield toolCalls on every chunk of arguments, but at the end or when a new tool call starts.
+                chunkData.toolCalls = this._toStreamToolCalls(event.toolCalls);
+                toolCallsYielded = true;
             }
-
         } else if (event.eventType === 'stream-end') {
-          chunkData.finishReason = event.finishReason?.toUpperCase();
+          chunkData.finishReason = event.finishReason;
           if (event.response) { // Final response object at stream end
-            if (event.response.meta?.tokens) {
-              chunkData.usage = {
-                promptTokens: event.response.meta.tokens.inputTokens,
-                completionTokens: event.response.meta.tokens.outputTokens,
-                totalTokens: event.response.meta.tokens.inputTokens + event.response.meta.tokens.outputTokens,
-              };
-            }
-            // Finalize any accumulated tool calls if params were streamed
-            const finalToolCalls = [];
-            for (const toolName in accumulatedToolCallParams) {
-                finalToolCalls.push({
-                    id: `${toolName}-stream-final-${Date.now()}`,
-                    type: 'function',
-                    function: { name: toolName, arguments: accumulatedToolCallParams[toolName] }
-                });
-            }
-            if (finalToolCalls.length > 0) {
-                chunkData.toolCalls = finalToolCalls;
-            } else if (event.response.toolCalls && event.response.toolCalls.length > 0) {
-                // If tool calls were not streamed by param chunks but came fully formed at the end
-                 chunkData.toolCalls = event.response.toolCalls.map(tc => ({
-                    id: `${tc.name}-stream-end-${Date.now()}`,
-                    type: 'function',
-                    function: { name: tc.name, arguments: JSON.stringify(tc.parameters || {}) }
-                }));
+            const usage = usageFromCohere(event.response.meta);
+            if (usage) chunkData.usage = usage;
+            if (!toolCallsYielded && event.response.toolCalls && event.response.toolCalls.length > 0) {
+                chunkData.toolCalls = this._toStreamToolCalls(event.response.toolCalls);
             }
           }
         }
@@ -475,9 +498,40 @@ export class CohereProvider extends BaseProvider {
       }
     } catch (error) {
         if (error instanceof CohereError) {
-            throw new LLMPlugRequestError(`Cohere API chatStream failed: ${error.message} (Status: ${error.statusCode}) Body: ${JSON.stringify(error.body)}`, this.providerName, error);
+            throw this._wrapRequestError(`Cohere API chatStream failed: ${error.message} (Status: ${error.statusCode}) Body: ${JSON.stringify(error.body)}`, error);
+        }
+      throw this._wrapRequestError(`Cohere API chatStream failed: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultEmbeddingModel;
+    // v3 embedding models require an input type; documents are the most common case.
+    const inputType = COHERE_INPUT_TYPES[options.inputType] || 'search_document';
+    try {
+      return await this._embedInBatches(texts, options.batchSize || COHERE_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: response } = await this._withRetry((attempt, signal) => this.client.embed({
+          texts: batch,
+          model: model,
+          inputType: inputType,
+          embeddingTypes: ['float'],
+        }, { ...COHERE_REQUEST_OPTIONS, abortSignal: signal }), options);
+        return {
+          embeddings: Array.isArray(response.embeddings) ? response.embeddings : response.embeddings.float,
+          usage: usageFromCohere(response.meta),
+          model: model,
+        };
+      });
+    } catch (error) {
+        if (error instanceof CohereError) {
+            throw this._wrapRequestError(`Cohere API embed request failed: ${error.message} (Status: ${error.statusCode})`, error);
         }
-      throw new LLMPlugRequestError(`Cohere API chatStream failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Cohere API embed request failed: ${error.message}`, error);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,211 @@
+import { BaseProvider } from './baseProvider.js';
+import { createProvider } from '../providerRegistry.js';
+import {
+  LLMPlugAbortError,
+  LLMPlugAuthenticationError,
+  LLMPlugBudgetExceededError,
+  LLMPlugCircuitOpenError,
+  LLMPlugConfigurationError,
+  LLMPlugRequestError,
+} from '../utils/errors.js';
+import { createRequestSignal, withRemainingTime } from '../utils/abort.js';
+
+/**
+ * One link of a fallback chain.
+ * @typedef {Object} FallbackChainEntry
+ * @property {string | BaseProvider} provider - A registered provider name (e.g. 'openai') or an existing provider instance.
+ * @property {object} [config] - Provider config, used when `provider` is a name.
+ * @property {string} [model] - Model to use for this provider, overriding the caller's `options.model`.
+ * @property {Object.<string, string>} [modelMap] - Maps the caller's `options.model` to this provider's model name.
+ * @property {import('./baseProvider.js').GenerationOptions} [options] - Extra generation options merged into every call on this provider.
+ */
+
+/**
+ * The default `failoverOn`: errors the next provider is not bound to run into as well. These are retryable errors
+ * (rate limits, timeouts, 5xx responses), a rejected API key and an open circuit breaker. Errors caused by the
+ * request itself, such as a context that is too long, would only fail again.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+  return error instanceof LLMPlugAuthenticationError
+    || error instanceof LLMPlugCircuitOpenError
+    || (error instanceof LLMPlugRequestError && error.retryable);
+}
+
+/**
+ * Wraps several providers and transparently fails over to the next one in the chain
+ * when a call throws one of the configured error classes.
+ *
+ * Streams only fail over before the first chunk is yielded; once output has reached the
+ * caller, an error is rethrown as-is since it cannot be replayed. A cancelled request never fails over.
+ * `options.timeoutMs` covers the whole chain: each provider only gets the time that is left of it.
+ */
+export class FallbackProvider extends BaseProvider {
+  /**
+   * @param {object} config
+   * @param {(FallbackChainEntry | BaseProvider)[]} config.chain - Providers to try, in order.
+   * @param {(Function[] | ((error: Error) => boolean))} [config.failoverOn] - Error classes (or a predicate) that trigger
+   *   failover. Defaults to retryable errors, authentication errors and open circuit breakers.
+   */
+  constructor(config = {}) {
+    super(config);
+    this.providerName = "Fallback";
+
+    if (!Array.isArray(config.chain) || config.chain.length === 0) {
+      throw new LLMPlugConfigurationError("`chain` must be a non-empty array of providers for FallbackProvider.", this.providerName);
+    }
+    this.chain = config.chain.map((entry, index) => this._resolveEntry(entry, index));
+
+    const failoverOn = config.failoverOn || isProviderFailure;
+    if (typeof failoverOn === 'function' && !(failoverOn.prototype instanceof Error) && failoverOn !== Error) {
+      this.shouldFailover = failoverOn;
+    } else {
+      const errorClasses = Array.isArray(failoverOn) ? failoverOn : [failoverOn];
+      this.shouldFailover = error => errorClasses.some(ErrorClass => error instanceof ErrorClass);
+    }
+  }
+
+  _resolveEntry(entry, index) {
+    if (entry instanceof BaseProvider) {
+      return { provider: entry };
+    }
+    if (!entry || !entry.provider) {
+      throw new LLMPlugConfigurationError(`Fallback chain entry ${index} must be a provider instance or an object with a 'provider' field.`, this.providerName);
+    }
+    const provider = entry.provider instanceof BaseProvider ? entry.provider : createProvider(entry.provider, entry.config || {});
+    return { provider, model: entry.model, modelMap: entry.modelMap, options: entry.options };
+  }
+
+  /**
+   * Builds the options for one link of the chain, applying its model mapping.
+   * @param {{model?: string, modelMap?: Object.<string, string>, options?: object}} entry
+   * @param {import('./baseProvider.js').GenerationOptions} options
+   * @returns {import('./baseProvider.js').GenerationOptions}
+   * @protected
+   */
+  _optionsFor(entry, options) {
+    const merged = { ...options, ...(entry.options || {}) };
+    if (entry.model) {
+      merged.model = entry.model;
+    } else if (options.model && entry.modelMap) {
+      merged.model = entry.modelMap[options.model] || options.model;
+    }
+    return merged;
+  }
+
+  /**
+   * Whether a failed call should be repeated on the next provider. Errors of a request the caller
+   * aborted are rethrown as they are, whatever `failoverOn` says, and so are exceeded budgets: moving
+   * on would spend the money the budget is there to save.
+   * @param {Error} error
+   * @param {import('./baseProvider.js').GenerationOptions} options
+   * @returns {boolean}
+   * @protected
+   */
+  _shouldFailover(error, options) {
+    if (error instanceof LLMPlugAbortError || error instanceof LLMPlugBudgetExceededError || options.signal?.aborted) return false;
+    return this.shouldFailover(error);
+  }
+
+  _exhaustedError(method, failures) {
+    const summary = failures.map(f => `${f.provider}: ${f.error.message}`).join('; ');
+    const lastError = failures[failures.length - 1]?.error || null;
+    const error = new LLMPlugRequestError(`All providers in the fallback chain failed for ${method}. ${summary}`, this.providerName, lastError);
+    error.failures = failures;
+    return error;
+  }
+
+  /**
+   * Checks every provider in the chain; the chain is healthy if one of them is.
+   * @protected
+   */
+  async _ping(signal) {
+    const results = await Promise.all(this.chain.map(entry => entry.provider.healthCheck({ signal })));
+    if (!results.some(result => result.healthy)) {
+      throw new Error(`No provider in the fallback chain is healthy. ${results.map((result, index) => `${this.chain[index].provider.providerName}: ${result.error}`).join('; ')}`);
+    }
+  }
+
+  async _callWithFallback(method, input, options) {
+    const request = createRequestSignal(options);
+    const failures = [];
+    try {
+      for (const entry of this.chain) {
+        try {
+          const result = await entry.provider[method](input, withRemainingTime(this._optionsFor(entry, options), request));
+          return { ...result, provider: entry.provider.providerName, failovers: failures };
+        } catch (error) {
+          // Out of time: the next provider would not get any.
+          if (request.expired()) throw this._abortError(request, options, error);
+          if (!this._shouldFailover(error, options)) throw error;
+          failures.push({ provider: entry.provider.providerName, error });
+        }
+      }
+    } finally {
+      request.cleanup();
+    }
+    throw this._exhaustedError(method, failures);
+  }
+
+  async *_streamWithFallback(method, input, options) {
+    const request = createRequestSignal(options);
+    const failures = [];
+    try {
+      for (const entry of this.chain) {
+        let started = false;
+        try {
+          for await (const chunk of entry.provider[method](input, withRemainingTime(this._optionsFor(entry, options), request))) {
+            started = true;
+            yield { ...chunk, provider: entry.provider.providerName };
+          }
+          return;
+        } catch (error) {
+          // Out of time: the next provider would not get any.
+          if (request.expired()) throw this._abortError(request, options, error);
+          if (started || !this._shouldFailover(error, options)) throw error;
+          failures.push({ provider: entry.provider.providerName, error });
+        }
+      }
+    } finally {
+      request.cleanup();
+    }
+    throw this._exhaustedError(method, failures);
+  }
+
+  /**
+   * @param {string | import('./baseProvider.js').ChatMessage[]} input
+   * @param {import('./baseProvider.js').GenerationOptions} [options={}]
+   * @returns {Promise<import('./baseProvider.js').GenerationResult>}
+   */
+  async generate(input, options = {}) {
+    return this._callWithFallback('generate', input, options);
+  }
+
+  /**
+   * @param {import('./baseProvider.js').ChatMessage[]} messages
+   * @param {import('./baseProvider.js').GenerationOptions} [options={}]
+   * @returns {Promise<import('./baseProvider.js').GenerationResult>}
+   */
+  async chat(messages, options = {}) {
+    return this._callWithFallback('chat', messages, options);
+  }
+
+  /**
+   * @param {string | import('./baseProvider.js').ChatMessage[]} input
+   * @param {import('./baseProvider.js').GenerationOptions} [options={}]
+   * @returns {AsyncIterable<import('./baseProvider.js').GenerationStreamChunk>}
+   */
+  async *generateStream(input, options = {}) {
+    yield* this._streamWithFallback('generateStream', input, options);
+  }
+
+  /**
+   * @param {import('./baseProvider.js').ChatMessage[]} messages
+   * @param {import('./baseProvider.js').GenerationOptions} [options={}]
+   * @returns {AsyncIterable<import('./baseProvider.js').GenerationStreamChunk>}
+   */
+  async *chatStream(messages, options = {}) {
+    yield* this._streamWithFallback('chatStream', messages, options);
+  }
+}
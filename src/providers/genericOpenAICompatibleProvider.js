@@ -4,6 +4,10 @@
 import OpenAI from 'openai';
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { isJsonSchemaFormat, toOpenAIResponseFormat, withFormatInstruction } from '../utils/structuredOutput.js';
+import { usageFromOpenAI } from '../utils/usage.js';
+
+const LOCAL_EMBEDDING_BATCH_SIZE = 256; // Local servers have no documented limit; keep requests reasonably small
 
 export class GenericOpenAICompatibleProvider extends BaseProvider {
   constructor(config = {}, providerName = "GenericOpenAICompatible", defaultBaseURL = "http://localhost:8000/v1") {
@@ -11,39 +15,51 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
     this.providerName = providerName;
 
     // API key is often not required or is a fixed string for local servers
-    this.apiKey = config.apiKey || 'local-no-key'; 
+    this.apiKey = this.apiKeyPool ? this.apiKeyPool.keys[0] : config.apiKey || 'local-no-key';
     
     this.baseURL = config.baseURL || defaultBaseURL;
 
     this.defaultModel = config.defaultModel || config.model; 
     if (!this.defaultModel) {
-        console.warn(`[${this.providerName}] No defaultModel specified. You'll need to provide a model for each call. This model name must match what the local server expects.`);
+        this._warn('missing_default_model', `No defaultModel specified. You'll need to provide a model for each call. This model name must match what the local server expects.`);
     }
-
-    const openAIConfig = {
-      apiKey: this.apiKey,
-      baseURL: this.baseURL,
-      dangerouslyAllowBrowser: false, // Server-side
-      ...(config.sdkConfig || {}) // Allow passing further OpenAI SDK config options
-    };
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel; // Falls back to defaultModel; many servers embed with the loaded model
 
     try {
-      this.client = new OpenAI(openAIConfig);
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       throw new LLMPlugConfigurationError(`[${this.providerName}] OpenAI SDK client initialization failed: ${error.message}`, this.providerName, error);
     }
   }
 
+  _createClient(apiKey) {
+    return this._observeClientResponses(new OpenAI({
+      baseURL: this.baseURL,
+      maxRetries: 0, // Retries are handled by LLMPlug's retry policy
+      dangerouslyAllowBrowser: false, // Server-side
+      ...(this.config.sdkConfig || {}), // Allow passing further OpenAI SDK config options
+      apiKey, // After sdkConfig, so it cannot replace a key from `config.apiKeys`
+    }));
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    await this.client.models.list({ signal });
+  }
+
   // Re-use message formatting, input prep, and model getter logic
   // (These can be identical to OpenRouterProvider or OllamaProvider's versions)
   _formatMessages(messages) {
     return messages.map(msg => {
       let contentForAPI;
-      if (Array.isArray(msg.content)) {
+      const toolOutput = this._toolOutputText(msg);
+      if (toolOutput !== undefined) {
+        contentForAPI = toolOutput; // Tool results are sent as a plain string
+      } else if (Array.isArray(msg.content)) {
         contentForAPI = msg.content.map(part => {
           if (part.type === 'text') return { type: 'text', text: part.text };
           if (part.type === 'image_url') {
-            console.warn(`[${this.providerName}] Image_url content passed through. Support depends on the local model/server's OpenAI API compatibility for vision.`);
+            this._warn('content_passthrough', `Image_url content passed through. Support depends on the local model/server's OpenAI API compatibility for vision.`);
             return { type: 'image_url', image_url: { url: part.image_url.url, detail: part.image_url.detail || 'auto' } };
           }
           return null;
@@ -81,7 +97,8 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
 
   async chat(messages, options = {}) {
     const model = this._getModel(options);
-    const formattedMessages = this._formatMessages(messages);
+    // Schema support varies between local servers, so JSON Schemas are described in the system prompt instead.
+    const formattedMessages = this._formatMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
 
     // Parameters for local servers can vary widely in what they respect.
     // Some might only respect temp/max_tokens.
@@ -93,7 +110,7 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools, // Support depends heavily on the local server & model
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: isJsonSchemaFormat(options.responseFormat) ? undefined : toOpenAIResponseFormat(options.responseFormat),
       top_p: options.extraParams?.topP,
       // Some local servers might accept other OpenAI params or their own custom ones via extraParams
       ...(options.extraParams?.serverSpecificParams || {}), // For truly server-specific params
@@ -103,7 +120,7 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
     Object.keys(requestParams).forEach(key => requestParams[key] === undefined && delete requestParams[key]);
 
     try {
-      const completion = await this.client.chat.completions.create(requestParams);
+      const { result: completion, attempts } = await this._withRetry((attempt, signal) => this.client.chat.completions.create(requestParams, { signal }), options);
       const choice = completion.choices[0];
       if (!choice) throw new LLMPlugRequestError(`[${this.providerName}] API returned no choices for model ${model}.`, this.providerName, completion);
       
@@ -114,21 +131,17 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
         function: { name: call.function.name, arguments: call.function.arguments },
       })) || [];
 
-      const usage = { // Often not accurately reported by local servers
-        promptTokens: completion.usage?.prompt_tokens,
-        completionTokens: completion.usage?.completion_tokens,
-        totalTokens: completion.usage?.total_tokens,
-      };
+      const usage = usageFromOpenAI(completion.usage); // Not every local server reports it; estimated then
       const finishReason = choice.finish_reason?.toLowerCase();
 
-      return { text: textContent, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, usage, finishReason, rawResponse: completion };
+      return this._applyResponseFormat(messages, options, { text: textContent, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, usage, finishReason, attempts, rawResponse: completion });
     } catch (error) {
       let errorMessage = error.message;
       if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
       if (error.message.includes("Connection refused")) {
         errorMessage = `Connection refused. Is ${this.providerName} server running at ${this.baseURL}? ${error.message}`;
       }
-      throw new LLMPlugRequestError(`[${this.providerName}] API chat request failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`[${this.providerName}] API chat request failed for model ${model}: ${errorMessage}`, error);
     }
   }
 
@@ -139,7 +152,8 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
 
   async *chatStream(messages, options = {}) {
     const model = this._getModel(options);
-    const formattedMessages = this._formatMessages(messages);
+    // Schema support varies between local servers, so JSON Schemas are described in the system prompt instead.
+    const formattedMessages = this._formatMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
 
     const requestParams = {
       model: model,
@@ -149,9 +163,10 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: isJsonSchemaFormat(options.responseFormat) ? undefined : toOpenAIResponseFormat(options.responseFormat),
       top_p: options.extraParams?.topP,
       stream: true,
+      stream_options: { include_usage: true }, // Servers that support it send usage in a last chunk without choices
       ...(options.extraParams?.serverSpecificParams || {}),
       ...options.extraParams,
     };
@@ -159,39 +174,37 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
     Object.keys(requestParams).forEach(key => requestParams[key] === undefined && delete requestParams[key]);
 
     try {
-      const stream = await this.client.chat.completions.create(requestParams);
-      let currentToolCallsState = {};
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.chat.completions.create(requestParams, { signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const chunk of stream) {
-        const choice = chunk.choices[0];
-        if (!choice) continue;
+        const choice = chunk.choices?.[0];
+        if (!choice && !chunk.usage) continue;
 
-        const delta = choice.delta;
-        const finishReason = choice.finish_reason?.toLowerCase();
+        const delta = choice?.delta;
+        const finishReason = choice?.finish_reason?.toLowerCase();
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (delta?.content) chunkData.text = delta.content;
 
         if (delta?.tool_calls) {
-          const processedToolCalls = [];
-          for (const tcDelta of delta.tool_calls) {
-            const index = tcDelta.index;
-            if (tcDelta.id) {
-              currentToolCallsState[index] = { id: tcDelta.id, type: 'function', function: { name: tcDelta.function?.name || '', arguments: tcDelta.function?.arguments || '' }};
-            } else if (currentToolCallsState[index] && tcDelta.function) {
-              if (tcDelta.function.name) currentToolCallsState[index].function.name = tcDelta.function.name;
-              if (tcDelta.function.arguments) currentToolCallsState[index].function.arguments += tcDelta.function.arguments;
-            }
-            if(currentToolCallsState[index]) processedToolCalls.push({ ...currentToolCallsState[index] });
-          }
-          if (processedToolCalls.length > 0) chunkData.toolCalls = processedToolCalls;
+          // Fragments are keyed by `index`; arguments arrive in pieces and are concatenated by the consumer.
+          chunkData.toolCalls = delta.tool_calls.map(call => ({
+            index: call.index,
+            id: call.id,
+            type: call.type || 'function',
+            function: { name: call.function?.name, arguments: call.function?.arguments || '' },
+          }));
         }
         
         if (finishReason) {
             chunkData.finishReason = finishReason;
-            currentToolCallsState = {}; 
         }
-        if (chunk.usage) chunkData.usage = chunk.usage; // Usage in last stream chunk if available
+        if (chunk.usage) chunkData.usage = usageFromOpenAI(chunk.usage); // Usage in last stream chunk if available
 
         yield chunkData;
       }
@@ -201,7 +214,35 @@ export class GenericOpenAICompatibleProvider extends BaseProvider {
       if (error.message.includes("Connection refused")) {
         errorMessage = `Connection refused. Is ${this.providerName} server running at ${this.baseURL}? ${error.message}`;
       }
-      throw new LLMPlugRequestError(`[${this.providerName}] API chat stream failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`[${this.providerName}] API chat stream failed for model ${model}: ${errorMessage}`, error);
+    }
+  }
+
+  /**
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = this._getModel({ model: options.model || this.defaultEmbeddingModel });
+    try {
+      return await this._embedInBatches(texts, options.batchSize || LOCAL_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: response } = await this._withRetry((attempt, signal) => this.client.embeddings.create({
+          model: model,
+          input: batch,
+          encoding_format: 'float', // The SDK defaults to base64, which not every local server implements
+          ...(options.dimensions && { dimensions: options.dimensions }),
+        }, { signal }), options);
+        return {
+          embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+          usage: usageFromOpenAI(response.usage),
+          model: response.model || model,
+        };
+      });
+    } catch (error) {
+      let errorMessage = error.message;
+      if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
+      throw this._wrapRequestError(`[${this.providerName}] API embeddings request failed for model ${model}: ${errorMessage}`, error);
     }
   }
-}
\ No newline at end of file
+}
@@ -1,19 +1,35 @@
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold, FunctionDeclarationSchemaType } from "@google/generative-ai";
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold, FunctionDeclarationSchemaType, TaskType } from "@google/generative-ai";
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { isJsonResponseFormat, isJsonSchemaFormat, toGeminiSchema } from '../utils/structuredOutput.js';
+import { fetch } from '../utils/http.js';
+import { usageFromGemini } from '../utils/usage.js';
+
+const GOOGLE_API_BASE_URL = 'https://generativelanguage.googleapis.com';
+const GOOGLE_API_VERSION = 'v1beta'; // What the SDK calls by default
+const GOOGLE_EMBEDDING_BATCH_SIZE = 100; // batchEmbedContents accepts at most 100 requests
+const GOOGLE_TASK_TYPES = {
+  query: TaskType.RETRIEVAL_QUERY,
+  document: TaskType.RETRIEVAL_DOCUMENT,
+  similarity: TaskType.SEMANTIC_SIMILARITY,
+  classification: TaskType.CLASSIFICATION,
+  clustering: TaskType.CLUSTERING,
+};
 
 export class GoogleProvider extends BaseProvider {
   constructor(config = {}) {
     super(config);
     this.providerName = "Google";
+    this.baseURL = config.baseURL || GOOGLE_API_BASE_URL;
     try {
       this.apiKey = this._getApiKey('GOOGLE_GEMINI_API_KEY');
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       if (error instanceof LLMPlugConfigurationError) throw error;
       throw new LLMPlugConfigurationError(`Google AI client initialization failed: ${error.message}`, this.providerName, error);
     }
     this.defaultModel = config.defaultModel || 'gemini-1.0-pro'; // Changed back to 1.0-pro for simpleUsage
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || 'text-embedding-004';
     
     this.defaultSafetySettings = [
       { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
@@ -49,20 +65,22 @@ export class GoogleProvider extends BaseProvider {
          if (this.defaultModel.startsWith('gemini-1.5')) {
             systemInstruction = { role: 'system', parts: [{ text: systemText }] };
          } else {
-            // Prepend to first user message for older models
+            // Prepend to first user message for older models (on a copy, so the caller's messages stay untouched)
             const firstUserMsgIndex = messages.findIndex(m => m.role === 'user' && m !== systemMsg);
             if (firstUserMsgIndex !== -1 && messages[firstUserMsgIndex]) {
+                messages = [...messages];
                 let content = messages[firstUserMsgIndex].content;
                 if (typeof content === 'string') {
-                    messages[firstUserMsgIndex].content = `${systemText}\n\n${content}`;
+                    messages[firstUserMsgIndex] = { ...messages[firstUserMsgIndex], content: `${systemText}\n\n${content}` };
                 } else if (Array.isArray(content)) {
+                    content = [...content];
                     const firstTextPartIndex = content.findIndex(p => p.type === 'text');
                     if (firstTextPartIndex !== -1) {
-                        content[firstTextPartIndex].text = `${systemText}\n\n${content[firstTextPartIndex].text}`;
+                        content[firstTextPartIndex] = { ...content[firstTextPartIndex], text: `${systemText}\n\n${content[firstTextPartIndex].text}` };
                     } else {
                         content.unshift({ type: 'text', text: systemText });
                     }
-                     messages[firstUserMsgIndex].content = content;
+                    messages[firstUserMsgIndex] = { ...messages[firstUserMsgIndex], content };
                 }
             } else {
                 // If no user message, this system prompt might be ignored or cause issues.
@@ -87,7 +105,9 @@ export class GoogleProvider extends BaseProvider {
             const { base64Data, mimeType } = await this._fetchAndBase64Image(part.image_url.url);
             currentMessageParts.push({ inlineData: { mimeType: mimeType, data: base64Data } });
           } else if (part.type === 'tool_output' && msg.role === 'tool' && msg.tool_call_id) {
-            currentMessageParts.push({ functionResponse: { name: msg.name, response: part.content } });
+            // Gemini expects the function response to be an object
+            const response = part.content !== null && typeof part.content === 'object' && !Array.isArray(part.content) ? part.content : { result: part.content };
+            currentMessageParts.push({ functionResponse: { name: msg.name, response } });
           }
         }
       } else if (typeof msg.content === 'string') {
@@ -154,12 +174,13 @@ export class GoogleProvider extends BaseProvider {
         }]
     }));
 
-    const modelInstance = this.genAI.getGenerativeModel({
+    // Created per attempt, since each key from `config.apiKeys` has its own client.
+    const createModel = () => this.client.getGenerativeModel({
       model: modelName,
       safetySettings: safetySettingsToUse, // Apply chosen safety settings
       tools: toolsForGemini,
       systemInstruction: systemInstruction, // This is for gemini-1.5+
-    });
+    }, { baseUrl: this.baseURL });
 
     if (history.length === 0 && !systemInstruction && !this.defaultModel.startsWith('gemini-1.5')) { // 1.5 can take only systemInstruction
         throw new LLMPlugRequestError("Google AI chat requires at least one message.", this.providerName);
@@ -176,14 +197,16 @@ export class GoogleProvider extends BaseProvider {
         temperature: options.temperature,
         maxOutputTokens: options.maxTokens,
         stopSequences: options.stopSequences,
-        responseMimeType: options.responseFormat?.type === 'json_object' ? 'application/json' : undefined,
+        responseMimeType: isJsonResponseFormat(options.responseFormat) ? 'application/json' : undefined,
+        responseSchema: isJsonSchemaFormat(options.responseFormat) ? toGeminiSchema(options.responseFormat.schema) : undefined,
         ...(options.extraParams?.generationConfig || {}),
       };
       
-      const result = await modelInstance.generateContent({
+      // @google/generative-ai takes no per-request AbortSignal, so an aborted call is abandoned rather than cancelled.
+      const { result, attempts } = await this._withRetry(() => createModel().generateContent({
         contents: history,
         generationConfig: generationConfig,
-      });
+      }), options);
 
       const response = result.response;
       const candidate = response.candidates?.[0];
@@ -216,33 +239,30 @@ export class GoogleProvider extends BaseProvider {
 
       // If no text and no tool calls, but a finish reason exists (like SAFETY), log it.
       if (textContent === null && toolCalls.length === 0 && finishReason) {
-        console.warn(`[${this.providerName}] Null response. Finish Reason: ${finishReason}. Safety Ratings: ${JSON.stringify(safetyRatings)}`);
+        this._warn('safety_block', `Null response. Finish Reason: ${finishReason}. Safety Ratings: ${JSON.stringify(safetyRatings)}`, { finishReason, safetyRatings });
       }
       // If still null, and prompt was for code, it's highly likely safety.
-      if (textContent === null && messages.some(m=>m.content.toString().toLowerCase().includes("function")) && finishReason === "SAFETY") {
-          console.warn(`[${this.providerName}] Code generation might have been blocked by safety filters. Consider adjusting safety settings if appropriate.`);
+      if (textContent === null && finishReason === "SAFETY" && messages.some(m => String(m.content).toLowerCase().includes("function"))) {
+          this._warn('safety_block', `Code generation might have been blocked by safety filters. Consider adjusting safety settings if appropriate.`);
       }
 
 
-      const usage = {
-        promptTokens: response.usageMetadata?.promptTokenCount,
-        completionTokens: response.usageMetadata?.candidatesTokenCount || candidate?.tokenCount,
-        totalTokens: response.usageMetadata?.totalTokenCount,
-      };
+      const usage = usageFromGemini({ candidatesTokenCount: candidate?.tokenCount, ...response.usageMetadata });
       
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        attempts: attempts,
         rawResponse: response, // Include full response for debugging
-      };
+      });
     } catch (error) {
       // Check if the error is a GoogleGenerativeAIResponseError and log details
       if (error.message.includes("GoogleGenerativeAI Error") && error.message.includes("response data")) {
-           console.error(`[${this.providerName}] API Error Details:`, error.message);
+           this.logger.debug(`[${this.providerName}] API Error Details:`, error.message);
       }
-      throw new LLMPlugRequestError(`Google AI API chat request failed for model ${modelName}: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Google AI API chat request failed for model ${modelName}: ${error.message}`, error);
     }
   }
 
@@ -268,12 +288,12 @@ export class GoogleProvider extends BaseProvider {
         }]
     }));
 
-    const modelInstance = this.genAI.getGenerativeModel({
+    const createModel = () => this.client.getGenerativeModel({
       model: modelName,
       safetySettings: safetySettingsToUse,
       tools: toolsForGemini,
       systemInstruction: systemInstruction,
-    });
+    }, { baseUrl: this.baseURL });
 
     if (history.length === 0 && !systemInstruction && !this.defaultModel.startsWith('gemini-1.5')) {
         throw new LLMPlugRequestError("Google AI chat stream requires at least one message.", this.providerName);
@@ -287,18 +307,28 @@ export class GoogleProvider extends BaseProvider {
         temperature: options.temperature,
         maxOutputTokens: options.maxTokens,
         stopSequences: options.stopSequences,
-        responseMimeType: options.responseFormat?.type === 'json_object' ? 'application/json' : undefined,
+        responseMimeType: isJsonResponseFormat(options.responseFormat) ? 'application/json' : undefined,
+        responseSchema: isJsonSchemaFormat(options.responseFormat) ? toGeminiSchema(options.responseFormat.schema) : undefined,
         ...(options.extraParams?.generationConfig || {}),
     };
 
     try {
-      const result = await modelInstance.generateContentStream({
-        contents: history,
-        generationConfig: generationConfig,
-      });
+      const { stream, attempts } = await this._openStreamWithRetry(async () => {
+        const result = await createModel().generateContentStream({
+          contents: history,
+          generationConfig: generationConfig,
+        });
+        return result.stream;
+      }, options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
+      let toolCallCount = 0; // Keeps generated tool call IDs unique across chunks
 
-      for await (const chunk of result.stream) {
+      for await (const chunk of stream) {
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
         const candidate = chunk.candidates?.[0];
 
         if (candidate?.content?.parts) {
@@ -309,8 +339,8 @@ export class GoogleProvider extends BaseProvider {
 
           const functionCallParts = candidate.content.parts.filter(part => part.functionCall);
           if (functionCallParts.length > 0) {
-            chunkData.toolCalls = functionCallParts.map((part, index) => ({
-              id: `gemini-fc-stream-${Date.now()}-${index}`,
+            chunkData.toolCalls = functionCallParts.map(part => ({
+              id: `gemini-fc-stream-${Date.now()}-${toolCallCount++}`,
               type: 'function',
               function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
             }));
@@ -318,23 +348,60 @@ export class GoogleProvider extends BaseProvider {
         }
         
         if (chunk.usageMetadata) {
-            chunkData.usage = {
-                promptTokens: chunk.usageMetadata.promptTokenCount,
-                completionTokens: chunk.usageMetadata.candidatesTokenCount || candidate?.tokenCount,
-                totalTokens: chunk.usageMetadata.totalTokenCount,
-            };
+            chunkData.usage = usageFromGemini({ candidatesTokenCount: candidate?.tokenCount, ...chunk.usageMetadata });
         }
 
         if (candidate?.finishReason) {
             chunkData.finishReason = candidate.finishReason;
             if (chunkData.finishReason === "SAFETY" || (chunkData.finishReason && !chunkData.text && (!chunkData.toolCalls || chunkData.toolCalls.length === 0))) {
-                console.warn(`[${this.providerName} Stream] Chunk with Finish Reason: ${chunkData.finishReason}. Safety Ratings: ${JSON.stringify(candidate.safetyRatings)}`);
+                this._warn('safety_block', `Stream chunk with Finish Reason: ${chunkData.finishReason}. Safety Ratings: ${JSON.stringify(candidate.safetyRatings)}`, { finishReason: chunkData.finishReason, safetyRatings: candidate.safetyRatings });
             }
         }
         yield chunkData;
       }
     } catch (error) {
-      throw new LLMPlugRequestError(`Google AI API chat stream failed for model ${modelName}: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Google AI API chat stream failed for model ${modelName}: ${error.message}`, error);
+    }
+  }
+
+
+  _createClient(apiKey) {
+    return new GoogleGenerativeAI(apiKey);
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    // The SDK cannot list models, so the REST endpoint is called directly.
+    const response = await fetch(`${this.baseURL}/${GOOGLE_API_VERSION}/models?pageSize=1`, { headers: { 'x-goog-api-key': this._currentApiKey() }, signal });
+    if (!response.ok) {
+      const error = new Error(`Listing models failed with status ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+  /**
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const modelName = options.model || this.defaultEmbeddingModel;
+    const createModel = () => this.client.getGenerativeModel({ model: modelName }, { baseUrl: this.baseURL });
+    const taskType = GOOGLE_TASK_TYPES[options.inputType];
+    try {
+      // The Gemini embedding API does not report token usage.
+      return await this._embedInBatches(texts, options.batchSize || GOOGLE_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: response } = await this._withRetry(() => createModel().batchEmbedContents({
+          requests: batch.map(text => ({
+            content: { role: 'user', parts: [{ text }] },
+            ...(taskType && { taskType }),
+            ...(options.dimensions && { outputDimensionality: options.dimensions }),
+          })),
+        }), options);
+        return { embeddings: response.embeddings.map(embedding => embedding.values), usage: null, model: modelName };
+      });
+    } catch (error) {
+      throw this._wrapRequestError(`Google AI API embeddings request failed for model ${modelName}: ${error.message}`, error);
     }
   }
-}
\ No newline at end of file
+}
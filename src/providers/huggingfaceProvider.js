@@ -1,8 +1,11 @@
-import fetch from 'node-fetch';
 import { BaseProvider } from './baseProvider.js';
-import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { LLMPlugConfigurationError, LLMPlugError, LLMPlugRequestError } from '../utils/errors.js';
+import { buildFormatInstruction, isJsonResponseFormat, withFormatInstruction } from '../utils/structuredOutput.js';
+import { fetch } from '../utils/http.js';
 
 const HUGGINGFACE_API_BASE_URL = "https://api-inference.huggingface.co/models/";
+const HUGGINGFACE_STATUS_BASE_URL = "https://api-inference.huggingface.co/status/";
+const HUGGINGFACE_EMBEDDING_BATCH_SIZE = 64;
 
 export class HuggingFaceProvider extends BaseProvider {
   constructor(config = {}) {
@@ -11,46 +14,83 @@ export class HuggingFaceProvider extends BaseProvider {
     try {
       this.apiToken = this._getApiKey('HUGGINGFACE_API_TOKEN', 'apiToken');
     } catch (error) {
-      console.warn("HuggingFace API token not found. For private models or higher rate limits, please provide one.");
+      this._warn('missing_api_key', 'API token not found. For private models or higher rate limits, please provide one.');
       this.apiToken = null;
     }
     if (!config.modelId) {
       throw new LLMPlugConfigurationError("`modelId` is required in config for HuggingFaceProvider (e.g., 'gpt2', 'mistralai/Mistral-7B-Instruct-v0.1').", this.providerName);
     }
     this.modelId = config.modelId;
+    this.baseURL = config.baseURL || HUGGINGFACE_API_BASE_URL; // e.g. a dedicated Inference Endpoint or proxy
     this.task = config.task || 'text-generation'; // or 'conversational'
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel; // e.g. 'sentence-transformers/all-MiniLM-L6-v2'; falls back to modelId
   }
 
-  async _makeApiCall(payload, modelIdOverride = null, taskOverride = null) {
+  /** @protected */
+  _defaultModelFor(method) {
+    return method === 'embed' ? this.defaultEmbeddingModel || this.modelId : this.modelId;
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    const apiToken = this._currentApiKey();
+    const response = await fetch(`${HUGGINGFACE_STATUS_BASE_URL}${this.modelId}`, {
+      headers: apiToken ? { 'Authorization': `Bearer ${apiToken}` } : {},
+      signal,
+    });
+    if (!response.ok) {
+      const error = new Error(`Model status request failed with status ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a request to the Inference API under the provider's retry policy.
+   * @param {Object} payload
+   * @param {string | null} [modelIdOverride=null]
+   * @param {string | null} [taskOverride=null]
+   * @param {import('../baseProvider.js').GenerationOptions} [options={}] - Provides `signal` and `timeoutMs`.
+   * @returns {Promise<{data: any, attempts: number}>} The parsed JSON response and the number of attempts it took.
+   * @protected
+   */
+  async _makeApiCall(payload, modelIdOverride = null, taskOverride = null, options = {}) {
     const effectiveModelId = modelIdOverride || this.modelId;
     const effectiveTask = taskOverride || this.task;
-    const apiUrl = `${HUGGINGFACE_API_BASE_URL}${effectiveModelId}`;
+    const apiUrl = `${this.baseURL.replace(/\/?$/, '/')}${effectiveModelId}`;
 
     const headers = {
       'Content-Type': 'application/json',
     };
-    if (this.apiToken) {
-      headers['Authorization'] = `Bearer ${this.apiToken}`;
-    }
 
     try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(payload),
-      });
+      const { result: data, attempts } = await this._withRetry(async (attempt, signal) => {
+        // Read per attempt, so a retry can use the next key from `config.apiKeys`.
+        const apiToken = this._currentApiKey();
+        const response = await fetch(apiUrl, {
+          method: 'POST',
+          headers: apiToken ? { ...headers, 'Authorization': `Bearer ${apiToken}` } : headers,
+          body: JSON.stringify(payload),
+          signal,
+        });
+        this._observeResponse(response);
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new LLMPlugRequestError(
-          `Hugging Face API request failed for model ${effectiveModelId} with status ${response.status}: ${errorBody}`,
-          this.providerName
-        );
-      }
-      return await response.json();
+        if (!response.ok) {
+          // Status and headers are kept on the error for the retry policy (e.g. 503 while the model loads)
+          // and for error classification.
+          const error = new Error(await response.text());
+          error.status = response.status;
+          error.headers = response.headers;
+          throw error;
+        }
+        return await response.json();
+      }, options);
+      return { data, attempts };
     } catch (error) {
-      if (error instanceof LLMPlugRequestError) throw error;
-      throw new LLMPlugRequestError(`Hugging Face API request error: ${error.message}`, this.providerName, error);
+      if (error.status) {
+        throw this._wrapRequestError(`Hugging Face API request failed for model ${effectiveModelId} with status ${error.status}: ${error.message}`, error);
+      }
+      throw this._wrapRequestError(`Hugging Face API request error: ${error.message}`, error);
     }
   }
 
@@ -90,6 +130,10 @@ export class HuggingFaceProvider extends BaseProvider {
     } else {
         prompt = input;
     }
+    // The Inference API has no JSON mode; the required format is stated in the prompt.
+    if (isJsonResponseFormat(options.responseFormat)) {
+        prompt = `${buildFormatInstruction(options.responseFormat)}\n\n${prompt}`;
+    }
 
     const modelId = options.model || this.modelId;
     const payload = {
@@ -108,26 +152,28 @@ export class HuggingFaceProvider extends BaseProvider {
     };
 
     try {
-      const apiResponse = await this._makeApiCall(payload, modelId, 'text-generation');
+      const { data: apiResponse, attempts } = await this._makeApiCall(payload, modelId, 'text-generation', options);
       let textContent = '';
       if (Array.isArray(apiResponse) && apiResponse.length > 0 && apiResponse[0].generated_text) {
         textContent = apiResponse[0].generated_text.trim();
       } else if (apiResponse && apiResponse.generated_text) {
         textContent = apiResponse.generated_text.trim();
       } else {
-        console.warn("HuggingFace generate: Unexpected response format", apiResponse);
+        this._warn('unexpected_response', 'generate: Unexpected response format.', { response: apiResponse });
       }
 
       // Hugging Face Inference API typically does not provide token usage directly for all models.
       // Finish reason is also not standardized.
-      return {
+      const messages = Array.isArray(input) ? input : [{ role: 'user', content: input }];
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         usage: null, // Not available in standard Inference API response
         finishReason: null, // Not available in standard Inference API response
+        attempts: attempts,
         rawResponse: apiResponse,
-      };
+      });
     } catch (error) {
-      throw new LLMPlugRequestError(`Hugging Face API generate request failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Hugging Face API generate request failed: ${error.message}`, error);
     }
   }
 
@@ -143,7 +189,7 @@ export class HuggingFaceProvider extends BaseProvider {
     let currentQuery = ""; // This will be the last user message
     let systemPrompt = "";
 
-    messages.forEach(msg => {
+    withFormatInstruction(messages, options.responseFormat).forEach(msg => {
       const contentText = typeof msg.content === 'string' ? msg.content : msg.content.map(p => p.type === 'text' ? p.text : '').join('');
 
       if (msg.role === 'system') {
@@ -203,7 +249,7 @@ export class HuggingFaceProvider extends BaseProvider {
     };
 
     try {
-      const apiResponse = await this._makeApiCall(payload, modelId, 'conversational');
+      const { data: apiResponse, attempts } = await this._makeApiCall(payload, modelId, 'conversational', options);
 
       let textContent = '';
       if (apiResponse && apiResponse.generated_text) {
@@ -214,20 +260,39 @@ export class HuggingFaceProvider extends BaseProvider {
           textContent = newResponses[newResponses.length - 1].trim();
         }
       } else {
-        console.warn("HuggingFace chat: Unexpected response format", apiResponse);
+        this._warn('unexpected_response', 'chat: Unexpected response format.', { response: apiResponse });
       }
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         usage: null,
         finishReason: null,
+        attempts: attempts,
         rawResponse: apiResponse,
-      };
+      });
     } catch (error) {
-      throw new LLMPlugRequestError(`Hugging Face API chat request failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Hugging Face API chat request failed: ${error.message}`, error);
     }
   }
 
+  /**
+   * Creates embeddings with the `feature-extraction` task. Models that return token-level
+   * vectors (plain transformers rather than sentence-transformers) are mean-pooled into one vector per text.
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const modelId = options.model || this.defaultEmbeddingModel || this.modelId;
+    return this._embedInBatches(texts, options.batchSize || HUGGINGFACE_EMBEDDING_BATCH_SIZE, async batch => {
+      const { data } = await this._makeApiCall({ inputs: batch, options: { wait_for_model: true } }, modelId, 'feature-extraction', options);
+      const embeddings = data.map(vector => Array.isArray(vector[0])
+        ? vector[0].map((_, dim) => vector.reduce((sum, token) => sum + token[dim], 0) / vector.length)
+        : vector);
+      return { embeddings, usage: null, model: modelId };
+    });
+  }
+
   /**
    * @param {string | import('../baseProvider.js').ChatMessage[]} input
    * @param {import('../baseProvider.js').GenerationOptions} [options={}]
@@ -1,4 +1,5 @@
 import { GenericOpenAICompatibleProvider } from './genericOpenAICompatibleProvider.js';
+import { fetch } from '../utils/http.js';
 
 const LLAMACPP_DEFAULT_BASE_URL = "http://localhost:8080/v1"; // Common default for llama.cpp server
 
@@ -13,10 +14,19 @@ export class LlamaCppServerProvider extends GenericOpenAICompatibleProvider {
     // The 'model' parameter passed to the OpenAI SDK might be treated as an alias or ignored if the server
     // is configured to serve a single model. If it serves multiple, then 'model' should map to the loaded model alias.
     if (!this.defaultModel) {
-        console.warn(`[${this.providerName}] Ensure the 'defaultModel' or per-call 'model' name matches a model alias/file loaded by your llama.cpp server.`);
+        this._warn('missing_default_model', `Ensure the 'defaultModel' or per-call 'model' name matches a model alias/file loaded by your llama.cpp server.`);
     }
   }
 
+  /**
+   * Uses the server's `/health` endpoint, which also fails (503) while the model is still loading.
+   * @protected
+   */
+  async _ping(signal) {
+    const response = await fetch(`${this.baseURL.replace(/\/v1\/?$/, '')}/health`, { signal });
+    if (!response.ok) throw new Error(`llama.cpp server answered with status ${response.status}`);
+  }
+
   // Inherits all methods from GenericOpenAICompatibleProvider
   // Specific overrides can be added here if llama.cpp server has unique OpenAI API quirks.
 }
\ No newline at end of file
@@ -1,6 +1,15 @@
-import MistralClient from '@mistralai/mistralai';
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError, LLMPlugToolError } from '../utils/errors.js';
+import { fetch } from '../utils/http.js';
+import { isJsonResponseFormat, isJsonSchemaFormat, withFormatInstruction } from '../utils/structuredOutput.js';
+import { usageFromOpenAI } from '../utils/usage.js';
+// Keeps the client from replacing the global fetch; it has to be imported directly before the client.
+import { releaseMistralFetchGuard } from '../utils/mistralFetchGuard.js';
+import MistralClient from '@mistralai/mistralai';
+
+releaseMistralFetchGuard();
+
+const MISTRAL_EMBEDDING_BATCH_SIZE = 128;
 
 export class MistralProvider extends BaseProvider {
   constructor(config = {}) {
@@ -8,7 +17,7 @@ export class MistralProvider extends BaseProvider {
     this.providerName = "MistralAI";
     try {
       this.apiKey = this._getApiKey('MISTRAL_API_KEY');
-      this.client = new MistralClient(this.apiKey);
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       if (error instanceof LLMPlugConfigurationError) throw error;
       throw new LLMPlugConfigurationError(`Mistral AI client initialization failed: ${error.message}`, this.providerName, error);
@@ -18,6 +27,50 @@ export class MistralProvider extends BaseProvider {
     // For chat, 'mistral-large-latest' or 'open-mixtral-8x7b' are good choices for capability.
     // 'mistral-small-latest' is a good balance.
     this.defaultModel = config.defaultModel || 'mistral-small-latest'; 
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || 'mistral-embed';
+  }
+
+  _createClient(apiKey) {
+    const client = new MistralClient(apiKey, this.config.endpoint, 1);
+    // The client's own transport retries 429/5xx, drops the status and headers of failed responses and logs to the
+    // console. Its requests are sent by `_sendRequest` instead and retried by LLMPlug like every other provider's.
+    // The client takes no AbortSignal: aborted requests are abandoned rather than cancelled.
+    client._request = (method, path, request) => this._sendRequest(client, method, path, request);
+    return client;
+  }
+
+  /**
+   * Sends a request of the Mistral client through `utils/http.js`.
+   * @param {MistralClient} client
+   * @param {'get' | 'post'} method
+   * @param {string} path - e.g. `v1/chat/completions`.
+   * @param {object} [request] - The JSON body.
+   * @returns {Promise<any>} The parsed response, or the response body of streamed requests.
+   * @protected
+   */
+  async _sendRequest(client, method, path, request) {
+    const response = await fetch(`${client.endpoint}/${path}`, {
+      method: method.toUpperCase(),
+      headers: {
+        'Accept': request?.stream ? 'text/event-stream' : 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${client.apiKey}`,
+      },
+      body: method === 'get' ? undefined : JSON.stringify(request),
+    });
+    if (!response.ok) {
+      // Same message as the client's own errors; status and headers are kept for the retry policy and error classification.
+      const error = new Error(`HTTP error! status: ${response.status} Response: \n${await response.text()}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return request?.stream ? response.body : response.json();
+  }
+
+  /** @protected */
+  async _ping() {
+    await this.client.listModels(); // The client takes no signal; `healthCheck` abandons it on timeout
   }
 
   /**
@@ -43,7 +96,7 @@ export class MistralProvider extends BaseProvider {
           .join('\n');
         
         if (msg.content.some(part => part.type === 'image_url')) {
-          console.warn(`[${this.providerName}] Image content parts are ignored as the chat API is primarily text-based.`);
+          this._warn('content_ignored', `Image content parts are ignored as the chat API is primarily text-based.`);
         }
         // If tool_output is part of content array for a 'tool' role message
         if (msg.role === 'tool' && msg.content.some(p => p.type === 'tool_output')) {
@@ -121,6 +174,7 @@ export class MistralProvider extends BaseProvider {
         model: options.model, // Allow overriding model
         temperature: options.temperature,
         maxTokens: options.maxTokens,
+        responseFormat: options.responseFormat,
         extraParams: {
             topP: options.extraParams?.topP, // Mistral uses topP
             randomSeed: options.extraParams?.randomSeed,
@@ -136,7 +190,8 @@ export class MistralProvider extends BaseProvider {
    */
   async chat(messages, options = {}) {
     const model = options.model || this.defaultModel;
-    const mistralMessages = await this._prepareMessages(messages);
+    // Mistral only offers JSON mode, so JSON Schemas are described in the system prompt.
+    const mistralMessages = await this._prepareMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
 
     const mistralTools = options.tools?.map(tool => ({
       type: 'function',
@@ -159,14 +214,14 @@ export class MistralProvider extends BaseProvider {
         // Let's simplify and assume 'auto', 'any', 'none' are the primary direct values for tool_choice.
         // If user passes object, it's more complex. For now, we only pass string values.
         if (typeof options.toolChoice !== 'string') {
-            console.warn(`[${this.providerName}] Complex tool_choice object not directly supported. Using 'auto'. Provide 'auto', 'any', or 'none'.`);
+            this._warn('unsupported_tool_choice', `Complex tool_choice object not directly supported. Using 'auto'. Provide 'auto', 'any', or 'none'.`);
             toolChoiceOption = 'auto';
         }
     }
 
 
     try {
-      const response = await this.client.chat({
+      const { result: response, attempts } = await this._withRetry(() => this.client.chat({
         model: model,
         messages: mistralMessages,
         temperature: options.temperature,
@@ -176,8 +231,8 @@ export class MistralProvider extends BaseProvider {
         // safePrompt: options.extraParams?.safePrompt, // Moderation
         tools: mistralTools,
         toolChoice: typeof toolChoiceOption === 'string' ? toolChoiceOption : 'auto', // 'auto', 'any', 'none'
-        responseFormat: options.responseFormat?.type === 'json_object' ? { type: 'json_object' } : undefined, // For JSON mode
-      });
+        responseFormat: isJsonResponseFormat(options.responseFormat) ? { type: 'json_object' } : undefined, // For JSON mode
+      }), options);
 
       const choice = response.choices[0];
       if (!choice) {
@@ -194,22 +249,19 @@ export class MistralProvider extends BaseProvider {
         },
       })) || [];
 
-      const usage = {
-        promptTokens: response.usage?.prompt_tokens,
-        completionTokens: response.usage?.completion_tokens,
-        totalTokens: response.usage?.total_tokens,
-      };
+      const usage = usageFromOpenAI(response.usage);
       
       // Mistral finish reasons: "stop", "length", "tool_calls", "error", "other"
       const finishReason = choice.finish_reason?.toLowerCase();
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        attempts: attempts,
         rawResponse: response,
-      };
+      });
     } catch (error) {
       // The Mistral client often throws errors with useful `status` and `message`
       let errorMessage = error.message;
@@ -219,7 +271,7 @@ export class MistralProvider extends BaseProvider {
       if (error.response && error.response.data && error.response.data.message) {
         errorMessage += ` - API Message: ${error.response.data.message}`;
       }
-      throw new LLMPlugRequestError(`Mistral AI API chat request failed: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Mistral AI API chat request failed: ${errorMessage}`, error);
     }
   }
 
@@ -241,6 +293,7 @@ export class MistralProvider extends BaseProvider {
         model: options.model,
         temperature: options.temperature,
         maxTokens: options.maxTokens,
+        responseFormat: options.responseFormat,
         extraParams: { topP: options.extraParams?.topP, randomSeed: options.extraParams?.randomSeed }
     });
   }
@@ -252,7 +305,8 @@ export class MistralProvider extends BaseProvider {
    */
   async *chatStream(messages, options = {}) {
     const model = options.model || this.defaultModel;
-    const mistralMessages = await this._prepareMessages(messages);
+    // Mistral only offers JSON mode, so JSON Schemas are described in the system prompt.
+    const mistralMessages = await this._prepareMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
 
     const mistralTools = options.tools?.map(tool => ({
       type: 'function',
@@ -269,7 +323,7 @@ export class MistralProvider extends BaseProvider {
     }
 
     try {
-      const stream = this.client.chatStream({
+      const { stream, attempts } = await this._openStreamWithRetry(() => this.client.chatStream({
         model: model,
         messages: mistralMessages,
         temperature: options.temperature,
@@ -279,13 +333,16 @@ export class MistralProvider extends BaseProvider {
         // safePrompt: options.extraParams?.safePrompt,
         tools: mistralTools,
         toolChoice: toolChoiceOption,
-        responseFormat: options.responseFormat?.type === 'json_object' ? { type: 'json_object' } : undefined,
-      });
-
-      let currentToolCalls = {}; // Accumulate arguments for tool calls
+        responseFormat: isJsonResponseFormat(options.responseFormat) ? { type: 'json_object' } : undefined,
+      }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const chunk of stream) {
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
         const choice = chunk.choices[0];
 
         if (choice?.delta?.content) {
@@ -293,59 +350,53 @@ export class MistralProvider extends BaseProvider {
         }
 
         if (choice?.delta?.tool_calls) {
-          const streamedToolCalls = [];
-          for (const tcDelta of choice.delta.tool_calls) {
-            // tcDelta contains index, id, type, function: { name, arguments }
-            // Arguments stream incrementally.
-            if (!currentToolCalls[tcDelta.index]) {
-              currentToolCalls[tcDelta.index] = {
-                id: tcDelta.id, // ID is usually set at the start of the tool call
-                type: 'function',
-                function: {
-                  name: tcDelta.function.name,
-                  arguments: tcDelta.function.arguments || ''
-                }
-              };
-            } else {
-                // Append to existing arguments if ID and name match (or just rely on index)
-                if (tcDelta.function.arguments) {
-                    currentToolCalls[tcDelta.index].function.arguments += tcDelta.function.arguments;
-                }
-                // Update id or name if they appear later (though usually fixed from start)
-                if (tcDelta.id) currentToolCalls[tcDelta.index].id = tcDelta.id;
-                if (tcDelta.function.name) currentToolCalls[tcDelta.index].function.name = tcDelta.function.name;
-
-            }
-            // Yield the current state of the tool call (or only when it's "complete" based on finish_reason)
-            // For simplicity, we'll yield the partial tool call with accumulated args.
-            streamedToolCalls.push({ ...currentToolCalls[tcDelta.index] });
-          }
-          if (streamedToolCalls.length > 0) {
-            chunkData.toolCalls = streamedToolCalls;
-          }
+          // Fragments are keyed by `index`; arguments arrive in pieces and are concatenated by the consumer.
+          chunkData.toolCalls = choice.delta.tool_calls.map(call => ({
+            index: call.index,
+            id: call.id,
+            type: call.type || 'function',
+            function: { name: call.function?.name, arguments: call.function?.arguments || '' },
+          }));
         }
         
         if (choice?.finish_reason) {
           chunkData.finishReason = choice.finish_reason.toLowerCase();
-          // Reset currentToolCalls for the next potential set of calls in the same stream (if possible)
-          // or typically this signals the end of this turn.
-          currentToolCalls = {};
         }
 
         // Mistral API provides usage stats in the *last* chunk of the stream for some models/endpoints
         if (chunk.usage) {
-          chunkData.usage = {
-            promptTokens: chunk.usage.prompt_tokens,
-            completionTokens: chunk.usage.completion_tokens,
-            totalTokens: chunk.usage.total_tokens,
-          };
+          chunkData.usage = usageFromOpenAI(chunk.usage);
         }
         yield chunkData;
       }
     } catch (error) {
       let errorMessage = error.message;
       if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
-      throw new LLMPlugRequestError(`Mistral AI API chat stream failed: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Mistral AI API chat stream failed: ${errorMessage}`, error);
+    }
+  }
+
+  /**
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultEmbeddingModel;
+    try {
+      // mistral-embed has a fixed output size, so `dimensions` and `inputType` are ignored.
+      return await this._embedInBatches(texts, options.batchSize || MISTRAL_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: response } = await this._withRetry(() => this.client.embeddings({ model: model, input: batch }), options);
+        return {
+          embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+          usage: usageFromOpenAI(response.usage),
+          model: response.model || model,
+        };
+      });
+    } catch (error) {
+      let errorMessage = error.message;
+      if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
+      throw this._wrapRequestError(`Mistral AI API embeddings request failed: ${errorMessage}`, error);
     }
   }
-}
\ No newline at end of file
+}
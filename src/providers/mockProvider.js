@@ -0,0 +1,384 @@
+import { BaseProvider } from './baseProvider.js';
+import {
+  LLMPlugError,
+  LLMPlugConfigurationError,
+  LLMPlugRequestError,
+  LLMPlugRateLimitError,
+  LLMPlugAuthenticationError,
+  LLMPlugContextLengthError,
+  LLMPlugContentFilterError,
+  LLMPlugTimeoutError,
+  LLMPlugAbortError,
+  LLMPlugModelNotFoundError,
+  LLMPlugBudgetExceededError,
+  LLMPlugCircuitOpenError,
+  LLMPlugToolError,
+  LLMPlugOutputValidationError,
+} from '../utils/errors.js';
+import { sleep } from '../utils/retry.js';
+import { estimateCompletionTokens, estimatePromptTokens, estimateTextTokens } from '../utils/tokenEstimate.js';
+
+const MOCK_DEFAULT_MODEL = "mock-model";
+const MOCK_DEFAULT_CHUNK_SIZE = 8; // Characters of text per stream chunk
+const MOCK_DEFAULT_DIMENSIONS = 8;
+
+// Request errors a real provider would raise for an HTTP failure, with the status it would report.
+const REQUEST_ERROR_TYPES = {
+  request: { ErrorClass: LLMPlugRequestError, statusCode: 500, retryable: true },
+  rate_limit: { ErrorClass: LLMPlugRateLimitError, statusCode: 429 },
+  authentication: { ErrorClass: LLMPlugAuthenticationError, statusCode: 401 },
+  context_length: { ErrorClass: LLMPlugContextLengthError, statusCode: 400 },
+  content_filter: { ErrorClass: LLMPlugContentFilterError, statusCode: 400 },
+  timeout: { ErrorClass: LLMPlugTimeoutError },
+  abort: { ErrorClass: LLMPlugAbortError },
+  model_not_found: { ErrorClass: LLMPlugModelNotFoundError, statusCode: 404 },
+};
+
+/**
+ * An error for the mock to throw, named by type: 'error' (plain LLMPlugError), 'configuration', 'request', 'rate_limit',
+ * 'authentication', 'context_length', 'content_filter', 'timeout', 'abort', 'model_not_found', 'budget_exceeded',
+ * 'circuit_open', 'tool' or 'output_validation'. The other fields are passed to the error class.
+ * @typedef {Object} MockErrorSpec
+ * @property {string} type
+ * @property {string} [message]
+ * @property {number} [statusCode]
+ * @property {boolean} [retryable]
+ * @property {number} [retryAfterMs] - For 'rate_limit' and 'circuit_open'.
+ * @property {string} [providerErrorCode]
+ * @property {string} [limit] - For 'budget_exceeded'.
+ * @property {string} [toolName] - For 'tool'.
+ * @property {string[]} [validationErrors] - For 'output_validation'.
+ */
+
+/**
+ * A scripted answer. Strings are short for `{ text }`.
+ * @typedef {Object} MockResponse
+ * @property {string | null} [text]
+ * @property {(import('./baseProvider.js').ToolCall | {id?: string, name: string, arguments?: string | object})[]} [toolCalls] - Full
+ *   ToolCalls, or `{ name, arguments }` with the arguments as an object or JSON string.
+ * @property {string} [finishReason] - Defaults to 'tool_calls' when there are tool calls, otherwise 'stop'.
+ * @property {import('./baseProvider.js').UsageData | null} [usage] - Defaults to an estimate from the prompt and the answer, reported as
+ *   the backend's own; null reports none, like a backend without usage, so the result carries LLMPlug's estimate (`estimated: true`).
+ * @property {string} [model] - Defaults to the requested model.
+ * @property {any} [rawResponse]
+ * @property {(string | import('./baseProvider.js').GenerationStreamChunk)[]} [chunks] - Stream chunks to yield instead of
+ *   splitting `text` into `config.chunkSize` pieces. Strings are text chunks. `finishReason` and `usage` still come last.
+ * @property {number[][]} [embeddings] - For `embed`; one vector per text.
+ * @property {Error | MockErrorSpec | string} [error] - Fail with this error instead of answering. A string is an error type.
+ *   Errors that are not LLMPlug errors are classified like vendor SDK errors (by their `status`).
+ * @property {number} [errorAfterChunks] - For streams: yield this many chunks first, then fail with `error`.
+ * @property {number} [delayMs] - Latency before the answer (or the first chunk).
+ * @property {number} [chunkDelayMs] - Latency between stream chunks.
+ */
+
+/**
+ * A request the mock received. Every request attempt is recorded, so retries appear as separate calls.
+ * @typedef {Object} MockCall
+ * @property {number} index - Position in `calls`.
+ * @property {'chat' | 'generate' | 'chatStream' | 'generateStream' | 'embed'} method
+ * @property {string} model
+ * @property {string | import('./baseProvider.js').ChatMessage[] | string[]} input - The first argument as the mock received it
+ *   (after middleware): a prompt, messages, or the texts to embed.
+ * @property {import('./baseProvider.js').ChatMessage[]} [messages] - `input` as chat messages, for the generation methods.
+ * @property {import('./baseProvider.js').GenerationOptions & import('./baseProvider.js').EmbeddingOptions} options
+ * @property {number} attempt - 1-based attempt of the call under the retry policy.
+ * @property {number} timestamp - Epoch milliseconds.
+ */
+
+/**
+ * Computes the answer to a call when no scripted response is queued.
+ * @callback MockHandler
+ * @param {MockCall} call
+ * @returns {MockResponse | string | Promise<MockResponse | string>}
+ */
+
+/**
+ * A provider that answers from a script instead of a vendor API, for testing code built on LLMPlug.
+ * Answers come from the queue (`config.responses`, `enqueue()`) first, then from `config.handler`.
+ *
+ * Calls go through the same pipeline as the real providers (middleware, caches, budgets, rate limits, events,
+ * `signal`/`timeoutMs`), and results and chunks have the same shape. Retries are off unless `config.retry` is given,
+ * so a scripted error reaches the caller as is; with a retry policy, each attempt takes the next response.
+ */
+export class MockProvider extends BaseProvider {
+  /**
+   * @param {object} [config={}]
+   * @param {(MockResponse | string)[]} [config.responses] - Answers for the next calls, in order.
+   * @param {MockHandler} [config.handler] - Answers calls once the queue is empty. Without it, such calls fail with
+   *   LLMPlugConfigurationError, except `embed`, which then returns vectors derived from the texts.
+   * @param {string} [config.defaultModel='mock-model']
+   * @param {number} [config.chunkSize=8] - Characters of text per stream chunk.
+   * @param {number} [config.dimensions=8] - Length of the derived embedding vectors.
+   * @param {boolean} [config.healthy=true] - What `healthCheck()` reports; can be changed later through `healthy`.
+   */
+  constructor(config = {}) {
+    super({ ...config, retry: config.retry ?? false });
+    this.providerName = "Mock";
+    this.defaultModel = config.defaultModel || config.model || MOCK_DEFAULT_MODEL;
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || this.defaultModel;
+    this.handler = config.handler || null;
+    this.chunkSize = config.chunkSize || MOCK_DEFAULT_CHUNK_SIZE;
+    this.dimensions = config.dimensions || MOCK_DEFAULT_DIMENSIONS;
+    this.healthy = config.healthy ?? true;
+    /** @type {MockCall[]} */
+    this.calls = [];
+    /** @type {(MockResponse | string)[]} */
+    this.queue = [...(config.responses || [])];
+    this._toolCallCount = 0;
+  }
+
+  /**
+   * Adds answers for the next calls, after those already queued.
+   * @param {...(MockResponse | string)} responses
+   * @returns {this}
+   */
+  enqueue(...responses) {
+    this.queue.push(...responses);
+    return this;
+  }
+
+  /**
+   * Forgets the recorded calls and the queued answers.
+   * @returns {this}
+   */
+  reset() {
+    this.calls = [];
+    this.queue = [];
+    return this;
+  }
+
+  /** @type {MockCall | undefined} */
+  get lastCall() {
+    return this.calls[this.calls.length - 1];
+  }
+
+  /** @protected */
+  async _ping() {
+    if (!this.healthy) throw new Error("Mock provider is set to unhealthy");
+  }
+
+  _prepareInputAsMessages(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+    if (Array.isArray(input)) return input;
+    throw new LLMPlugRequestError("Invalid input type for generate. Must be string or ChatMessage[].", this.providerName);
+  }
+
+  /**
+   * Records a request attempt and takes its answer from the queue or the handler.
+   * @param {MockCall} call
+   * @returns {Promise<MockResponse | null>} Null if nothing is scripted.
+   * @protected
+   */
+  async _nextResponse(call) {
+    call.index = this.calls.length;
+    // Copies, as a server would receive them; callers such as `runTools` keep appending to their transcript.
+    if (Array.isArray(call.input)) call.input = [...call.input];
+    if (call.messages) call.messages = [...call.messages];
+    this.calls.push(call);
+    let response;
+    if (this.queue.length > 0) {
+      response = this.queue.shift();
+    } else if (this.handler) {
+      response = await this.handler(call);
+    } else {
+      return null;
+    }
+    return typeof response === 'string' ? { text: response } : (response || {});
+  }
+
+  _noResponseError(method) {
+    return new LLMPlugConfigurationError(`No scripted response left for ${method}. Queue one with enqueue() or set a handler.`, this.providerName);
+  }
+
+  /**
+   * Builds the error a scripted response asks for.
+   * @param {Error | MockErrorSpec | string} spec
+   * @returns {Error}
+   * @protected
+   */
+  _createError(spec) {
+    if (spec instanceof Error) return spec;
+    const { type, message, ...details } = typeof spec === 'string' ? { type: spec } : spec;
+    const errorMessage = `[${this.providerName}] ${message || `Simulated ${type} error`}`;
+    const requestError = REQUEST_ERROR_TYPES[type];
+    if (requestError) {
+      const { ErrorClass, ...defaults } = requestError;
+      const error = new ErrorClass(errorMessage, this.providerName, null, { ...defaults, ...details });
+      if (details.retryAfterMs !== undefined) error.retryAfterMs = details.retryAfterMs;
+      return error;
+    }
+    switch (type) {
+      case 'error': return new LLMPlugError(errorMessage, this.providerName);
+      case 'configuration': return new LLMPlugConfigurationError(errorMessage, this.providerName);
+      case 'budget_exceeded': return new LLMPlugBudgetExceededError(errorMessage, this.providerName, details);
+      case 'circuit_open': return new LLMPlugCircuitOpenError(errorMessage, this.providerName, details);
+      case 'tool': return new LLMPlugToolError(errorMessage, this.providerName, details.toolName);
+      case 'output_validation': return new LLMPlugOutputValidationError(errorMessage, this.providerName, details);
+      default:
+        throw new LLMPlugConfigurationError(`Unknown mock error type '${type}'.`, this.providerName);
+    }
+  }
+
+  _normalizeToolCalls(toolCalls) {
+    return toolCalls.map(call => {
+      const id = call.id || `call_mock_${++this._toolCallCount}`;
+      if (call.function) return { id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments } };
+      const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {});
+      return { id, type: 'function', function: { name: call.name, arguments: args } };
+    });
+  }
+
+  /**
+   * Turns a scripted response into a GenerationResult, filling in the defaults.
+   * @returns {import('./baseProvider.js').GenerationResult}
+   * @protected
+   */
+  _buildResult(response, messages, options, model) {
+    const text = response.text ?? null;
+    const toolCalls = response.toolCalls?.length ? this._normalizeToolCalls(response.toolCalls) : undefined;
+    let usage = response.usage;
+    if (usage === undefined) {
+      const promptTokens = estimatePromptTokens(messages, options.tools);
+      const completionTokens = estimateCompletionTokens(text, toolCalls);
+      usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+    return {
+      text,
+      toolCalls,
+      usage,
+      finishReason: response.finishReason || (toolCalls ? 'tool_calls' : 'stop'),
+      model: response.model || model,
+      rawResponse: response.rawResponse ?? response,
+    };
+  }
+
+  async _respond(method, input, options) {
+    const messages = this._prepareInputAsMessages(input);
+    const model = options.model || this.defaultModel;
+    let completion;
+    try {
+      completion = await this._withRetry(async (attempt, signal) => {
+        const response = await this._nextResponse({ method, model, input, messages, options, attempt, timestamp: Date.now() });
+        if (!response) throw this._noResponseError(method);
+        if (response.delayMs) await sleep(response.delayMs, signal);
+        if (response.error) throw this._createError(response.error);
+        return this._buildResult(response, messages, options, model);
+      }, options);
+    } catch (error) {
+      throw this._wrapRequestError(`Mock ${method} request failed for model ${model}: ${error.message}`, error);
+    }
+    return this._applyResponseFormat(messages, options, { ...completion.result, attempts: completion.attempts });
+  }
+
+  /**
+   * The chunks of a scripted stream: the text (or `response.chunks`), then the tool calls,
+   * then a last chunk with the finish reason and usage.
+   * @protected
+   */
+  _buildChunks(response, messages, options, model) {
+    const result = this._buildResult(response, messages, options, model);
+    const chunks = [];
+    if (response.chunks) {
+      chunks.push(...response.chunks.map(chunk => (typeof chunk === 'string' ? { text: chunk } : { ...chunk })));
+    } else if (result.text) {
+      for (let start = 0; start < result.text.length; start += this.chunkSize) {
+        chunks.push({ text: result.text.slice(start, start + this.chunkSize) });
+      }
+    }
+    if (result.toolCalls) {
+      chunks.push({ toolCalls: result.toolCalls.map((call, index) => ({ index, ...call })) });
+    }
+    const last = { finishReason: result.finishReason };
+    if (result.usage) last.usage = result.usage;
+    if (result.model !== model) last.model = result.model;
+    chunks.push(last);
+    return chunks;
+  }
+
+  async *_respondStream(method, input, options) {
+    const messages = this._prepareInputAsMessages(input);
+    const model = options.model || this.defaultModel;
+    const provider = this;
+    let attempt = 0;
+    const createStream = signal => (async function* () {
+      const response = await provider._nextResponse({ method, model, input, messages, options, attempt: ++attempt, timestamp: Date.now() });
+      if (!response) throw provider._noResponseError(method);
+      if (response.delayMs) await sleep(response.delayMs, signal);
+      const chunks = provider._buildChunks(response, messages, options, model);
+      const failAt = response.error ? (response.errorAfterChunks ?? 0) : Infinity;
+      for (let index = 0; index < chunks.length; index++) {
+        if (index === failAt) throw provider._createError(response.error);
+        if (index > 0 && response.chunkDelayMs) await sleep(response.chunkDelayMs, signal);
+        yield { ...chunks[index], rawChunk: chunks[index] };
+      }
+      if (failAt !== Infinity) throw provider._createError(response.error);
+    })();
+
+    try {
+      const { stream, attempts } = await this._openStreamWithRetry(createStream, options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
+      for await (const chunk of stream) {
+        if (pendingAttempts) {
+          chunk.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
+        yield chunk;
+      }
+    } catch (error) {
+      throw this._wrapRequestError(`Mock ${method} stream failed for model ${model}: ${error.message}`, error);
+    }
+  }
+
+  async generate(input, options = {}) {
+    return this._respond('generate', input, options);
+  }
+
+  async chat(messages, options = {}) {
+    return this._respond('chat', messages, options);
+  }
+
+  async *generateStream(input, options = {}) {
+    yield* this._respondStream('generateStream', input, options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    yield* this._respondStream('chatStream', messages, options);
+  }
+
+  /**
+   * Returns the scripted `embeddings`, or vectors derived from the texts (equal texts get equal vectors).
+   * @param {string | string[]} texts
+   * @param {import('./baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('./baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultEmbeddingModel;
+    try {
+      return await this._embedInBatches(texts, options.batchSize || Infinity, async batch => {
+        const { result } = await this._withRetry(async (attempt, signal) => {
+          const response = await this._nextResponse({ method: 'embed', model, input: batch, options, attempt, timestamp: Date.now() });
+          if (response?.delayMs) await sleep(response.delayMs, signal);
+          if (response?.error) throw this._createError(response.error);
+          const embeddings = response?.embeddings || batch.map(text => this._deriveEmbedding(text, options.dimensions || this.dimensions));
+          const promptTokens = batch.reduce((sum, text) => sum + estimateTextTokens(text), 0);
+          return { embeddings, usage: response?.usage ?? { promptTokens, totalTokens: promptTokens }, model: response?.model || model };
+        }, options);
+        return result;
+      });
+    } catch (error) {
+      throw this._wrapRequestError(`Mock embeddings request failed for model ${model}: ${error.message}`, error);
+    }
+  }
+
+  /** A deterministic unit vector from a string hash, so equal texts compare as identical. */
+  _deriveEmbedding(text, dimensions) {
+    let hash = 2166136261;
+    const vector = [];
+    for (let i = 0; i < dimensions; i++) {
+      for (const char of `${i}:${text}`) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+      vector.push(((hash >>> 0) / 4294967295) * 2 - 1);
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
@@ -1,16 +1,22 @@
 import OpenAI from 'openai'; // We'll use the OpenAI SDK configured for Ollama's OpenAI-compatible endpoint
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
-import fetch from 'node-fetch'; // For Ollama-specific API calls like listing models
+import { isJsonResponseFormat, isJsonSchemaFormat, withFormatInstruction } from '../utils/structuredOutput.js';
+import { usageFromOpenAI } from '../utils/usage.js';
+import { fetch } from '../utils/http.js'; // For Ollama-specific API calls like listing models
 
 const OLLAMA_DEFAULT_BASE_URL = "http://localhost:11434/v1"; // OpenAI-compatible endpoint
 const OLLAMA_NATIVE_API_BASE_URL = "http://localhost:11434/api"; // For native Ollama features
+const OLLAMA_EMBEDDING_BATCH_SIZE = 512;
 
 export class OllamaProvider extends BaseProvider {
   constructor(config = {}) {
     super(config);
     this.providerName = "Ollama";
 
+    if (this.apiKeyPool) {
+      throw new LLMPlugConfigurationError("Ollama does not use API keys, so it does not support `apiKeys` rotation.", this.providerName);
+    }
     // API key is not typically required for local Ollama, pass a dummy one if SDK insists
     this.apiKey = config.apiKey || 'ollama-no-key'; // Dummy key, not used by Ollama server
     
@@ -20,17 +26,19 @@ export class OllamaProvider extends BaseProvider {
     // Model is crucial for Ollama. It must be specified.
     this.defaultModel = config.defaultModel || config.model; 
     if (!this.defaultModel) {
-        console.warn(`[${this.providerName}] No defaultModel specified. You'll need to provide a model for each call. Make sure the model is pulled in Ollama.`);
+        this._warn('missing_default_model', `No defaultModel specified. You'll need to provide a model for each call. Make sure the model is pulled in Ollama.`);
     }
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel; // e.g. "nomic-embed-text"; falls back to defaultModel
 
     const openAIConfig = {
       apiKey: this.apiKey, // Will be ignored by Ollama if not configured to require one
       baseURL: this.baseURL,
+      maxRetries: 0, // Retries are handled by LLMPlug's retry policy
       dangerouslyAllowBrowser: false,
     };
 
     try {
-      this.client = new OpenAI(openAIConfig);
+      this.client = this._observeClientResponses(new OpenAI(openAIConfig));
     } catch (error) {
       throw new LLMPlugConfigurationError(`Ollama (OpenAI SDK) client initialization failed: ${error.message}`, this.providerName, error);
     }
@@ -46,7 +54,10 @@ export class OllamaProvider extends BaseProvider {
   _formatMessages(messages) {
     return messages.map(msg => {
       let contentForAPI;
-      if (Array.isArray(msg.content)) {
+      const toolOutput = this._toolOutputText(msg);
+      if (toolOutput !== undefined) {
+        contentForAPI = toolOutput; // Tool results are sent as a plain string
+      } else if (Array.isArray(msg.content)) {
         contentForAPI = msg.content.map(part => {
           if (part.type === 'text') {
             return { type: 'text', text: part.text };
@@ -57,7 +68,7 @@ export class OllamaProvider extends BaseProvider {
             // For LLaVA, Ollama expects images in the 'images' array at the top level of the request,
             // not inline in content parts. This provider currently doesn't adapt to that native LLaVA/Ollama format.
             // This OpenAI-compatible path assumes the model can take image_url like GPT-4V.
-            console.warn(`[${this.providerName}] Image_url content is passed through but support depends on the specific Ollama model and its OpenAI API compatibility for vision. Native Ollama LLaVA format for images is different.`);
+            this._warn('content_passthrough', `Image_url content is passed through but support depends on the specific Ollama model and its OpenAI API compatibility for vision. Native Ollama LLaVA format for images is different.`);
             return { type: 'image_url', image_url: { url: part.image_url.url, detail: part.image_url.detail || 'auto' } };
           }
           return null;
@@ -93,6 +104,12 @@ export class OllamaProvider extends BaseProvider {
     return model;
   }
 
+  /** @protected */
+  async _ping(signal) {
+    const response = await fetch(`${this.nativeBaseURL}/tags`, { signal });
+    if (!response.ok) throw new Error(`Ollama server answered with status ${response.status}`);
+  }
+
   async generate(input, options = {}) {
     const messages = this._prepareInputAsMessages(input);
     return this.chat(messages, options);
@@ -100,7 +117,8 @@ export class OllamaProvider extends BaseProvider {
 
   async chat(messages, options = {}) {
     const model = this._getModel(options);
-    const formattedMessages = this._formatMessages(messages);
+    // JSON Schemas are described in the system prompt; JSON mode below keeps the output parseable.
+    const formattedMessages = this._formatMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
 
     // Ollama specific options can be passed via extraParams.options
     // e.g., num_ctx, seed, stop, etc.
@@ -120,7 +138,7 @@ export class OllamaProvider extends BaseProvider {
       stop: options.stopSequences,   // Maps to 'stop' parameter in Ollama
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat, // For JSON mode, if model supports it
+      response_format: isJsonResponseFormat(options.responseFormat) ? { type: 'json_object' } : undefined, // Ollama maps JSON mode to `format: "json"`
       top_p: options.extraParams?.topP,
       stream: false,
       options: { // Native Ollama parameters go here when using OpenAI SDK with Ollama
@@ -139,7 +157,7 @@ export class OllamaProvider extends BaseProvider {
     Object.keys(requestParams).forEach(key => requestParams[key] === undefined && delete requestParams[key]);
 
     try {
-      const completion = await this.client.chat.completions.create(requestParams);
+      const { result: completion, attempts } = await this._withRetry((attempt, signal) => this.client.chat.completions.create(requestParams, { signal }), options);
       const choice = completion.choices[0];
       if (!choice) throw new LLMPlugRequestError("Ollama API returned no choices.", this.providerName, completion);
       
@@ -150,23 +168,18 @@ export class OllamaProvider extends BaseProvider {
         function: { name: call.function.name, arguments: call.function.arguments },
       })) || [];
 
-      // Ollama's OpenAI compatible endpoint might not return detailed token usage.
-      // Native API does for /api/generate and /api/chat
-      const usage = {
-        promptTokens: completion.usage?.prompt_tokens, // Often 0 or null from Ollama OpenAI endpoint
-        completionTokens: completion.usage?.completion_tokens, // Often the count of generated tokens
-        totalTokens: completion.usage?.total_tokens,
-      };
+      // Older Ollama versions' OpenAI compatible endpoint might not return token usage; it is estimated then.
+      const usage = usageFromOpenAI(completion.usage);
       const finishReason = choice.finish_reason?.toLowerCase();
 
-      return { text: textContent, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, usage, finishReason, rawResponse: completion };
+      return this._applyResponseFormat(messages, options, { text: textContent, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, usage, finishReason, attempts, rawResponse: completion });
     } catch (error) {
       let errorMessage = error.message;
       if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
       if (error.message.includes("Connection refused")) {
         errorMessage = `Connection refused. Is Ollama server running at ${this.baseURL}? ${error.message}`;
       }
-      throw new LLMPlugRequestError(`Ollama API chat request failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Ollama API chat request failed for model ${model}: ${errorMessage}`, error);
     }
   }
 
@@ -177,7 +190,8 @@ export class OllamaProvider extends BaseProvider {
 
   async *chatStream(messages, options = {}) {
     const model = this._getModel(options);
-    const formattedMessages = this._formatMessages(messages);
+    // JSON Schemas are described in the system prompt; JSON mode below keeps the output parseable.
+    const formattedMessages = this._formatMessages(isJsonSchemaFormat(options.responseFormat) ? withFormatInstruction(messages, options.responseFormat) : messages);
     const ollamaOptions = options.extraParams?.ollamaOptions || {};
 
     const requestParams = {
@@ -188,9 +202,10 @@ export class OllamaProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: isJsonResponseFormat(options.responseFormat) ? { type: 'json_object' } : undefined,
       top_p: options.extraParams?.topP,
       stream: true,
+      stream_options: { include_usage: true }, // Usage comes in a last chunk without choices
       options: {
         temperature: options.temperature,
         num_predict: options.maxTokens, // Max tokens for the whole generation in stream
@@ -207,51 +222,37 @@ export class OllamaProvider extends BaseProvider {
 
 
     try {
-      const stream = await this.client.chat.completions.create(requestParams);
-      let currentToolCallsState = {};
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.chat.completions.create(requestParams, { signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const chunk of stream) {
-        const choice = chunk.choices[0];
-        if (!choice) continue;
+        const choice = chunk.choices?.[0];
+        if (!choice && !chunk.usage) continue;
 
-        const delta = choice.delta;
-        const finishReason = choice.finish_reason?.toLowerCase();
+        const delta = choice?.delta;
+        const finishReason = choice?.finish_reason?.toLowerCase();
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (delta?.content) chunkData.text = delta.content;
 
         if (delta?.tool_calls) {
-          const processedToolCalls = [];
-          for (const tcDelta of delta.tool_calls) {
-            const index = tcDelta.index;
-            if (tcDelta.id) {
-              currentToolCallsState[index] = { id: tcDelta.id, type: 'function', function: { name: tcDelta.function?.name || '', arguments: tcDelta.function?.arguments || '' }};
-            } else if (currentToolCallsState[index] && tcDelta.function) {
-              if (tcDelta.function.name) currentToolCallsState[index].function.name = tcDelta.function.name;
-              if (tcDelta.function.arguments) currentToolCallsState[index].function.arguments += tcDelta.function.arguments;
-            }
-            if(currentToolCallsState[index]) processedToolCalls.push({ ...currentToolCallsState[index] });
-          }
-          if (processedToolCalls.length > 0) chunkData.toolCalls = processedToolCalls;
+          // Fragments are keyed by `index`; arguments arrive in pieces and are concatenated by the consumer.
+          chunkData.toolCalls = delta.tool_calls.map(call => ({
+            index: call.index,
+            id: call.id,
+            type: call.type || 'function',
+            function: { name: call.function?.name, arguments: call.function?.arguments || '' },
+          }));
         }
         
         if (finishReason) {
             chunkData.finishReason = finishReason;
-            currentToolCallsState = {}; 
-             // For Ollama, the final "usage" or metrics come from the 'done' event in native API stream
-             // The OpenAI compatible stream might not provide it, or it's in the last chunk non-delta part.
-             // The raw chunk for Ollama's native stream format would have `eval_count`, `eval_duration` etc. on `done:true`
-             // We try to get it from `chunk.x_ollama_meta` if OpenAI SDK surfaces it or `completion.usage` if it was the last part.
-            if (chunk.x_ollama_meta) { // Hypothetical field, check actual SDK output if it provides native stats
-                chunkData.usage = {
-                    promptTokens: chunk.x_ollama_meta.prompt_eval_count,
-                    completionTokens: chunk.x_ollama_meta.eval_count,
-                    // totalTokens: undefined, // Needs to be calculated or is not provided
-                };
-            } else if (chunk.usage) { // Standard OpenAI SDK final usage object
-                 chunkData.usage = chunk.usage;
-            }
         }
+        if (chunk.usage) chunkData.usage = usageFromOpenAI(chunk.usage);
         yield chunkData;
       }
     } catch (error) {
@@ -260,7 +261,44 @@ export class OllamaProvider extends BaseProvider {
       if (error.message.includes("Connection refused")) {
         errorMessage = `Connection refused. Is Ollama server running at ${this.baseURL}? ${error.message}`;
       }
-      throw new LLMPlugRequestError(`Ollama API chat stream failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`Ollama API chat stream failed for model ${model}: ${errorMessage}`, error);
+    }
+  }
+
+  /**
+   * Creates embeddings with Ollama's native `/api/embed` endpoint, which accepts batched input.
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = this._getModel({ model: options.model || this.defaultEmbeddingModel });
+    try {
+      return await this._embedInBatches(texts, options.batchSize || OLLAMA_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: data } = await this._withRetry(async (attempt, signal) => {
+          const response = await fetch(`${this.nativeBaseURL}/embed`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: model, input: batch, ...(options.dimensions && { dimensions: options.dimensions }) }),
+            signal,
+          });
+          if (!response.ok) {
+            const error = new Error(await response.text());
+            error.status = response.status;
+            throw error;
+          }
+          return response.json();
+        }, options);
+        return {
+          embeddings: data.embeddings,
+          usage: data.prompt_eval_count !== undefined ? { promptTokens: data.prompt_eval_count, totalTokens: data.prompt_eval_count } : null,
+          model: data.model || model,
+        };
+      });
+    } catch (error) {
+      let errorMessage = error.message;
+      if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
+      throw this._wrapRequestError(`Ollama API embeddings request failed for model ${model}: ${errorMessage}`, error);
     }
   }
 
@@ -269,19 +307,22 @@ export class OllamaProvider extends BaseProvider {
   /**
    * Lists models available locally in Ollama.
    * Uses Ollama's native API.
+   * @param {{signal?: AbortSignal, timeoutMs?: number}} [options={}]
    * @returns {Promise<string[]>} Array of model names.
    */
-  async listLocalModels() {
+  async listLocalModels(options = {}) {
     try {
-      const response = await fetch(`${this.nativeBaseURL}/tags`);
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`Failed to list Ollama models (status ${response.status}): ${errorBody}`);
-      }
-      const data = await response.json();
-      return data.models.map(model => model.name);
+      return await this._withRequestSignal(options, async signal => {
+        const response = await fetch(`${this.nativeBaseURL}/tags`, { signal });
+        if (!response.ok) {
+          const errorBody = await response.text();
+          throw new Error(`Failed to list Ollama models (status ${response.status}): ${errorBody}`);
+        }
+        const data = await response.json();
+        return data.models.map(model => model.name);
+      });
     } catch (error) {
-      throw new LLMPlugRequestError(`Failed to list Ollama models: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Failed to list Ollama models: ${error.message}`, error);
     }
   }
 
@@ -290,29 +331,33 @@ export class OllamaProvider extends BaseProvider {
    * Uses Ollama's native API.
    * @param {string} modelName - The name of the model to pull (e.g., "llama3:8b", "mistral:latest").
    * @param {boolean} [stream=false] - Whether to stream progress.
+   * @param {{signal?: AbortSignal, timeoutMs?: number}} [options={}] - When streaming, these only cover the wait for the response headers.
    * @returns {Promise<any | AsyncIterable<any>>} Status or stream of progress.
    */
-  async pullModel(modelName, stream = false) {
+  async pullModel(modelName, stream = false, options = {}) {
     try {
-      const response = await fetch(`${this.nativeBaseURL}/pull`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: modelName, stream: stream }),
+      return await this._withRequestSignal(options, async signal => {
+        const response = await fetch(`${this.nativeBaseURL}/pull`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: modelName, stream: stream }),
+          signal,
+        });
+        if (!response.ok) {
+          const errorBody = await response.text();
+          throw new Error(`Failed to pull Ollama model ${modelName} (status ${response.status}): ${errorBody}`);
+        }
+        if (stream) {
+          // Need to adapt this to an AsyncIterable<string> or similar for progress
+          // For now, let's return the raw stream body if user wants to handle it.
+          // Or parse line by line.
+          this._warn('stream_passthrough', `Streaming pull progress requires custom handling of the response body stream.`);
+          return response.body; // User needs to handle this ReadableStream
+        }
+        return await response.json(); // Final status
       });
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`Failed to pull Ollama model ${modelName} (status ${response.status}): ${errorBody}`);
-      }
-      if (stream) {
-        // Need to adapt this to an AsyncIterable<string> or similar for progress
-        // For now, let's return the raw stream body if user wants to handle it.
-        // Or parse line by line.
-        console.warn(`[${this.providerName}] Streaming pull progress requires custom handling of the response body stream.`);
-        return response.body; // User needs to handle this ReadableStream
-      }
-      return await response.json(); // Final status
     } catch (error) {
-      throw new LLMPlugRequestError(`Failed to pull Ollama model ${modelName}: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`Failed to pull Ollama model ${modelName}: ${error.message}`, error);
     }
   }
 }
\ No newline at end of file
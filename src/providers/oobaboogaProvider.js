@@ -13,7 +13,7 @@ export class OobaboogaProvider extends GenericOpenAICompatibleProvider {
     // The 'model' parameter in the request is often used by the extension to ensure
     // it matches, or it might be ignored if only one model is active.
     if (!this.defaultModel) {
-        console.warn(`[${this.providerName}] 'defaultModel' or per-call 'model' should ideally match the model loaded in Oobabooga Text Generation WebUI. It might be ignored by the server if only one model is active.`);
+        this._warn('missing_default_model', `'defaultModel' or per-call 'model' should ideally match the model loaded in Oobabooga Text Generation WebUI. It might be ignored by the server if only one model is active.`);
     }
   }
 
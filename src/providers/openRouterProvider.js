@@ -1,6 +1,8 @@
 import OpenAI from 'openai'; // We'll use the OpenAI SDK configured for OpenRouter
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { toOpenAIResponseFormat } from '../utils/structuredOutput.js';
+import { usageFromOpenAI } from '../utils/usage.js';
 
 const OPENROUTER_API_BASE_URL = "https://openrouter.ai/api/v1";
 
@@ -21,13 +23,21 @@ export class OpenRouterProvider extends BaseProvider {
     // Format: "vendor/model" e.g., "openai/gpt-3.5-turbo", "mistralai/mistral-7b-instruct"
     this.defaultModel = config.defaultModel; // User can set a default model in config
     if (!this.defaultModel && !config.model) { // model can be an alias for defaultModel
-        console.warn(`[${this.providerName}] No defaultModel specified. You'll need to provide a model for each call.`);
+        this._warn('missing_default_model', `No defaultModel specified. You'll need to provide a model for each call.`);
     }
     this.defaultModel = this.defaultModel || config.model;
 
+    try {
+      this.client = this._createClient(this.apiKey);
+    } catch (error) {
+      throw new LLMPlugConfigurationError(`OpenRouter (OpenAI SDK) client initialization failed: ${error.message}`, this.providerName, error);
+    }
+  }
 
-    const openAIConfig = {
-      apiKey: this.apiKey,
+  _createClient(apiKey) {
+    const config = this.config;
+    return this._observeClientResponses(new OpenAI({
+      apiKey,
       baseURL: config.baseURL || OPENROUTER_API_BASE_URL,
       defaultHeaders: {
         // OpenRouter recommends these headers
@@ -35,14 +45,14 @@ export class OpenRouterProvider extends BaseProvider {
         'X-Title': config.xTitle || 'LLMPlug Application',        // Replace with your app name
         ...(config.extraHeaders || {}),
       },
+      maxRetries: 0, // Retries are handled by LLMPlug's retry policy
       dangerouslyAllowBrowser: false, // Ensure this is false for server-side usage
-    };
+    }));
+  }
 
-    try {
-      this.client = new OpenAI(openAIConfig);
-    } catch (error) {
-      throw new LLMPlugConfigurationError(`OpenRouter (OpenAI SDK) client initialization failed: ${error.message}`, this.providerName, error);
-    }
+  /** @protected */
+  async _ping(signal) {
+    await this.client.models.list({ signal });
   }
 
   /**
@@ -54,7 +64,10 @@ export class OpenRouterProvider extends BaseProvider {
   _formatMessages(messages) {
     return messages.map(msg => {
       let contentForAPI;
-      if (Array.isArray(msg.content)) {
+      const toolOutput = this._toolOutputText(msg);
+      if (toolOutput !== undefined) {
+        contentForAPI = toolOutput; // Tool results are sent as a plain string
+      } else if (Array.isArray(msg.content)) {
         contentForAPI = msg.content.map(part => {
           if (part.type === 'text') {
             return { type: 'text', text: part.text };
@@ -63,7 +76,7 @@ export class OpenRouterProvider extends BaseProvider {
             return { type: 'image_url', image_url: { url: part.image_url.url, detail: part.image_url.detail || 'auto' } };
           }
           // Other content types like tool_code/tool_output are not directly part of message content array for OpenAI spec
-          console.warn(`[${this.providerName}] Unsupported content part type '${part.type}' in message content array.`);
+          this._warn('unsupported_content', `Unsupported content part type '${part.type}' in message content array.`);
           return null;
         }).filter(Boolean);
         // If all parts were filtered (e.g. only unsupported types), use an empty string or handle error
@@ -142,7 +155,7 @@ export class OpenRouterProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools, // Assumes OpenAI tool format
       tool_choice: options.toolChoice, // Assumes OpenAI tool_choice format
-      response_format: options.responseFormat, // Assumes OpenAI response_format (for JSON mode)
+      response_format: toOpenAIResponseFormat(options.responseFormat), // OpenAI-style response_format, including json_schema
       top_p: options.extraParams?.topP, // Common OpenAI param
       // n: options.extraParams?.n, // Number of completions (not typical for LLMPlug's single string result)
       // presence_penalty: options.extraParams?.presencePenalty,
@@ -157,7 +170,7 @@ export class OpenRouterProvider extends BaseProvider {
 
 
     try {
-      const completion = await this.client.chat.completions.create(requestParams);
+      const { result: completion, attempts } = await this._withRetry((attempt, signal) => this.client.chat.completions.create(requestParams, { signal }), options);
 
       const choice = completion.choices[0];
       if (!choice) {
@@ -174,20 +187,17 @@ export class OpenRouterProvider extends BaseProvider {
         },
       })) || [];
 
-      const usage = {
-        promptTokens: completion.usage?.prompt_tokens,
-        completionTokens: completion.usage?.completion_tokens,
-        totalTokens: completion.usage?.total_tokens,
-      };
+      const usage = usageFromOpenAI(completion.usage);
       const finishReason = choice.finish_reason?.toLowerCase();
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        attempts: attempts,
         rawResponse: completion,
-      };
+      });
     } catch (error) {
       // OpenAI SDK errors are usually well-structured
       let errorMessage = error.message;
@@ -197,7 +207,7 @@ export class OpenRouterProvider extends BaseProvider {
       } else if (error.error && error.error.message) { // Sometimes error is nested differently
         errorMessage += ` - API Error: ${error.error.message}`;
       }
-      throw new LLMPlugRequestError(`OpenRouter API (via OpenAI SDK) chat request failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`OpenRouter API (via OpenAI SDK) chat request failed for model ${model}: ${errorMessage}`, error);
     }
   }
 
@@ -228,71 +238,52 @@ export class OpenRouterProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: toOpenAIResponseFormat(options.responseFormat),
       top_p: options.extraParams?.topP,
       stream: true, // Crucial for streaming
+      stream_options: { include_usage: true }, // Usage comes in a last chunk without choices
       ...options.extraParams,
     };
     Object.keys(requestParams).forEach(key => requestParams[key] === undefined && delete requestParams[key]);
 
 
     try {
-      const stream = await this.client.chat.completions.create(requestParams);
-      let currentToolCallsState = {}; // To accumulate arguments for each tool call by index
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.chat.completions.create(requestParams, { signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const chunk of stream) {
         const choice = chunk.choices[0];
-        if (!choice) continue; // Skip empty chunks if any
+        if (!choice && !chunk.usage) continue; // Skip empty chunks if any
 
-        const delta = choice.delta;
-        const finishReason = choice.finish_reason?.toLowerCase();
+        const delta = choice?.delta;
+        const finishReason = choice?.finish_reason?.toLowerCase();
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (delta?.content) {
           chunkData.text = delta.content;
         }
 
         if (delta?.tool_calls) {
-          const processedToolCalls = [];
-          for (const tcDelta of delta.tool_calls) {
-            const index = tcDelta.index; // OpenAI SDK provides index for tool call deltas
-            if (tcDelta.id) { // Start of a new tool call
-              currentToolCallsState[index] = {
-                id: tcDelta.id,
-                type: 'function', // Assuming 'function'
-                function: { name: tcDelta.function?.name || '', arguments: tcDelta.function?.arguments || '' }
-              };
-            } else if (currentToolCallsState[index] && tcDelta.function) { // Continuation of an existing tool call
-              if (tcDelta.function.name) { // Should ideally not change after first announcement
-                currentToolCallsState[index].function.name = tcDelta.function.name;
-              }
-              if (tcDelta.function.arguments) {
-                currentToolCallsState[index].function.arguments += tcDelta.function.arguments;
-              }
-            }
-            // Add the current state of this tool call to the chunk if it's been initialized
-            if(currentToolCallsState[index]) {
-                 processedToolCalls.push({ ...currentToolCallsState[index] });
-            }
-          }
-          if (processedToolCalls.length > 0) {
-            chunkData.toolCalls = processedToolCalls;
-          }
+          // Fragments are keyed by `index`; arguments arrive in pieces and are concatenated by the consumer.
+          chunkData.toolCalls = delta.tool_calls.map(call => ({
+            index: call.index,
+            id: call.id,
+            type: call.type || 'function',
+            function: { name: call.function?.name, arguments: call.function?.arguments || '' },
+          }));
         }
         
         if (finishReason) {
           chunkData.finishReason = finishReason;
-          currentToolCallsState = {}; // Reset for next potential message in a multi-response stream (rare)
         }
         
-        // OpenAI stream (and thus OpenRouter) usually includes usage in the *last* chunk if at all for stream.
-        // Some models/endpoints might provide it.
+        // OpenAI stream (and thus OpenRouter) includes usage in the *last* chunk when `include_usage` is set.
         if (chunk.usage) { 
-            chunkData.usage = {
-                promptTokens: chunk.usage.prompt_tokens,
-                completionTokens: chunk.usage.completion_tokens,
-                totalTokens: chunk.usage.total_tokens,
-            };
+            chunkData.usage = usageFromOpenAI(chunk.usage);
         }
 
         yield chunkData;
@@ -300,7 +291,7 @@ export class OpenRouterProvider extends BaseProvider {
     } catch (error) {
       let errorMessage = error.message;
       if (error.status) errorMessage = `(Status ${error.status}) ${error.message}`;
-      throw new LLMPlugRequestError(`OpenRouter API (via OpenAI SDK) chat stream failed for model ${model}: ${errorMessage}`, this.providerName, error);
+      throw this._wrapRequestError(`OpenRouter API (via OpenAI SDK) chat stream failed for model ${model}: ${errorMessage}`, error);
     }
   }
 }
\ No newline at end of file
@@ -1,6 +1,10 @@
 import OpenAI from 'openai';
 import { BaseProvider } from './baseProvider.js';
 import { LLMPlugConfigurationError, LLMPlugRequestError } from '../utils/errors.js';
+import { toOpenAIResponseFormat } from '../utils/structuredOutput.js';
+import { usageFromOpenAI } from '../utils/usage.js';
+
+const OPENAI_EMBEDDING_BATCH_SIZE = 2048; // Maximum number of inputs per embeddings request
 
 export class OpenAIProvider extends BaseProvider {
   constructor(config = {}) {
@@ -8,12 +12,23 @@ export class OpenAIProvider extends BaseProvider {
     this.providerName = "OpenAI";
     try {
       this.apiKey = this._getApiKey('OPENAI_API_KEY');
-      this.client = new OpenAI({ apiKey: this.apiKey });
+      this.client = this._createClient(this.apiKey);
     } catch (error) {
       if (error instanceof LLMPlugConfigurationError) throw error;
       throw new LLMPlugConfigurationError(`OpenAI client initialization failed: ${error.message}`, this.providerName, error);
     }
     this.defaultModel = config.defaultModel || 'gpt-3.5-turbo';
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || 'text-embedding-3-small';
+  }
+
+  _createClient(apiKey) {
+    // Retries are handled by LLMPlug's retry policy. `config.baseURL` points the client at a proxy or compatible server.
+    return this._observeClientResponses(new OpenAI({ apiKey, baseURL: this.config.baseURL, maxRetries: 0 }));
+  }
+
+  /** @protected */
+  async _ping(signal) {
+    await this.client.models.list({ signal });
   }
 
   /**
@@ -23,7 +38,7 @@ export class OpenAIProvider extends BaseProvider {
    */
   _formatMessagesForOpenAI(messages) {
     return messages.map(msg => {
-      const formattedContent = this._normalizeContent(msg.content);
+      const formattedContent = this._toolOutputText(msg) ?? this._normalizeContent(msg.content);
       const openAIMessage = {
         role: msg.role,
         content: formattedContent
@@ -80,14 +95,14 @@ export class OpenAIProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: toOpenAIResponseFormat(options.responseFormat),
       ...options.extraParams,
     };
 
     try {
-      const completion = await this.client.chat.completions.create(requestParams);
+      const { result: completion, attempts } = await this._withRetry((attempt, signal) => this.client.chat.completions.create(requestParams, { signal }), options);
 
-      const textContent = completion.choices[0]?.message?.content?.trim() || '';
+      const textContent = completion.choices[0]?.message?.content?.trim() || null;
       const toolCalls = completion.choices[0]?.message?.tool_calls?.map(call => ({
         id: call.id,
         type: call.type,
@@ -97,22 +112,19 @@ export class OpenAIProvider extends BaseProvider {
         },
       })) || [];
 
-      const usage = {
-        promptTokens: completion.usage?.prompt_tokens,
-        completionTokens: completion.usage?.completion_tokens,
-        totalTokens: completion.usage?.total_tokens,
-      };
+      const usage = usageFromOpenAI(completion.usage);
       const finishReason = completion.choices[0]?.finish_reason;
 
-      return {
+      return this._applyResponseFormat(messages, options, {
         text: textContent,
-        toolCalls: toolCalls,
+        toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         usage: usage,
         finishReason: finishReason,
+        attempts: attempts,
         rawResponse: completion,
-      };
+      });
     } catch (error) {
-      throw new LLMPlugRequestError(`OpenAI API chat request failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`OpenAI API chat request failed: ${error.message}`, error);
     }
   }
 
@@ -143,13 +155,15 @@ export class OpenAIProvider extends BaseProvider {
       stop: options.stopSequences,
       tools: options.tools,
       tool_choice: options.toolChoice,
-      response_format: options.responseFormat,
+      response_format: toOpenAIResponseFormat(options.responseFormat),
       stream: true, // Crucial for streaming
+      stream_options: { include_usage: true }, // Usage is only streamed on request, in a last chunk without choices
       ...options.extraParams,
     };
 
     try {
-      const stream = await this.client.chat.completions.create(requestParams);
+      const { stream, attempts } = await this._openStreamWithRetry(signal => this.client.chat.completions.create(requestParams, { signal }), options);
+      let pendingAttempts = attempts; // Reported on the first chunk only
 
       for await (const chunk of stream) {
         const delta = chunk.choices[0]?.delta;
@@ -157,19 +171,24 @@ export class OpenAIProvider extends BaseProvider {
         const usage = chunk.usage; // Usage typically comes at the end of the stream
 
         const chunkData = { rawChunk: chunk };
+        if (pendingAttempts) {
+          chunkData.attempts = pendingAttempts;
+          pendingAttempts = undefined;
+        }
 
         if (delta?.content) {
           chunkData.text = delta.content;
         }
 
-        // Handle tool calls streaming
+        // Tool calls stream as fragments keyed by `index`; only the first fragment carries the id and name.
         if (delta?.tool_calls) {
           chunkData.toolCalls = delta.tool_calls.map(call => ({
+            index: call.index,
             id: call.id,
             type: call.type,
             function: {
-              name: call.function.name,
-              arguments: call.function.arguments || '', // arguments come as chunks, so accumulate later
+              name: call.function?.name,
+              arguments: call.function?.arguments || '', // arguments come as chunks, so accumulate later
             },
           }));
         }
@@ -178,17 +197,38 @@ export class OpenAIProvider extends BaseProvider {
           chunkData.finishReason = finishReason;
         }
         if (usage) { // Full usage object usually comes on the final chunk
-            chunkData.usage = {
-                promptTokens: usage.prompt_tokens,
-                completionTokens: usage.completion_tokens,
-                totalTokens: usage.total_tokens,
-            };
+            chunkData.usage = usageFromOpenAI(usage);
         }
 
         yield chunkData;
       }
     } catch (error) {
-      throw new LLMPlugRequestError(`OpenAI API chat stream failed: ${error.message}`, this.providerName, error);
+      throw this._wrapRequestError(`OpenAI API chat stream failed: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * @param {string | string[]} texts
+   * @param {import('../baseProvider.js').EmbeddingOptions} [options={}]
+   * @returns {Promise<import('../baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultEmbeddingModel;
+    try {
+      return await this._embedInBatches(texts, options.batchSize || OPENAI_EMBEDDING_BATCH_SIZE, async batch => {
+        const { result: response } = await this._withRetry((attempt, signal) => this.client.embeddings.create({
+          model: model,
+          input: batch,
+          ...(options.dimensions && { dimensions: options.dimensions }), // Only supported by text-embedding-3 models
+        }, { signal }), options);
+        return {
+          embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+          usage: usageFromOpenAI(response.usage),
+          model: response.model,
+        };
+      });
+    } catch (error) {
+      throw this._wrapRequestError(`OpenAI API embeddings request failed: ${error.message}`, error);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,294 @@
+import { BaseProvider } from './baseProvider.js';
+import { createProvider } from '../providerRegistry.js';
+import { LLMPlugConfigurationError, LLMPlugRequestError, LLMPlugCircuitOpenError } from '../utils/errors.js';
+import { createRequestSignal, withRemainingTime } from '../utils/abort.js';
+
+const STRATEGIES = ['round-robin', 'least-in-flight', 'latency-weighted'];
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency moving average
+const DEFAULT_MAX_SESSIONS = 10000;
+
+/**
+ * One backend of a router.
+ * @typedef {Object} RouterBackendEntry
+ * @property {string | BaseProvider} provider - A registered provider name (e.g. 'ollama') or an existing provider instance.
+ * @property {object} [config] - Provider config, used when `provider` is a name.
+ * @property {string} [name] - Identifies the backend in results and statistics. Defaults to its base URL.
+ */
+
+/**
+ * @typedef {Object} RouterBackendStats
+ * @property {string} name
+ * @property {boolean} healthy - From the backend's `getHealth()`.
+ * @property {number} inFlight
+ * @property {number} requests
+ * @property {number} failures
+ * @property {number | null} latencyMs - Moving average of the response time (time to first chunk for streams),
+ *   null before the first successful call.
+ */
+
+/**
+ * Spreads calls over several backends serving the same model, e.g. a few Ollama or llama.cpp boxes.
+ * Backends whose `getHealth()` reports them unhealthy are skipped; when every backend is unhealthy, all are tried.
+ *
+ * A call that fails with a retryable error or an open circuit breaker is retried on the next backend.
+ * Streams only move on before the first chunk is yielded, as in `FallbackProvider`. `options.timeoutMs` covers
+ * all backends together, and nothing moves on once it has run out or `options.signal` has aborted.
+ *
+ * Calls with the same `options.sessionKey` go to the same backend while it stays healthy, so servers that
+ * cache the prompt per slot (llama.cpp) can reuse it.
+ */
+export class RouterProvider extends BaseProvider {
+  /**
+   * @param {object} config
+   * @param {(RouterBackendEntry | BaseProvider)[]} config.backends
+   * @param {'round-robin' | 'least-in-flight' | 'latency-weighted'} [config.strategy='round-robin'] - 'latency-weighted'
+   *   picks backends at random, weighted by the inverse of their average latency.
+   * @param {number} [config.healthCheckIntervalMs] - Runs `healthCheck()` on every backend at this interval until `close()`.
+   * @param {number} [config.maxSessions=10000] - Sticky sessions remembered; the least recently used are forgotten first.
+   */
+  constructor(config = {}) {
+    super(config);
+    this.providerName = "Router";
+
+    if (!Array.isArray(config.backends) || config.backends.length === 0) {
+      throw new LLMPlugConfigurationError("`backends` must be a non-empty array of providers for RouterProvider.", this.providerName);
+    }
+    this.backends = config.backends.map((entry, index) => this._resolveBackend(entry, index));
+    this.strategy = config.strategy || 'round-robin';
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new LLMPlugConfigurationError(`Unknown routing strategy '${this.strategy}'. Use one of: ${STRATEGIES.join(', ')}.`, this.providerName);
+    }
+    this.maxSessions = config.maxSessions || DEFAULT_MAX_SESSIONS;
+    this._sessions = new Map(); // sessionKey -> backend, in least recently used order
+    this._next = 0;
+
+    this._healthTimer = null;
+    if (config.healthCheckIntervalMs) {
+      this._healthTimer = setInterval(() => this.healthCheck(), config.healthCheckIntervalMs);
+      this._healthTimer.unref?.(); // Does not keep the process alive
+    }
+  }
+
+  _resolveBackend(entry, index) {
+    let provider;
+    if (entry instanceof BaseProvider) {
+      provider = entry;
+    } else if (entry?.provider) {
+      provider = entry.provider instanceof BaseProvider ? entry.provider : createProvider(entry.provider, entry.config || {});
+    } else {
+      throw new LLMPlugConfigurationError(`Router backend ${index} must be a provider instance or an object with a 'provider' field.`, this.providerName);
+    }
+    const name = entry.name || provider.baseURL || `${provider.providerName}#${index}`;
+    return { provider, name, inFlight: 0, requests: 0, failures: 0, latencyMs: null };
+  }
+
+  /** Stops the periodic health checks started by `config.healthCheckIntervalMs`. */
+  close() {
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+  }
+
+  /** @returns {RouterBackendStats[]} */
+  getBackendStats() {
+    return this.backends.map(({ provider, name, inFlight, requests, failures, latencyMs }) => ({
+      name, healthy: provider.getHealth().healthy, inFlight, requests, failures, latencyMs,
+    }));
+  }
+
+  /**
+   * The router is healthy while one of its backends is.
+   * @returns {import('./baseProvider.js').ProviderHealth & {backends: RouterBackendStats[]}}
+   */
+  getHealth() {
+    const backends = this.getBackendStats();
+    return { ...super.getHealth(), healthy: backends.some(backend => backend.healthy), backends };
+  }
+
+  /**
+   * Checks every backend; the router is healthy if one of them is.
+   * @protected
+   */
+  async _ping(signal) {
+    const results = await Promise.all(this.backends.map(backend => backend.provider.healthCheck({ signal })));
+    if (!results.some(result => result.healthy)) {
+      throw new Error(`No router backend is healthy. ${results.map((result, index) => `${this.backends[index].name}: ${result.error}`).join('; ')}`);
+    }
+  }
+
+  /**
+   * Picks the backend for the next attempt of a call: the session's backend if it is still usable,
+   * otherwise one chosen by the strategy.
+   * @param {string | undefined} sessionKey
+   * @param {Set<object>} tried - Backends that already failed this call.
+   * @returns {object | null} Null once every backend has been tried.
+   * @protected
+   */
+  _pickBackend(sessionKey, tried) {
+    const untried = this.backends.filter(backend => !tried.has(backend));
+    if (untried.length === 0) return null;
+    const healthy = untried.filter(backend => backend.provider.getHealth().healthy);
+    const candidates = healthy.length > 0 ? healthy : untried;
+
+    let backend = sessionKey === undefined ? undefined : this._sessions.get(sessionKey);
+    if (!backend || !candidates.includes(backend)) backend = this._choose(candidates);
+    if (sessionKey !== undefined) {
+      this._sessions.delete(sessionKey);
+      this._sessions.set(sessionKey, backend);
+      if (this._sessions.size > this.maxSessions) this._sessions.delete(this._sessions.keys().next().value);
+    }
+    return backend;
+  }
+
+  _choose(candidates) {
+    // Candidates in ring order, starting after the last pick, so ties rotate between backends.
+    const ring = [...this.backends.slice(this._next), ...this.backends.slice(0, this._next)].filter(backend => candidates.includes(backend));
+    let backend = ring[0];
+    if (this.strategy === 'least-in-flight') {
+      backend = ring.reduce((best, candidate) => (candidate.inFlight < best.inFlight ? candidate : best));
+    } else if (this.strategy === 'latency-weighted') {
+      // Backends without a measurement yet are tried first.
+      backend = ring.find(candidate => candidate.latencyMs === null) || this._pickByLatency(ring);
+    }
+    this._next = (this.backends.indexOf(backend) + 1) % this.backends.length;
+    return backend;
+  }
+
+  _pickByLatency(backends) {
+    const weights = backends.map(backend => 1 / Math.max(backend.latencyMs, 1));
+    let threshold = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    return backends.find((backend, index) => (threshold -= weights[index]) < 0) || backends[backends.length - 1];
+  }
+
+  _recordLatency(backend, latencyMs) {
+    backend.latencyMs = backend.latencyMs === null ? latencyMs : backend.latencyMs + LATENCY_SMOOTHING * (latencyMs - backend.latencyMs);
+  }
+
+  /**
+   * Whether a failed attempt should be repeated on another backend.
+   * @param {Error} error
+   * @returns {boolean}
+   * @protected
+   */
+  _shouldFailover(error) {
+    return error instanceof LLMPlugCircuitOpenError || (error instanceof LLMPlugRequestError && error.retryable);
+  }
+
+  _exhaustedError(method, failures) {
+    const summary = failures.map(f => `${f.backend}: ${f.error.message}`).join('; ');
+    const lastError = failures[failures.length - 1]?.error || null;
+    const error = new LLMPlugRequestError(`All router backends failed for ${method}. ${summary}`, this.providerName, lastError);
+    error.failures = failures;
+    return error;
+  }
+
+  async _callWithRouting(method, input, options) {
+    const { sessionKey, ...backendOptions } = options;
+    const request = createRequestSignal(options);
+    const tried = new Set();
+    const failures = [];
+    try {
+      for (let backend = this._pickBackend(sessionKey, tried); backend; backend = this._pickBackend(sessionKey, tried)) {
+        tried.add(backend);
+        backend.inFlight += 1;
+        backend.requests += 1;
+        const startedAt = performance.now();
+        try {
+          const result = await backend.provider[method](input, withRemainingTime(backendOptions, request));
+          this._recordLatency(backend, performance.now() - startedAt);
+          return { ...result, provider: backend.provider.providerName, backend: backend.name, failovers: failures };
+        } catch (error) {
+          backend.failures += 1;
+          if (request.expired()) throw this._abortError(request, options, error);
+          if (!this._shouldFailover(error)) throw error;
+          failures.push({ backend: backend.name, error });
+        } finally {
+          backend.inFlight -= 1;
+        }
+      }
+    } finally {
+      request.cleanup();
+    }
+    throw this._exhaustedError(method, failures);
+  }
+
+  async *_streamWithRouting(method, input, options) {
+    const { sessionKey, ...backendOptions } = options;
+    const request = createRequestSignal(options);
+    const tried = new Set();
+    const failures = [];
+    try {
+      for (let backend = this._pickBackend(sessionKey, tried); backend; backend = this._pickBackend(sessionKey, tried)) {
+        tried.add(backend);
+        backend.inFlight += 1;
+        backend.requests += 1;
+        const startedAt = performance.now();
+        let started = false;
+        try {
+          for await (const chunk of backend.provider[method](input, withRemainingTime(backendOptions, request))) {
+            if (!started) {
+              started = true;
+              this._recordLatency(backend, performance.now() - startedAt);
+            }
+            yield { ...chunk, provider: backend.provider.providerName, backend: backend.name };
+          }
+          return;
+        } catch (error) {
+          backend.failures += 1;
+          if (request.expired()) throw this._abortError(request, options, error);
+          if (started || !this._shouldFailover(error)) throw error;
+          failures.push({ backend: backend.name, error });
+        } finally {
+          backend.inFlight -= 1;
+        }
+      }
+    } finally {
+      request.cleanup();
+    }
+    throw this._exhaustedError(method, failures);
+  }
+
+  /**
+   * @param {string | import('./baseProvider.js').ChatMessage[]} input
+   * @param {import('./baseProvider.js').GenerationOptions & {sessionKey?: string}} [options={}]
+   * @returns {Promise<import('./baseProvider.js').GenerationResult>}
+   */
+  async generate(input, options = {}) {
+    return this._callWithRouting('generate', input, options);
+  }
+
+  /**
+   * @param {import('./baseProvider.js').ChatMessage[]} messages
+   * @param {import('./baseProvider.js').GenerationOptions & {sessionKey?: string}} [options={}]
+   * @returns {Promise<import('./baseProvider.js').GenerationResult>}
+   */
+  async chat(messages, options = {}) {
+    return this._callWithRouting('chat', messages, options);
+  }
+
+  /**
+   * @param {string | import('./baseProvider.js').ChatMessage[]} input
+   * @param {import('./baseProvider.js').GenerationOptions & {sessionKey?: string}} [options={}]
+   * @returns {AsyncIterable<import('./baseProvider.js').GenerationStreamChunk>}
+   */
+  async *generateStream(input, options = {}) {
+    yield* this._streamWithRouting('generateStream', input, options);
+  }
+
+  /**
+   * @param {import('./baseProvider.js').ChatMessage[]} messages
+   * @param {import('./baseProvider.js').GenerationOptions & {sessionKey?: string}} [options={}]
+   * @returns {AsyncIterable<import('./baseProvider.js').GenerationStreamChunk>}
+   */
+  async *chatStream(messages, options = {}) {
+    yield* this._streamWithRouting('chatStream', messages, options);
+  }
+
+  /**
+   * @param {string | string[]} texts
+   * @param {import('./baseProvider.js').EmbeddingOptions & {sessionKey?: string}} [options={}]
+   * @returns {Promise<import('./baseProvider.js').EmbeddingResult>}
+   */
+  async embed(texts, options = {}) {
+    return this._callWithRouting('embed', texts, options);
+  }
+}
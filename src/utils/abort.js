@@ -0,0 +1,98 @@
+/**
+ * Cancellation support shared by all providers: merges the caller's `options.signal` with
+ * `options.timeoutMs` into one AbortSignal per request.
+ */
+
+/**
+ * @typedef {Object} RequestSignal
+ * @property {AbortSignal} [signal] - Aborts when the caller's signal aborts or the timeout elapses; undefined if neither was requested.
+ * @property {() => boolean} timedOut - Whether the abort was caused by `timeoutMs`, or `timeoutMs` has elapsed
+ *   without anything aborting first.
+ * @property {() => number | undefined} remainingMs - Time left of `timeoutMs`; undefined without a timeout.
+ * @property {() => boolean} expired - Whether the signal has aborted or `timeoutMs` has elapsed.
+ * @property {() => void} cleanup - Clears the timer and detaches from the caller's signal. Call once the request is over.
+ */
+
+/**
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} [options={}]
+ * @returns {RequestSignal}
+ */
+export function createRequestSignal({ signal, timeoutMs } = {}) {
+  if (!signal && !timeoutMs) {
+    return { signal: undefined, timedOut: () => false, remainingMs: () => undefined, expired: () => false, cleanup: () => {} };
+  }
+
+  const controller = new AbortController();
+  const deadline = timeoutMs ? Date.now() + timeoutMs : undefined;
+  let timedOut = false;
+  let timer;
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  if (timeoutMs && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      const reason = new Error(`Request timed out after ${timeoutMs}ms`);
+      reason.name = 'TimeoutError';
+      controller.abort(reason);
+    }, timeoutMs);
+  }
+
+  // The timer may fire a little after the deadline, so the clock is checked as well.
+  const remainingMs = () => (deadline === undefined ? undefined : Math.max(0, deadline - Date.now()));
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut || (!controller.signal.aborted && remainingMs() === 0),
+    remainingMs,
+    expired: () => controller.signal.aborted || remainingMs() === 0,
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Options for one of several requests that make up a call, such as the providers a fallback chain tries in turn.
+ * Each gets the call's combined signal and only the time that is left of its `timeoutMs`, so the call as a whole
+ * keeps to the caller's deadline.
+ * @template {{signal?: AbortSignal, timeoutMs?: number}} T
+ * @param {T} options
+ * @param {RequestSignal} request - Created from the call's options when it started.
+ * @returns {T}
+ */
+export function withRemainingTime(options, request) {
+  if (!request.signal) return options;
+  const remainingMs = request.remainingMs();
+  if (remainingMs === undefined) return { ...options, signal: request.signal };
+  // A timeoutMs of 0 means no timeout at all.
+  return { ...options, signal: request.signal, timeoutMs: Math.max(1, Math.min(options.timeoutMs || Infinity, remainingMs)) };
+}
+
+/**
+ * Settles with `promise`, or rejects with the abort reason as soon as `signal` aborts.
+ * Used for SDK calls that cannot be given a signal themselves (the request then finishes in the background).
+ * @template T
+ * @param {Promise<T> | T} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function raceWithSignal(promise, signal) {
+  if (!signal) return Promise.resolve(promise);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      Promise.resolve(promise).catch(() => {}); // The result is no longer wanted
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
@@ -0,0 +1,173 @@
+import { LLMPlugConfigurationError } from './errors.js';
+import { getErrorStatus, getRetryAfterMs } from './retry.js';
+
+/**
+ * Key rotation settings (`config.apiKeys`). A plain array of keys uses the defaults.
+ * @typedef {Object} ApiKeyPoolConfig
+ * @property {string[]} keys
+ * @property {'round-robin' | 'least-used'} [strategy='round-robin'] - 'least-used' picks the key with the fewest
+ *   requests in flight, then the fewest requests overall.
+ * @property {number} [authQuarantineMs=600000] - How long a key is skipped after a 401/403.
+ * @property {number} [rateLimitQuarantineMs=60000] - How long a key is skipped after a 429, unless its `Retry-After` says otherwise.
+ */
+
+/**
+ * @typedef {Object} ApiKeyStats
+ * @property {string} key - The key with all but its first and last four characters masked.
+ * @property {number} requests - Request attempts made with the key.
+ * @property {number} failures
+ * @property {number} inFlight
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number | null} quarantinedUntil - Epoch milliseconds, or null if the key is in rotation.
+ * @property {string | null} lastError - Message of the last failed attempt.
+ */
+
+const STRATEGIES = ['round-robin', 'least-used'];
+
+/**
+ * Masks an API key for logs and statistics.
+ * @param {string} key
+ * @returns {string}
+ */
+export function maskApiKey(key) {
+  return key.length > 12 ? `${key.slice(0, 4)}...${key.slice(-4)}` : '****';
+}
+
+/**
+ * Rotates requests over several API keys of one vendor. A key that fails with 401/403 or 429 is
+ * quarantined for a while; when every key is quarantined, the one that recovers first is used.
+ *
+ * Pass the keys as `config.apiKeys` (an array or an `ApiKeyPoolConfig`), or the same pool to several providers to share it.
+ */
+export class ApiKeyPool {
+  /**
+   * @param {string[] | ApiKeyPoolConfig} config
+   * @throws {LLMPlugConfigurationError} If no keys are given or the strategy is unknown.
+   */
+  constructor(config) {
+    const options = Array.isArray(config) ? { keys: config } : config || {};
+    const keys = (options.keys || []).filter(Boolean);
+    if (keys.length === 0) {
+      throw new LLMPlugConfigurationError('`apiKeys` must contain at least one API key.', 'ApiKeyPool');
+    }
+    this.strategy = options.strategy || 'round-robin';
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new LLMPlugConfigurationError(`Unknown key rotation strategy '${this.strategy}'. Use one of: ${STRATEGIES.join(', ')}.`, 'ApiKeyPool');
+    }
+    this.authQuarantineMs = options.authQuarantineMs ?? 10 * 60 * 1000;
+    this.rateLimitQuarantineMs = options.rateLimitQuarantineMs ?? 60 * 1000;
+
+    this._entries = [...new Set(keys)].map(key => ({
+      key,
+      requests: 0,
+      failures: 0,
+      inFlight: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      quarantinedUntil: 0,
+      lastError: null,
+    }));
+    this._next = 0;
+  }
+
+  /** @returns {string[]} */
+  get keys() {
+    return this._entries.map(entry => entry.key);
+  }
+
+  /** @returns {boolean} Whether at least one key is not quarantined. */
+  hasAvailableKey() {
+    const now = Date.now();
+    return this._entries.some(entry => entry.quarantinedUntil <= now);
+  }
+
+  /**
+   * Picks the key for the next request attempt. Pair every call with `release`.
+   * @returns {string}
+   */
+  acquire() {
+    const now = Date.now();
+    const available = this._entries.filter(entry => entry.quarantinedUntil <= now);
+    let entry;
+    if (available.length === 0) {
+      entry = this._entries.reduce((best, candidate) => (candidate.quarantinedUntil < best.quarantinedUntil ? candidate : best));
+    } else if (this.strategy === 'least-used') {
+      entry = available.reduce((best, candidate) =>
+        candidate.inFlight < best.inFlight || (candidate.inFlight === best.inFlight && candidate.requests < best.requests) ? candidate : best);
+    } else {
+      // Walk the ring from the position after the last pick, skipping quarantined keys.
+      for (let i = 0; i < this._entries.length && !entry; i++) {
+        const candidate = this._entries[(this._next + i) % this._entries.length];
+        if (candidate.quarantinedUntil <= now) entry = candidate;
+      }
+    }
+    this._next = (this._entries.indexOf(entry) + 1) % this._entries.length;
+    entry.requests += 1;
+    entry.inFlight += 1;
+    return entry.key;
+  }
+
+  /**
+   * Ends a request attempt made with `key`. Authentication and rate-limit errors quarantine the key.
+   * @param {string} key
+   * @param {any} [error] - The raw error the attempt failed with, if it failed.
+   * @returns {number | null} How long the key was quarantined for, in milliseconds, or null if it stays in rotation.
+   */
+  release(key, error) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    entry.inFlight = Math.max(0, entry.inFlight - 1);
+    if (!error) return null;
+    entry.failures += 1;
+    entry.lastError = error.message || String(error);
+    const status = getErrorStatus(error);
+    let quarantineMs = null;
+    if (status === 401 || status === 403) {
+      quarantineMs = this.authQuarantineMs;
+    } else if (status === 429) {
+      quarantineMs = Math.max(getRetryAfterMs(error) ?? 0, this.rateLimitQuarantineMs);
+    }
+    if (quarantineMs) this.quarantine(key, quarantineMs);
+    return quarantineMs;
+  }
+
+  /**
+   * Adds the usage of a finished request to the statistics of the key it was made with.
+   * @param {string} key
+   * @param {import('../providers/baseProvider.js').UsageData | null | undefined} usage
+   */
+  recordUsage(key, usage) {
+    const entry = this._entry(key);
+    if (!entry || !usage) return;
+    entry.promptTokens += usage.promptTokens || 0;
+    entry.completionTokens += usage.completionTokens || 0;
+    entry.totalTokens += usage.totalTokens ?? (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  }
+
+  /**
+   * Takes a key out of rotation for `ms` milliseconds.
+   * @param {string} key
+   * @param {number} ms
+   */
+  quarantine(key, ms) {
+    const entry = this._entry(key);
+    if (entry) entry.quarantinedUntil = Math.max(entry.quarantinedUntil, Date.now() + ms);
+  }
+
+  /** @returns {ApiKeyStats[]} */
+  stats() {
+    const now = Date.now();
+    return this._entries.map(({ key, quarantinedUntil, ...counters }) => ({
+      key: maskApiKey(key),
+      ...counters,
+      quarantinedUntil: quarantinedUntil > now ? quarantinedUntil : null,
+    }));
+  }
+
+  _entry(key) {
+    return this._entries.find(entry => entry.key === key);
+  }
+}
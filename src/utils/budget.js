@@ -0,0 +1,315 @@
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
+import { LLMPlugBudgetExceededError, LLMPlugConfigurationError } from './errors.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Budget limits. All are optional; omitted limits are not enforced.
+ * @typedef {Object} BudgetConfig
+ * @property {number} [maxTokensPerRequest] - Rejects requests whose estimated prompt plus `maxTokens` exceeds this.
+ * @property {number} [maxTokensPerDay] - Total tokens per UTC day.
+ * @property {number} [maxUsdPerMonth] - Spend in USD per UTC calendar month (from `result.cost`).
+ * @property {number[]} [warnAt=[0.8]] - Fractions of the daily/monthly limits at which a 'warning' event is emitted.
+ * @property {string} [persistPath] - JSON file the spend is saved to after every request and restored from on startup.
+ *   Spend saved there by other processes in the meantime is added before each save. Saves run in the background,
+ *   see `flush()`.
+ * @property {import('./logger.js').Logger} [logger] - Receives failures to save the state. Defaults to warnings on the console.
+ */
+
+/**
+ * Emitted once per threshold and period when spend crosses a `warnAt` fraction of a limit.
+ * @typedef {Object} BudgetWarning
+ * @property {'maxTokensPerDay' | 'maxUsdPerMonth'} limit
+ * @property {number} threshold - The `warnAt` fraction that was crossed.
+ * @property {number} used - Spend in the current period.
+ * @property {number} max - The limit.
+ * @property {string} [provider] - The provider whose request crossed the threshold.
+ */
+
+/**
+ * Spend in the current periods.
+ * @typedef {Object} BudgetState
+ * @property {string} day - Current UTC day (YYYY-MM-DD).
+ * @property {number} tokensToday
+ * @property {string} month - Current UTC month (YYYY-MM).
+ * @property {number} usdThisMonth
+ * @property {number} tokensReserved - Estimated tokens of the requests in flight.
+ * @property {number} usdReserved - Estimated cost of the requests in flight.
+ */
+
+/**
+ * The estimate `check()` holds back for a request until its spend is recorded or it is released.
+ * @typedef {Object} BudgetReservation
+ * @property {number} tokens
+ * @property {number} usd
+ */
+
+function isLimit(value) {
+  return value === undefined || (typeof value === 'number' && value > 0);
+}
+
+/**
+ * Hard and soft spending limits for one or more providers. Pass a `BudgetConfig` as `config.budget`
+ * to give a provider its own budget, or the same `Budget` instance to several providers to share it.
+ * Requests that would exceed a limit are rejected with `LLMPlugBudgetExceededError` before they are sent,
+ * based on an estimate of the prompt size. The estimate is reserved while the request is in flight, so
+ * concurrent requests cannot overshoot a limit together; actual usage replaces it once they finish.
+ *
+ * Emits 'warning' with a `BudgetWarning` when spend crosses a `warnAt` threshold. Providers also re-emit
+ * the warnings caused by their requests as their own 'warning' events and log them.
+ */
+export class Budget extends EventEmitter {
+  /**
+   * @param {BudgetConfig} [config={}]
+   * @throws {LLMPlugConfigurationError} If a limit is not a positive number or the persisted file cannot be read.
+   */
+  constructor(config = {}) {
+    super();
+    for (const key of ['maxTokensPerRequest', 'maxTokensPerDay', 'maxUsdPerMonth']) {
+      if (!isLimit(config[key])) {
+        throw new LLMPlugConfigurationError(`Budget \`${key}\` must be a positive number.`, 'Budget');
+      }
+    }
+    this.maxTokensPerRequest = config.maxTokensPerRequest;
+    this.maxTokensPerDay = config.maxTokensPerDay;
+    this.maxUsdPerMonth = config.maxUsdPerMonth;
+    this.warnAt = [...(config.warnAt || [0.8])].sort((a, b) => a - b);
+    this.persistPath = config.persistPath;
+    this.logger = config.logger || createLogger();
+
+    this._state = { day: '', tokensToday: 0, month: '', usdThisMonth: 0, warned: [] };
+    /** @type {Set<BudgetReservation>} */
+    this._reservations = new Set();
+    this._reserved = { tokens: 0, usd: 0 };
+    // Spend recorded here that is not in `persistPath` yet (e.g. because saving it failed).
+    this._unsaved = { tokens: 0, usd: 0 };
+    // Set by reset(): the next save overwrites the file instead of adding to it.
+    this._replaceSaved = false;
+    this._saving = Promise.resolve();
+    if (this.persistPath) {
+      const saved = this._read();
+      if (saved) this._state = saved;
+    }
+    this._rollOver();
+  }
+
+  /**
+   * Spend in the current day and month.
+   * @returns {BudgetState}
+   */
+  get state() {
+    this._rollOver();
+    const { day, tokensToday, month, usdThisMonth } = this._state;
+    return { day, tokensToday, month, usdThisMonth, tokensReserved: this._reserved.tokens, usdReserved: this._reserved.usd };
+  }
+
+  /**
+   * Throws if a request of the estimated size does not fit into the remaining budget, otherwise reserves the
+   * estimate until `record()` or `release()` is called with the returned reservation.
+   * @param {{provider?: string, tokens: number, usd?: number}} estimate - Estimated tokens (prompt plus `maxTokens`) and cost.
+   * @returns {BudgetReservation}
+   * @throws {LLMPlugBudgetExceededError}
+   */
+  check({ provider, tokens, usd = 0 }) {
+    this._rollOver();
+    const reject = (limit, message, used, requested, max) => {
+      throw new LLMPlugBudgetExceededError(`[${provider}] Budget exceeded: ${message}`, provider, { limit, used, requested, max });
+    };
+
+    if (this.maxTokensPerRequest && tokens > this.maxTokensPerRequest) {
+      reject('maxTokensPerRequest', `request needs ~${tokens} tokens, the limit is ${this.maxTokensPerRequest} per request.`,
+        0, tokens, this.maxTokensPerRequest);
+    }
+    // Requests in flight count with their estimates until they finish.
+    const tokensUsed = this._state.tokensToday + this._reserved.tokens;
+    const usdUsed = this._state.usdThisMonth + this._reserved.usd;
+    if (this.maxTokensPerDay && (tokensUsed >= this.maxTokensPerDay || tokensUsed + tokens > this.maxTokensPerDay)) {
+      reject('maxTokensPerDay', `${tokensUsed} of ${this.maxTokensPerDay} tokens used or reserved today, request needs ~${tokens}.`,
+        tokensUsed, tokens, this.maxTokensPerDay);
+    }
+    if (this.maxUsdPerMonth && (usdUsed >= this.maxUsdPerMonth || usdUsed + usd > this.maxUsdPerMonth)) {
+      reject('maxUsdPerMonth', `$${usdUsed.toFixed(4)} of $${this.maxUsdPerMonth} spent or reserved this month, request costs ~$${usd.toFixed(4)}.`,
+        usdUsed, usd, this.maxUsdPerMonth);
+    }
+
+    const reservation = { tokens, usd };
+    this._reservations.add(reservation);
+    this._reserved.tokens += tokens;
+    this._reserved.usd += usd;
+    return reservation;
+  }
+
+  /**
+   * Gives back the estimate reserved by `check()` for a request that was not sent or failed without usage.
+   * Releasing a reservation a second time does nothing.
+   * @param {BudgetReservation} reservation
+   */
+  release(reservation) {
+    if (!this._reservations.delete(reservation)) return;
+    this._reserved.tokens -= reservation.tokens;
+    this._reserved.usd -= reservation.usd;
+  }
+
+  /**
+   * Adds the spend of a finished request in place of its reservation and emits warnings for crossed thresholds.
+   * @param {{provider?: string, tokens?: number, usd?: number, reservation?: BudgetReservation}} spend
+   * @returns {BudgetWarning[]} The thresholds this spend crossed.
+   */
+  record({ provider, tokens = 0, usd = 0, reservation }) {
+    if (reservation) this.release(reservation);
+    this._rollOver();
+    this._state.tokensToday += tokens;
+    this._state.usdThisMonth += usd;
+    this._unsaved.tokens += tokens;
+    this._unsaved.usd += usd;
+    const warnings = [
+      ...this._warn('maxTokensPerDay', this._state.tokensToday, this.maxTokensPerDay, provider),
+      ...this._warn('maxUsdPerMonth', this._state.usdThisMonth, this.maxUsdPerMonth, provider),
+    ];
+    this._save();
+    return warnings;
+  }
+
+  /** Clears the spend of the current periods. Reservations of requests in flight are kept. */
+  reset() {
+    this._state = { day: '', tokensToday: 0, month: '', usdThisMonth: 0, warned: [] };
+    this._unsaved = { tokens: 0, usd: 0 };
+    this._replaceSaved = true;
+    this._rollOver();
+    this._save();
+  }
+
+  /**
+   * Resolves once the pending saves to `persistPath` have finished, e.g. before calling `process.exit()`.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._saving;
+  }
+
+  _warn(limit, used, max, provider) {
+    const warnings = [];
+    if (!max) return warnings;
+    for (const threshold of this.warnAt) {
+      const key = `${limit}:${threshold}`;
+      if (used < max * threshold || this._state.warned.includes(key)) continue;
+      this._state.warned.push(key);
+      /** @type {BudgetWarning} */
+      const warning = { limit, threshold, used, max, provider };
+      warnings.push(warning);
+      this.emit('warning', warning);
+    }
+    return warnings;
+  }
+
+  /** Starts a new day/month when the UTC date has moved on. */
+  _rollOver() {
+    const today = new Date().toISOString().slice(0, 10);
+    const month = today.slice(0, 7);
+    if (this._state.day !== today) {
+      this._state.day = today;
+      this._state.tokensToday = 0;
+      this._unsaved.tokens = 0;
+      this._state.warned = this._state.warned.filter(key => !key.startsWith('maxTokensPerDay:'));
+    }
+    if (this._state.month !== month) {
+      this._state.month = month;
+      this._state.usdThisMonth = 0;
+      this._unsaved.usd = 0;
+      this._state.warned = this._state.warned.filter(key => !key.startsWith('maxUsdPerMonth:'));
+    }
+  }
+
+  /**
+   * Reads the persisted state.
+   * @returns {{day: string, tokensToday: number, month: string, usdThisMonth: number, warned: string[]} | null} Null if there is no file yet.
+   * @throws {LLMPlugConfigurationError} If the file cannot be read or parsed.
+   */
+  _read() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.persistPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null; // First run
+      throw new LLMPlugConfigurationError(`Could not read budget file ${this.persistPath}: ${error.message}`, 'Budget');
+    }
+    return this._parse(raw);
+  }
+
+  /** @see _read */
+  async _readAsync() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.persistPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new LLMPlugConfigurationError(`Could not read budget file ${this.persistPath}: ${error.message}`, 'Budget');
+    }
+    return this._parse(raw);
+  }
+
+  _parse(raw) {
+    try {
+      const saved = JSON.parse(raw);
+      return {
+        day: String(saved.day || ''),
+        tokensToday: Number(saved.tokensToday) || 0,
+        month: String(saved.month || ''),
+        usdThisMonth: Number(saved.usdThisMonth) || 0,
+        warned: Array.isArray(saved.warned) ? saved.warned : [],
+      };
+    } catch (error) {
+      throw new LLMPlugConfigurationError(`Budget file ${this.persistPath} is not valid JSON: ${error.message}`, 'Budget');
+    }
+  }
+
+  /**
+   * Replaces the state with the persisted one plus the spend this instance has not saved yet, so a save
+   * does not drop what other processes sharing the file have recorded since.
+   */
+  async _merge() {
+    let saved;
+    try {
+      saved = await this._readAsync();
+    } catch (error) {
+      this.logger.warn(`[Budget] Could not merge the budget state from ${this.persistPath}: ${error.message}`);
+      return;
+    }
+    if (!saved) return;
+    this._rollOver();
+    const { day, month } = this._state;
+    const unsaved = { ...this._unsaved }; // _rollOver() clears this._unsaved when the saved day is an old one
+    this._state = { ...saved, warned: [...new Set([...saved.warned, ...this._state.warned])] };
+    this._rollOver();
+    this._unsaved = unsaved;
+    if (this._state.day === day) this._state.tokensToday += unsaved.tokens;
+    if (this._state.month === month) this._state.usdThisMonth += unsaved.usd;
+  }
+
+  /**
+   * Queues a save of the state. Saves run one at a time, each merging the file first (see `_merge`), and write
+   * atomically (temporary file + rename), so a crash cannot leave a truncated file.
+   */
+  _save() {
+    if (!this.persistPath) return;
+    this._saving = this._saving.then(async () => {
+      if (this._replaceSaved) this._replaceSaved = false;
+      else await this._merge();
+      const tempPath = `${this.persistPath}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.persistPath), { recursive: true });
+        const { day, month } = this._state;
+        const written = { ...this._unsaved };
+        await fs.promises.writeFile(tempPath, JSON.stringify(this._state, null, 2));
+        await fs.promises.rename(tempPath, this.persistPath);
+        // Spend recorded while the file was being written is left for the next save.
+        if (this._state.day === day) this._unsaved.tokens -= written.tokens;
+        if (this._state.month === month) this._unsaved.usd -= written.usd;
+      } catch (error) {
+        // The request itself succeeded; losing one save must not turn it into a failure.
+        this.logger.warn(`[Budget] Could not save budget state to ${this.persistPath}: ${error.message}`);
+      }
+    });
+  }
+}
@@ -0,0 +1,366 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { LLMPlugConfigurationError, LLMPlugError } from './errors.js';
+import { setFetchInterceptor } from './http.js';
+
+/**
+ * Cassette settings.
+ * @typedef {Object} CassetteOptions
+ * @property {'record' | 'replay' | 'auto'} [mode='auto'] - 'record' makes real requests and saves them on `eject()`;
+ *   'replay' answers from the file and never touches the network; 'auto' replays if the file exists and records otherwise.
+ * @property {'strict' | 'lenient' | ((request: CassetteRequest, recorded: CassetteRequest) => boolean)} [match='strict'] -
+ *   'strict' needs the same method, URL and body and plays every interaction once, so repeated requests get the
+ *   recorded answers in order. 'lenient' only needs the same method and URL without its query, picks the interaction
+ *   whose JSON body shares the most top-level fields with the request and may play an interaction again.
+ * @property {string[]} [redactHeaders] - Request and response headers whose values are replaced by `[REDACTED]`,
+ *   in addition to the usual API key and cookie headers.
+ * @property {(string | RegExp)[]} [secrets] - Further values to redact wherever they appear.
+ */
+
+/**
+ * A request as stored in a cassette, after redaction.
+ * @typedef {Object} CassetteRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {Object.<string, string>} headers
+ * @property {any} body - Parsed JSON if the body is JSON, otherwise the text, or null.
+ */
+
+/**
+ * @typedef {Object} CassetteResponse
+ * @property {number} status
+ * @property {string} statusText
+ * @property {Object.<string, string>} headers
+ * @property {string[]} chunks - The body as it arrived, chunk by chunk, so streams replay with the same chunks.
+ * @property {'utf8' | 'base64'} encoding - Binary bodies (e.g. images) are stored base64-encoded.
+ */
+
+/**
+ * @typedef {Object} CassetteInteraction
+ * @property {CassetteRequest} request
+ * @property {CassetteResponse} response
+ */
+
+const CASSETTE_VERSION = 1;
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key', 'cookie', 'set-cookie', 'openai-organization'];
+const SECRET_QUERY_PARAMS = ['key', 'api_key', 'apikey', 'token', 'access_token'];
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|x-ndjson|.*\+json|javascript|xml))/i;
+
+let activeCassette = null;
+
+function headersToObject(headers) {
+  const result = {};
+  if (!headers) return result;
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => { result[name.toLowerCase()] = String(value); });
+  } else {
+    for (const [name, value] of Array.isArray(headers) ? headers : Object.entries(headers)) {
+      if (value !== undefined) result[name.toLowerCase()] = String(value);
+    }
+  }
+  return result;
+}
+
+function bodyToText(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string') return body;
+  if (body instanceof Uint8Array) return Buffer.from(body).toString('utf8');
+  if (body instanceof URLSearchParams) return body.toString();
+  return String(body); // Streams and form data are not supported by any of the providers' requests
+}
+
+function parseBody(text) {
+  if (text === null || text === '') return text || null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** JSON with sorted keys, so bodies compare equal regardless of property order. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** Top-level JSON fields with equal values minus those that differ or are missing on one side. */
+function similarity(a, b) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(a) || !isObject(b)) return canonical(a) === canonical(b) ? 1 : 0;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].reduce((score, key) => score + (canonical(a[key]) === canonical(b[key]) ? 1 : -1), 0);
+}
+
+function withoutQuery(url) {
+  const index = url.indexOf('?');
+  return index === -1 ? url : url.slice(0, index);
+}
+
+/** Reads a node-fetch (Node stream) or WHATWG (ReadableStream) body chunk by chunk. */
+async function readChunks(body) {
+  const chunks = [];
+  if (!body) return chunks;
+  if (typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    for (let next = await reader.read(); !next.done; next = await reader.read()) chunks.push(Buffer.from(next.value));
+  } else {
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  }
+  return chunks;
+}
+
+/**
+ * Records the HTTP exchanges of all providers to a JSON file and plays them back offline, so provider
+ * behaviour (streams included) can be tested without network access. This covers the SDK clients
+ * (OpenAI, Anthropic, Google, Cohere, Mistral) as well as the providers' own `node-fetch` requests.
+ *
+ * Only one cassette can be inserted at a time. API keys in headers and query parameters are redacted
+ * before anything is written or compared.
+ */
+export class Cassette {
+  /**
+   * @param {string} filePath - The cassette file; its directory is created when recording.
+   * @param {CassetteOptions} [options={}]
+   * @throws {LLMPlugConfigurationError} If `mode` or `match` is invalid.
+   */
+  constructor(filePath, options = {}) {
+    this.path = filePath;
+    this.mode = options.mode || 'auto';
+    if (!['record', 'replay', 'auto'].includes(this.mode)) {
+      throw new LLMPlugConfigurationError(`Unknown cassette mode '${this.mode}'. Use 'record', 'replay' or 'auto'.`, 'Cassette');
+    }
+    this.match = options.match || 'strict';
+    if (typeof this.match !== 'function' && !['strict', 'lenient'].includes(this.match)) {
+      throw new LLMPlugConfigurationError(`Unknown cassette matching '${this.match}'. Use 'strict', 'lenient' or a function.`, 'Cassette');
+    }
+    this.redactHeaders = [...SECRET_HEADERS, ...(options.redactHeaders || []).map(name => name.toLowerCase())];
+    // replaceAll() needs global patterns; a copy leaves the caller's RegExp alone.
+    this.secrets = (options.secrets || []).map(secret => (secret instanceof RegExp
+      ? new RegExp(secret.source, secret.flags.includes('g') ? secret.flags : secret.flags + 'g')
+      : secret));
+
+    /** @type {CassetteInteraction[]} */
+    this.interactions = [];
+    this._played = new Set();
+    this._recording = false;
+    this._inserted = false;
+    this._unpatchGlobalFetch = null;
+  }
+
+  /** Whether requests go to the network (and are recorded) rather than being replayed. */
+  get recording() {
+    return this._recording;
+  }
+
+  /**
+   * Loads the file (in 'replay' and 'auto' mode) and starts intercepting requests.
+   * @returns {Promise<this>}
+   * @throws {LLMPlugConfigurationError} If another cassette is inserted, or the file is missing in 'replay' mode.
+   */
+  async insert() {
+    if (activeCassette) {
+      throw new LLMPlugConfigurationError(`Cassette ${activeCassette.path} is still inserted; eject it first.`, 'Cassette');
+    }
+    this._recording = this.mode === 'record';
+    if (!this._recording) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+        this.interactions = data.interactions || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT' || this.mode === 'replay') {
+          throw new LLMPlugConfigurationError(`Cassette ${this.path} could not be loaded: ${error.message}`, 'Cassette');
+        }
+        this._recording = true;
+      }
+    }
+    if (this._recording) this.interactions = [];
+    this._played.clear();
+
+    activeCassette = this;
+    this._inserted = true;
+    setFetchInterceptor((url, init, next, ResponseClass) => this._handle(url, init, next, ResponseClass));
+    this._patchGlobalFetch();
+    return this;
+  }
+
+  /**
+   * Stops intercepting requests and, when recording, writes the cassette file.
+   * @returns {Promise<void>}
+   */
+  async eject() {
+    if (!this._inserted) return;
+    this._inserted = false;
+    activeCassette = null;
+    setFetchInterceptor(null);
+    this._unpatchGlobalFetch?.();
+    this._unpatchGlobalFetch = null;
+    if (this._recording) {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.writeFile(this.path, `${JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2)}\n`);
+    }
+  }
+
+  /**
+   * The Google and Cohere clients call the global `fetch`, so it is replaced while the cassette is inserted.
+   * Assignments to it in the meantime become the real fetch behind it.
+   */
+  _patchGlobalFetch() {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'fetch');
+    let realFetch = globalThis.fetch;
+    const patched = (url, init) => this._handle(url, init, (...args) => realFetch(...args), globalThis.Response);
+    Object.defineProperty(globalThis, 'fetch', {
+      configurable: true,
+      enumerable: descriptor?.enumerable ?? true,
+      get: () => patched,
+      set: value => { realFetch = value; },
+    });
+    this._unpatchGlobalFetch = () => {
+      Object.defineProperty(globalThis, 'fetch', { configurable: true, writable: true, enumerable: descriptor?.enumerable ?? true, value: realFetch });
+    };
+  }
+
+  async _handle(url, init = {}, next, ResponseClass) {
+    const request = this._describeRequest(url, init);
+    if (this._recording) return this._record(request, url, init, next, ResponseClass);
+    const interaction = this._findInteraction(request);
+    if (!interaction) {
+      throw new LLMPlugError(
+        `[Cassette] No recorded interaction in ${this.path} matches ${request.method} ${request.url}. Record the cassette again or use lenient matching.`,
+        'Cassette');
+    }
+    return this._buildResponse(interaction.response, ResponseClass);
+  }
+
+  async _record(request, url, init, next, ResponseClass) {
+    const response = await next(url, init);
+    const headers = headersToObject(response.headers);
+    // The body is stored decoded, so these no longer describe it.
+    for (const name of ['content-encoding', 'content-length', 'transfer-encoding']) delete headers[name];
+    const chunks = await readChunks(response.body);
+    const encoding = !headers['content-type'] || TEXT_CONTENT_TYPE.test(headers['content-type']) ? 'utf8' : 'base64';
+    const recorded = {
+      status: response.status,
+      statusText: response.statusText || '',
+      headers,
+      chunks: chunks.map(chunk => chunk.toString(encoding)),
+      encoding,
+    };
+    // The caller gets the real response; only the stored copy is redacted.
+    this.interactions.push({ request, response: this._redactResponse(recorded) });
+    return this._buildResponse(recorded, ResponseClass);
+  }
+
+  /** @returns {CassetteRequest} */
+  _describeRequest(url, init) {
+    const rawUrl = typeof url === 'string' ? url : url?.href ?? url?.url ?? String(url);
+    const headers = headersToObject(init.headers);
+    for (const name of this.redactHeaders) {
+      if (headers[name] === undefined) continue;
+      // Keys sent in headers are also scrubbed from everything else recorded with them.
+      this._addSecret(headers[name].replace(/^(Bearer|Basic|Token)\s+/i, ''));
+      headers[name] = REDACTED;
+    }
+    const parsedUrl = new URL(rawUrl);
+    for (const param of SECRET_QUERY_PARAMS) {
+      if (!parsedUrl.searchParams.has(param)) continue;
+      this._addSecret(parsedUrl.searchParams.get(param));
+      parsedUrl.searchParams.set(param, REDACTED);
+    }
+    return {
+      method: (init.method || 'GET').toUpperCase(),
+      url: this._scrub(parsedUrl.toString()),
+      headers: JSON.parse(this._scrub(JSON.stringify(headers))),
+      body: parseBody(this._scrub(bodyToText(init.body))),
+    };
+  }
+
+  _redactResponse(response) {
+    const headers = { ...response.headers };
+    for (const name of this.redactHeaders) {
+      if (headers[name] !== undefined) headers[name] = REDACTED;
+    }
+    return {
+      ...response,
+      headers,
+      chunks: response.encoding === 'utf8' ? response.chunks.map(chunk => this._scrub(chunk)) : response.chunks,
+    };
+  }
+
+  _addSecret(secret) {
+    // Short values would redact unrelated text.
+    if (secret.length >= 8 && !this.secrets.includes(secret)) this.secrets.push(secret);
+  }
+
+  _scrub(text) {
+    if (typeof text !== 'string') return text;
+    return this.secrets.reduce((result, secret) => result.replaceAll(secret, REDACTED), text);
+  }
+
+  /** @returns {CassetteInteraction | undefined} */
+  _findInteraction(request) {
+    const unplayed = this.interactions.filter(interaction => !this._played.has(interaction));
+    let interaction;
+    if (typeof this.match === 'function') {
+      interaction = unplayed.find(candidate => this.match(request, candidate.request));
+    } else if (this.match === 'strict') {
+      interaction = unplayed.find(candidate => candidate.request.method === request.method
+        && candidate.request.url === request.url
+        && canonical(candidate.request.body) === canonical(request.body));
+    } else {
+      // The most similar body wins; among equally similar ones, interactions not played yet come first.
+      let bestScore = -Infinity;
+      for (const candidate of [...unplayed, ...this.interactions.filter(played => this._played.has(played))]) {
+        if (candidate.request.method !== request.method || withoutQuery(candidate.request.url) !== withoutQuery(request.url)) continue;
+        const score = similarity(candidate.request.body, request.body);
+        if (score > bestScore) {
+          bestScore = score;
+          interaction = candidate;
+        }
+      }
+    }
+    if (interaction) this._played.add(interaction);
+    return interaction;
+  }
+
+  _buildResponse(recorded, ResponseClass) {
+    const body = Readable.from(recorded.chunks.map(chunk => Buffer.from(chunk, recorded.encoding)));
+    const init = { status: recorded.status, statusText: recorded.statusText, headers: recorded.headers };
+    const nullBody = [204, 205, 304].includes(recorded.status);
+    // WHATWG responses take web streams; node-fetch responses take Node streams.
+    const webStream = ResponseClass === globalThis.Response;
+    return new ResponseClass(nullBody ? null : (webStream ? Readable.toWeb(body) : body), init);
+  }
+}
+
+/**
+ * Creates and inserts a cassette. Call `eject()` on it when done, e.g. in an `afterEach` hook.
+ * @param {string} filePath
+ * @param {CassetteOptions} [options={}]
+ * @returns {Promise<Cassette>}
+ */
+export async function useCassette(filePath, options = {}) {
+  return new Cassette(filePath, options).insert();
+}
+
+/**
+ * Runs `fn` with a cassette inserted and ejects it afterwards, also when `fn` throws.
+ * @template T
+ * @param {string} filePath
+ * @param {CassetteOptions} options
+ * @param {(cassette: Cassette) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withCassette(filePath, options, fn) {
+  const cassette = await useCassette(filePath, options);
+  try {
+    return await fn(cassette);
+  } finally {
+    await cassette.eject();
+  }
+}
@@ -0,0 +1,127 @@
+import { LLMPlugConfigurationError, LLMPlugRequestError, LLMPlugRateLimitError } from './errors.js';
+
+/**
+ * Circuit breaker settings (`config.circuitBreaker`); `true` uses the defaults.
+ * @typedef {Object} CircuitBreakerConfig
+ * @property {number} [failureThreshold=5] - Consecutive failed calls that open the circuit.
+ * @property {number} [cooldownMs=30000] - How long the circuit stays open before a trial call is let through.
+ * @property {(error: Error) => boolean} [isFailure] - Which errors count as failures. By default, retryable
+ *   request errors (timeouts, connection errors, 5xx) do; rate limits and errors caused by the request itself do not.
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerState
+ * @property {'closed' | 'open' | 'half-open'} state - 'half-open' once the cooldown is over: the next call is a trial
+ *   that closes the circuit if it succeeds and opens it again if it fails.
+ * @property {number} consecutiveFailures
+ * @property {number | null} openedAt - Epoch milliseconds, or null if the circuit is closed.
+ * @property {number} retryAfterMs - Time left until the cooldown is over, 0 if the circuit is not open.
+ * @property {string | null} lastError - Message of the last failure.
+ */
+
+/**
+ * A call let through by `tryAcquire`, to be passed back to `record`.
+ * @typedef {Object} CircuitPermit
+ * @property {boolean} trial - Whether this is the trial call of the half-open state.
+ */
+
+/** @param {Error} error */
+function defaultIsFailure(error) {
+  return error instanceof LLMPlugRequestError && error.retryable && !(error instanceof LLMPlugRateLimitError);
+}
+
+/**
+ * Stops sending calls to a backend that keeps failing. After `failureThreshold` consecutive failures the circuit
+ * opens and calls fail fast; after `cooldownMs` a single trial call decides whether it closes again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {CircuitBreakerConfig} [config={}]
+   * @throws {LLMPlugConfigurationError} If a setting is not a positive number.
+   */
+  constructor(config = {}) {
+    this.failureThreshold = config.failureThreshold ?? 5;
+    this.cooldownMs = config.cooldownMs ?? 30 * 1000;
+    if (!(this.failureThreshold >= 1) || !(this.cooldownMs > 0)) {
+      throw new LLMPlugConfigurationError('Circuit breaker `failureThreshold` and `cooldownMs` must be positive numbers.', 'CircuitBreaker');
+    }
+    this.isFailure = config.isFailure || defaultIsFailure;
+
+    this._consecutiveFailures = 0;
+    this._openedAt = null;
+    /** @type {CircuitPermit | null} */
+    this._trial = null;
+    this._lastError = null;
+  }
+
+  /** @returns {CircuitBreakerState} */
+  get state() {
+    return {
+      state: this._currentState(),
+      consecutiveFailures: this._consecutiveFailures,
+      openedAt: this._openedAt,
+      retryAfterMs: this._retryAfterMs(),
+      lastError: this._lastError,
+    };
+  }
+
+  /**
+   * Lets a call start, unless the circuit is open. In the half-open state only one trial call is let through at a time.
+   * Every call that was let through must be reported with `record`.
+   * @returns {CircuitPermit | null} Null if the call may not start now.
+   */
+  tryAcquire() {
+    const state = this._currentState();
+    if (state === 'closed') return { trial: false };
+    if (state === 'open' || this._trial) return null;
+    this._trial = { trial: true };
+    return this._trial;
+  }
+
+  /**
+   * Reports how a call that was let through ended. Only a successful trial closes the circuit: calls that were
+   * already in flight when it opened do not, and a trial that ends in an error that is no failure (an abort,
+   * a bad request) leaves it half-open for the next trial. Such errors neither count as failures nor reset the count.
+   * @param {Error} [error] - The error the call failed with, if it failed.
+   * @param {CircuitPermit} [permit] - From `tryAcquire`.
+   * @returns {'opened' | 'closed' | null} The transition the outcome caused, if any.
+   */
+  record(error, permit) {
+    const wasTrial = !!permit && permit === this._trial;
+    if (wasTrial) this._trial = null;
+    if (error && this.isFailure(error)) {
+      this._consecutiveFailures += 1;
+      this._lastError = error.message;
+      if (wasTrial || (this._openedAt === null && this._consecutiveFailures >= this.failureThreshold)) {
+        this._openedAt = Date.now();
+        return 'opened';
+      }
+      return null;
+    }
+    if (error) return null;
+    if (wasTrial) {
+      this._consecutiveFailures = 0;
+      this._openedAt = null;
+      return 'closed';
+    }
+    if (this._openedAt === null) this._consecutiveFailures = 0;
+    return null;
+  }
+
+  /** Closes the circuit and forgets past failures. */
+  reset() {
+    this._consecutiveFailures = 0;
+    this._openedAt = null;
+    this._trial = null;
+    this._lastError = null;
+  }
+
+  _currentState() {
+    if (this._openedAt === null) return 'closed';
+    return this._retryAfterMs() > 0 ? 'open' : 'half-open';
+  }
+
+  _retryAfterMs() {
+    return this._openedAt === null ? 0 : Math.max(0, this._openedAt + this.cooldownMs - Date.now());
+  }
+}
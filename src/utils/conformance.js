@@ -0,0 +1,421 @@
+import assert from 'node:assert/strict';
+import { createProvider, listProviders } from '../providerRegistry.js';
+import {
+  LLMPlugAuthenticationError,
+  LLMPlugConfigurationError,
+  LLMPlugContextLengthError,
+  LLMPlugModelNotFoundError,
+  LLMPlugRateLimitError,
+  LLMPlugRequestError,
+} from './errors.js';
+import { StreamAccumulator } from './streamAccumulator.js';
+import { startStubServer } from './stubServer.js';
+
+/**
+ * How a built-in provider is pointed at a stub server.
+ * @typedef {Object} ConformanceTarget
+ * @property {string} wireFormat - Name of a format in `WIRE_FORMATS`.
+ * @property {(server: import('./stubServer.js').StubServer) => object} config - The provider config for the server.
+ */
+
+/**
+ * @type {Readonly<Object.<string, ConformanceTarget>>}
+ */
+export const CONFORMANCE_TARGETS = Object.freeze({
+  openai: { wireFormat: 'openai', config: server => ({ baseURL: `${server.url}/v1` }) },
+  anthropic: { wireFormat: 'anthropic', config: server => ({ baseURL: server.url }) },
+  google: { wireFormat: 'gemini', config: server => ({ baseURL: server.url, defaultModel: 'gemini-1.5-flash' }) },
+  cohere: { wireFormat: 'cohere', config: server => ({ baseURL: server.url }) },
+  mistralai: { wireFormat: 'mistral', config: server => ({ endpoint: server.url }) },
+  huggingface: { wireFormat: 'huggingface', config: server => ({ baseURL: `${server.url}/models`, modelId: 'stub/model', apiToken: 'conformance-key' }) },
+  ollama: { wireFormat: 'ollama', config: server => ({ baseURL: `${server.url}/v1`, nativeBaseURL: `${server.url}/api`, defaultModel: 'llama3' }) },
+  openrouter: { wireFormat: 'openai', config: server => ({ baseURL: `${server.url}/v1`, defaultModel: 'openai/gpt-4o-mini' }) },
+  llamacpp: { wireFormat: 'openai', config: server => ({ baseURL: `${server.url}/v1`, defaultModel: 'local-model' }) },
+  oobabooga: { wireFormat: 'openai', config: server => ({ baseURL: `${server.url}/v1`, defaultModel: 'local-model' }) },
+});
+
+/**
+ * @typedef {Object} ConformanceContext
+ * @property {import('../providers/baseProvider.js').BaseProvider} provider
+ * @property {import('./stubServer.js').StubServer} server
+ * @property {import('./wireFormats.js').WireFormat} wireFormat
+ */
+
+/**
+ * @typedef {Object} ConformanceScenario
+ * @property {string} id
+ * @property {string} description
+ * @property {'streaming' | 'tools' | 'vision' | 'jsonMode'} [requires] - Skipped unless the provider has the capability.
+ * @property {(context: ConformanceContext) => Promise<void>} run - Throws (usually an AssertionError) on a divergence.
+ */
+
+/**
+ * @typedef {Object} ConformanceResult
+ * @property {string} scenario
+ * @property {'passed' | 'failed' | 'skipped'} status
+ * @property {Error} [error] - Why the scenario failed.
+ * @property {number} durationMs
+ */
+
+/**
+ * @typedef {Object} ConformanceReport
+ * @property {string} provider
+ * @property {string} wireFormat
+ * @property {boolean} passed - True if no scenario failed.
+ * @property {ConformanceResult[]} results
+ */
+
+const USER_PROMPT = 'What is the capital of France?';
+const SYSTEM_PROMPT = 'You are a terse geography tutor.';
+// A 1x1 transparent PNG.
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const WEATHER_TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Returns the current weather for a city.',
+    parameters: { type: 'object', properties: { city: { type: 'string', description: 'The city name' } }, required: ['city'] },
+  },
+};
+
+function lastUserMessage(request) {
+  return [...request.messages].reverse().find(message => message.role === 'user');
+}
+
+/**
+ * Checks the parts of a GenerationResult every provider must agree on.
+ * @param {import('../providers/baseProvider.js').GenerationResult} result
+ * @param {import('./wireFormats.js').StubReply} reply - The scripted answer.
+ * @param {import('./wireFormats.js').WireFormat} wireFormat
+ */
+function assertResultContract(result, reply, wireFormat) {
+  assert.ok(result.text === null || typeof result.text === 'string', `text must be a string or null, got ${typeof result.text}`);
+  if (result.toolCalls !== undefined) {
+    assert.ok(Array.isArray(result.toolCalls) && result.toolCalls.length > 0, 'toolCalls must be undefined or a non-empty array');
+    for (const toolCall of result.toolCalls) {
+      assert.equal(typeof toolCall.id, 'string', 'every tool call needs an id');
+      assert.equal(toolCall.type, 'function');
+      assert.equal(typeof toolCall.function?.name, 'string');
+      assert.equal(typeof toolCall.function?.arguments, 'string', 'tool call arguments must be a JSON string');
+    }
+  }
+  assertFinishReason(result, reply, wireFormat);
+  assert.equal(result.attempts, 1, 'attempts must be reported');
+  assert.equal(typeof result.model, 'string', 'model must be reported');
+  assertUsage(result.usage, reply, wireFormat);
+}
+
+function assertFinishReason(result, reply, wireFormat) {
+  if (!wireFormat.reportsFinishReason) {
+    assert.equal(result.finishReason, 'other', 'finishReason must be \'other\' when the vendor gives none');
+    return;
+  }
+  const expected = reply.finishReason || (reply.toolCalls?.length ? 'tool_calls' : 'stop');
+  assert.equal(result.finishReason, expected, `finishReason must be the canonical '${expected}'`);
+  assert.equal(typeof result.rawFinishReason, 'string', 'the vendor\'s finish reason must be kept in rawFinishReason');
+}
+
+function assertUsage(usage, reply, wireFormat) {
+  assert.ok(usage, 'usage must be reported, or estimated if the vendor gives none');
+  if (!wireFormat.reportsUsage) {
+    assert.equal(usage.estimated, true, 'usage the vendor does not report must be marked estimated');
+    assert.ok(usage.promptTokens > 0, 'the prompt tokens must be estimated');
+    assert.equal(typeof usage.completionTokens, 'number', 'the completion tokens must be estimated');
+    assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens, 'usage.totalTokens');
+    return;
+  }
+  assert.equal(usage.estimated, false, 'usage the vendor reports must not be marked estimated');
+  assert.equal(usage.promptTokens, reply.usage.promptTokens, 'usage.promptTokens');
+  assert.equal(usage.completionTokens, reply.usage.completionTokens, 'usage.completionTokens');
+  assert.equal(usage.totalTokens, reply.usage.promptTokens + reply.usage.completionTokens, 'usage.totalTokens');
+  for (const detail of ['cachedPromptTokens', 'cacheCreationTokens', 'reasoningTokens']) {
+    const expected = wireFormat.usageDetails.includes(detail) ? reply.usage[detail] : undefined;
+    assert.equal(usage[detail], expected, `usage.${detail}`);
+  }
+}
+
+function errorScenario(id, type, ErrorClass) {
+  return {
+    id,
+    description: `A ${type.replace(/_/g, ' ')} error is raised as ${ErrorClass.name}.`,
+    async run({ provider, server }) {
+      server.enqueue({ error: { type, retryAfter: type === 'rate_limit' ? 1 : undefined } });
+      await assert.rejects(provider.chat([{ role: 'user', content: USER_PROMPT }]), error => {
+        assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error?.name}: ${error?.message}`);
+        assert.equal(error.provider, provider.providerName, 'error.provider');
+        return true;
+      });
+    },
+  };
+}
+
+/**
+ * The scenarios run by `runConformanceSuite`, in order.
+ * @type {ReadonlyArray<ConformanceScenario>}
+ */
+export const CONFORMANCE_SCENARIOS = Object.freeze([
+  {
+    id: 'chat',
+    description: 'A plain chat turn returns the text, usage and metadata.',
+    async run({ provider, server, wireFormat }) {
+      const reply = { text: 'The capital of France is Paris.', usage: { promptTokens: 14, completionTokens: 8 } };
+      server.enqueue(reply);
+      const result = await provider.chat([{ role: 'user', content: USER_PROMPT }]);
+
+      assertResultContract(result, reply, wireFormat);
+      assert.equal(result.text, reply.text);
+      assert.equal(result.toolCalls, undefined, 'toolCalls must be undefined when the model calls no tools');
+      assert.equal(server.requests.length, 1);
+      assert.ok(lastUserMessage(server.requests[0])?.text.includes(USER_PROMPT), 'the user message must be sent');
+    },
+  },
+  {
+    id: 'system-prompt',
+    description: 'A system message reaches the vendor and the caller\'s messages are left untouched.',
+    async run({ provider, server, wireFormat }) {
+      const reply = { text: 'Paris.', usage: { promptTokens: 20, completionTokens: 2 } };
+      server.enqueue(reply);
+      const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: [{ type: 'text', text: USER_PROMPT }] },
+      ];
+      const snapshot = structuredClone(messages);
+      const result = await provider.chat(messages);
+
+      assertResultContract(result, reply, wireFormat);
+      assert.equal(result.text, reply.text);
+      const [request] = server.requests;
+      if (wireFormat.systemPrompt === 'field') {
+        assert.equal(request.system, SYSTEM_PROMPT, 'the system prompt must be sent in the vendor\'s system field');
+        assert.ok(request.messages.every(message => !message.text.includes(SYSTEM_PROMPT)), 'the system prompt must not be repeated as a turn');
+      } else {
+        assert.ok(request.messages[0]?.text.includes(SYSTEM_PROMPT), 'the system prompt must be folded into the first turn');
+      }
+      assert.deepEqual(messages, snapshot, 'the caller\'s messages must not be mutated');
+    },
+  },
+  {
+    id: 'image',
+    description: 'An image_url part is sent as image data alongside the text.',
+    requires: 'vision',
+    async run({ provider, server, wireFormat }) {
+      const reply = { text: 'A single transparent pixel.', usage: { promptTokens: 90, completionTokens: 6 } };
+      server.enqueue(reply);
+      const result = await provider.chat([{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is in this image?' },
+          { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG_BASE64}` } },
+        ],
+      }]);
+
+      assertResultContract(result, reply, wireFormat);
+      const message = lastUserMessage(server.requests[0]);
+      assert.ok(message?.text.includes('What is in this image?'), 'the text part must be sent');
+      assert.deepEqual(message.images, [PNG_BASE64], 'the image must be sent as base64 data');
+    },
+  },
+  {
+    id: 'tools',
+    description: 'A tool call round-trip through runTools sends the call and its result back to the vendor.',
+    requires: 'tools',
+    async run({ provider, server, wireFormat }) {
+      const callReply = {
+        toolCalls: [{ id: 'call_conformance_1', name: 'get_weather', arguments: { city: 'Paris' } }],
+        usage: { promptTokens: 40, completionTokens: 12 },
+      };
+      const answerReply = { text: 'It is 21 degrees in Paris.', usage: { promptTokens: 60, completionTokens: 9 } };
+      server.enqueue(callReply, answerReply);
+      const run = await provider.runTools([{ role: 'user', content: 'What is the weather in Paris?' }], {
+        tools: [WEATHER_TOOL],
+        handlers: { get_weather: ({ city }) => ({ city, temperatureC: 21 }) },
+      });
+
+      assert.equal(run.completed, true, 'runTools must complete');
+      const [callStep, answerStep] = run.steps;
+      assertResultContract(callStep.result, callReply, wireFormat);
+      assert.equal(callStep.result.toolCalls?.length, 1, 'the tool call must be returned');
+      const [toolCall] = callStep.result.toolCalls;
+      assert.equal(toolCall.function.name, 'get_weather');
+      assert.deepEqual(JSON.parse(toolCall.function.arguments), { city: 'Paris' });
+      if (wireFormat.toolCallIds) assert.equal(toolCall.id, 'call_conformance_1', 'the vendor\'s tool call id must be kept');
+      assertResultContract(answerStep.result, answerReply, wireFormat);
+      assert.equal(run.text, answerReply.text);
+
+      assert.equal(server.requests.length, 2);
+      assert.ok(server.requests[0].tools.includes('get_weather'), 'the tool must be offered');
+      const followUp = server.requests[1];
+      const assistantTurn = followUp.messages.find(message => message.role === 'assistant' && message.toolCalls);
+      assert.ok(assistantTurn, 'the assistant\'s tool call must be sent back');
+      assert.equal(assistantTurn.toolCalls[0].name, 'get_weather');
+      assert.deepEqual(assistantTurn.toolCalls[0].arguments, { city: 'Paris' });
+      const toolTurn = followUp.messages.find(message => message.role === 'tool');
+      assert.ok(toolTurn, 'the tool result must be sent back');
+      assert.ok(toolTurn.text.includes('21'), `the tool output must be sent back, got ${JSON.stringify(toolTurn.text)}`);
+      if (wireFormat.toolCallIds) {
+        assert.equal(assistantTurn.toolCalls[0].id, 'call_conformance_1');
+        assert.equal(toolTurn.toolCallId, 'call_conformance_1', 'the tool result must reference its call');
+      }
+    },
+  },
+  {
+    id: 'json-mode',
+    description: 'A json_object response format yields parsed JSON.',
+    requires: 'jsonMode',
+    async run({ provider, server, wireFormat }) {
+      const answer = { city: 'Paris', country: 'France' };
+      const reply = { text: JSON.stringify(answer), usage: { promptTokens: 30, completionTokens: 11 } };
+      server.enqueue(reply);
+      const result = await provider.chat([{ role: 'user', content: `${USER_PROMPT} Answer in JSON.` }], { responseFormat: { type: 'json_object' } });
+
+      assertResultContract(result, reply, wireFormat);
+      assert.deepEqual(result.parsed, answer);
+    },
+  },
+  {
+    id: 'truncated',
+    description: 'An answer cut off by the token limit finishes with \'length\'.',
+    async run({ provider, server, wireFormat }) {
+      const reply = { text: 'The capital of France is', finishReason: 'length', usage: { promptTokens: 12, completionTokens: 5 } };
+      server.enqueue(reply);
+      const result = await provider.chat([{ role: 'user', content: USER_PROMPT }], { maxTokens: 5 });
+
+      assertResultContract(result, wireFormat.reportsFinishReason ? reply : { ...reply, finishReason: 'other' }, wireFormat);
+      assert.equal(result.text, reply.text);
+    },
+  },
+  {
+    id: 'usage-details',
+    description: 'Cached prompt, cache-writing and reasoning tokens are reported in the same terms wherever the vendor has them.',
+    async run({ provider, server, wireFormat }) {
+      const reply = {
+        text: 'Paris.',
+        usage: { promptTokens: 1200, completionTokens: 300, cachedPromptTokens: 1024, cacheCreationTokens: 100, reasoningTokens: 280 },
+      };
+      server.enqueue(reply);
+      const result = await provider.chat([{ role: 'user', content: USER_PROMPT }]);
+
+      assertResultContract(result, reply, wireFormat);
+    },
+  },
+  {
+    id: 'stream',
+    description: 'A stream yields the text, reports attempts on the first chunk and ends with the finish reason and usage.',
+    requires: 'streaming',
+    async run({ provider, server, wireFormat }) {
+      const reply = { text: 'Streaming works the same everywhere.', usage: { promptTokens: 16, completionTokens: 7 } };
+      server.enqueue(reply);
+      const accumulator = new StreamAccumulator();
+      const chunks = [];
+      for await (const chunk of provider.chatStream([{ role: 'user', content: USER_PROMPT }])) {
+        chunks.push(chunk);
+        accumulator.add(chunk);
+      }
+      const result = accumulator.finish();
+
+      assert.ok(chunks.length > 1, 'the text must arrive in several chunks');
+      assert.equal(chunks[0].attempts, 1, 'attempts must be reported on the first chunk');
+      assert.equal(result.text, reply.text);
+      assert.equal(result.toolCalls, undefined);
+      assertFinishReason(result, reply, wireFormat);
+      assertUsage(result.usage, reply, wireFormat);
+      assert.equal(server.requests[0].stream, true, 'a streaming request must be made');
+    },
+  },
+  errorScenario('error-rate-limit', 'rate_limit', LLMPlugRateLimitError),
+  errorScenario('error-authentication', 'authentication', LLMPlugAuthenticationError),
+  errorScenario('error-context-length', 'context_length', LLMPlugContextLengthError),
+  errorScenario('error-model-not-found', 'model_not_found', LLMPlugModelNotFoundError),
+  {
+    id: 'error-server',
+    description: 'A server error is raised as a retryable LLMPlugRequestError.',
+    async run({ provider, server }) {
+      server.enqueue({ error: { type: 'server' } });
+      await assert.rejects(provider.chat([{ role: 'user', content: USER_PROMPT }]), error => {
+        assert.ok(error instanceof LLMPlugRequestError, `expected LLMPlugRequestError, got ${error?.name}: ${error?.message}`);
+        assert.equal(error.retryable, true, 'server errors must be retryable');
+        return true;
+      });
+    },
+  },
+]);
+
+function findRegistration(name) {
+  const lowerName = name.toLowerCase();
+  return listProviders().find(provider => provider.name === lowerName || provider.aliases.includes(lowerName));
+}
+
+function withTimeout(promise, timeoutMs, scenarioId) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Scenario '${scenarioId}' did not finish within ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs the same scenarios against a provider through a local stub server speaking its vendor's wire format:
+ * plain chat, system prompt, image input, a tool call round-trip, JSON mode, streaming and error mapping.
+ * Each provider is created with `retry: false` and `logLevel: 'error'`; scenarios the provider lacks the
+ * capability for are skipped. Built-in providers need no options besides their name; a third-party provider
+ * passes the wire format its API speaks and how to point its config at the server.
+ * @param {object} options
+ * @param {string | typeof import('../providers/baseProvider.js').BaseProvider} options.provider - A registered provider name or a provider class.
+ * @param {import('./wireFormats.js').WireFormat | string} [options.wireFormat] - Defaults to the built-in target's format.
+ * @param {(server: import('./stubServer.js').StubServer) => object} [options.config] - Provider config for the server; defaults to the built-in target's.
+ * @param {import('../providerRegistry.js').ProviderCapabilities} [options.capabilities] - Defaults to the registered capabilities,
+ *   or to all of them for a class.
+ * @param {string[]} [options.scenarios] - IDs of the scenarios to run; all by default.
+ * @param {number} [options.timeoutMs=15000] - Per scenario.
+ * @returns {Promise<ConformanceReport>}
+ * @throws {LLMPlugConfigurationError} If the provider is unknown or no wire format or config can be determined.
+ */
+export async function runConformanceSuite(options) {
+  const { provider: providerOption, scenarios: scenarioIds, timeoutMs = 15000 } = options;
+  const isName = typeof providerOption === 'string';
+  const registration = isName ? findRegistration(providerOption) : undefined;
+  if (isName && !registration) {
+    throw new LLMPlugConfigurationError(`Unknown provider: ${providerOption}`);
+  }
+  const target = registration ? CONFORMANCE_TARGETS[registration.name] : undefined;
+  const wireFormat = options.wireFormat || target?.wireFormat;
+  const createConfig = options.config || target?.config;
+  if (!wireFormat || !createConfig) {
+    throw new LLMPlugConfigurationError('runConformanceSuite needs `wireFormat` and `config` for providers without a built-in target.');
+  }
+  const capabilities = options.capabilities || registration?.capabilities || { streaming: true, tools: true, vision: true, jsonMode: true };
+  const unknownIds = (scenarioIds || []).filter(id => !CONFORMANCE_SCENARIOS.some(scenario => scenario.id === id));
+  if (unknownIds.length > 0) {
+    throw new LLMPlugConfigurationError(`Unknown conformance scenarios: ${unknownIds.join(', ')}`);
+  }
+
+  const server = await startStubServer(wireFormat);
+  try {
+    const config = { apiKey: 'conformance-key', logLevel: 'error', ...createConfig(server), retry: false };
+    const provider = isName ? createProvider(providerOption, config) : new providerOption(config);
+    const results = [];
+    for (const scenario of CONFORMANCE_SCENARIOS) {
+      if (scenarioIds && !scenarioIds.includes(scenario.id)) continue;
+      if (scenario.requires && !capabilities[scenario.requires]) {
+        results.push({ scenario: scenario.id, status: 'skipped', durationMs: 0 });
+        continue;
+      }
+      server.reset();
+      const startedAt = Date.now();
+      try {
+        await withTimeout(scenario.run({ provider, server, wireFormat: server.wireFormat }), timeoutMs, scenario.id);
+        results.push({ scenario: scenario.id, status: 'passed', durationMs: Date.now() - startedAt });
+      } catch (error) {
+        results.push({ scenario: scenario.id, status: 'failed', error, durationMs: Date.now() - startedAt });
+      }
+    }
+    return {
+      provider: registration?.name || providerOption.name,
+      wireFormat: server.wireFormat.name,
+      passed: results.every(result => result.status !== 'failed'),
+      results,
+    };
+  } finally {
+    await server.close();
+  }
+}
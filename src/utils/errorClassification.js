@@ -0,0 +1,98 @@
+import {
+  LLMPlugRequestError,
+  LLMPlugRateLimitError,
+  LLMPlugAuthenticationError,
+  LLMPlugContextLengthError,
+  LLMPlugContentFilterError,
+  LLMPlugTimeoutError,
+  LLMPlugModelNotFoundError,
+} from './errors.js';
+import { DEFAULT_RETRY_POLICY, getErrorStatus, getErrorHeaders, getRetryAfterMs, isRetryableError, readHeader } from './retry.js';
+
+// Message fragments used by the vendors when no machine-readable code is available.
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|input is too long|too many tokens|exceeds the max(imum)? (number of )?tokens|max_new_tokens. must be <=/i;
+const CONTENT_FILTER_PATTERN = /content[_ ]filter|content[_ ]policy|content management policy|safety (settings|filters)|blocked due to safety|responsible ai/i;
+const MODEL_NOT_FOUND_PATTERN = /model[^.]*(not found|does not exist|not exist|unknown)|(unknown|invalid|no such) model|try pulling it/i;
+const TIMEOUT_PATTERN = /timed? ?out|timeout/i;
+
+/**
+ * Collects the provider-specific error code from the shapes used by the supported SDKs:
+ * OpenAI (`error.code`), Anthropic (`error.error.error.type`), Google (`errorDetails[].reason`) and Cohere/HTTP bodies.
+ * @param {any} error
+ * @returns {string | undefined}
+ */
+export function getProviderErrorCode(error) {
+  if (!error) return undefined;
+  const candidates = [
+    typeof error.code === 'string' && !error.code.startsWith('E') ? error.code : undefined,
+    error.error?.error?.type,
+    error.error?.type,
+    error.error?.code,
+    error.type,
+    error.errorDetails?.find?.(detail => detail.reason)?.reason,
+    error.body?.error?.code,
+    error.body?.error?.type,
+  ];
+  const code = candidates.find(candidate => typeof candidate === 'string' && candidate);
+  return code || undefined;
+}
+
+/**
+ * Reads the provider's request ID from the error or its response headers.
+ * @param {any} error
+ * @returns {string | undefined}
+ */
+export function getRequestId(error) {
+  if (!error) return undefined;
+  const headers = getErrorHeaders(error);
+  return error.request_id
+    || error.requestId
+    || readHeader(headers, 'x-request-id')
+    || readHeader(headers, 'request-id')
+    || readHeader(headers, 'x-amzn-requestid')
+    || undefined;
+}
+
+/**
+ * Converts a raw SDK/HTTP error into the most specific LLMPlug request error.
+ * @param {string} message - The message for the resulting error (usually prefixed with the provider and operation).
+ * @param {string} provider - The provider name.
+ * @param {any} error - The underlying error.
+ * @returns {LLMPlugRequestError}
+ */
+export function classifyRequestError(message, provider, error) {
+  const statusCode = getErrorStatus(error);
+  const providerErrorCode = getProviderErrorCode(error);
+  const details = {
+    statusCode,
+    providerErrorCode,
+    requestId: getRequestId(error),
+    retryable: isRetryableError(error, DEFAULT_RETRY_POLICY, 1),
+  };
+  const code = (providerErrorCode || '').toLowerCase();
+  // Only the vendor's own message is inspected; the LLMPlug prefix mentions the model name on every error.
+  const text = String(error?.message || '');
+
+  if (error?.name === 'APIConnectionTimeoutError' || error?.code === 'ETIMEDOUT' || statusCode === 408 || statusCode === 504
+    || (statusCode === undefined && TIMEOUT_PATTERN.test(text))) {
+    return new LLMPlugTimeoutError(message, provider, error, { ...details, retryable: true });
+  }
+  if (statusCode === 429 || code.includes('rate_limit') || code === 'resource_exhausted' || code === 'insufficient_quota') {
+    // An exhausted quota won't recover by retrying; a rate limit will.
+    const retryable = code !== 'insufficient_quota';
+    return new LLMPlugRateLimitError(message, provider, error, { ...details, retryable, retryAfterMs: getRetryAfterMs(error) });
+  }
+  if (statusCode === 401 || statusCode === 403 || code.includes('auth') || code.includes('permission') || code === 'invalid_api_key' || code === 'api_key_invalid') {
+    return new LLMPlugAuthenticationError(message, provider, error, details);
+  }
+  if (code === 'context_length_exceeded' || code === 'string_above_max_length' || CONTEXT_LENGTH_PATTERN.test(text)) {
+    return new LLMPlugContextLengthError(message, provider, error, details);
+  }
+  if (code.includes('content_filter') || code.includes('content_policy') || code === 'safety' || CONTENT_FILTER_PATTERN.test(text)) {
+    return new LLMPlugContentFilterError(message, provider, error, details);
+  }
+  if (code === 'model_not_found' || MODEL_NOT_FOUND_PATTERN.test(text) || ((statusCode === 404 || code === 'not_found_error') && /model/i.test(text))) {
+    return new LLMPlugModelNotFoundError(message, provider, error, details);
+  }
+  return new LLMPlugRequestError(message, provider, error, details);
+}
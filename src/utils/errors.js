@@ -1,4 +1,3 @@
-
 export class LLMPlugError extends Error {
   constructor(message, provider, originalError = null) {
     super(message);
@@ -18,10 +17,130 @@ export class LLMPlugConfigurationError extends LLMPlugError {
   }
 }
 
+/**
+ * Structured details about a failed provider request.
+ * @typedef {Object} RequestErrorDetails
+ * @property {number} [statusCode] - HTTP status returned by the provider, if any.
+ * @property {boolean} [retryable] - Whether repeating the same request may succeed.
+ * @property {string} [providerErrorCode] - The provider's own error code/type (e.g. 'context_length_exceeded', 'rate_limit_error').
+ * @property {string} [requestId] - The provider's request ID, useful when contacting vendor support.
+ */
+
 export class LLMPlugRequestError extends LLMPlugError {
-  constructor(message, provider, originalError = null) {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {Error | null} [originalError=null]
+   * @param {RequestErrorDetails} [details={}]
+   */
+  constructor(message, provider, originalError = null, details = {}) {
     super(message, provider, originalError);
     this.name = 'LLMPlugRequestError';
+    this.statusCode = details.statusCode;
+    this.retryable = details.retryable ?? false;
+    this.providerErrorCode = details.providerErrorCode;
+    this.requestId = details.requestId;
+  }
+}
+
+/** The provider rejected the request because a rate limit or quota was hit (usually HTTP 429). */
+export class LLMPlugRateLimitError extends LLMPlugRequestError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {Error | null} [originalError=null]
+   * @param {RequestErrorDetails & {retryAfterMs?: number}} [details={}]
+   */
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { retryable: true, ...details });
+    this.name = 'LLMPlugRateLimitError';
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+/** The API key/token is missing, invalid, or lacks permission (HTTP 401/403). */
+export class LLMPlugAuthenticationError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { ...details, retryable: false });
+    this.name = 'LLMPlugAuthenticationError';
+  }
+}
+
+/** The prompt (plus requested completion) exceeds the model's context window. */
+export class LLMPlugContextLengthError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { ...details, retryable: false });
+    this.name = 'LLMPlugContextLengthError';
+  }
+}
+
+/** The request or the response was blocked by the provider's content/safety filters. */
+export class LLMPlugContentFilterError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { ...details, retryable: false });
+    this.name = 'LLMPlugContentFilterError';
+  }
+}
+
+/** The request timed out, either client-side or at the provider's gateway (HTTP 408/504). */
+export class LLMPlugTimeoutError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { retryable: true, ...details });
+    this.name = 'LLMPlugTimeoutError';
+  }
+}
+
+/** The request was cancelled through `options.signal`. */
+export class LLMPlugAbortError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { ...details, retryable: false });
+    this.name = 'LLMPlugAbortError';
+  }
+}
+
+/** The requested model does not exist or is not available to this account/server. */
+export class LLMPlugModelNotFoundError extends LLMPlugRequestError {
+  constructor(message, provider, originalError = null, details = {}) {
+    super(message, provider, originalError, { ...details, retryable: false });
+    this.name = 'LLMPlugModelNotFoundError';
+  }
+}
+
+/**
+ * A budget (`config.budget`) does not allow the request, so it was not sent.
+ * `limit` names the exhausted limit: 'maxTokensPerRequest', 'maxTokensPerDay' or 'maxUsdPerMonth'.
+ */
+export class LLMPlugBudgetExceededError extends LLMPlugRequestError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {{limit?: string, used?: number, requested?: number, max?: number}} [details={}] - `used` is the
+   *   amount already spent in the current period, `requested` the estimate for this request.
+   */
+  constructor(message, provider, details = {}) {
+    super(message, provider, null, { retryable: false });
+    this.name = 'LLMPlugBudgetExceededError';
+    this.limit = details.limit;
+    this.used = details.used;
+    this.requested = details.requested;
+    this.max = details.max;
+  }
+}
+
+/**
+ * The provider's circuit breaker (`config.circuitBreaker`) is open after repeated failures, so the request was not sent.
+ * `retryAfterMs` is the time left until the breaker lets a trial request through.
+ */
+export class LLMPlugCircuitOpenError extends LLMPlugRequestError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {{retryAfterMs?: number}} [details={}]
+   */
+  constructor(message, provider, details = {}) {
+    super(message, provider, null, { retryable: false });
+    this.name = 'LLMPlugCircuitOpenError';
+    this.retryAfterMs = details.retryAfterMs;
   }
 }
 
@@ -31,4 +150,20 @@ export class LLMPlugToolError extends LLMPlugError {
     this.name = 'LLMPlugToolError';
     this.toolName = toolName;
   }
-}
\ No newline at end of file
+}
+
+/** The model's answer could not be parsed as JSON or did not match the requested JSON Schema. */
+export class LLMPlugOutputValidationError extends LLMPlugError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {{text?: string | null, validationErrors?: string[]}} [details={}]
+   * @param {Error | null} [originalError=null]
+   */
+  constructor(message, provider, details = {}, originalError = null) {
+    super(message, provider, originalError);
+    this.name = 'LLMPlugOutputValidationError';
+    this.text = details.text ?? null;
+    this.validationErrors = details.validationErrors || [];
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * The canonical finish reasons reported in `finishReason`, whichever vendor answered:
+ * - 'stop': the model finished its answer (or hit a stop sequence).
+ * - 'length': the output was cut off by `maxTokens` or the context window.
+ * - 'tool_calls': the model stopped to call tools.
+ * - 'content_filter': the answer was blocked or cut by the vendor's safety filters.
+ * - 'error': the vendor reported a failure while generating.
+ * - 'other': any other reason, or the vendor did not say.
+ * @typedef {'stop' | 'length' | 'tool_calls' | 'content_filter' | 'error' | 'other'} FinishReason
+ */
+
+/** @type {Readonly<{STOP: 'stop', LENGTH: 'length', TOOL_CALLS: 'tool_calls', CONTENT_FILTER: 'content_filter', ERROR: 'error', OTHER: 'other'}>} */
+export const FINISH_REASONS = Object.freeze({
+  STOP: 'stop',
+  LENGTH: 'length',
+  TOOL_CALLS: 'tool_calls',
+  CONTENT_FILTER: 'content_filter',
+  ERROR: 'error',
+  OTHER: 'other',
+});
+
+// Vendor values (lowercased) by canonical reason. Anything not listed is 'other'.
+const VENDOR_FINISH_REASONS = {
+  stop: ['stop', 'end_turn', 'stop_sequence', 'complete', 'eos_token', 'eos', 'end'],
+  length: ['length', 'max_tokens', 'model_length', 'error_limit'],
+  tool_calls: ['tool_calls', 'tool_use', 'function_call', 'tool_call'],
+  content_filter: ['content_filter', 'safety', 'recitation', 'blocklist', 'prohibited_content', 'spii', 'image_safety', 'refusal', 'error_toxic'],
+  error: ['error', 'malformed_function_call'],
+};
+const CANONICAL_BY_VENDOR = new Map(
+  Object.entries(VENDOR_FINISH_REASONS).flatMap(([canonical, vendorValues]) => vendorValues.map(value => [value, canonical])));
+
+/**
+ * Maps a vendor's finish reason (OpenAI `finish_reason`, Anthropic `stop_reason`, Gemini `finishReason`,
+ * Cohere `finish_reason`, ...) to the canonical one.
+ * @param {string | null | undefined} rawFinishReason
+ * @param {{hasToolCalls?: boolean}} [context={}] - Gemini and Cohere finish normally when calling tools,
+ *   so a normal finish with tool calls is reported as 'tool_calls'.
+ * @returns {FinishReason}
+ */
+export function normalizeFinishReason(rawFinishReason, { hasToolCalls = false } = {}) {
+  const canonical = typeof rawFinishReason === 'string' ? CANONICAL_BY_VENDOR.get(rawFinishReason.toLowerCase()) || 'other' : 'other';
+  return canonical === 'stop' && hasToolCalls ? 'tool_calls' : canonical;
+}
@@ -0,0 +1,39 @@
+import nodeFetch, { Response as NodeFetchResponse } from 'node-fetch';
+
+/**
+ * Sees every HTTP request LLMPlug makes and decides how it is answered, e.g. by a cassette (see cassette.js).
+ * `next` performs the real request; `ResponseClass` builds responses of the kind the caller expects.
+ * @callback FetchInterceptor
+ * @param {string | URL | {url: string}} url
+ * @param {object | undefined} init
+ * @param {(url: any, init?: object) => Promise<any>} next
+ * @param {typeof Response} ResponseClass
+ * @returns {Promise<any>}
+ */
+
+/** @type {FetchInterceptor | null} */
+let interceptor = null;
+
+/**
+ * Installs the interceptor for all requests, or removes it with null.
+ * @param {FetchInterceptor | null} fn
+ * @returns {FetchInterceptor | null} The interceptor it replaced.
+ */
+export function setFetchInterceptor(fn) {
+  const previous = interceptor;
+  interceptor = fn;
+  return previous;
+}
+
+/**
+ * Wraps a fetch function so its requests go through the installed interceptor.
+ * @param {(url: any, init?: object) => Promise<any>} fetchFn
+ * @param {typeof Response} [ResponseClass] - Defaults to node-fetch's, which is what the SDK clients use too.
+ * @returns {(url: any, init?: object) => Promise<any>}
+ */
+export function interceptable(fetchFn, ResponseClass = NodeFetchResponse) {
+  return (url, init) => (interceptor ? interceptor(url, init, fetchFn, ResponseClass) : fetchFn(url, init));
+}
+
+/** `node-fetch` through the interceptor. The providers make their own HTTP requests with this. */
+export const fetch = interceptable(nodeFetch);
@@ -0,0 +1,102 @@
+/**
+ * A small JSON Schema validator covering the subset of keywords used in tool parameter
+ * definitions and structured output schemas: type, enum, const, properties, required,
+ * additionalProperties, items, min/max(Length|Items|imum), pattern, anyOf/oneOf/allOf and nullable.
+ * Unknown keywords are ignored rather than rejected.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param {any} value - The value to validate.
+ * @param {object} schema - The JSON Schema.
+ * @param {string} [path='$'] - Path of the value, used in error messages.
+ * @returns {string[]} A list of human-readable validation errors; empty when the value is valid.
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object' || schema === true) return [];
+  const errors = [];
+
+  if (schema.nullable && value === null) return errors;
+
+  if (schema.type !== undefined) {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(t => String(t).toLowerCase());
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' | ')} (got ${typeOf(value)})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match pattern ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subSchema => errors.push(...validateJsonSchema(value, subSchema, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subSchema => validateJsonSchema(value, subSchema, path).length === 0)) {
+    errors.push(`${path} must match at least one of the allowed schemas (anyOf)`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subSchema => validateJsonSchema(value, subSchema, path).length === 0).length;
+    if (matches !== 1) errors.push(`${path} must match exactly one of the allowed schemas (oneOf), matched ${matches}`);
+  }
+
+  return errors;
+}
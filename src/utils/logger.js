@@ -0,0 +1,34 @@
+import { LLMPlugConfigurationError } from './errors.js';
+
+/**
+ * Anything with the usual level methods: `console`, pino, winston, bunyan, ... Missing methods are skipped.
+ * @typedef {Object} Logger
+ * @property {(...args: any[]) => void} [debug]
+ * @property {(...args: any[]) => void} [info]
+ * @property {(...args: any[]) => void} [warn]
+ * @property {(...args: any[]) => void} [error]
+ */
+
+/** Log levels from most to least verbose; 'silent' turns logging off. */
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+const noop = () => {};
+
+/**
+ * Wraps a logger so only messages at `level` or above reach it.
+ * @param {Logger} [logger=console]
+ * @param {'debug' | 'info' | 'warn' | 'error' | 'silent'} [level='warn']
+ * @returns {Required<Logger>}
+ * @throws {LLMPlugConfigurationError} If `level` is not one of `LOG_LEVELS`.
+ */
+export function createLogger(logger = console, level = 'warn') {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new LLMPlugConfigurationError(`Unknown log level '${level}'. Use one of: ${LOG_LEVELS.join(', ')}.`, 'Logger');
+  }
+  const filtered = {};
+  LOG_LEVELS.slice(0, -1).forEach((name, index) => {
+    filtered[name] = index >= threshold && typeof logger?.[name] === 'function' ? logger[name].bind(logger) : noop;
+  });
+  return filtered;
+}
@@ -0,0 +1,13 @@
+/**
+ * Imported right before `@mistralai/mistralai`. Outside a browser, that client replaces the global `fetch`
+ * with node-fetch 2 while it loads, and node-fetch 2 responses lack the web streams the Google client reads.
+ * With a `window` global it keeps the native fetch instead, so one is defined until the client has loaded.
+ * None of the client's requests use that fetch: MistralProvider sends them through `utils/http.js`.
+ */
+const definesWindow = typeof globalThis.window === 'undefined';
+if (definesWindow) globalThis.window = globalThis;
+
+/** Removes the `window` global again; call it once `@mistralai/mistralai` has been imported. */
+export function releaseMistralFetchGuard() {
+  if (definesWindow) delete globalThis.window;
+}
@@ -0,0 +1,107 @@
+/**
+ * Price of a model in USD per million tokens.
+ * @typedef {Object} ModelPrice
+ * @property {number} [input=0] - USD per million prompt (input) tokens. Embedding models only have an input price.
+ * @property {number} [output=0] - USD per million completion (output) tokens.
+ */
+
+/**
+ * Built-in list prices, keyed by lowercase provider name and then by model. Model keys also match
+ * dated or suffixed versions (`claude-3-haiku` prices `claude-3-haiku-20240307`); the longest matching key wins.
+ * `*` prices every model of a provider. Prices change: override them with `config.pricing` on the provider.
+ * @type {Readonly<Object.<string, Object.<string, ModelPrice>>>}
+ */
+export const DEFAULT_PRICING = Object.freeze({
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'o1': { input: 15, output: 60 },
+    'o1-mini': { input: 3, output: 12 },
+    'text-embedding-3-small': { input: 0.02 },
+    'text-embedding-3-large': { input: 0.13 },
+    'text-embedding-ada-002': { input: 0.1 },
+  },
+  anthropic: {
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+  },
+  google: {
+    'gemini-1.0-pro': { input: 0.5, output: 1.5 },
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'text-embedding-004': { input: 0 },
+  },
+  cohere: {
+    'command-light': { input: 0.3, output: 0.6 },
+    'command': { input: 1, output: 2 },
+    'command-r': { input: 0.15, output: 0.6 },
+    'command-r-plus': { input: 2.5, output: 10 },
+    'embed-english-v3.0': { input: 0.1 },
+    'embed-multilingual-v3.0': { input: 0.1 },
+  },
+  mistralai: {
+    'open-mistral-7b': { input: 0.25, output: 0.25 },
+    'open-mixtral-8x7b': { input: 0.7, output: 0.7 },
+    'mistral-small': { input: 0.2, output: 0.6 },
+    'mistral-medium': { input: 2.7, output: 8.1 },
+    'mistral-large': { input: 2, output: 6 },
+    'mistral-embed': { input: 0.1 },
+  },
+  // Local inference servers have no per-token price.
+  ollama: { '*': { input: 0, output: 0 } },
+  llamacppserver: { '*': { input: 0, output: 0 } },
+  oobabooga: { '*': { input: 0, output: 0 } },
+});
+
+/**
+ * Finds the price of a model in a `{ model: price }` table: an exact key, else the longest key the model
+ * name starts with (followed by `-`, `:`, `@` or `.`), else `*`.
+ * @param {Object.<string, ModelPrice> | undefined} table
+ * @param {string | undefined} model
+ * @returns {ModelPrice | undefined}
+ */
+export function findModelPrice(table, model) {
+  if (!table) return undefined;
+  if (model && table[model]) return table[model];
+  if (model) {
+    let best;
+    for (const key of Object.keys(table)) {
+      if (key !== '*' && model.startsWith(key) && /[-:@.]/.test(model.charAt(key.length)) && (!best || key.length > best.length)) {
+        best = key;
+      }
+    }
+    if (best) return table[best];
+  }
+  return table['*'];
+}
+
+/**
+ * Looks up a model's price: `overrides` (the provider's `config.pricing`) first, then `DEFAULT_PRICING`.
+ * @param {string} providerName
+ * @param {string | undefined} model
+ * @param {Object.<string, ModelPrice>} [overrides]
+ * @returns {ModelPrice | undefined}
+ */
+export function getModelPrice(providerName, model, overrides) {
+  return findModelPrice(overrides, model) || findModelPrice(DEFAULT_PRICING[providerName.toLowerCase()], model);
+}
+
+/**
+ * Computes the USD cost of a request from its usage.
+ * @param {import('../providers/baseProvider.js').UsageData | null | undefined} usage
+ * @param {ModelPrice | undefined} price
+ * @returns {number | undefined} The cost, or undefined if the price or the usage is unknown.
+ */
+export function computeCost(usage, price) {
+  if (!usage || !price) return undefined;
+  const promptTokens = usage.promptTokens ?? (usage.completionTokens === undefined ? usage.totalTokens : undefined);
+  if (promptTokens === undefined && usage.completionTokens === undefined) return undefined;
+  return ((promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+}
@@ -0,0 +1,242 @@
+import { LLMPlugConfigurationError } from './errors.js';
+import { readHeader } from './retry.js';
+
+/**
+ * Client-side rate limits (`config.rateLimit`). All are optional; omitted limits are not enforced.
+ * @typedef {Object} RateLimitConfig
+ * @property {number} [requestsPerMinute] - Calls started per minute.
+ * @property {number} [tokensPerMinute] - Tokens per minute, counted from the estimated prompt plus `maxTokens`
+ *   when a call starts and corrected by its actual usage when it finishes.
+ * @property {number} [maxConcurrent] - Calls in flight at the same time.
+ * @property {boolean} [shared=false] - Share one limiter between all provider instances of the same vendor using the same API key.
+ */
+
+/**
+ * Held by a running call; release it once the call has finished.
+ * @typedef {Object} RateLimitPermit
+ * @property {(actualTokens?: number) => void} release - Frees the concurrency slot and corrects the token estimate by the actual usage.
+ */
+
+/**
+ * @typedef {Object} RateLimiterState
+ * @property {number} inFlight
+ * @property {number} queued
+ * @property {number | null} requestsAvailable - Null if `requestsPerMinute` is not set.
+ * @property {number | null} tokensAvailable - Null if `tokensPerMinute` is not set.
+ * @property {number} pausedForMs - Time left until the vendor's reported limit resets, 0 if not paused.
+ */
+
+const MINUTE_MS = 60 * 1000;
+// How long to pause when a vendor reports an exhausted limit without saying when it resets.
+const DEFAULT_PAUSE_MS = 1000;
+
+function isLimit(value) {
+  return value === undefined || (typeof value === 'number' && value > 0);
+}
+
+function createBucket(perMinute) {
+  return perMinute ? { capacity: perMinute, level: perMinute, perMs: perMinute / MINUTE_MS } : null;
+}
+
+/**
+ * Parses the reset headers: seconds ("12", "0.5"), OpenAI durations ("1s", "6m0s", "20ms") or a date (Anthropic).
+ * @param {string | undefined} value
+ * @returns {number | undefined} Milliseconds until the reset.
+ */
+function parseResetMs(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length > 0) {
+    const factors = { ms: 1, s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS };
+    return parts.reduce((sum, [, amount, unit]) => sum + Number(amount) * factors[unit], 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function readNumberHeader(headers, ...names) {
+  for (const name of names) {
+    const value = readHeader(headers, name);
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) return Number(value);
+  }
+  return undefined;
+}
+
+/**
+ * Token-bucket rate limiter with a concurrency cap. Calls wait in a first-in, first-out queue until a
+ * request slot, enough tokens and a concurrency slot are free. The buckets refill continuously, so a limit
+ * of 60 requests per minute allows one request per second after the first burst of 60.
+ *
+ * Pass a `RateLimitConfig` as `config.rateLimit`, or the same instance to several providers to share it.
+ */
+export class RateLimiter {
+  /**
+   * @param {RateLimitConfig} [config={}]
+   * @throws {LLMPlugConfigurationError} If a limit is not a positive number.
+   */
+  constructor(config = {}) {
+    for (const key of ['requestsPerMinute', 'tokensPerMinute', 'maxConcurrent']) {
+      if (!isLimit(config[key])) {
+        throw new LLMPlugConfigurationError(`Rate limit \`${key}\` must be a positive number.`, 'RateLimiter');
+      }
+    }
+    this.requestsPerMinute = config.requestsPerMinute;
+    this.tokensPerMinute = config.tokensPerMinute;
+    this.maxConcurrent = config.maxConcurrent || Infinity;
+
+    this._requests = createBucket(config.requestsPerMinute);
+    this._tokens = createBucket(config.tokensPerMinute);
+    this._refilledAt = Date.now();
+    this._pausedUntil = 0;
+    this._inFlight = 0;
+    this._queue = [];
+    this._timer = null;
+  }
+
+  /** @returns {RateLimiterState} */
+  get state() {
+    this._refill();
+    return {
+      inFlight: this._inFlight,
+      queued: this._queue.length,
+      requestsAvailable: this._requests ? Math.floor(this._requests.level) : null,
+      tokensAvailable: this._tokens ? Math.floor(this._tokens.level) : null,
+      pausedForMs: Math.max(0, this._pausedUntil - Date.now()),
+    };
+  }
+
+  /**
+   * Waits until a call of the estimated size may start. A call larger than `tokensPerMinute` waits for a
+   * full bucket instead of forever.
+   * @param {{tokens?: number, signal?: AbortSignal}} [request={}]
+   * @returns {Promise<RateLimitPermit>}
+   * @throws {any} The signal's abort reason if `signal` aborts while waiting.
+   */
+  acquire({ tokens = 0, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const waiter = { tokens, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this._queue = this._queue.filter(item => item !== waiter);
+          reject(signal.reason);
+          this._drain(); // The aborted call may have been blocking the head of the queue
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this._queue.push(waiter);
+      this._drain();
+    });
+  }
+
+  /**
+   * Adapts to the limits the vendor reports in its response headers: OpenAI-style `x-ratelimit-remaining-*`
+   * / `x-ratelimit-reset-*` and Anthropic's `anthropic-ratelimit-*`. The buckets never hold more than the vendor
+   * says is left, and once a limit is exhausted no call starts before it resets.
+   * @param {Headers | Object.<string, string> | undefined} headers
+   */
+  updateFromHeaders(headers) {
+    if (!headers) return;
+    this._refill();
+    const limits = [
+      {
+        bucket: this._requests,
+        remaining: readNumberHeader(headers, 'x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining'),
+        reset: readHeader(headers, 'x-ratelimit-reset-requests') ?? readHeader(headers, 'anthropic-ratelimit-requests-reset'),
+      },
+      {
+        bucket: this._tokens,
+        remaining: readNumberHeader(headers, 'x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining'),
+        reset: readHeader(headers, 'x-ratelimit-reset-tokens') ?? readHeader(headers, 'anthropic-ratelimit-tokens-reset'),
+      },
+    ];
+    for (const { bucket, remaining, reset } of limits) {
+      if (remaining === undefined) continue;
+      if (bucket) bucket.level = Math.min(bucket.level, remaining);
+      if (remaining <= 0) {
+        this._pausedUntil = Math.max(this._pausedUntil, Date.now() + (parseResetMs(reset) ?? DEFAULT_PAUSE_MS));
+      }
+    }
+    this._drain();
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this._refilledAt;
+    this._refilledAt = now;
+    for (const bucket of [this._requests, this._tokens]) {
+      if (bucket) bucket.level = Math.min(bucket.capacity, bucket.level + elapsed * bucket.perMs);
+    }
+  }
+
+  /**
+   * How long the waiter has to wait for the buckets, 0 if it can start now, or Infinity if only the
+   * concurrency cap holds it back (a finishing call wakes the queue up then).
+   */
+  _waitMs(waiter) {
+    let waitMs = Math.max(0, this._pausedUntil - Date.now());
+    if (this._requests && this._requests.level < 1) {
+      waitMs = Math.max(waitMs, (1 - this._requests.level) / this._requests.perMs);
+    }
+    if (this._tokens) {
+      const needed = Math.min(waiter.tokens, this._tokens.capacity);
+      if (this._tokens.level < needed) waitMs = Math.max(waitMs, (needed - this._tokens.level) / this._tokens.perMs);
+    }
+    if (waitMs === 0 && this._inFlight >= this.maxConcurrent) return Infinity;
+    return waitMs;
+  }
+
+  _drain() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._refill();
+    while (this._queue.length > 0) {
+      const waiter = this._queue[0];
+      const waitMs = this._waitMs(waiter);
+      if (waitMs === Infinity) return;
+      if (waitMs > 0) {
+        this._timer = setTimeout(() => this._drain(), Math.ceil(waitMs));
+        return;
+      }
+      this._queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve(this._start(waiter.tokens));
+    }
+  }
+
+  /** @returns {RateLimitPermit} */
+  _start(tokens) {
+    this._inFlight += 1;
+    if (this._requests) this._requests.level -= 1;
+    if (this._tokens) this._tokens.level -= tokens;
+    let released = false;
+    return {
+      release: actualTokens => {
+        if (released) return;
+        released = true;
+        this._inFlight -= 1;
+        if (this._tokens && typeof actualTokens === 'number') {
+          this._refill();
+          // Usage beyond the estimate leaves the bucket in debt, which delays the next calls accordingly.
+          this._tokens.level = Math.min(this._tokens.capacity, this._tokens.level + tokens - actualTokens);
+        }
+        this._drain();
+      },
+    };
+  }
+}
+
+const sharedLimiters = new Map();
+
+/**
+ * Returns the limiter shared under `key`, creating it from `config` on first use.
+ * @param {string} key - Identifies the account, e.g. vendor plus API key hash.
+ * @param {RateLimitConfig} config - Only used when the limiter is created.
+ * @returns {RateLimiter}
+ */
+export function getSharedRateLimiter(key, config) {
+  if (!sharedLimiters.has(key)) sharedLimiters.set(key, new RateLimiter(config));
+  return sharedLimiters.get(key);
+}
@@ -0,0 +1,233 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { collectWhileStreaming } from './streamAccumulator.js';
+import { LLMPlugConfigurationError } from './errors.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Storage backend of the response cache. Methods may be synchronous or return promises.
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<CacheEntry | undefined> | CacheEntry | undefined} get
+ * @property {(key: string, entry: CacheEntry, ttlMs?: number) => Promise<void> | void} set - `ttlMs` is passed for stores with native expiry.
+ * @property {(key: string) => Promise<void> | void} delete
+ * @property {() => Promise<void> | void} [clear]
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {any} value - The cached GenerationResult or EmbeddingResult (without `rawResponse`).
+ * @property {number | null} expiresAt - Epoch milliseconds, or null if the entry does not expire.
+ */
+
+/**
+ * Response cache settings (`config.cache`).
+ * @typedef {Object} ResponseCacheConfig
+ * @property {CacheStore} [store] - Defaults to a `MemoryCacheStore`.
+ * @property {number} [ttlMs] - How long entries stay valid; forever if omitted.
+ * @property {(context: import('../providers/baseProvider.js').MiddlewareContext) => string} [keyFn] - Custom cache key.
+ * @property {boolean} [allowSampling=false] - Also cache requests with `temperature > 0`, whose answers normally vary.
+ * @property {import('./logger.js').Logger} [logger] - Receives failed reads from and writes to the store. Defaults to warnings on the console.
+ */
+
+// Options that do not change the answer and are left out of the cache key.
+const NON_SEMANTIC_OPTIONS = new Set(['signal', 'timeoutMs', 'tags', 'cache']);
+// Streams share their cache entries with the non-streaming method.
+const CACHE_METHODS = { chat: 'chat', chatStream: 'chat', generate: 'generate', generateStream: 'generate', embed: 'embed' };
+
+/**
+ * JSON with sorted object keys, so equal values always serialize the same way.
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+    return Object.fromEntries(Object.keys(item).sort().map(k => [k, item[k]]));
+  });
+}
+
+/**
+ * Brings equivalent message forms to one shape: a single text part becomes a plain string.
+ * @param {any} input
+ * @returns {any}
+ */
+function normalizeInput(input) {
+  if (!Array.isArray(input)) return input;
+  return input.map(message => {
+    if (!message || typeof message !== 'object') return message;
+    const { content } = message;
+    if (Array.isArray(content) && content.length === 1 && content[0].type === 'text') {
+      return { ...message, content: content[0].text };
+    }
+    return message;
+  });
+}
+
+/**
+ * The default cache key: a SHA-256 hash of the provider, model, normalized input and every option that affects the answer.
+ * @param {import('../providers/baseProvider.js').MiddlewareContext} context
+ * @returns {string}
+ */
+export function defaultCacheKey(context) {
+  const options = Object.fromEntries(Object.entries(context.options || {}).filter(([key]) => !NON_SEMANTIC_OPTIONS.has(key)));
+  const material = stableStringify({
+    provider: context.providerName,
+    method: CACHE_METHODS[context.method],
+    model: context.model,
+    input: normalizeInput(context.input),
+    options,
+  });
+  return createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * In-memory cache store that evicts the least recently used entry once `maxEntries` is reached.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {{maxEntries?: number}} [options={}] - `maxEntries` defaults to 1000.
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this._entries = new Map(); // Insertion order doubles as recency order
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (entry !== undefined) {
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  /** @returns {number} The number of cached entries. */
+  get size() {
+    return this._entries.size;
+  }
+}
+
+/**
+ * Cache store that keeps one JSON file per entry in a directory, so the cache survives restarts
+ * and can be shared by processes on the same machine.
+ */
+export class FileCacheStore {
+  /**
+   * @param {{directory: string}} options
+   * @throws {LLMPlugConfigurationError} If `directory` is missing.
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new LLMPlugConfigurationError('FileCacheStore requires a `directory`.', 'FileCacheStore');
+    }
+    this.directory = options.directory;
+  }
+
+  _path(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._path(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined; // Missing or half-written entry
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this._path(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, this._path(key));
+  }
+
+  async delete(key) {
+    await fs.rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    await Promise.all(files.filter(file => file.endsWith('.json')).map(file => fs.rm(path.join(this.directory, file), { force: true })));
+  }
+}
+
+/**
+ * Builds the middleware behind `config.cache`. Cache hits are returned with `cached: true` and `cost: 0`
+ * without calling the provider; streams are answered from cached results as a single chunk, and completed
+ * streams are cached like `chat` results. Pass `options.cache = false` to bypass the cache for one call.
+ * @param {ResponseCacheConfig} [config={}]
+ * @returns {import('../providers/baseProvider.js').Middleware}
+ */
+export function createResponseCache(config = {}) {
+  const store = config.store || new MemoryCacheStore();
+  const keyFn = config.keyFn || defaultCacheKey;
+  const ttlMs = config.ttlMs;
+  const logger = config.logger || createLogger();
+
+  const isCacheable = context =>
+    context.options.cache !== false && (context.method === 'embed' || config.allowSampling || !(context.options.temperature > 0));
+
+  const load = async (context, key) => {
+    try {
+      const entry = await store.get(key);
+      if (!entry || entry.expiresAt === null || entry.expiresAt === undefined || entry.expiresAt > Date.now()) return entry;
+      await store.delete(key);
+    } catch (error) {
+      // Treated as a miss: the request can still be answered by the provider.
+      logger.warn(`[${context.providerName}] Could not read from the response cache: ${error.message}`);
+    }
+    return undefined;
+  };
+
+  const save = async (context, key, result) => {
+    const { rawResponse, cached, ...value } = result;
+    try {
+      await store.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null }, ttlMs);
+    } catch (error) {
+      // The answer is still good; a broken cache must not fail the request.
+      logger.warn(`[${context.providerName}] Could not write to the response cache: ${error.message}`);
+    }
+  };
+
+  return async function responseCache(context, next) {
+    if (!isCacheable(context)) return next();
+
+    const key = keyFn(context);
+    const entry = await load(context, key);
+    if (entry) return { ...entry.value, cached: true, cost: 0 };
+
+    if (!context.stream) {
+      const result = await next();
+      await save(context, key, result);
+      return result;
+    }
+
+    // Only streams that are read to the end are complete answers.
+    return collectWhileStreaming(await next(), result => save(context, key, result));
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Shared retry policy used by every provider for non-streaming calls and stream establishment.
+ * Configured per provider through `config.retry`; `retry: false` disables retries entirely.
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - Total attempts including the first one.
+ * @property {number} [baseDelayMs=500] - Delay before the first retry; doubles on each further attempt.
+ * @property {number} [maxDelayMs=30000] - Upper bound for a single delay. A `Retry-After` longer than this aborts retrying.
+ * @property {boolean} [jitter=true] - Randomize delays ("full jitter") to avoid synchronized retries.
+ * @property {number[] | ((error: Error, attempt: number) => boolean)} [retryOn] - HTTP status codes to retry, or a predicate.
+ */
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  jitter: true,
+  retryOn: Object.freeze([408, 409, 429, 500, 502, 503, 504]),
+});
+
+// Transport-level failures that are usually transient.
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+const RETRYABLE_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError']);
+
+/**
+ * Merges a user-supplied retry config with the defaults.
+ * @param {Partial<RetryPolicy> | false | undefined} retryConfig
+ * @returns {RetryPolicy}
+ */
+export function resolveRetryPolicy(retryConfig) {
+  if (retryConfig === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(retryConfig || {}) };
+  policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+  return policy;
+}
+
+/**
+ * Reads a header from either a fetch `Headers` instance or a plain object (as exposed by the OpenAI/Anthropic SDK errors).
+ * @param {Headers | Object.<string, string> | undefined} headers
+ * @param {string} name - Lowercase header name.
+ * @returns {string | undefined}
+ */
+export function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Extracts the HTTP status code from the various error shapes thrown by the SDKs and `node-fetch` wrappers.
+ * @param {any} error
+ * @returns {number | undefined}
+ */
+export function getErrorStatus(error) {
+  if (!error) return undefined;
+  const status = error.status ?? error.statusCode ?? error.response?.status ?? error.rawResponse?.status;
+  if (typeof status === 'number') return status;
+  // The Mistral client only reports the status inside the message ("HTTP error! status: 429 ...").
+  const match = typeof error.message === 'string' && error.message.match(/\bstatus:? (\d{3})\b/i);
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Returns the response headers attached to an SDK error, if any.
+ * @param {any} error
+ * @returns {Headers | Object.<string, string> | undefined}
+ */
+export function getErrorHeaders(error) {
+  return error?.headers ?? error?.response?.headers ?? error?.rawResponse?.headers;
+}
+
+/**
+ * Parses `retry-after-ms` / `Retry-After` (seconds or HTTP date) from an error's response headers.
+ * @param {any} error
+ * @returns {number | undefined} Delay in milliseconds.
+ */
+export function getRetryAfterMs(error) {
+  const headers = getErrorHeaders(error);
+  const retryAfterMs = Number(readHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return undefined;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decides whether an error is worth retrying under the given policy.
+ * @param {any} error
+ * @param {RetryPolicy} policy
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @returns {boolean}
+ */
+export function isRetryableError(error, policy, attempt) {
+  if (!error || error.name === 'AbortError') return false;
+  if (typeof policy.retryOn === 'function') return Boolean(policy.retryOn(error, attempt));
+
+  const status = getErrorStatus(error);
+  if (status !== undefined) return policy.retryOn.includes(status);
+  return RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.cause?.code) || RETRYABLE_ERROR_NAMES.has(error.name);
+}
+
+/**
+ * Computes the exponential backoff delay for a retry.
+ * @param {RetryPolicy} policy
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @returns {number}
+ */
+export function computeBackoffMs(policy, attempt) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return policy.jitter ? Math.random() * exponential : exponential;
+}
+
+/**
+ * Waits for `ms` milliseconds.
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Ends the wait early by rejecting with the signal's reason.
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs `fn` until it succeeds, the error is not retryable, or `maxAttempts` is reached.
+ * The last error is rethrown unchanged so callers can wrap it as usual.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {RetryPolicy} policy
+ * @param {object} [hooks={}]
+ * @param {(info: {attempt: number, delayMs: number, error: Error}) => void} [hooks.onRetry] - Called before each wait.
+ * @param {AbortSignal} [hooks.signal] - Stops retrying (and interrupts the backoff wait) once aborted.
+ * @returns {Promise<{result: T, attempts: number}>}
+ */
+export async function withRetry(fn, policy, { onRetry, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      signal?.throwIfAborted();
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      if (signal?.aborted || attempt >= policy.maxAttempts || !isRetryableError(error, policy, attempt)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== undefined && retryAfterMs > policy.maxDelayMs) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delayMs = retryAfterMs ?? computeBackoffMs(policy, attempt);
+      if (onRetry) onRetry({ attempt, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,226 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { collectWhileStreaming } from './streamAccumulator.js';
+import { LLMPlugConfigurationError } from './errors.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Semantic cache settings (`config.semanticCache`).
+ * @typedef {Object} SemanticCacheConfig
+ * @property {import('../providers/baseProvider.js').BaseProvider} embedder - Provider used to embed the prompts (any provider with `embed`).
+ * @property {string} [embeddingModel] - Embedding model, if not the embedder's default.
+ * @property {number} [threshold=0.95] - Minimum cosine similarity for a cached answer to be reused.
+ * @property {number} [maxEntries=10000] - The oldest entries are dropped beyond this.
+ * @property {number} [ttlMs] - How long entries stay valid; forever if omitted.
+ * @property {string} [persistPath] - JSON file the index is loaded from on startup and saved to after each new entry.
+ * @property {import('./logger.js').Logger} [logger] - Receives failed lookups and saves. Defaults to warnings on the console.
+ */
+
+/**
+ * @typedef {Object} SemanticCacheStats
+ * @property {number} hits
+ * @property {number} misses
+ * @property {number} bypassed - Calls that were not eligible (`options.cache = false`, tools, no user message).
+ * @property {number} hitRate - hits / (hits + misses), 0 before the first lookup.
+ * @property {number} entries - Entries currently in the index.
+ */
+
+const GENERATION_METHODS = new Set(['chat', 'chatStream', 'generate', 'generateStream']);
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Reuses earlier answers for prompts that mean the same thing. The last user message is embedded with
+ * `embedder` and compared with the prompts answered before, within the same provider, model, system prompt
+ * and response format; an answer whose prompt is at least `threshold` similar is returned with `cached: true`.
+ *
+ * Pass a `SemanticCacheConfig` as `config.semanticCache`, or the same instance to several providers to share
+ * the index. Requests with tools or tool messages are never cached, since their answers act on the conversation.
+ */
+export class SemanticCache {
+  /**
+   * @param {SemanticCacheConfig} config
+   * @throws {LLMPlugConfigurationError} If `embedder` is missing or the persisted index cannot be read.
+   */
+  constructor(config = {}) {
+    if (!config.embedder || typeof config.embedder.embed !== 'function') {
+      throw new LLMPlugConfigurationError('SemanticCache requires an `embedder` provider that supports embed().', 'SemanticCache');
+    }
+    this.embedder = config.embedder;
+    this.embeddingModel = config.embeddingModel;
+    this.threshold = config.threshold ?? 0.95;
+    this.maxEntries = config.maxEntries || 10000;
+    this.ttlMs = config.ttlMs;
+    this.persistPath = config.persistPath;
+    this.logger = config.logger || createLogger();
+
+    /** @type {{scope: string, prompt: string, vector: number[], result: object, createdAt: number}[]} */
+    this._entries = [];
+    this._stats = { hits: 0, misses: 0, bypassed: 0 };
+    this._saving = Promise.resolve();
+    if (this.persistPath) this._load();
+  }
+
+  /** @returns {SemanticCacheStats} */
+  stats() {
+    const { hits, misses, bypassed } = this._stats;
+    return { hits, misses, bypassed, hitRate: hits + misses ? hits / (hits + misses) : 0, entries: this._entries.length };
+  }
+
+  /** Removes every entry (and the persisted index) and resets the statistics. */
+  clear() {
+    this._entries = [];
+    this._stats = { hits: 0, misses: 0, bypassed: 0 };
+    this._save();
+  }
+
+  /**
+   * The middleware that serves and fills the cache; installed by `config.semanticCache`.
+   * @returns {import('../providers/baseProvider.js').Middleware}
+   */
+  middleware() {
+    return (context, next) => this._handle(context, next);
+  }
+
+  async _handle(context, next) {
+    const request = this._describe(context);
+    if (!request) {
+      this._stats.bypassed += 1;
+      return next();
+    }
+
+    let vector;
+    try {
+      const embedding = await this.embedder.embed(request.prompt, {
+        inputType: 'similarity',
+        ...(this.embeddingModel && { model: this.embeddingModel }),
+        signal: context.options.signal,
+      });
+      vector = embedding.embeddings[0];
+    } catch (error) {
+      // Without an embedding the cache cannot help, but the request itself can still be answered.
+      this.logger.warn(`[${context.providerName}] Semantic cache lookup skipped, embedding failed: ${error.message}`);
+      this._stats.bypassed += 1;
+      return next();
+    }
+
+    const match = this._search(request.scope, vector);
+    if (match) {
+      this._stats.hits += 1;
+      return { ...match.entry.result, cached: true, cost: 0, similarity: match.similarity };
+    }
+    this._stats.misses += 1;
+
+    if (!context.stream) {
+      const result = await next();
+      this._add(request, vector, result);
+      return result;
+    }
+    return collectWhileStreaming(await next(), result => this._add(request, vector, result));
+  }
+
+  /**
+   * Extracts the cache scope and the prompt to embed, or null if the call is not eligible.
+   * @returns {{scope: string, prompt: string} | null}
+   */
+  _describe(context) {
+    const { options, input } = context;
+    if (!GENERATION_METHODS.has(context.method) || options.cache === false || options.tools?.length) return null;
+
+    const messages = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+    if (!Array.isArray(messages) || messages.some(message => message.role === 'tool' || message.tool_calls)) return null;
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUserMessage && textOf(lastUserMessage.content).trim();
+    if (!prompt) return null;
+
+    const systemPrompt = messages.filter(message => message.role === 'system').map(message => textOf(message.content)).join('\n');
+    const scope = createHash('sha256')
+      .update(JSON.stringify([context.providerName, context.model, systemPrompt, options.responseFormat ?? null]))
+      .digest('hex');
+    return { scope, prompt };
+  }
+
+  _search(scope, vector) {
+    const now = Date.now();
+    let best = null;
+    for (const entry of this._entries) {
+      if (entry.scope !== scope || (this.ttlMs && now - entry.createdAt > this.ttlMs)) continue;
+      const similarity = cosineSimilarity(vector, entry.vector);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) best = { entry, similarity };
+    }
+    return best;
+  }
+
+  _add(request, vector, result) {
+    if (result.toolCalls?.length || !result.text) return; // Only plain answers are worth reusing
+    const { rawResponse, cached, similarity, ...stored } = result;
+    this._entries.push({ scope: request.scope, prompt: request.prompt, vector, result: stored, createdAt: Date.now() });
+    if (this.ttlMs) {
+      const cutoff = Date.now() - this.ttlMs;
+      this._entries = this._entries.filter(entry => entry.createdAt >= cutoff);
+    }
+    if (this._entries.length > this.maxEntries) this._entries.splice(0, this._entries.length - this.maxEntries);
+    this._save();
+  }
+
+  _load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.persistPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return; // First run
+      throw new LLMPlugConfigurationError(`Could not read semantic cache index ${this.persistPath}: ${error.message}`, 'SemanticCache');
+    }
+    try {
+      const saved = JSON.parse(raw);
+      this._entries = Array.isArray(saved.entries) ? saved.entries : [];
+    } catch (error) {
+      throw new LLMPlugConfigurationError(`Semantic cache index ${this.persistPath} is not valid JSON: ${error.message}`, 'SemanticCache');
+    }
+  }
+
+  /** Queues an atomic write of the index, so concurrent saves never interleave. */
+  _save() {
+    if (!this.persistPath) return;
+    this._saving = this._saving.then(async () => {
+      const tempPath = `${this.persistPath}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.persistPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, entries: this._entries }));
+        await fs.promises.rename(tempPath, this.persistPath);
+      } catch (error) {
+        this.logger.warn(`[SemanticCache] Could not save the index to ${this.persistPath}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Resolves once pending writes of the persisted index have finished.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._saving;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Callbacks invoked while a stream is being collected.
+ * @typedef {Object} StreamAccumulatorOptions
+ * @property {(text: string, fullText: string) => void} [onText] - Called for every text delta, with the text so far.
+ * @property {(toolCall: import('../providers/baseProvider.js').ToolCall) => void} [onToolCall] - Called once per
+ *   tool call when the stream has ended and its arguments are complete.
+ */
+
+/**
+ * Reassembles the chunks of any provider's `chatStream`/`generateStream` into a GenerationResult
+ * with the same shape `chat()` returns: text deltas are concatenated, partial tool calls are merged by
+ * `index`, complete tool calls are kept (a repeated ID replaces the earlier call) and usage reported
+ * across several chunks is combined.
+ *
+ * @example
+ * const accumulator = new StreamAccumulator({ onText: text => process.stdout.write(text) });
+ * for await (const chunk of provider.chatStream(messages)) accumulator.add(chunk);
+ * const result = accumulator.finish();
+ */
+export class StreamAccumulator {
+  /**
+   * @param {StreamAccumulatorOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.onText = options.onText;
+    this.onToolCall = options.onToolCall;
+    this.text = '';
+    this.usage = undefined;
+    this.finishReason = undefined;
+    this.rawFinishReason = undefined;
+    this.attempts = undefined;
+    this.provider = undefined;
+    this.model = undefined;
+    this.cost = undefined;
+    this.cached = false;
+    this.chunks = [];
+    this._toolCalls = new Map(); // Insertion order is the order tool calls were first seen
+    this._finished = false;
+  }
+
+  /**
+   * Adds one stream chunk.
+   * @param {import('../providers/baseProvider.js').GenerationStreamChunk} chunk
+   */
+  add(chunk) {
+    this.chunks.push(chunk.rawChunk ?? chunk);
+    if (chunk.text) {
+      this.text += chunk.text;
+      this.onText?.(chunk.text, this.text);
+    }
+    chunk.toolCalls?.forEach(fragment => this._addToolCall(fragment));
+    if (chunk.usage) {
+      this.usage = { ...this.usage };
+      for (const [key, value] of Object.entries(chunk.usage)) {
+        if (value !== undefined && value !== null) this.usage[key] = value;
+      }
+    }
+    if (chunk.finishReason) {
+      this.finishReason = chunk.finishReason;
+      this.rawFinishReason = chunk.rawFinishReason;
+    }
+    if (chunk.attempts && this.attempts === undefined) this.attempts = chunk.attempts;
+    if (chunk.provider && !this.provider) this.provider = chunk.provider;
+    if (chunk.model) this.model = chunk.model;
+    if (chunk.cached) this.cached = true;
+    if (chunk.cost !== undefined) this.cost = chunk.cost; // Each value covers all usage reported so far
+  }
+
+  _addToolCall(fragment) {
+    if (typeof fragment.index === 'number') {
+      const key = `index:${fragment.index}`;
+      const existing = this._toolCalls.get(key);
+      if (!existing) {
+        this._toolCalls.set(key, {
+          id: fragment.id,
+          type: fragment.type || 'function',
+          function: { name: fragment.function?.name || '', arguments: fragment.function?.arguments || '' },
+        });
+        return;
+      }
+      if (fragment.id) existing.id = fragment.id;
+      if (fragment.function?.name) existing.function.name = fragment.function.name;
+      existing.function.arguments += fragment.function?.arguments || '';
+      return;
+    }
+    const key = fragment.id ? `id:${fragment.id}` : `call:${this._toolCalls.size}`;
+    this._toolCalls.set(key, {
+      id: fragment.id,
+      type: fragment.type || 'function',
+      function: { name: fragment.function?.name || '', arguments: fragment.function?.arguments || '' },
+    });
+  }
+
+  /** @returns {import('../providers/baseProvider.js').ToolCall[]} The tool calls assembled so far. */
+  get toolCalls() {
+    return [...this._toolCalls.values()].map(toolCall => ({ ...toolCall, function: { ...toolCall.function } }));
+  }
+
+  /**
+   * Builds the GenerationResult. The first call also fires `onToolCall` for every tool call.
+   * @returns {import('../providers/baseProvider.js').GenerationResult}
+   */
+  finish() {
+    const toolCalls = this.toolCalls;
+    if (!this._finished) {
+      this._finished = true;
+      toolCalls.forEach(toolCall => this.onToolCall?.(toolCall));
+    }
+
+    let usage;
+    if (this.usage) {
+      usage = { ...this.usage };
+      if (usage.totalTokens === undefined && (usage.promptTokens !== undefined || usage.completionTokens !== undefined)) {
+        usage.totalTokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+      }
+    }
+
+    return {
+      text: this.text.trim() || null,
+      toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+      usage: usage,
+      finishReason: this.finishReason,
+      ...(this.rawFinishReason !== undefined && { rawFinishReason: this.rawFinishReason }),
+      ...(this.attempts !== undefined && { attempts: this.attempts }),
+      ...(this.provider && { provider: this.provider }),
+      ...(this.model && { model: this.model }),
+      ...(this.cost !== undefined && { cost: this.cost }),
+      ...(this.cached && { cached: true }),
+      rawResponse: this.chunks, // The raw provider chunks, in order
+    };
+  }
+}
+
+/**
+ * Consumes a stream from `chatStream`/`generateStream` and returns the complete GenerationResult.
+ * @param {AsyncIterable<import('../providers/baseProvider.js').GenerationStreamChunk>} stream
+ * @param {StreamAccumulatorOptions} [options={}]
+ * @returns {Promise<import('../providers/baseProvider.js').GenerationResult>}
+ */
+export async function collectStream(stream, options = {}) {
+  const accumulator = new StreamAccumulator(options);
+  for await (const chunk of stream) {
+    accumulator.add(chunk);
+  }
+  return accumulator.finish();
+}
+
+/**
+ * Passes a stream through unchanged and, if it is read to the end, calls `onComplete` with the collected
+ * GenerationResult. Used to store streamed answers (e.g. by the response caches).
+ * @param {AsyncIterable<import('../providers/baseProvider.js').GenerationStreamChunk>} stream
+ * @param {(result: import('../providers/baseProvider.js').GenerationResult) => void | Promise<void>} onComplete
+ * @returns {AsyncIterable<import('../providers/baseProvider.js').GenerationStreamChunk>}
+ */
+export async function* collectWhileStreaming(stream, onComplete) {
+  const accumulator = new StreamAccumulator();
+  for await (const chunk of stream) {
+    accumulator.add(chunk);
+    yield chunk;
+  }
+  await onComplete(accumulator.finish());
+}
+
+/**
+ * Turns a complete GenerationResult into a stream, the inverse of `collectStream`: one chunk with the
+ * text and tool calls, usage and finish reason. Used to answer a stream from a stored result (e.g. by middleware).
+ * @param {import('../providers/baseProvider.js').GenerationResult} result
+ * @returns {AsyncIterable<import('../providers/baseProvider.js').GenerationStreamChunk>}
+ */
+export async function* streamFromResult(result) {
+  const { text, toolCalls, usage, finishReason, rawResponse, ...metadata } = result;
+  yield {
+    ...metadata,
+    ...(text && { text }),
+    ...(toolCalls?.length && { toolCalls }),
+    ...(usage && { usage }),
+    finishReason: finishReason,
+    rawChunk: rawResponse,
+  };
+}
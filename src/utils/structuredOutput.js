@@ -0,0 +1,165 @@
+import { validateJsonSchema } from './jsonSchema.js';
+
+/** Name used for the schema when `responseFormat.name` is not given (OpenAI requires one, Anthropic uses it as the tool name). */
+export const DEFAULT_SCHEMA_NAME = 'structured_output';
+
+// Keys understood by LLMPlug itself that must not be forwarded to vendor APIs.
+const LLMPLUG_FORMAT_KEYS = ['schema', 'name', 'description', 'strict', 'maxRepairs'];
+
+// JSON Schema keywords Gemini's OpenAPI-subset `responseSchema` accepts.
+const GEMINI_SCHEMA_KEYS = ['description', 'format', 'enum', 'nullable', 'required', 'minItems', 'maxItems'];
+
+/**
+ * @param {import('../providers/baseProvider.js').ResponseFormat} [responseFormat]
+ * @returns {boolean} True if the response must be JSON (`json_object` or `json_schema`).
+ */
+export function isJsonResponseFormat(responseFormat) {
+  return responseFormat?.type === 'json_object' || responseFormat?.type === 'json_schema';
+}
+
+/**
+ * @param {import('../providers/baseProvider.js').ResponseFormat} [responseFormat]
+ * @returns {boolean} True if a JSON Schema was requested.
+ */
+export function isJsonSchemaFormat(responseFormat) {
+  return responseFormat?.type === 'json_schema' && !!responseFormat.schema;
+}
+
+/**
+ * Converts a ResponseFormat to OpenAI's `response_format` parameter (also understood by OpenRouter).
+ * @param {import('../providers/baseProvider.js').ResponseFormat} [responseFormat]
+ * @returns {object | undefined}
+ */
+export function toOpenAIResponseFormat(responseFormat) {
+  if (!responseFormat) return undefined;
+  if (isJsonSchemaFormat(responseFormat)) {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: responseFormat.name || DEFAULT_SCHEMA_NAME,
+        description: responseFormat.description,
+        schema: responseFormat.schema,
+        strict: responseFormat.strict,
+      },
+    };
+  }
+  return Object.fromEntries(Object.entries(responseFormat).filter(([key]) => !LLMPLUG_FORMAT_KEYS.includes(key)));
+}
+
+/**
+ * Converts a JSON Schema to the OpenAPI subset Gemini accepts as `responseSchema`:
+ * uppercase types, `nullable` instead of `null` in type unions, and no unsupported keywords.
+ * @param {object} schema
+ * @returns {object}
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  let types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  if (types.includes('null')) {
+    converted.nullable = true;
+    types = types.filter(type => type !== 'null');
+  }
+  if (types.length > 0) converted.type = String(types[0]).toUpperCase();
+  if (schema.const !== undefined) converted.enum = [schema.const];
+
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined && converted[key] === undefined) converted[key] = schema[key];
+  }
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)]));
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+}
+
+/**
+ * Builds the instruction used by providers without native schema support.
+ * @param {import('../providers/baseProvider.js').ResponseFormat} responseFormat
+ * @returns {string}
+ */
+export function buildFormatInstruction(responseFormat) {
+  if (isJsonSchemaFormat(responseFormat)) {
+    return 'Respond only with a JSON value that conforms to the following JSON Schema. ' +
+      'Do not wrap it in code fences or add any other text.\n' +
+      JSON.stringify(responseFormat.schema, null, 2);
+  }
+  return 'Respond only with a valid JSON object. Do not wrap it in code fences or add any other text.';
+}
+
+/**
+ * Returns a copy of `messages` whose system prompt carries the format instruction,
+ * appending to an existing string system message or prepending a new one.
+ * @param {import('../providers/baseProvider.js').ChatMessage[]} messages
+ * @param {import('../providers/baseProvider.js').ResponseFormat} [responseFormat]
+ * @returns {import('../providers/baseProvider.js').ChatMessage[]}
+ */
+export function withFormatInstruction(messages, responseFormat) {
+  if (!isJsonResponseFormat(responseFormat)) return messages;
+  const instruction = buildFormatInstruction(responseFormat);
+  const systemIndex = messages.findIndex(msg => msg.role === 'system' && typeof msg.content === 'string');
+  if (systemIndex === -1) {
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+  return messages.map((msg, index) => index === systemIndex ? { ...msg, content: `${msg.content}\n\n${instruction}` } : msg);
+}
+
+/**
+ * Parses model output as JSON, tolerating surrounding code fences or prose.
+ * @param {string | null} text
+ * @returns {any}
+ * @throws {SyntaxError} If no JSON value can be found.
+ */
+export function parseJsonOutput(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new SyntaxError('The response is empty');
+  }
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost object/array, for models that add a sentence before or after the JSON.
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch {
+        // Report the original parse error below.
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses and validates model output against a ResponseFormat.
+ * @param {string | null} text
+ * @param {import('../providers/baseProvider.js').ResponseFormat} responseFormat
+ * @returns {{parsed?: any, errors: string[]}} `errors` is empty when the output conforms.
+ */
+export function checkStructuredOutput(text, responseFormat) {
+  let parsed;
+  try {
+    parsed = parseJsonOutput(text);
+  } catch (error) {
+    return { errors: [`The response is not valid JSON: ${error.message}`] };
+  }
+  if (isJsonSchemaFormat(responseFormat)) {
+    const errors = validateJsonSchema(parsed, responseFormat.schema);
+    if (errors.length > 0) return { parsed, errors };
+  }
+  return { parsed, errors: [] };
+}
+
+/**
+ * Builds the follow-up user message that asks the model to fix a non-conforming answer.
+ * @param {string[]} errors
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  return 'Your previous response did not match the required format:\n' +
+    errors.map(error => `- ${error}`).join('\n') +
+    '\nRespond again with only the corrected JSON.';
+}
@@ -0,0 +1,118 @@
+import http from 'node:http';
+import { LLMPlugConfigurationError } from './errors.js';
+import { WIRE_FORMATS } from './wireFormats.js';
+
+/**
+ * Answer used when nothing is queued.
+ * @type {import('./wireFormats.js').StubReply}
+ */
+export const DEFAULT_STUB_REPLY = Object.freeze({ text: 'Hello from the stub server.', usage: { promptTokens: 10, completionTokens: 6 } });
+
+/**
+ * A running stub server.
+ * @typedef {Object} StubServer
+ * @property {string} url - The base URL, e.g. 'http://127.0.0.1:53211' (no trailing slash).
+ * @property {import('./wireFormats.js').WireFormat} wireFormat
+ * @property {import('./wireFormats.js').StubRequest[]} requests - Every request the format served, oldest first.
+ * @property {(...replies: import('./wireFormats.js').StubReply[]) => void} enqueue - Queues answers for the next requests.
+ * @property {() => void} reset - Clears the queue and the recorded requests.
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * Starts a local HTTP server that speaks a vendor's wire format, so providers can be exercised end to end
+ * without network access or API keys: point the provider's `baseURL` at `server.url`, queue replies
+ * and inspect `server.requests`. Routes the format does not serve answer 404.
+ * @param {import('./wireFormats.js').WireFormat | string} wireFormat - A format or the name of one in `WIRE_FORMATS`.
+ * @param {object} [options={}]
+ * @param {import('./wireFormats.js').StubReply} [options.defaultReply] - Answer when the queue is empty.
+ * @returns {Promise<StubServer>}
+ * @throws {LLMPlugConfigurationError} If the wire format is unknown.
+ */
+export async function startStubServer(wireFormat, options = {}) {
+  const format = typeof wireFormat === 'string' ? WIRE_FORMATS[wireFormat] : wireFormat;
+  if (!format || typeof format.parseRequest !== 'function') {
+    throw new LLMPlugConfigurationError(`Unknown wire format: ${wireFormat}. Known formats are: ${Object.keys(WIRE_FORMATS).join(', ')}`);
+  }
+  const defaultReply = options.defaultReply || DEFAULT_STUB_REPLY;
+  const queue = [];
+  const requests = [];
+  let toolCallCount = 0;
+
+  // Tool calls get IDs up front, so a vendor without IDs can still be compared with the scripted calls.
+  const normalizeReply = reply => ({
+    ...reply,
+    toolCalls: reply.toolCalls?.map(call => ({ ...call, id: call.id || `call_stub_${++toolCallCount}` })),
+  });
+
+  const handle = async (req, res) => {
+    const path = new URL(req.url, 'http://stub').pathname;
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const rawBody = Buffer.concat(chunks).toString('utf8');
+
+    if (!format.matches(req.method, path)) {
+      sendJson(res, { status: 404, body: { error: { message: `No stub route for ${req.method} ${path}` } } });
+      return;
+    }
+
+    let body;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+      sendJson(res, { status: 400, body: { error: { message: `Invalid JSON body: ${error.message}` } } });
+      return;
+    }
+    /** @type {import('./wireFormats.js').StubRequest} */
+    const request = { method: req.method, path, headers: req.headers, body, ...format.parseRequest(body, path) };
+    requests.push(request);
+
+    const reply = normalizeReply(queue.length > 0 ? queue.shift() : defaultReply);
+    if (reply.error) {
+      sendJson(res, format.renderError(reply.error, request));
+    } else if (request.stream && format.renderStream) {
+      const { contentType, events } = format.renderStream(reply, request);
+      res.writeHead(200, { 'content-type': contentType, 'cache-control': 'no-cache' });
+      for (const event of events) res.write(event);
+      res.end();
+    } else {
+      sendJson(res, format.renderResponse(reply, request));
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!res.headersSent) sendJson(res, { status: 500, body: { error: { message: `Stub server error: ${error.message}` } } });
+      else res.end();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    wireFormat: format,
+    requests,
+    enqueue(...replies) {
+      queue.push(...replies);
+    },
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    close() {
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections(); // SDK clients keep connections alive
+      });
+    },
+  };
+}
+
+function sendJson(res, { status, headers, body }) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,164 @@
+/**
+ * OpenTelemetry-compatible tracing and metrics for provider calls. Works with any tracer/meter that
+ * follows the OpenTelemetry JS API (`trace.getTracer(...)`, `metrics.getMeter(...)`), without LLMPlug
+ * depending on `@opentelemetry/api` itself. Attribute names follow the GenAI semantic conventions.
+ */
+import { StreamAccumulator } from './streamAccumulator.js';
+
+/**
+ * Telemetry settings (`config.telemetry`).
+ * @typedef {Object} TelemetryConfig
+ * @property {any} [tracer] - An OpenTelemetry Tracer. Every call gets a CLIENT span.
+ * @property {any} [meter] - An OpenTelemetry Meter. Records duration, token and time-to-first-token histograms plus request, token and cost counters.
+ * @property {boolean} [recordContent=false] - Add the prompt and completion text to spans as events. Off by default, since prompts may contain personal data.
+ */
+
+// Values from @opentelemetry/api, inlined to avoid the dependency.
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+const OPERATION_NAMES = { chat: 'chat', chatStream: 'chat', generate: 'text_completion', generateStream: 'text_completion', embed: 'embeddings' };
+
+function createInstruments(meter) {
+  if (!meter) return null;
+  return {
+    duration: meter.createHistogram('gen_ai.client.operation.duration', { description: 'Duration of GenAI client operations', unit: 's' }),
+    tokenUsage: meter.createHistogram('gen_ai.client.token.usage', { description: 'Tokens used per GenAI client operation', unit: '{token}' }),
+    timeToFirstToken: meter.createHistogram('llmplug.client.time_to_first_token', { description: 'Time until the first stream chunk arrived', unit: 's' }),
+    requests: meter.createCounter('llmplug.client.requests', { description: 'GenAI client operations', unit: '{request}' }),
+    tokens: meter.createCounter('llmplug.client.tokens', { description: 'Tokens used by GenAI client operations', unit: '{token}' }),
+    cost: meter.createCounter('llmplug.client.cost', { description: 'Cost of GenAI client operations', unit: 'USD' }),
+  };
+}
+
+function requestAttributes(context, operation) {
+  const { options } = context;
+  const attributes = {
+    'gen_ai.operation.name': operation,
+    'gen_ai.system': context.providerName.toLowerCase(),
+  };
+  if (context.model) attributes['gen_ai.request.model'] = context.model;
+  if (options.temperature !== undefined) attributes['gen_ai.request.temperature'] = options.temperature;
+  if (options.maxTokens !== undefined) attributes['gen_ai.request.max_tokens'] = options.maxTokens;
+  if (options.stopSequences?.length) attributes['gen_ai.request.stop_sequences'] = options.stopSequences;
+  return attributes;
+}
+
+function resultAttributes(result) {
+  const attributes = {};
+  if (result.model) attributes['gen_ai.response.model'] = result.model;
+  if (result.finishReason) attributes['gen_ai.response.finish_reasons'] = [String(result.finishReason)];
+  if (result.usage?.promptTokens !== undefined) attributes['gen_ai.usage.input_tokens'] = result.usage.promptTokens;
+  if (result.usage?.completionTokens !== undefined) attributes['gen_ai.usage.output_tokens'] = result.usage.completionTokens;
+  if (typeof result.cost === 'number') attributes['llmplug.cost_usd'] = result.cost;
+  if (result.cached) attributes['llmplug.cache_hit'] = true;
+  if (result.attempts !== undefined) attributes['llmplug.attempts'] = result.attempts;
+  return attributes;
+}
+
+/**
+ * Builds the middleware behind `config.telemetry`.
+ * @param {TelemetryConfig} [config={}]
+ * @returns {import('../providers/baseProvider.js').Middleware}
+ */
+export function createTelemetryMiddleware(config = {}) {
+  const { tracer, recordContent = false } = config;
+  const instruments = createInstruments(config.meter);
+
+  const startSpan = (name, attributes, fn) => {
+    if (!tracer) return fn(null);
+    const options = { kind: SPAN_KIND_CLIENT, attributes };
+    return typeof tracer.startActiveSpan === 'function' ? tracer.startActiveSpan(name, options, fn) : fn(tracer.startSpan(name, options));
+  };
+
+  const finish = (span, metricAttributes, startedAt, result, error) => {
+    const seconds = (performance.now() - startedAt) / 1000;
+    const attributes = { ...metricAttributes };
+    if (result?.model) attributes['gen_ai.response.model'] = result.model;
+    if (error) attributes['error.type'] = error.name || 'Error';
+
+    if (span) {
+      if (result) {
+        span.setAttributes(resultAttributes(result));
+        if (recordContent) {
+          span.addEvent('gen_ai.content.completion', {
+            'gen_ai.completion': JSON.stringify({ text: result.text ?? null, toolCalls: result.toolCalls }),
+          });
+        }
+      }
+      if (error) {
+        span.setAttribute('error.type', attributes['error.type']);
+        span.recordException(error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+      }
+      span.end();
+    }
+
+    if (instruments) {
+      instruments.duration.record(seconds, attributes);
+      instruments.requests.add(1, attributes);
+      // Cache hits used no tokens, although the cached result still reports the original usage.
+      const usage = result?.cached ? null : result?.usage;
+      for (const [type, count] of [['input', usage?.promptTokens], ['output', usage?.completionTokens]]) {
+        if (typeof count !== 'number') continue;
+        instruments.tokenUsage.record(count, { ...attributes, 'gen_ai.token.type': type });
+        instruments.tokens.add(count, { ...attributes, 'gen_ai.token.type': type });
+      }
+      if (typeof result?.cost === 'number') instruments.cost.add(result.cost, attributes);
+    }
+  };
+
+  return async function telemetry(context, next) {
+    const operation = OPERATION_NAMES[context.method];
+    const attributes = requestAttributes(context, operation);
+    const metricAttributes = { ...attributes };
+    delete metricAttributes['gen_ai.request.temperature'];
+    delete metricAttributes['gen_ai.request.max_tokens'];
+    delete metricAttributes['gen_ai.request.stop_sequences'];
+
+    return startSpan(context.model ? `${operation} ${context.model}` : operation, attributes, async span => {
+      const startedAt = performance.now();
+      if (span && recordContent) {
+        span.addEvent('gen_ai.content.prompt', { 'gen_ai.prompt': JSON.stringify(context.input) });
+      }
+
+      let output;
+      try {
+        output = await next();
+      } catch (error) {
+        finish(span, metricAttributes, startedAt, null, error);
+        throw error;
+      }
+      if (!context.stream) {
+        finish(span, metricAttributes, startedAt, output, null);
+        return output;
+      }
+      return traceStream(output, span, metricAttributes, startedAt);
+    });
+  };
+
+  async function* traceStream(stream, span, metricAttributes, startedAt) {
+    const accumulator = new StreamAccumulator();
+    let firstChunk = true;
+    let failed = false;
+    try {
+      for await (const chunk of stream) {
+        if (firstChunk) {
+          firstChunk = false;
+          const seconds = (performance.now() - startedAt) / 1000;
+          span?.setAttribute('llmplug.time_to_first_token', seconds);
+          instruments?.timeToFirstToken.record(seconds, metricAttributes);
+        }
+        accumulator.add(chunk);
+        yield chunk;
+      }
+    } catch (error) {
+      failed = true;
+      finish(span, metricAttributes, startedAt, accumulator.finish(), error);
+      throw error;
+    } finally {
+      // Also ends the span when the consumer stops reading early.
+      if (!failed) finish(span, metricAttributes, startedAt, accumulator.finish(), null);
+    }
+  }
+}
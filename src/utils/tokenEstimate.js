@@ -0,0 +1,59 @@
+/**
+ * Rough, tokenizer-free token estimates, used where a count is needed before a request is sent
+ * (budgets) or a provider does not report one. They assume ~4 characters per token, which is close for
+ * English text with the common BPE tokenizers; other languages and code usually need more tokens.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4; // Role and formatting overhead of one chat message
+const TOKENS_PER_IMAGE = 765; // What OpenAI bills for a 1024x1024 image at high detail
+
+/**
+ * @param {string | null | undefined} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimates the completion tokens of an answer: its text plus its tool calls.
+ * @param {string | null | undefined} text
+ * @param {object[]} [toolCalls] - Complete tool calls or streamed fragments.
+ * @returns {number}
+ */
+export function estimateCompletionTokens(text, toolCalls) {
+  return estimateTextTokens(text) + (toolCalls?.length ? estimateTextTokens(JSON.stringify(toolCalls)) : 0);
+}
+
+function estimateContentTokens(content) {
+  if (typeof content === 'string') return estimateTextTokens(content);
+  if (!Array.isArray(content)) return content == null ? 0 : estimateTextTokens(JSON.stringify(content));
+  return content.reduce((sum, part) => {
+    if (part.type === 'image_url') return sum + TOKENS_PER_IMAGE;
+    if (part.type === 'tool_output') {
+      return sum + estimateTextTokens(typeof part.content === 'string' ? part.content : JSON.stringify(part.content ?? null));
+    }
+    return sum + estimateTextTokens(part.text);
+  }, 0);
+}
+
+/**
+ * Estimates the prompt tokens of a request: a prompt string or a chat transcript, plus the tool definitions.
+ * @param {string | import('../providers/baseProvider.js').ChatMessage[]} input
+ * @param {import('../providers/baseProvider.js').ToolDefinition[]} [tools]
+ * @returns {number}
+ */
+export function estimatePromptTokens(input, tools) {
+  let tokens = 0;
+  if (typeof input === 'string') {
+    tokens += estimateTextTokens(input);
+  } else if (Array.isArray(input)) {
+    for (const message of input) {
+      tokens += TOKENS_PER_MESSAGE + estimateContentTokens(message.content);
+      if (message.tool_calls) tokens += estimateTextTokens(JSON.stringify(message.tool_calls));
+    }
+  }
+  if (tools?.length) tokens += estimateTextTokens(JSON.stringify(tools));
+  return tokens;
+}
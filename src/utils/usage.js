@@ -0,0 +1,108 @@
+/**
+ * Converts each vendor's token counts to `UsageData`. Cached and cache-writing prompt tokens are part of
+ * `promptTokens`, and reasoning tokens are part of `completionTokens`, whichever vendor reported them.
+ * Counts the vendor did not report are left out, so partial usage from stream events can be merged.
+ * Every converter returns null when there is nothing to convert.
+ */
+
+/**
+ * @param {Omit<import('../providers/baseProvider.js').UsageData, 'estimated'>} usage
+ * @returns {import('../providers/baseProvider.js').UsageData | null}
+ */
+function toUsageData({ promptTokens, completionTokens, totalTokens, cachedPromptTokens, cacheCreationTokens, reasoningTokens }) {
+  const usage = {};
+  const counts = { promptTokens, completionTokens, totalTokens, cachedPromptTokens, cacheCreationTokens, reasoningTokens };
+  for (const [key, value] of Object.entries(counts)) {
+    if (typeof value === 'number') usage[key] = value;
+  }
+  if (Object.keys(usage).length === 0) return null;
+  if (usage.totalTokens === undefined && usage.promptTokens !== undefined && usage.completionTokens !== undefined) {
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+  }
+  return { ...usage, estimated: false };
+}
+
+/**
+ * Usage in the OpenAI chat completions shape, also used by Mistral, OpenRouter, Ollama and other compatible servers.
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number,
+ *   prompt_tokens_details?: {cached_tokens?: number}, completion_tokens_details?: {reasoning_tokens?: number}} | null | undefined} usage
+ * @returns {import('../providers/baseProvider.js').UsageData | null}
+ */
+export function usageFromOpenAI(usage) {
+  if (!usage) return null;
+  return toUsageData({
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens,
+    cachedPromptTokens: usage.prompt_tokens_details?.cached_tokens,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens,
+  });
+}
+
+/**
+ * Anthropic usage. Anthropic's `input_tokens` leaves out the tokens read from or written to the prompt cache;
+ * they are added to `promptTokens` here.
+ * @param {{input_tokens?: number, output_tokens?: number, cache_read_input_tokens?: number | null,
+ *   cache_creation_input_tokens?: number | null} | null | undefined} usage
+ * @returns {import('../providers/baseProvider.js').UsageData | null}
+ */
+export function usageFromAnthropic(usage) {
+  if (!usage) return null;
+  const cachedPromptTokens = usage.cache_read_input_tokens ?? undefined;
+  const cacheCreationTokens = usage.cache_creation_input_tokens ?? undefined;
+  return toUsageData({
+    promptTokens: usage.input_tokens === undefined ? undefined : usage.input_tokens + (cachedPromptTokens || 0) + (cacheCreationTokens || 0),
+    completionTokens: usage.output_tokens,
+    cachedPromptTokens,
+    cacheCreationTokens,
+  });
+}
+
+/**
+ * Gemini `usageMetadata`. Gemini counts thinking tokens apart from `candidatesTokenCount`; they are added to
+ * `completionTokens` here.
+ * @param {{promptTokenCount?: number, candidatesTokenCount?: number, totalTokenCount?: number,
+ *   cachedContentTokenCount?: number, thoughtsTokenCount?: number} | null | undefined} usageMetadata
+ * @returns {import('../providers/baseProvider.js').UsageData | null}
+ */
+export function usageFromGemini(usageMetadata) {
+  if (!usageMetadata) return null;
+  const reasoningTokens = usageMetadata.thoughtsTokenCount;
+  return toUsageData({
+    promptTokens: usageMetadata.promptTokenCount,
+    completionTokens: usageMetadata.candidatesTokenCount === undefined && reasoningTokens === undefined
+      ? undefined
+      : (usageMetadata.candidatesTokenCount || 0) + (reasoningTokens || 0),
+    totalTokens: usageMetadata.totalTokenCount,
+    cachedPromptTokens: usageMetadata.cachedContentTokenCount,
+    reasoningTokens,
+  });
+}
+
+/**
+ * Cohere `meta`: the token counts of chat responses, else the billed units (all that `generate` and `embed` report).
+ * @param {{tokens?: {inputTokens?: number, outputTokens?: number}, billedUnits?: {inputTokens?: number, outputTokens?: number}} | null | undefined} meta
+ * @returns {import('../providers/baseProvider.js').UsageData | null}
+ */
+export function usageFromCohere(meta) {
+  const tokens = meta?.tokens || meta?.billedUnits;
+  if (!tokens) return null;
+  return toUsageData({ promptTokens: tokens.inputTokens, completionTokens: tokens.outputTokens });
+}
+
+/**
+ * Adds up the usage of several calls that answered one request (e.g. structured-output repairs or embedding batches).
+ * Every count either side reported is summed, and the sum is `estimated` if either side was.
+ * @param {import('../providers/baseProvider.js').UsageData | null | undefined} a
+ * @param {import('../providers/baseProvider.js').UsageData | null | undefined} b
+ * @returns {import('../providers/baseProvider.js').UsageData | null} Null if neither side reported usage.
+ */
+export function addUsage(a, b) {
+  if (!a || !b) return a || b ? { ...(a || b) } : null;
+  const sum = {};
+  for (const key of ['promptTokens', 'completionTokens', 'cachedPromptTokens', 'cacheCreationTokens', 'reasoningTokens']) {
+    if (typeof a[key] === 'number' || typeof b[key] === 'number') sum[key] = (a[key] || 0) + (b[key] || 0);
+  }
+  const totalOf = usage => usage.totalTokens ?? (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  return { ...sum, totalTokens: totalOf(a) + totalOf(b), estimated: !!(a.estimated || b.estimated) };
+}
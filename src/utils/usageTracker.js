@@ -0,0 +1,124 @@
+/**
+ * One accounted request, as passed to `UsageTracker.record`.
+ * @typedef {Object} UsageRecord
+ * @property {string} provider - Name of the provider that served the request.
+ * @property {string} [model] - The model used.
+ * @property {'chat' | 'generate' | 'chatStream' | 'generateStream' | 'embed'} operation
+ * @property {import('../providers/baseProvider.js').UsageData | null} [usage]
+ * @property {number} [cost] - Cost in USD; undefined if the model has no known price.
+ * @property {string[]} [tags] - Caller-supplied tags (`options.tags`).
+ * @property {Date} [timestamp]
+ */
+
+/**
+ * Aggregated usage for one group of requests.
+ * @typedef {Object} UsageTotals
+ * @property {number} requests - Number of requests recorded.
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number} cachedPromptTokens - Prompt tokens read from the vendors' prompt caches (part of `promptTokens`).
+ * @property {number} reasoningTokens - Reasoning tokens (part of `completionTokens`).
+ * @property {number} estimatedRequests - Requests whose usage was at least partly estimated locally.
+ * @property {number} cost - Summed cost in USD of the priced requests.
+ * @property {number} unpricedRequests - Requests whose cost is unknown (missing usage or price); not included in `cost`.
+ */
+
+/**
+ * @typedef {Object} UsageSummary
+ * @property {UsageTotals} total
+ * @property {Object.<string, UsageTotals>} byProvider
+ * @property {Object.<string, UsageTotals>} byModel - Keyed by `provider/model`.
+ * @property {Object.<string, UsageTotals>} byTag - A request with several tags counts towards each of them.
+ */
+
+function emptyTotals() {
+  return {
+    requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cachedPromptTokens: 0, reasoningTokens: 0,
+    estimatedRequests: 0, cost: 0, unpricedRequests: 0,
+  };
+}
+
+function addToTotals(totals, record) {
+  const usage = record.usage || {};
+  totals.requests += 1;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.totalTokens += usage.totalTokens ?? ((usage.promptTokens || 0) + (usage.completionTokens || 0));
+  totals.cachedPromptTokens += usage.cachedPromptTokens || 0;
+  totals.reasoningTokens += usage.reasoningTokens || 0;
+  if (usage.estimated) totals.estimatedRequests += 1;
+  if (typeof record.cost === 'number') {
+    totals.cost += record.cost;
+  } else {
+    totals.unpricedRequests += 1;
+  }
+}
+
+/**
+ * Aggregates token usage and spend across requests. Pass one to any number of providers through
+ * `config.usageTracker`; every `chat`, `generate`, stream and `embed` call is then recorded with its
+ * provider, model and `options.tags`, so spend can be attributed per feature.
+ *
+ * @example
+ * const tracker = new UsageTracker();
+ * const openai = LLMPlug.getProvider('openai', { usageTracker: tracker });
+ * await openai.chat(messages, { tags: ['search'] });
+ * console.log(tracker.summary().byTag.search.cost);
+ */
+export class UsageTracker {
+  /**
+   * @param {object} [options={}]
+   * @param {(record: UsageRecord) => void} [options.onRecord] - Called after each request is recorded.
+   */
+  constructor(options = {}) {
+    this.onRecord = options.onRecord;
+    this._total = emptyTotals();
+    this._byProvider = new Map();
+    this._byModel = new Map();
+    this._byTag = new Map();
+  }
+
+  /**
+   * Records one request. Called by the providers; can also be used for usage from other sources.
+   * @param {UsageRecord} record
+   */
+  record(record) {
+    const entry = { ...record, tags: record.tags || [], timestamp: record.timestamp || new Date() };
+    const groups = [
+      this._total,
+      this._group(this._byProvider, entry.provider),
+      this._group(this._byModel, `${entry.provider}/${entry.model || 'unknown'}`),
+      ...entry.tags.map(tag => this._group(this._byTag, tag)),
+    ];
+    groups.forEach(totals => addToTotals(totals, entry));
+    this.onRecord?.(entry);
+  }
+
+  _group(map, key) {
+    if (!map.has(key)) map.set(key, emptyTotals());
+    return map.get(key);
+  }
+
+  /**
+   * Returns a snapshot of the aggregated usage.
+   * @returns {UsageSummary}
+   */
+  summary() {
+    const snapshot = map => Object.fromEntries([...map].map(([key, totals]) => [key, { ...totals }]));
+    return {
+      total: { ...this._total },
+      byProvider: snapshot(this._byProvider),
+      byModel: snapshot(this._byModel),
+      byTag: snapshot(this._byTag),
+    };
+  }
+
+  /** Clears all recorded usage. */
+  reset() {
+    this._total = emptyTotals();
+    this._byProvider.clear();
+    this._byModel.clear();
+    this._byTag.clear();
+  }
+}
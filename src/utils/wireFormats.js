@@ -0,0 +1,670 @@
+/**
+ * Vendor wire formats spoken by the stub server (see utils/stubServer.js). Each format parses the vendor's request
+ * body into a StubRequest and renders scripted StubReplies as the vendor would: response bodies, streams and errors.
+ * Only the fields the supported SDKs read are produced.
+ */
+
+/**
+ * A request as seen by the stub server, reduced to what the conformance scenarios compare across vendors.
+ * @typedef {Object} StubRequest
+ * @property {string} method
+ * @property {string} path - The URL path without the query string.
+ * @property {Object.<string, string | string[]>} headers
+ * @property {any} body - The parsed JSON body.
+ * @property {string} [model]
+ * @property {string} [system] - The system prompt, if the vendor has a separate field for it.
+ * @property {StubMessage[]} messages - Conversation turns (without the system prompt), oldest first.
+ * @property {string[]} tools - Names of the tools offered to the model.
+ * @property {boolean} jsonMode - Whether the vendor's native JSON mode was requested.
+ * @property {boolean} stream
+ * @property {boolean} includeUsage - Whether usage was asked for in the stream (OpenAI's `stream_options`).
+ */
+
+/**
+ * @typedef {Object} StubMessage
+ * @property {'user' | 'assistant' | 'tool'} role
+ * @property {string} text - The text parts joined; for tool results, the tool output.
+ * @property {string[]} images - Base64 data of the attached images.
+ * @property {{id?: string, name: string, arguments: any}[]} [toolCalls] - Tool calls of an assistant turn, with parsed arguments.
+ * @property {string} [toolCallId] - The call a tool result answers, for vendors that use call IDs.
+ * @property {string} [name] - The tool name of a tool result.
+ */
+
+/**
+ * A scripted answer. Tool call IDs are filled in by the stub server when missing.
+ * @typedef {Object} StubReply
+ * @property {string} [text]
+ * @property {{id?: string, name: string, arguments: Object}[]} [toolCalls]
+ * @property {'stop' | 'length' | 'tool_calls'} [finishReason] - Defaults to 'tool_calls' or 'stop'; rendered in the vendor's terms.
+ * @property {{promptTokens: number, completionTokens: number, cachedPromptTokens?: number, cacheCreationTokens?: number,
+ *   reasoningTokens?: number}} [usage] - Counted like `UsageData`; formats render the details they have in their own terms.
+ * @property {StubError} [error] - Answer with an error instead.
+ */
+
+/**
+ * @typedef {Object} StubError
+ * @property {'rate_limit' | 'authentication' | 'context_length' | 'model_not_found' | 'server'} type
+ * @property {number} [status] - Overrides the vendor's usual status for the type.
+ * @property {string} [message] - Overrides the vendor's usual message for the type.
+ * @property {number} [retryAfter] - Seconds for the `retry-after` header.
+ */
+
+/**
+ * @typedef {Object} WireFormat
+ * @property {string} name
+ * @property {'field' | 'inline'} systemPrompt - 'inline' if the system prompt is folded into the first user turn.
+ * @property {boolean} reportsUsage - Whether responses carry token counts.
+ * @property {boolean} reportsFinishReason - Whether responses say why generation stopped.
+ * @property {('cachedPromptTokens' | 'cacheCreationTokens' | 'reasoningTokens')[]} usageDetails - The usage details
+ *   responses can carry besides the token counts.
+ * @property {boolean} toolCallIds - Whether tool calls and their results are matched by ID.
+ * @property {(method: string, path: string) => boolean} matches - Whether the format serves the route.
+ * @property {(body: any, path: string) => Omit<StubRequest, 'method' | 'path' | 'headers' | 'body'>} parseRequest
+ * @property {(reply: StubReply, request: StubRequest) => {status: number, headers?: Object.<string, string>, body: any}} renderResponse
+ * @property {((reply: StubReply, request: StubRequest) => {contentType: string, events: string[]}) | null} renderStream
+ * @property {(error: StubError, request: StubRequest) => {status: number, headers?: Object.<string, string>, body: any}} renderError
+ */
+
+const CREATED_AT = 1700000000; // Fixed, so rendered bodies are stable
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+function base64Of(url) {
+  return url.startsWith('data:') ? url.slice(url.indexOf(',') + 1) : url;
+}
+
+function parseArguments(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function stringify(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Streams send one word per event.
+function splitText(text) {
+  return text ? text.match(/\s*\S+\s*/g) || [text] : [];
+}
+
+function sse(data, event) {
+  return `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+function finishReasonOf(reply) {
+  return reply.finishReason || (reply.toolCalls?.length ? 'tool_calls' : 'stop');
+}
+
+function usageOf(reply) {
+  return {
+    promptTokens: reply.usage?.promptTokens ?? 0,
+    completionTokens: reply.usage?.completionTokens ?? 0,
+    cachedPromptTokens: reply.usage?.cachedPromptTokens,
+    cacheCreationTokens: reply.usage?.cacheCreationTokens,
+    reasoningTokens: reply.usage?.reasoningTokens,
+  };
+}
+
+function errorResponse(error, defaults, renderBody) {
+  const [defaultStatus, message] = defaults[error.type] || defaults.server;
+  const status = error.status ?? defaultStatus;
+  return {
+    status,
+    headers: error.retryAfter !== undefined ? { 'retry-after': String(error.retryAfter) } : undefined,
+    body: renderBody(error.message ?? message, error.type, status),
+  };
+}
+
+const OPENAI_ERRORS = {
+  rate_limit: [429, 'Rate limit reached for requests. Please try again in 1s.'],
+  authentication: [401, 'Incorrect API key provided: conforman*****-key.'],
+  context_length: [400, "This model's maximum context length is 8192 tokens. However, your messages resulted in 9000 tokens."],
+  model_not_found: [404, 'The model `unknown-model` does not exist or you do not have access to it.'],
+  server: [500, 'The server had an error while processing your request.'],
+};
+const OPENAI_ERROR_CODES = {
+  rate_limit: ['requests', 'rate_limit_exceeded'],
+  authentication: ['invalid_request_error', 'invalid_api_key'],
+  context_length: ['invalid_request_error', 'context_length_exceeded'],
+  model_not_found: ['invalid_request_error', 'model_not_found'],
+  server: ['server_error', null],
+};
+
+/** OpenAI Chat Completions, also spoken by OpenRouter, llama.cpp, Oobabooga and other compatible servers. */
+const openai = {
+  name: 'openai',
+  systemPrompt: 'field',
+  reportsUsage: true,
+  reportsFinishReason: true,
+  toolCallIds: true,
+  usageDetails: ['cachedPromptTokens', 'reasoningTokens'],
+  /** Whether usage is sent in streams without `stream_options.include_usage`. */
+  streamsUsageByDefault: false,
+
+  matches(method, path) {
+    return method === 'POST' && path.endsWith('/chat/completions');
+  },
+
+  parseRequest(body) {
+    const system = [];
+    const messages = [];
+    for (const msg of body.messages || []) {
+      if (msg.role === 'system') {
+        system.push(textOf(msg.content));
+        continue;
+      }
+      messages.push({
+        role: msg.role,
+        text: textOf(msg.content),
+        images: Array.isArray(msg.content) ? msg.content.filter(part => part.type === 'image_url').map(part => base64Of(part.image_url.url)) : [],
+        toolCalls: msg.tool_calls?.map(call => ({ id: call.id, name: call.function.name, arguments: parseArguments(call.function.arguments) })),
+        toolCallId: msg.tool_call_id,
+        name: msg.name,
+      });
+    }
+    return {
+      model: body.model,
+      system: system.length > 0 ? system.join('\n') : undefined,
+      messages,
+      tools: (body.tools || []).map(tool => tool.function.name),
+      jsonMode: body.response_format?.type === 'json_object' || body.response_format?.type === 'json_schema',
+      stream: body.stream === true,
+      includeUsage: body.stream_options?.include_usage === true,
+    };
+  },
+
+  _toolCalls(reply) {
+    return reply.toolCalls?.length
+      ? reply.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments) } }))
+      : undefined;
+  },
+
+  _usage(reply) {
+    const { promptTokens, completionTokens, cachedPromptTokens, reasoningTokens } = usageOf(reply);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      ...(this.usageDetails.includes('cachedPromptTokens') && cachedPromptTokens !== undefined && { prompt_tokens_details: { cached_tokens: cachedPromptTokens } }),
+      ...(this.usageDetails.includes('reasoningTokens') && reasoningTokens !== undefined && { completion_tokens_details: { reasoning_tokens: reasoningTokens } }),
+    };
+  },
+
+  renderResponse(reply, request) {
+    return {
+      status: 200,
+      body: {
+        id: 'chatcmpl-stub',
+        object: 'chat.completion',
+        created: CREATED_AT,
+        model: request.model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: reply.text ?? null, tool_calls: this._toolCalls(reply) },
+          finish_reason: finishReasonOf(reply),
+        }],
+        usage: this._usage(reply),
+      },
+    };
+  },
+
+  renderStream(reply, request) {
+    const chunk = (delta, finishReason = null, extra = {}) => sse({
+      id: 'chatcmpl-stub',
+      object: 'chat.completion.chunk',
+      created: CREATED_AT,
+      model: request.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+      ...extra,
+    });
+    const events = [chunk({ role: 'assistant', content: '' })];
+    splitText(reply.text).forEach(piece => events.push(chunk({ content: piece })));
+    (reply.toolCalls || []).forEach((call, index) => {
+      events.push(chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.name, arguments: '' } }] }));
+      events.push(chunk({ tool_calls: [{ index, function: { arguments: JSON.stringify(call.arguments) } }] }));
+    });
+    if (this.streamsUsageByDefault) {
+      events.push(chunk({}, finishReasonOf(reply), { usage: this._usage(reply) }));
+    } else {
+      events.push(chunk({}, finishReasonOf(reply)));
+      if (request.includeUsage) {
+        events.push(sse({ id: 'chatcmpl-stub', object: 'chat.completion.chunk', created: CREATED_AT, model: request.model, choices: [], usage: this._usage(reply) }));
+      }
+    }
+    events.push(sse('[DONE]'));
+    return { contentType: 'text/event-stream', events };
+  },
+
+  renderError(error) {
+    return errorResponse(error, OPENAI_ERRORS, (message, type) => {
+      const [errorType, code] = OPENAI_ERROR_CODES[type] || OPENAI_ERROR_CODES.server;
+      return { error: { message, type: errorType, param: null, code } };
+    });
+  },
+};
+
+/** Ollama's OpenAI-compatible endpoint, which answers errors in Ollama's own shape. */
+const ollama = {
+  ...openai,
+  name: 'ollama',
+  usageDetails: [],
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'too many requests, please retry later'],
+      authentication: [401, 'unauthorized'],
+      context_length: [400, 'the input length exceeds the maximum context length'],
+      model_not_found: [404, 'model "unknown-model" not found, try pulling it first'],
+      server: [500, 'llama runner process has terminated'],
+    }, message => ({ error: message }));
+  },
+};
+
+/** Mistral's chat completions, which always report usage at the end of a stream. */
+const mistral = {
+  ...openai,
+  name: 'mistral',
+  usageDetails: [],
+  streamsUsageByDefault: true,
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'Requests rate limit exceeded'],
+      authentication: [401, 'Unauthorized'],
+      context_length: [400, 'Prompt contains 40000 tokens, too large for model with 32768 maximum context length'],
+      model_not_found: [400, 'Invalid model: unknown-model'],
+      server: [500, 'Internal server error'],
+    }, (message, type) => ({ object: 'error', message, type: type === 'model_not_found' ? 'invalid_model' : 'invalid_request_error', param: null, code: null }));
+  },
+};
+
+const ANTHROPIC_STOP_REASONS = { stop: 'end_turn', length: 'max_tokens', tool_calls: 'tool_use' };
+const ANTHROPIC_ERROR_TYPES = {
+  rate_limit: 'rate_limit_error',
+  authentication: 'authentication_error',
+  context_length: 'invalid_request_error',
+  model_not_found: 'not_found_error',
+  server: 'api_error',
+};
+
+/** Anthropic Messages API. */
+const anthropic = {
+  name: 'anthropic',
+  systemPrompt: 'field',
+  reportsUsage: true,
+  reportsFinishReason: true,
+  toolCallIds: true,
+  usageDetails: ['cachedPromptTokens', 'cacheCreationTokens'],
+
+  matches(method, path) {
+    return method === 'POST' && path.endsWith('/v1/messages');
+  },
+
+  parseRequest(body) {
+    const messages = [];
+    for (const msg of body.messages || []) {
+      const blocks = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : msg.content || [];
+      blocks.filter(block => block.type === 'tool_result').forEach(block => messages.push({
+        role: 'tool',
+        text: typeof block.content === 'string' ? block.content : textOf(block.content),
+        images: [],
+        toolCallId: block.tool_use_id,
+      }));
+      const otherBlocks = blocks.filter(block => block.type !== 'tool_result');
+      if (otherBlocks.length === 0 && blocks.length > 0) continue;
+      const toolUses = otherBlocks.filter(block => block.type === 'tool_use');
+      messages.push({
+        role: msg.role,
+        text: textOf(otherBlocks),
+        images: otherBlocks.filter(block => block.type === 'image').map(block => block.source.data),
+        toolCalls: toolUses.length > 0 ? toolUses.map(block => ({ id: block.id, name: block.name, arguments: block.input })) : undefined,
+      });
+    }
+    return {
+      model: body.model,
+      system: typeof body.system === 'string' ? body.system : body.system ? textOf(body.system) : undefined,
+      messages,
+      tools: (body.tools || []).map(tool => tool.name),
+      jsonMode: false, // Requested in the prompt
+      stream: body.stream === true,
+      includeUsage: false,
+    };
+  },
+
+  _message(reply, request, content, stopReason, outputTokens) {
+    const { promptTokens, cachedPromptTokens, cacheCreationTokens } = usageOf(reply);
+    return {
+      id: 'msg_stub',
+      type: 'message',
+      role: 'assistant',
+      model: request.model,
+      content,
+      stop_reason: stopReason,
+      stop_sequence: null,
+      // input_tokens leaves out the tokens read from and written to the cache
+      usage: {
+        input_tokens: promptTokens - (cachedPromptTokens || 0) - (cacheCreationTokens || 0),
+        output_tokens: outputTokens,
+        ...(cachedPromptTokens !== undefined && { cache_read_input_tokens: cachedPromptTokens }),
+        ...(cacheCreationTokens !== undefined && { cache_creation_input_tokens: cacheCreationTokens }),
+      },
+    };
+  },
+
+  renderResponse(reply, request) {
+    const content = [];
+    if (reply.text) content.push({ type: 'text', text: reply.text });
+    (reply.toolCalls || []).forEach(call => content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }));
+    return {
+      status: 200,
+      body: this._message(reply, request, content, ANTHROPIC_STOP_REASONS[finishReasonOf(reply)], usageOf(reply).completionTokens),
+    };
+  },
+
+  renderStream(reply, request) {
+    const event = (type, data) => sse({ type, ...data }, type);
+    const events = [event('message_start', { message: this._message(reply, request, [], null, 1) })];
+    let index = 0;
+    if (reply.text) {
+      events.push(event('content_block_start', { index, content_block: { type: 'text', text: '' } }));
+      splitText(reply.text).forEach(piece => events.push(event('content_block_delta', { index, delta: { type: 'text_delta', text: piece } })));
+      events.push(event('content_block_stop', { index }));
+      index++;
+    }
+    for (const call of reply.toolCalls || []) {
+      events.push(event('content_block_start', { index, content_block: { type: 'tool_use', id: call.id, name: call.name, input: {} } }));
+      events.push(event('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(call.arguments) } }));
+      events.push(event('content_block_stop', { index }));
+      index++;
+    }
+    events.push(event('message_delta', {
+      delta: { stop_reason: ANTHROPIC_STOP_REASONS[finishReasonOf(reply)], stop_sequence: null },
+      usage: { output_tokens: usageOf(reply).completionTokens },
+    }));
+    events.push(event('message_stop', {}));
+    return { contentType: 'text/event-stream', events };
+  },
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'Number of request tokens has exceeded your per-minute rate limit.'],
+      authentication: [401, 'invalid x-api-key'],
+      context_length: [400, 'prompt is too long: 210000 tokens > 200000 maximum'],
+      model_not_found: [404, 'model: unknown-model'],
+      server: [500, 'Internal server error'],
+    }, (message, type) => ({ type: 'error', error: { type: ANTHROPIC_ERROR_TYPES[type] || ANTHROPIC_ERROR_TYPES.server, message } }));
+  },
+};
+
+const GEMINI_FINISH_REASONS = { stop: 'STOP', length: 'MAX_TOKENS', tool_calls: 'STOP' };
+const GEMINI_ERROR_STATUSES = {
+  rate_limit: 'RESOURCE_EXHAUSTED',
+  authentication: 'INVALID_ARGUMENT',
+  context_length: 'INVALID_ARGUMENT',
+  model_not_found: 'NOT_FOUND',
+  server: 'INTERNAL',
+};
+const GEMINI_ROUTE = /\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+/** Google's Gemini API (`generateContent`). Function calls carry no IDs. */
+const gemini = {
+  name: 'gemini',
+  systemPrompt: 'field',
+  reportsUsage: true,
+  reportsFinishReason: true,
+  toolCallIds: false,
+  usageDetails: ['cachedPromptTokens', 'reasoningTokens'],
+
+  matches(method, path) {
+    return method === 'POST' && GEMINI_ROUTE.test(path);
+  },
+
+  parseRequest(body, path) {
+    const [, model, action] = path.match(GEMINI_ROUTE);
+    const messages = [];
+    for (const content of body.contents || []) {
+      const parts = content.parts || [];
+      parts.filter(part => part.functionResponse).forEach(part => messages.push({
+        role: 'tool',
+        text: stringify(part.functionResponse.response),
+        images: [],
+        name: part.functionResponse.name,
+      }));
+      const otherParts = parts.filter(part => !part.functionResponse);
+      if (otherParts.length === 0 && parts.length > 0) continue;
+      const functionCalls = otherParts.filter(part => part.functionCall);
+      messages.push({
+        role: content.role === 'model' ? 'assistant' : 'user',
+        text: otherParts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n'),
+        images: otherParts.filter(part => part.inlineData).map(part => part.inlineData.data),
+        toolCalls: functionCalls.length > 0 ? functionCalls.map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args })) : undefined,
+      });
+    }
+    const systemParts = typeof body.systemInstruction === 'string' ? [{ text: body.systemInstruction }] : body.systemInstruction?.parts;
+    return {
+      model,
+      system: systemParts ? systemParts.map(part => part.text).join('\n') : undefined,
+      messages,
+      tools: (body.tools || []).flatMap(tool => (tool.functionDeclarations || []).map(declaration => declaration.name)),
+      jsonMode: body.generationConfig?.responseMimeType === 'application/json',
+      stream: action === 'streamGenerateContent',
+      includeUsage: false,
+    };
+  },
+
+  _usage(reply) {
+    const { promptTokens, completionTokens, cachedPromptTokens, reasoningTokens } = usageOf(reply);
+    // Thinking tokens are counted apart from the candidates
+    return {
+      promptTokenCount: promptTokens,
+      candidatesTokenCount: completionTokens - (reasoningTokens || 0),
+      totalTokenCount: promptTokens + completionTokens,
+      ...(cachedPromptTokens !== undefined && { cachedContentTokenCount: cachedPromptTokens }),
+      ...(reasoningTokens !== undefined && { thoughtsTokenCount: reasoningTokens }),
+    };
+  },
+
+  _candidate(parts, finishReason) {
+    return { content: { role: 'model', parts }, ...(finishReason && { finishReason }), index: 0, safetyRatings: [] };
+  },
+
+  renderResponse(reply) {
+    const parts = [];
+    if (reply.text) parts.push({ text: reply.text });
+    (reply.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.arguments } }));
+    return {
+      status: 200,
+      body: { candidates: [this._candidate(parts, GEMINI_FINISH_REASONS[finishReasonOf(reply)])], usageMetadata: this._usage(reply) },
+    };
+  },
+
+  renderStream(reply) {
+    const pieces = splitText(reply.text).map(text => [{ text }]);
+    const functionCalls = (reply.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }));
+    const last = [...(pieces.pop() || []), ...functionCalls];
+    const events = pieces.map(parts => sse({ candidates: [this._candidate(parts)] }));
+    events.push(sse({ candidates: [this._candidate(last, GEMINI_FINISH_REASONS[finishReasonOf(reply)])], usageMetadata: this._usage(reply) }));
+    return { contentType: 'text/event-stream', events };
+  },
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'Resource has been exhausted (e.g. check quota).'],
+      authentication: [400, 'API key not valid. Please pass a valid API key.'],
+      context_length: [400, 'The input token count (1200000) exceeds the maximum number of tokens allowed (1048576).'],
+      model_not_found: [404, 'models/unknown-model is not found for API version v1beta, or is not supported for generateContent.'],
+      server: [500, 'An internal error has occurred.'],
+    }, (message, type, status) => ({
+      error: {
+        code: status,
+        message,
+        status: GEMINI_ERROR_STATUSES[type] || GEMINI_ERROR_STATUSES.server,
+        ...(type === 'authentication' && {
+          details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }],
+        }),
+      },
+    }));
+  },
+};
+
+const COHERE_FINISH_REASONS = { stop: 'COMPLETE', length: 'MAX_TOKENS', tool_calls: 'COMPLETE' };
+
+/** Cohere's v1 chat API. Streams are newline-delimited JSON, and tool calls carry no IDs. */
+const cohere = {
+  name: 'cohere',
+  systemPrompt: 'field',
+  reportsUsage: true,
+  reportsFinishReason: true,
+  toolCallIds: false,
+  usageDetails: [],
+
+  matches(method, path) {
+    return method === 'POST' && path.endsWith('/v1/chat');
+  },
+
+  parseRequest(body) {
+    const messages = [];
+    for (const msg of body.chat_history || []) {
+      if (msg.role === 'TOOL') {
+        (msg.tool_results || []).forEach(result => messages.push({ role: 'tool', text: stringify(result.outputs), images: [], name: result.call?.name }));
+        continue;
+      }
+      messages.push({
+        role: msg.role === 'CHATBOT' ? 'assistant' : 'user',
+        text: msg.message || '',
+        images: [],
+        toolCalls: msg.tool_calls?.map(call => ({ name: call.name, arguments: call.parameters })),
+      });
+    }
+    if (body.message && body.message.trim()) messages.push({ role: 'user', text: body.message, images: [] });
+    return {
+      model: body.model,
+      system: body.preamble,
+      messages,
+      tools: (body.tools || []).map(tool => tool.name),
+      jsonMode: body.response_format?.type === 'json_object',
+      stream: body.stream === true,
+      includeUsage: false,
+    };
+  },
+
+  _response(reply) {
+    const { promptTokens, completionTokens } = usageOf(reply);
+    return {
+      response_id: 'stub-response',
+      text: reply.text || '',
+      generation_id: 'stub-generation',
+      chat_history: [],
+      finish_reason: COHERE_FINISH_REASONS[finishReasonOf(reply)],
+      ...(reply.toolCalls?.length && { tool_calls: reply.toolCalls.map(call => ({ name: call.name, parameters: call.arguments })) }),
+      meta: {
+        api_version: { version: '1' },
+        billed_units: { input_tokens: promptTokens, output_tokens: completionTokens },
+        tokens: { input_tokens: promptTokens, output_tokens: completionTokens },
+      },
+    };
+  },
+
+  renderResponse(reply) {
+    return { status: 200, body: this._response(reply) };
+  },
+
+  renderStream(reply) {
+    const line = data => `${JSON.stringify(data)}\n`;
+    const events = [line({ is_finished: false, event_type: 'stream-start', generation_id: 'stub-generation' })];
+    splitText(reply.text).forEach(text => events.push(line({ is_finished: false, event_type: 'text-generation', text })));
+    if (reply.toolCalls?.length) {
+      events.push(line({
+        is_finished: false,
+        event_type: 'tool-calls-generation',
+        text: reply.text || '',
+        tool_calls: reply.toolCalls.map(call => ({ name: call.name, parameters: call.arguments })),
+      }));
+    }
+    events.push(line({ is_finished: true, event_type: 'stream-end', finish_reason: COHERE_FINISH_REASONS[finishReasonOf(reply)], response: this._response(reply) }));
+    return { contentType: 'application/stream+json', events };
+  },
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'You are using a Trial key, which is limited to 10 API calls / minute.'],
+      authentication: [401, 'invalid api token'],
+      context_length: [400, 'too many tokens: total number of tokens in the prompt cannot exceed 4081 - received 5000.'],
+      model_not_found: [404, "model 'unknown-model' not found, make sure the correct model ID was used"],
+      server: [500, 'internal server error, this has been reported to our developers'],
+    }, message => ({ message }));
+  },
+};
+
+/** The Hugging Face Inference API (`text-generation` and `conversational` tasks). No usage, tools or streaming. */
+const huggingface = {
+  name: 'huggingface',
+  systemPrompt: 'inline',
+  reportsUsage: false,
+  reportsFinishReason: false,
+  toolCallIds: false,
+  usageDetails: [],
+
+  matches(method, path) {
+    return method === 'POST' && path.includes('/models/');
+  },
+
+  parseRequest(body, path) {
+    const model = path.slice(path.indexOf('/models/') + '/models/'.length);
+    const messages = [];
+    if (typeof body.inputs === 'string') {
+      messages.push({ role: 'user', text: body.inputs, images: [] });
+    } else if (body.inputs && typeof body.inputs === 'object') {
+      const { past_user_inputs: pastUserInputs = [], generated_responses: generatedResponses = [] } = body.inputs;
+      pastUserInputs.forEach((text, index) => {
+        if (text) messages.push({ role: 'user', text, images: [] });
+        if (generatedResponses[index]) messages.push({ role: 'assistant', text: generatedResponses[index], images: [] });
+      });
+      messages.push({ role: 'user', text: body.inputs.text, images: [] });
+    }
+    return { model, system: undefined, messages, tools: [], jsonMode: false, stream: false, includeUsage: false };
+  },
+
+  renderResponse(reply, request) {
+    const inputs = request.body.inputs;
+    if (inputs && typeof inputs === 'object' && !Array.isArray(inputs)) {
+      return {
+        status: 200,
+        body: {
+          generated_text: reply.text || '',
+          conversation: {
+            past_user_inputs: [...(inputs.past_user_inputs || []), inputs.text],
+            generated_responses: [...(inputs.generated_responses || []), reply.text || ''],
+          },
+        },
+      };
+    }
+    return { status: 200, body: [{ generated_text: reply.text || '' }] };
+  },
+
+  renderStream: null,
+
+  renderError(error) {
+    return errorResponse(error, {
+      rate_limit: [429, 'Rate limit reached. You reached free usage limit (reset hourly).'],
+      authentication: [401, 'Invalid credentials in Authorization header'],
+      context_length: [422, 'Input validation error: `inputs` tokens + `max_new_tokens` must be <= 4096. Given: 4000 `inputs` tokens and 500 `max_new_tokens`'],
+      model_not_found: [404, 'Model unknown-model does not exist'],
+      server: [500, 'Model too busy, unable to get response in less than 60 second(s)'],
+    }, (message, type) => ({ error: message, ...(type === 'context_length' && { error_type: 'validation' }) }));
+  },
+};
+
+/**
+ * The built-in wire formats, by name.
+ * @type {Readonly<Object.<string, WireFormat>>}
+ */
+export const WIRE_FORMATS = Object.freeze({ openai, ollama, mistral, anthropic, gemini, cohere, huggingface });
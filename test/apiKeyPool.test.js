@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  ApiKeyPool,
+  BaseProvider,
+  GenericOpenAICompatibleProvider,
+  LLMPlugConfigurationError,
+  OllamaProvider,
+} from '../src/index.js';
+
+const KEYS = ['sk-first-0000000001', 'sk-second-000000002', 'sk-third-0000000003'];
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+// Its client answers with the key it was created for, or fails with the error scripted for that key.
+class KeyedProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Keyed';
+    this.apiKey = this._getApiKey('KEYED_API_KEY');
+    this.client = this._createClient(this.apiKey);
+    this.failures = {};
+    this.usedKeys = [];
+  }
+
+  _createClient(apiKey) {
+    return {
+      complete: async () => {
+        this.usedKeys.push(apiKey);
+        if (this.failures[apiKey]) throw this.failures[apiKey];
+        return { text: apiKey, usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 } };
+      },
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const { result, attempts } = await this._withRetry(() => this.client.complete(), options);
+    return { ...result, attempts };
+  }
+}
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+describe('ApiKeyPool', () => {
+  test('rotates round-robin and skips quarantined keys', () => {
+    const pool = new ApiKeyPool(KEYS);
+    assert.deepEqual([pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()], [KEYS[0], KEYS[1], KEYS[2], KEYS[0]]);
+
+    pool.quarantine(KEYS[1], 60000);
+    assert.deepEqual([pool.acquire(), pool.acquire()], [KEYS[2], KEYS[0]]);
+  });
+
+  test('quarantines keys on 401/403 and on 429 for at least its Retry-After', () => {
+    const pool = new ApiKeyPool({ keys: KEYS, authQuarantineMs: 1000, rateLimitQuarantineMs: 10 });
+
+    assert.equal(pool.release(pool.acquire(), httpError(401)), 1000);
+    assert.equal(pool.release(pool.acquire(), httpError(429, { 'retry-after': '5' })), 5000);
+    assert.equal(pool.release(pool.acquire(), httpError(500)), null);
+
+    const stats = pool.stats();
+    assert.ok(stats[0].quarantinedUntil > Date.now());
+    assert.equal(stats[2].quarantinedUntil, null);
+    assert.equal(stats[2].failures, 1);
+    assert.equal(stats[0].key, 'sk-f...0001');
+  });
+
+  test('least-used prefers the key with the fewest requests in flight', () => {
+    const pool = new ApiKeyPool({ keys: KEYS.slice(0, 2), strategy: 'least-used' });
+    const busy = pool.acquire();
+    assert.notEqual(pool.acquire(), busy);
+  });
+
+  test('a provider moves on to the next key when one is rejected, without a retry', async () => {
+    const provider = new KeyedProvider({ apiKeys: KEYS, retry: false });
+    provider.failures[KEYS[0]] = httpError(401);
+
+    const result = await provider.chat(messages);
+
+    assert.equal(result.text, KEYS[1]);
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(provider.usedKeys, [KEYS[0], KEYS[1]]);
+    assert.equal((await provider.chat(messages)).text, KEYS[2]);
+  });
+
+  test('a provider gives up once every key is quarantined', async () => {
+    const provider = new KeyedProvider({ apiKeys: KEYS.slice(0, 2), retry: false });
+    provider.failures[KEYS[0]] = httpError(429);
+    provider.failures[KEYS[1]] = httpError(429);
+
+    await assert.rejects(provider.chat(messages), { message: /429/ });
+    assert.deepEqual(provider.usedKeys, KEYS.slice(0, 2));
+  });
+
+  test('OpenAI-compatible servers get a client per key', async () => {
+    // Rejects the first key, answers with the key it was sent otherwise.
+    const seen = [];
+    const server = http.createServer((req, res) => {
+      const key = req.headers.authorization.replace('Bearer ', '');
+      seen.push(key);
+      req.resume().on('end', () => {
+        if (key === KEYS[0]) {
+          res.writeHead(401, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'cmpl-1', object: 'chat.completion', created: 0, model: 'local-model',
+          choices: [{ index: 0, message: { role: 'assistant', content: key }, finish_reason: 'stop' }],
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const provider = new GenericOpenAICompatibleProvider({
+        apiKeys: KEYS.slice(0, 2), retry: false, defaultModel: 'local-model', baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+      });
+      assert.equal((await provider.chat(messages)).text, KEYS[1]);
+      assert.deepEqual(seen, KEYS.slice(0, 2));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('Ollama rejects apiKeys, as it takes no keys', () => {
+    assert.throws(() => new OllamaProvider({ apiKeys: KEYS, defaultModel: 'llama3' }), LLMPlugConfigurationError);
+  });
+});
@@ -0,0 +1,179 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BaseProvider, Budget, LLMPlugBudgetExceededError } from '../src/index.js';
+
+// Answers every chat call with a fixed usage and counts the calls that got through.
+class ScriptedProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Scripted';
+    this.sent = 0;
+  }
+
+  async chat() {
+    this.sent++;
+    return { text: 'Done.', usage: { promptTokens: 40, completionTokens: 20, totalTokens: 60 } };
+  }
+}
+
+// Holds every chat call until `finish()` or `fail()` is called.
+class PendingProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Pending';
+    this.pending = [];
+  }
+
+  chat() {
+    return new Promise((resolve, reject) => this.pending.push({ resolve, reject }));
+  }
+
+  finish(usage) {
+    this.pending.shift().resolve({ text: 'Done.', usage });
+  }
+
+  fail() {
+    this.pending.shift().reject(new Error('Connection reset'));
+  }
+}
+
+const messages = [{ role: 'user', content: 'Hello' }];
+const waitForCall = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Budget', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llmplug-budget-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('rejects a request above maxTokensPerRequest before it is sent', async () => {
+    const provider = new ScriptedProvider({ budget: { maxTokensPerRequest: 100 } });
+
+    await assert.rejects(provider.chat(messages, { maxTokens: 500 }), error => {
+      assert.ok(error instanceof LLMPlugBudgetExceededError);
+      assert.equal(error.limit, 'maxTokensPerRequest');
+      return true;
+    });
+    assert.equal(provider.sent, 0);
+  });
+
+  test('charges the reported usage and rejects requests that no longer fit into the day', async () => {
+    const provider = new ScriptedProvider({ budget: { maxTokensPerDay: 100, warnAt: [] } });
+
+    await provider.chat(messages, { maxTokens: 30 });
+    assert.equal(provider.budget.state.tokensToday, 60);
+
+    await assert.rejects(provider.chat(messages, { maxTokens: 50 }), { name: 'LLMPlugBudgetExceededError', limit: 'maxTokensPerDay' });
+    assert.equal(provider.sent, 1);
+  });
+
+  test('reserves the estimate of a request in flight, so concurrent requests cannot overshoot the limit', async () => {
+    const provider = new PendingProvider({ budget: { maxTokensPerDay: 100, warnAt: [] } });
+    const first = provider.chat(messages, { maxTokens: 60 });
+    await waitForCall();
+    assert.ok(provider.budget.state.tokensReserved > 60);
+
+    await assert.rejects(provider.chat(messages, { maxTokens: 60 }), { name: 'LLMPlugBudgetExceededError', limit: 'maxTokensPerDay' });
+    assert.equal(provider.pending.length, 1);
+
+    provider.finish({ promptTokens: 5, completionTokens: 10, totalTokens: 15 });
+    await first;
+    assert.equal(provider.budget.state.tokensReserved, 0);
+    assert.equal(provider.budget.state.tokensToday, 15);
+  });
+
+  test('gives the reservation back when a request fails', async () => {
+    const provider = new PendingProvider({ budget: { maxTokensPerDay: 100, warnAt: [] } });
+    const call = provider.chat(messages, { maxTokens: 60 });
+    await waitForCall();
+    provider.fail();
+
+    await assert.rejects(call, { message: /Connection reset/ });
+    assert.deepEqual([provider.budget.state.tokensReserved, provider.budget.state.tokensToday], [0, 0]);
+  });
+
+  test('rejects every request once the limit is reached', () => {
+    const budget = new Budget({ maxTokensPerDay: 100, warnAt: [] });
+    budget.record({ tokens: 120 });
+    assert.throws(() => budget.check({ tokens: 0 }), LLMPlugBudgetExceededError);
+  });
+
+  test('is shared by the providers it is passed to', async () => {
+    const budget = new Budget({ maxTokensPerDay: 1000, warnAt: [] });
+    const first = new ScriptedProvider({ budget });
+    const second = new ScriptedProvider({ budget });
+
+    await first.chat(messages);
+    await second.chat(messages);
+    assert.equal(budget.state.tokensToday, 120);
+  });
+
+  test('emits each warning once per period', () => {
+    const budget = new Budget({ maxTokensPerDay: 100, warnAt: [0.5] });
+    const warnings = [];
+    budget.on('warning', warning => warnings.push(warning));
+
+    budget.record({ provider: 'Scripted', tokens: 60 });
+    budget.record({ provider: 'Scripted', tokens: 10 });
+
+    assert.equal(warnings.length, 1);
+    assert.deepEqual(warnings[0], { limit: 'maxTokensPerDay', threshold: 0.5, used: 60, max: 100, provider: 'Scripted' });
+  });
+
+  test('restores the spend saved to persistPath', async () => {
+    const persistPath = path.join(directory, 'spend.json');
+    const budget = new Budget({ maxUsdPerMonth: 10, persistPath });
+    budget.record({ tokens: 60, usd: 1.5 });
+    await budget.flush();
+
+    const restored = new Budget({ maxUsdPerMonth: 10, persistPath });
+    assert.equal(restored.state.tokensToday, 60);
+    assert.equal(restored.state.usdThisMonth, 1.5);
+  });
+
+  test('adds the spend other instances saved to persistPath before saving its own', async () => {
+    const persistPath = path.join(directory, 'shared.json');
+    const first = new Budget({ persistPath });
+    const second = new Budget({ persistPath });
+
+    first.record({ tokens: 10 });
+    await first.flush();
+    second.record({ tokens: 20 });
+    await second.flush();
+    first.record({ tokens: 5 });
+    await first.flush();
+
+    assert.equal(JSON.parse(fs.readFileSync(persistPath, 'utf8')).tokensToday, 35);
+    assert.equal(first.state.tokensToday, 35);
+  });
+
+  test('saves in the background, one write after the other', async () => {
+    const persistPath = path.join(directory, 'queued.json');
+    const budget = new Budget({ persistPath });
+    for (let i = 0; i < 5; i++) budget.record({ tokens: 10 });
+    assert.equal(fs.existsSync(persistPath), false);
+
+    await budget.flush();
+    assert.equal(JSON.parse(fs.readFileSync(persistPath, 'utf8')).tokensToday, 50);
+  });
+
+  test('overwrites the saved spend on reset()', async () => {
+    const persistPath = path.join(directory, 'reset.json');
+    const budget = new Budget({ persistPath });
+    budget.record({ tokens: 40 });
+    await budget.flush();
+
+    budget.reset();
+    budget.record({ tokens: 5 });
+    await budget.flush();
+    assert.equal(JSON.parse(fs.readFileSync(persistPath, 'utf8')).tokensToday, 5);
+  });
+});
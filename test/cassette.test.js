@@ -0,0 +1,155 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { GenericOpenAICompatibleProvider, LLMPlug, LLMPlugError, withCassette } from '../src/index.js';
+
+const API_KEY = 'sk-cassette-test-secret';
+
+const openAICompatible = (url, config) => new GenericOpenAICompatibleProvider({ ...config, baseURL: `${url}/v1`, defaultModel: 'local-model' });
+
+// An SDK client with its own fetch (OpenAI's), and one that calls the global fetch.
+const TARGETS = [
+  { name: 'openai-compatible', create: openAICompatible },
+  { name: 'mistralai', create: (url, config) => LLMPlug.getProvider('mistralai', { ...config, endpoint: url }) },
+];
+
+/**
+ * Serves OpenAI-style chat completions (Mistral uses the same format) with the queued answers.
+ * @param {string[]} answers
+ */
+async function startServer(answers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push(request);
+      const text = answers.shift();
+      const usage = { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 };
+      if (!request.stream) {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'cmpl-1', object: 'chat.completion', created: 0, model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+          usage,
+        }));
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      const chunk = (delta, extra = {}) => `data: ${JSON.stringify({
+        id: 'cmpl-1', object: 'chat.completion.chunk', created: 0, model: request.model,
+        choices: [{ index: 0, delta, finish_reason: extra.finishReason ?? null }], ...extra.fields,
+      })}\n\n`;
+      for (const word of text.split(/(?<= )/)) res.write(chunk({ content: word }));
+      res.end(chunk({}, { finishReason: 'stop', fields: { usage } }) + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+async function chatAndStream(provider) {
+  const result = await provider.chat([{ role: 'user', content: 'Say hello' }]);
+  const chunks = [];
+  for await (const chunk of provider.chatStream([{ role: 'user', content: 'Count to 3' }])) {
+    if (chunk.text) chunks.push(chunk.text);
+  }
+  return { text: result.text, usage: result.usage, chunks };
+}
+
+describe('cassettes', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llmplug-cassette-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  for (const target of TARGETS) {
+    test(`records and replays ${target.name} requests, streams included`, async () => {
+      const file = path.join(directory, `${target.name}.json`);
+      const server = await startServer(['Hello there.', 'One, two, three.']);
+      const create = () => target.create(server.url, { apiKey: API_KEY, retry: false });
+
+      let recorded;
+      try {
+        recorded = await withCassette(file, { mode: 'record' }, () => chatAndStream(create()));
+      } finally {
+        await server.close();
+      }
+      assert.equal(server.requests.length, 2);
+      assert.equal(recorded.text, 'Hello there.');
+      assert.equal(recorded.chunks.join(''), 'One, two, three.');
+
+      // The server is gone, so these answers can only come from the cassette.
+      const replayed = await withCassette(file, { mode: 'replay' }, () => chatAndStream(create()));
+      assert.deepEqual(replayed, recorded);
+    });
+  }
+
+  test('redacts the API key in the cassette file', () => {
+    for (const target of TARGETS) {
+      const raw = fs.readFileSync(path.join(directory, `${target.name}.json`), 'utf8');
+      assert.ok(!raw.includes(API_KEY), `${target.name} cassette contains the API key`);
+      assert.ok(raw.includes('[REDACTED]'));
+    }
+  });
+
+  test('fails in replay mode on a request that was not recorded', async () => {
+    const file = path.join(directory, 'openai-compatible.json');
+    const provider = openAICompatible('http://127.0.0.1:9', { apiKey: API_KEY, retry: false });
+    await assert.rejects(
+      withCassette(file, { mode: 'replay' }, () => provider.chat([{ role: 'user', content: 'Something else' }])),
+      error => error instanceof LLMPlugError && /No recorded interaction/.test(error.message),
+    );
+  });
+
+  test('replays repeated identical requests in recorded order with strict matching', async () => {
+    const file = path.join(directory, 'repeated.json');
+    const server = await startServer(['First.', 'Second.']);
+    const config = { apiKey: API_KEY, retry: false };
+    const ask = provider => provider.chat([{ role: 'user', content: 'Again' }]);
+
+    try {
+      await withCassette(file, { mode: 'record' }, async () => {
+        const provider = openAICompatible(server.url, config);
+        await ask(provider);
+        await ask(provider);
+      });
+    } finally {
+      await server.close();
+    }
+
+    const texts = await withCassette(file, { mode: 'replay' }, async () => {
+      const provider = openAICompatible(server.url, config);
+      return [(await ask(provider)).text, (await ask(provider)).text];
+    });
+    assert.deepEqual(texts, ['First.', 'Second.']);
+  });
+
+  test('redacts every match of a secret pattern', async () => {
+    const file = path.join(directory, 'patterns.json');
+    const server = await startServer(['Noted.']);
+    try {
+      await withCassette(file, { mode: 'record', secrets: [/acct-\d+/] }, () =>
+        openAICompatible(server.url, { apiKey: API_KEY, retry: false }).chat([{ role: 'user', content: 'Merge acct-1234 into acct-5678' }]));
+    } finally {
+      await server.close();
+    }
+
+    const raw = fs.readFileSync(file, 'utf8');
+    assert.doesNotMatch(raw, /acct-\d+/);
+    assert.match(raw, /Merge \[REDACTED\] into \[REDACTED\]/);
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider, CircuitBreaker, LLMPlugAbortError, LLMPlugCircuitOpenError, LLMPlugRequestError } from '../src/index.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fails while `down` is set; `outage` is the error it fails with.
+class FlakyProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Flaky';
+    this.down = false;
+    this.outage = new LLMPlugRequestError('[Flaky] Service unavailable', 'Flaky', null, { statusCode: 503, retryable: true });
+    this.sent = 0;
+  }
+
+  async chat() {
+    this.sent++;
+    if (this.down) throw this.outage;
+    return { text: 'Up.', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+
+  async _ping() {
+    if (this.down) throw this.outage;
+  }
+}
+
+const messages = [{ role: 'user', content: 'Hi' }];
+const failing = provider => assert.rejects(provider.chat(messages), { message: '[Flaky] Service unavailable' });
+
+describe('circuit breaker', () => {
+  test('opens after failureThreshold consecutive failures and then fails fast', async () => {
+    const provider = new FlakyProvider({ circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 } });
+    provider.down = true;
+    await failing(provider);
+    assert.equal(provider.circuitBreaker.state.state, 'closed');
+    await failing(provider);
+
+    assert.equal(provider.circuitBreaker.state.state, 'open');
+    await assert.rejects(provider.chat(messages), error => error instanceof LLMPlugCircuitOpenError && error.retryAfterMs > 0);
+    assert.equal(provider.sent, 2);
+    assert.equal(provider.getHealth().healthy, false);
+  });
+
+  test('does not count errors caused by the request itself', async () => {
+    const provider = new FlakyProvider({ circuitBreaker: { failureThreshold: 1 } });
+    provider.down = true;
+    provider.outage = new LLMPlugRequestError('[Flaky] Bad request', 'Flaky', null, { statusCode: 400, retryable: false });
+
+    await assert.rejects(provider.chat(messages), { message: '[Flaky] Bad request' });
+    assert.equal(provider.circuitBreaker.state.state, 'closed');
+  });
+
+  test('lets one trial call through after the cooldown and closes when it succeeds', async () => {
+    const provider = new FlakyProvider({ circuitBreaker: { failureThreshold: 1, cooldownMs: 20 } });
+    provider.down = true;
+    await failing(provider);
+    await sleep(30);
+    assert.equal(provider.circuitBreaker.state.state, 'half-open');
+
+    provider.down = false;
+    assert.equal((await provider.chat(messages)).text, 'Up.');
+    assert.equal(provider.circuitBreaker.state.state, 'closed');
+    assert.equal(provider.circuitBreaker.state.consecutiveFailures, 0);
+  });
+
+  test('opens again when the trial call fails', async () => {
+    const provider = new FlakyProvider({ circuitBreaker: { failureThreshold: 3, cooldownMs: 20 } });
+    provider.down = true;
+    for (let i = 0; i < 3; i++) await failing(provider);
+    await sleep(30);
+
+    await failing(provider);
+    assert.equal(provider.circuitBreaker.state.state, 'open');
+  });
+
+  test('stays half-open when the trial ends in an error that is no failure', async () => {
+    const provider = new FlakyProvider({ circuitBreaker: { failureThreshold: 1, cooldownMs: 20 } });
+    provider.down = true;
+    await failing(provider);
+    await sleep(30);
+
+    provider.outage = new LLMPlugRequestError('[Flaky] Bad request', 'Flaky', null, { statusCode: 400, retryable: false });
+    await assert.rejects(provider.chat(messages), { message: '[Flaky] Bad request' });
+    assert.equal(provider.circuitBreaker.state.state, 'half-open');
+
+    provider.down = false;
+    await provider.chat(messages);
+    assert.equal(provider.circuitBreaker.state.state, 'closed');
+  });
+
+  test('is not closed by a call that started before it opened', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 60000 });
+    const early = breaker.tryAcquire();
+    const outage = new LLMPlugRequestError('[Flaky] Service unavailable', 'Flaky', null, { retryable: true });
+    assert.equal(breaker.record(outage, breaker.tryAcquire()), 'opened');
+
+    assert.equal(breaker.record(undefined, early), null);
+    assert.equal(breaker.state.state, 'open');
+  });
+
+  test('keeps counting failures across aborted calls', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    const outage = new LLMPlugRequestError('[Flaky] Service unavailable', 'Flaky', null, { retryable: true });
+    breaker.record(outage, breaker.tryAcquire());
+    breaker.record(new LLMPlugAbortError('[Flaky] Request was aborted', 'Flaky'), breaker.tryAcquire());
+
+    assert.equal(breaker.record(outage, breaker.tryAcquire()), 'opened');
+  });
+
+  test('healthCheck reports the outcome of the ping without throwing', async () => {
+    const provider = new FlakyProvider({});
+    assert.equal((await provider.healthCheck()).healthy, true);
+
+    provider.down = true;
+    const check = await provider.healthCheck();
+    assert.equal(check.healthy, false);
+    assert.equal(check.error, '[Flaky] Service unavailable');
+    assert.equal(provider.getHealth().lastCheck, check);
+  });
+});
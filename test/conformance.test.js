@@ -0,0 +1,51 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CONFORMANCE_TARGETS,
+  LLMPlug,
+  OpenAIProvider,
+  runConformanceSuite,
+} from '../src/index.js';
+
+function describeFailures(report) {
+  return report.results
+    .filter(result => result.status === 'failed')
+    .map(result => `${result.scenario}: ${result.error?.message}`)
+    .join('\n');
+}
+
+describe('conformance suite', () => {
+  for (const provider of Object.keys(CONFORMANCE_TARGETS)) {
+    test(`${provider} passes against its stub server`, async () => {
+      const report = await runConformanceSuite({ provider, timeoutMs: 10000 });
+      assert.ok(report.passed, `${provider} failed:\n${describeFailures(report)}`);
+      assert.ok(report.results.some(result => result.status === 'passed'));
+    });
+  }
+
+  describe('with a registered third-party provider', () => {
+    // Drops the system prompt, which the suite has to notice.
+    class ForgetfulProvider extends OpenAIProvider {
+      async chat(messages, options = {}) {
+        return super.chat(messages.filter(message => message.role !== 'system'), options);
+      }
+    }
+
+    after(() => LLMPlug.unregisterProvider('forgetful'));
+
+    test('reports the scenarios it diverges in', async () => {
+      LLMPlug.registerProvider('forgetful', ForgetfulProvider, { capabilities: { streaming: true, tools: true } });
+      const report = await runConformanceSuite({
+        provider: 'forgetful',
+        wireFormat: 'openai',
+        config: server => ({ apiKey: 'test-key', baseURL: `${server.url}/v1` }),
+        timeoutMs: 10000,
+      });
+
+      assert.equal(report.passed, false);
+      const statusOf = id => report.results.find(result => result.scenario === id)?.status;
+      assert.equal(statusOf('system-prompt'), 'failed');
+      assert.equal(statusOf('chat'), 'passed');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FallbackProvider,
+  LLMPlugAbortError,
+  LLMPlugBudgetExceededError,
+  LLMPlugRequestError,
+  LLMPlugTimeoutError,
+  MockProvider,
+} from '../src/index.js';
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+// Answers only after a second, unless the call is cancelled first.
+const slowMock = () => new MockProvider({ retry: false, responses: [{ text: 'Too late.', delayMs: 1000 }] });
+
+describe('FallbackProvider', () => {
+  test('moves on to the next provider after a request error', async () => {
+    const first = new MockProvider({ retry: false, responses: [{ error: 'request' }] });
+    const second = new MockProvider({ responses: ['From the second.'] });
+    const fallback = new FallbackProvider({ chain: [first, second] });
+
+    const result = await fallback.chat(messages);
+    assert.equal(result.text, 'From the second.');
+    assert.equal(result.failovers.length, 1);
+  });
+
+  test('shares timeoutMs across the chain instead of giving each provider all of it', async () => {
+    const chain = [slowMock(), slowMock(), slowMock()];
+    const fallback = new FallbackProvider({ chain });
+    const startedAt = Date.now();
+
+    await assert.rejects(fallback.chat(messages, { timeoutMs: 200 }), LLMPlugTimeoutError);
+    assert.ok(Date.now() - startedAt < 500);
+    assert.deepEqual(chain.map(mock => mock.calls.length), [1, 0, 0]);
+  });
+
+  test('passes the next provider only the time that is left', async () => {
+    const first = new MockProvider({ retry: false, responses: [{ error: 'request', delayMs: 100 }] });
+    const second = new MockProvider({ responses: ['In time.'] });
+    const fallback = new FallbackProvider({ chain: [first, second] });
+
+    await fallback.chat(messages, { timeoutMs: 1000 });
+    assert.ok(second.lastCall.options.timeoutMs <= 900);
+  });
+
+  test('does not fail over once the caller has aborted', async () => {
+    const chain = [slowMock(), slowMock()];
+    const fallback = new FallbackProvider({ chain });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(fallback.chat(messages, { signal: controller.signal }), LLMPlugAbortError);
+    assert.equal(chain[1].calls.length, 0);
+  });
+
+  test('ends a stream with LLMPlugTimeoutError when the shared timeout runs out', async () => {
+    const chain = [slowMock(), slowMock()];
+    const fallback = new FallbackProvider({ chain });
+
+    await assert.rejects(async () => {
+      for await (const chunk of fallback.chatStream(messages, { timeoutMs: 100 })) assert.fail(`unexpected chunk ${chunk.text}`);
+    }, LLMPlugTimeoutError);
+    assert.equal(chain[1].calls.length, 0);
+  });
+
+  test('fails over on authentication errors and open circuits by default', async () => {
+    for (const type of ['authentication', 'circuit_open']) {
+      const first = new MockProvider({ retry: false, responses: [{ error: type }] });
+      const fallback = new FallbackProvider({ chain: [first, new MockProvider({ responses: ['From the second.'] })] });
+      assert.equal((await fallback.chat(messages)).text, 'From the second.');
+    }
+  });
+
+  test('rethrows errors caused by the request and exceeded budgets', async () => {
+    for (const type of ['context_length', 'budget_exceeded']) {
+      const second = new MockProvider({ responses: ['From the second.'] });
+      const fallback = new FallbackProvider({ chain: [new MockProvider({ responses: [{ error: type }] }), second] });
+      await assert.rejects(fallback.chat(messages), LLMPlugRequestError);
+      assert.equal(second.calls.length, 0);
+    }
+  });
+
+  test('rethrows exceeded budgets even when failoverOn matches them', async () => {
+    const second = new MockProvider({ responses: ['From the second.'] });
+    const fallback = new FallbackProvider({
+      chain: [new MockProvider({ responses: [{ error: 'budget_exceeded' }] }), second],
+      failoverOn: [LLMPlugRequestError],
+    });
+
+    await assert.rejects(fallback.chat(messages), LLMPlugBudgetExceededError);
+    assert.equal(second.calls.length, 0);
+  });
+});
@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LLMPlug,
+  MockProvider,
+  LLMPlugAbortError,
+  LLMPlugConfigurationError,
+  LLMPlugRateLimitError,
+  LLMPlugRequestError,
+  collectStream,
+} from '../src/index.js';
+
+const messages = [{ role: 'user', content: 'What is the weather in Paris?' }];
+
+describe('MockProvider', () => {
+  test('answers from the queue in order, then from the handler', async () => {
+    const mock = new MockProvider({
+      responses: ['First.', { text: 'Second.', finishReason: 'length' }],
+      handler: call => `Handled ${call.method}.`,
+    });
+
+    assert.equal((await mock.chat(messages)).text, 'First.');
+    const second = await mock.chat(messages);
+    assert.equal(second.text, 'Second.');
+    assert.equal(second.finishReason, 'length');
+    assert.equal((await mock.generate('Hi')).text, 'Handled generate.');
+  });
+
+  test('fails with LLMPlugConfigurationError when nothing is scripted', async () => {
+    const mock = new MockProvider();
+    await assert.rejects(mock.chat(messages), LLMPlugConfigurationError);
+  });
+
+  test('records every call', async () => {
+    const mock = LLMPlug.getProvider('mock', { responses: ['Sunny.'] });
+    await mock.chat(messages, { model: 'mock-large', temperature: 0 });
+
+    assert.equal(mock.calls.length, 1);
+    assert.equal(mock.lastCall.method, 'chat');
+    assert.equal(mock.lastCall.model, 'mock-large');
+    assert.deepEqual(mock.lastCall.messages, messages);
+    assert.equal(mock.lastCall.attempt, 1);
+
+    mock.reset();
+    assert.equal(mock.calls.length, 0);
+    assert.equal(mock.queue.length, 0);
+  });
+
+  test('scripts tool calls for runTools', async () => {
+    const mock = new MockProvider({
+      responses: [
+        { toolCalls: [{ name: 'getWeather', arguments: { city: 'Paris' } }] },
+        'It is sunny in Paris.',
+      ],
+    });
+    const tools = [{
+      type: 'function',
+      function: { name: 'getWeather', parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } },
+    }];
+
+    const result = await mock.runTools(messages, { tools, handlers: { getWeather: ({ city }) => ({ city, sky: 'sunny' }) } });
+
+    assert.equal(result.text, 'It is sunny in Paris.');
+    assert.equal(mock.calls.length, 2);
+    const toolMessage = mock.lastCall.messages.find(message => message.role === 'tool');
+    assert.equal(toolMessage.tool_call_id, result.steps[0].result.toolCalls[0].id);
+    assert.deepEqual(toolMessage.content[0].content, { city: 'Paris', sky: 'sunny' });
+  });
+
+  test('throws scripted errors by type', async () => {
+    const mock = new MockProvider({ responses: [{ error: { type: 'rate_limit', retryAfterMs: 1000 } }] });
+    await assert.rejects(mock.chat(messages), error => {
+      assert.ok(error instanceof LLMPlugRateLimitError);
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.retryAfterMs, 1000);
+      return true;
+    });
+  });
+
+  test('takes the next response for each retry attempt', async () => {
+    const mock = new MockProvider({
+      retry: { maxAttempts: 2, baseDelayMs: 1, jitter: false },
+      responses: [{ error: 'request' }, 'Recovered.'],
+    });
+    const result = await mock.chat(messages);
+
+    assert.equal(result.text, 'Recovered.');
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(mock.calls.map(call => call.attempt), [1, 2]);
+  });
+
+  test('streams text in chunks and fails after errorAfterChunks', async () => {
+    const mock = new MockProvider({
+      chunkSize: 4,
+      responses: ['Hello world', { text: 'Partial answer', error: 'request', errorAfterChunks: 1 }],
+    });
+
+    const result = await collectStream(mock.chatStream(messages));
+    assert.equal(result.text, 'Hello world');
+
+    const texts = [];
+    await assert.rejects(async () => {
+      for await (const chunk of mock.chatStream(messages)) texts.push(chunk.text);
+    }, LLMPlugRequestError);
+    assert.deepEqual(texts, ['Part']);
+  });
+
+  test('estimates usage when none is scripted, and reports none for usage: null', async () => {
+    const mock = new MockProvider({ responses: ['Sunny.', { text: 'Sunny.', usage: null }] });
+
+    const scripted = await mock.chat(messages);
+    assert.equal(scripted.usage.estimated, false);
+    assert.ok(scripted.usage.promptTokens > 0);
+
+    const unreported = await mock.chat(messages);
+    assert.equal(unreported.usage.estimated, true);
+  });
+
+  test('honours delayMs and the caller\'s signal', async () => {
+    const mock = new MockProvider({ responses: [{ text: 'Too late.', delayMs: 1000 }] });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const startedAt = Date.now();
+
+    await assert.rejects(mock.chat(messages, { signal: controller.signal }), LLMPlugAbortError);
+    assert.ok(Date.now() - startedAt < 500);
+  });
+
+  test('derives equal embeddings for equal texts', async () => {
+    const mock = new MockProvider({ dimensions: 4 });
+    const { embeddings } = await mock.embed(['cat', 'dog', 'cat']);
+
+    assert.equal(embeddings.length, 3);
+    assert.equal(embeddings[0].length, 4);
+    assert.deepEqual(embeddings[0], embeddings[2]);
+    assert.notDeepEqual(embeddings[0], embeddings[1]);
+  });
+
+  test('reports its health from `healthy`', async () => {
+    const mock = new MockProvider({ healthy: false });
+    assert.equal((await mock.healthCheck()).healthy, false);
+    mock.healthy = true;
+    assert.equal((await mock.healthCheck()).healthy, true);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider, RateLimiter } from '../src/index.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Takes a while to answer and tracks how many calls run at once.
+class SlowProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Slow';
+    this.running = 0;
+    this.maxRunning = 0;
+  }
+
+  async chat() {
+    this.running++;
+    this.maxRunning = Math.max(this.maxRunning, this.running);
+    await sleep(20);
+    this.running--;
+    return { text: 'Done.', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+}
+
+describe('RateLimiter', () => {
+  test('lets at most maxConcurrent calls run and starts the others in order', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const started = [];
+    const first = await limiter.acquire();
+    const waiting = [1, 2].map(id => limiter.acquire().then(permit => {
+      started.push(id);
+      return permit;
+    }));
+
+    await sleep(10);
+    assert.deepEqual(started, []);
+    assert.equal(limiter.state.queued, 2);
+
+    first.release();
+    (await waiting[0]).release();
+    (await waiting[1]).release();
+    assert.deepEqual(started, [1, 2]);
+    assert.equal(limiter.state.inFlight, 0);
+  });
+
+  test('waits for the token bucket to refill', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 6000 }); // 100 tokens per second
+    (await limiter.acquire({ tokens: 6000 })).release();
+
+    const startedAt = Date.now();
+    (await limiter.acquire({ tokens: 5 })).release();
+    assert.ok(Date.now() - startedAt >= 40, 'the call did not wait for the bucket');
+  });
+
+  test('pauses until the reset the vendor reports for an exhausted limit', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 100 });
+    limiter.updateFromHeaders({ 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '60ms' });
+    assert.equal(limiter.state.requestsAvailable, 0);
+
+    const startedAt = Date.now();
+    (await limiter.acquire()).release();
+    assert.ok(Date.now() - startedAt >= 50, 'the call did not wait for the reset');
+  });
+
+  test('rejects a waiting call with the reason of its aborted signal', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const running = await limiter.acquire();
+    const controller = new AbortController();
+    const waiting = limiter.acquire({ signal: controller.signal });
+
+    controller.abort(new Error('gave up'));
+    await assert.rejects(waiting, { message: 'gave up' });
+    assert.equal(limiter.state.queued, 0);
+    running.release();
+  });
+
+  test('applies config.rateLimit to a provider\'s calls', async () => {
+    const provider = new SlowProvider({ rateLimit: { maxConcurrent: 2 } });
+    await Promise.all(Array.from({ length: 5 }, () => provider.chat([{ role: 'user', content: 'Hi' }])));
+
+    assert.equal(provider.maxRunning, 2);
+    assert.equal(provider.rateLimiter.state.inFlight, 0);
+  });
+});
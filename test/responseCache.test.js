@@ -0,0 +1,122 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BaseProvider, FileCacheStore, MemoryCacheStore } from '../src/index.js';
+
+// Numbers its answers, so a cached answer can be told apart from a fresh one.
+class CountingProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'Counting';
+    this.sent = 0;
+  }
+
+  async chat() {
+    this.sent++;
+    return { text: `Answer ${this.sent}.`, usage: { promptTokens: 5, completionTokens: 3, totalTokens: 8 } };
+  }
+
+  async *chatStream() {
+    this.sent++;
+    yield { text: `Streamed ` };
+    yield { text: `${this.sent}.`, finishReason: 'stop' };
+  }
+}
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+describe('response cache', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llmplug-cache-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('answers repeated requests from the cache at no cost', async () => {
+    const provider = new CountingProvider({ cache: true });
+
+    const first = await provider.chat(messages);
+    const second = await provider.chat([{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }]);
+
+    assert.equal(provider.sent, 1);
+    assert.equal(second.text, first.text);
+    assert.equal(second.cached, true);
+    assert.equal(second.cost, 0);
+  });
+
+  test('bypasses the cache for sampled requests and cache: false', async () => {
+    const provider = new CountingProvider({ cache: true });
+
+    await provider.chat(messages, { temperature: 0.7 });
+    await provider.chat(messages, { temperature: 0.7 });
+    await provider.chat(messages, { cache: false });
+    await provider.chat(messages, { cache: false });
+    assert.equal(provider.sent, 4);
+  });
+
+  test('expires entries after ttlMs', async () => {
+    const provider = new CountingProvider({ cache: { ttlMs: 20 } });
+
+    await provider.chat(messages);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal((await provider.chat(messages)).text, 'Answer 2.');
+  });
+
+  test('caches completed streams and replays them as one chunk', async () => {
+    const provider = new CountingProvider({ cache: true });
+
+    for await (const chunk of provider.chatStream(messages)) assert.ok(!chunk.cached);
+    const replayed = [];
+    for await (const chunk of provider.chatStream(messages)) replayed.push(chunk);
+
+    assert.equal(provider.sent, 1);
+    assert.equal(replayed.length, 1);
+    assert.equal(replayed[0].text, 'Streamed 1.');
+    assert.equal((await provider.chat(messages)).text, 'Streamed 1.');
+  });
+
+  test('answers from the provider when the store fails', async () => {
+    const warnings = [];
+    const logger = { debug() {}, info() {}, warn: message => warnings.push(message), error() {} };
+    const store = {
+      get: async () => { throw new Error('store offline'); },
+      set: async () => { throw new Error('store offline'); },
+      delete: async () => {},
+    };
+    const provider = new CountingProvider({ cache: { store, logger } });
+
+    assert.equal((await provider.chat(messages)).text, 'Answer 1.');
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /Could not read from the response cache: store offline/);
+    assert.match(warnings[1], /Could not write to the response cache/);
+  });
+
+  test('MemoryCacheStore evicts the least recently used entry', () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    store.set('a', 1);
+    store.set('b', 2);
+    store.get('a');
+    store.set('c', 3);
+
+    assert.equal(store.size, 2);
+    assert.equal(store.get('b'), undefined);
+    assert.equal(store.get('a'), 1);
+  });
+
+  test('FileCacheStore keeps entries across provider instances', async () => {
+    const cache = () => ({ store: new FileCacheStore({ directory }) });
+
+    await new CountingProvider({ cache: cache() }).chat(messages);
+    const restarted = new CountingProvider({ cache: cache() });
+    const result = await restarted.chat(messages);
+
+    assert.equal(restarted.sent, 0);
+    assert.equal(result.text, 'Answer 1.');
+  });
+});
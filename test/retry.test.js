@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider } from '../src/index.js';
+import { getRetryAfterMs, resolveRetryPolicy, withRetry } from '../src/utils/retry.js';
+
+const policy = resolveRetryPolicy({ maxAttempts: 3, baseDelayMs: 1, jitter: false });
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+describe('withRetry', () => {
+  test('retries retryable statuses until the call succeeds', async () => {
+    const statuses = [503, 429];
+    const { result, attempts } = await withRetry(async () => {
+      if (statuses.length) throw httpError(statuses.shift());
+      return 'ok';
+    }, policy);
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 3);
+  });
+
+  test('does not retry a status outside retryOn', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw httpError(400); }, policy), error => error.attempts === 1);
+    assert.equal(calls, 1);
+  });
+
+  test('stops after maxAttempts and rethrows the last error', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw httpError(500); }, policy), { message: 'HTTP 500', attempts: 3 });
+    assert.equal(calls, 3);
+  });
+
+  test('waits for Retry-After, and gives up when it exceeds maxDelayMs', async () => {
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '2' })), 2000);
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after-ms': '50' })), 50);
+
+    const delays = [];
+    let calls = 0;
+    await withRetry(async () => {
+      if (calls++ === 0) throw httpError(429, { 'retry-after-ms': '20' });
+    }, policy, { onRetry: ({ delayMs }) => delays.push(delayMs) });
+    assert.deepEqual(delays, [20]);
+
+    calls = 0;
+    const capped = { ...policy, maxDelayMs: 10 };
+    await assert.rejects(withRetry(async () => { calls++; throw httpError(429, { 'retry-after': '60' }); }, capped));
+    assert.equal(calls, 1);
+  });
+
+  test('retry: false allows a single attempt', () => {
+    assert.equal(resolveRetryPolicy(false).maxAttempts, 1);
+  });
+});
+
+describe('BaseProvider._openStreamWithRetry', () => {
+  const provider = new BaseProvider({ retry: { maxAttempts: 3, baseDelayMs: 1, jitter: false } });
+
+  test('retries until the first chunk arrives', async () => {
+    let opened = 0;
+    const { stream, attempts } = await provider._openStreamWithRetry(async function* () {
+      if (++opened < 2) throw httpError(502);
+      yield 'a';
+      yield 'b';
+    });
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    assert.deepEqual(chunks, ['a', 'b']);
+    assert.equal(attempts, 2);
+  });
+
+  test('does not retry once output has been consumed', async () => {
+    let opened = 0;
+    const { stream } = await provider._openStreamWithRetry(async function* () {
+      opened++;
+      yield 'a';
+      throw httpError(502);
+    });
+
+    const chunks = [];
+    await assert.rejects(async () => {
+      for await (const chunk of stream) chunks.push(chunk);
+    }, { message: 'HTTP 502' });
+    assert.deepEqual(chunks, ['a']);
+    assert.equal(opened, 1);
+  });
+});
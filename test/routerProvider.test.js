@@ -0,0 +1,147 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider, LLMPlugAbortError, LLMPlugRequestError, LLMPlugTimeoutError, MockProvider, RouterProvider } from '../src/index.js';
+
+// A backend that answers with its name, or fails with `error` while it is set.
+class Backend extends BaseProvider {
+  constructor(name, config = {}) {
+    super(config);
+    this.providerName = 'Backend';
+    this.baseURL = `http://${name}`;
+    this.reply = name;
+    this.error = null;
+    this.sent = 0;
+  }
+
+  async chat() {
+    this.sent++;
+    if (this.error) throw this.error;
+    return { text: this.reply, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+
+  async *chatStream() {
+    this.sent++;
+    if (this.error) throw this.error;
+    yield { text: this.reply, finishReason: 'stop', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+}
+
+const unavailable = () => new LLMPlugRequestError('[Backend] Service unavailable', 'Backend', null, { statusCode: 503, retryable: true });
+const badRequest = () => new LLMPlugRequestError('[Backend] Bad request', 'Backend', null, { statusCode: 400, retryable: false });
+const messages = [{ role: 'user', content: 'Hi' }];
+// A backend that answers only after a second, unless the call is cancelled first.
+const slowBackend = name => ({ name, provider: new MockProvider({ retry: false, responses: [{ text: name, delayMs: 1000 }] }) });
+
+describe('RouterProvider', () => {
+  test('spreads calls round-robin and reports which backend answered', async () => {
+    const router = new RouterProvider({ backends: [new Backend('a'), new Backend('b')] });
+    const answers = [];
+    for (let i = 0; i < 4; i++) answers.push(await router.chat(messages));
+
+    assert.deepEqual(answers.map(result => result.text), ['a', 'b', 'a', 'b']);
+    assert.deepEqual(answers.map(result => result.backend), ['http://a', 'http://b', 'http://a', 'http://b']);
+  });
+
+  test('moves on to the next backend after a retryable error', async () => {
+    const [a, b] = [new Backend('a'), new Backend('b')];
+    a.error = unavailable();
+    const router = new RouterProvider({ backends: [a, b] });
+
+    const result = await router.chat(messages);
+    assert.equal(result.text, 'b');
+    assert.equal(result.failovers.length, 1);
+    assert.equal(router.getBackendStats()[0].failures, 1);
+  });
+
+  test('rethrows errors caused by the request without trying another backend', async () => {
+    const [a, b] = [new Backend('a'), new Backend('b')];
+    a.error = badRequest();
+    const router = new RouterProvider({ backends: [a, b] });
+
+    await assert.rejects(router.chat(messages), { message: '[Backend] Bad request' });
+    assert.equal(b.sent, 0);
+  });
+
+  test('fails with every backend\'s error once all have failed', async () => {
+    const backends = [new Backend('a'), new Backend('b')];
+    for (const backend of backends) backend.error = unavailable();
+    const router = new RouterProvider({ backends });
+
+    await assert.rejects(router.chat(messages), error => {
+      assert.match(error.message, /All router backends failed/);
+      assert.equal(error.failures.length, 2);
+      return true;
+    });
+  });
+
+  test('keeps a session on its backend', async () => {
+    const router = new RouterProvider({ backends: [new Backend('a'), new Backend('b'), new Backend('c')] });
+    const first = await router.chat(messages, { sessionKey: 'user-1' });
+    await router.chat(messages);
+
+    assert.equal((await router.chat(messages, { sessionKey: 'user-1' })).text, first.text);
+  });
+
+  test('skips backends whose circuit breaker is open', async () => {
+    const a = new Backend('a', { circuitBreaker: { failureThreshold: 1, cooldownMs: 60000 } });
+    const b = new Backend('b');
+    a.error = unavailable();
+    await assert.rejects(a.chat(messages));
+    a.error = null;
+    const router = new RouterProvider({ backends: [a, b] });
+
+    assert.deepEqual([(await router.chat(messages)).text, (await router.chat(messages)).text], ['b', 'b']);
+    assert.equal(router.getHealth().healthy, true);
+  });
+
+  test('moves a stream on to the next backend before its first chunk', async () => {
+    const [a, b] = [new Backend('a'), new Backend('b')];
+    a.error = unavailable();
+    const router = new RouterProvider({ backends: [a, b] });
+
+    const chunks = [];
+    for await (const chunk of router.chatStream(messages)) chunks.push(chunk);
+    assert.deepEqual(chunks.map(chunk => [chunk.text, chunk.backend]), [['b', 'http://b']]);
+  });
+
+  test('shares timeoutMs between the backends it tries', async () => {
+    const backends = [slowBackend('a'), slowBackend('b')];
+    const router = new RouterProvider({ backends });
+    const startedAt = Date.now();
+
+    await assert.rejects(router.chat(messages, { timeoutMs: 200 }), LLMPlugTimeoutError);
+    assert.ok(Date.now() - startedAt < 500);
+    assert.equal(backends[1].provider.calls.length, 0);
+  });
+
+  test('does not try another backend once the caller has aborted', async () => {
+    const backends = [slowBackend('a'), slowBackend('b')];
+    const router = new RouterProvider({ backends });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(async () => {
+      for await (const chunk of router.chatStream(messages, { signal: controller.signal })) assert.fail(`unexpected chunk ${chunk.text}`);
+    }, LLMPlugAbortError);
+    assert.equal(backends[1].provider.calls.length, 0);
+  });
+
+  test('leaves a backend\'s circuit half-open when its trial call is aborted', async () => {
+    const a = new MockProvider({
+      retry: false,
+      circuitBreaker: { failureThreshold: 1, cooldownMs: 20 },
+      responses: [{ error: 'request' }, { text: 'a', delayMs: 1000 }, 'a'],
+    });
+    await assert.rejects(a.chat(messages));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const router = new RouterProvider({ backends: [{ name: 'a', provider: a }] });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(router.chat(messages, { signal: controller.signal }), LLMPlugAbortError);
+    assert.equal(a.circuitBreaker.state.state, 'half-open');
+
+    assert.equal((await router.chat(messages)).text, 'a');
+    assert.equal(a.circuitBreaker.state.state, 'closed');
+  });
+});
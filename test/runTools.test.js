@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider, LLMPlugConfigurationError, LLMPlugToolError } from '../src/index.js';
+
+// Answers chat calls from a script and keeps the transcripts it was sent.
+class ScriptedProvider extends BaseProvider {
+  constructor(script) {
+    super({});
+    this.providerName = 'Scripted';
+    this.script = script;
+    this.transcripts = [];
+  }
+
+  async chat(messages) {
+    this.transcripts.push(messages);
+    return { usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 }, ...this.script.shift() };
+  }
+}
+
+const tools = [{
+  type: 'function',
+  function: {
+    name: 'getWeather',
+    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+  },
+}];
+
+const weatherCall = (id, args) => ({ id, type: 'function', function: { name: 'getWeather', arguments: JSON.stringify(args) } });
+const messages = [{ role: 'user', content: 'Weather in Paris and Rome?' }];
+
+describe('runTools', () => {
+  test('runs the tool calls and feeds their results back until the model answers', async () => {
+    const provider = new ScriptedProvider([
+      { text: '', toolCalls: [weatherCall('call_1', { city: 'Paris' }), weatherCall('call_2', { city: 'Rome' })] },
+      { text: 'Sunny in Paris, rainy in Rome.' },
+    ]);
+    const handlers = { getWeather: ({ city }) => ({ city, sky: city === 'Paris' ? 'sunny' : 'rainy' }) };
+
+    const result = await provider.runTools(messages, { tools, handlers });
+
+    assert.equal(result.completed, true);
+    assert.equal(result.text, 'Sunny in Paris, rainy in Rome.');
+    assert.equal(result.steps.length, 2);
+    assert.deepEqual(result.usage, { promptTokens: 20, completionTokens: 10, totalTokens: 30, estimated: false });
+
+    const toolMessages = provider.transcripts[1].filter(message => message.role === 'tool');
+    assert.deepEqual(toolMessages.map(message => message.tool_call_id), ['call_1', 'call_2']);
+    assert.deepEqual(toolMessages[1].content[0].content, { city: 'Rome', sky: 'rainy' });
+  });
+
+  test('reports invalid arguments and handler failures to the model instead of throwing', async () => {
+    const provider = new ScriptedProvider([
+      { text: '', toolCalls: [weatherCall('call_1', { town: 'Paris' }), weatherCall('call_2', { city: 'Rome' })] },
+      { text: 'Sorry.' },
+    ]);
+    const handlers = { getWeather: () => { throw new Error('service down'); } };
+
+    const result = await provider.runTools(messages, { tools, handlers });
+
+    const [invalid, failed] = result.steps[0].toolResults;
+    assert.ok(invalid.error instanceof LLMPlugToolError);
+    assert.match(invalid.output.error, /Invalid arguments/);
+    assert.match(failed.output.error, /service down/);
+    assert.equal(result.text, 'Sorry.');
+  });
+
+  test('stops after maxIterations', async () => {
+    const provider = new ScriptedProvider([
+      { text: '', toolCalls: [weatherCall('call_1', { city: 'Paris' })] },
+      { text: '', toolCalls: [weatherCall('call_2', { city: 'Paris' })] },
+    ]);
+
+    const result = await provider.runTools(messages, { tools, handlers: { getWeather: () => 'sunny' }, maxIterations: 2 });
+
+    assert.equal(result.completed, false);
+    assert.equal(result.steps.length, 2);
+  });
+
+  test('requires tools and handlers', async () => {
+    const provider = new ScriptedProvider([]);
+    await assert.rejects(provider.runTools(messages, { handlers: {} }), LLMPlugConfigurationError);
+    await assert.rejects(provider.runTools(messages, { tools }), LLMPlugConfigurationError);
+  });
+});
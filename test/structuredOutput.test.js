@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider, LLMPlugOutputValidationError } from '../src/index.js';
+import { checkStructuredOutput, toOpenAIResponseFormat } from '../src/utils/structuredOutput.js';
+
+const responseFormat = {
+  type: 'json_schema',
+  name: 'weather',
+  schema: {
+    type: 'object',
+    properties: { city: { type: 'string' }, celsius: { type: 'number' } },
+    required: ['city', 'celsius'],
+  },
+};
+
+// Answers chat calls from a script and applies the response format the way the built-in providers do.
+class ScriptedProvider extends BaseProvider {
+  constructor(script) {
+    super({});
+    this.providerName = 'Scripted';
+    this.script = script;
+    this.transcripts = [];
+  }
+
+  async chat(messages, options = {}) {
+    this.transcripts.push(messages);
+    const text = this.script.shift();
+    return this._applyResponseFormat(messages, options, { text, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } });
+  }
+}
+
+const messages = [{ role: 'user', content: 'Weather in Paris as JSON.' }];
+
+describe('structured output', () => {
+  test('parses fenced or surrounded JSON and validates it against the schema', () => {
+    assert.deepEqual(checkStructuredOutput('```json\n{"city":"Paris","celsius":21}\n```', responseFormat), {
+      parsed: { city: 'Paris', celsius: 21 },
+      errors: [],
+    });
+    assert.deepEqual(checkStructuredOutput('Here you go: {"city":"Paris","celsius":21}.', responseFormat).errors, []);
+    assert.equal(checkStructuredOutput('{"city":"Paris"}', responseFormat).errors.length, 1);
+    assert.match(checkStructuredOutput('not json', responseFormat).errors[0], /not valid JSON/);
+  });
+
+  test('maps json_schema to OpenAI\'s response_format', () => {
+    const converted = toOpenAIResponseFormat({ ...responseFormat, strict: true, maxRepairs: 2 });
+    assert.equal(converted.type, 'json_schema');
+    assert.equal(converted.json_schema.name, 'weather');
+    assert.equal(converted.json_schema.strict, true);
+    assert.deepEqual(converted.json_schema.schema, responseFormat.schema);
+  });
+
+  test('returns the parsed answer', async () => {
+    const provider = new ScriptedProvider(['{"city":"Paris","celsius":21}']);
+    const result = await provider.chat(messages, { responseFormat });
+    assert.deepEqual(result.parsed, { city: 'Paris', celsius: 21 });
+  });
+
+  test('throws LLMPlugOutputValidationError when the answer does not match and no repairs are allowed', async () => {
+    const provider = new ScriptedProvider(['{"city":"Paris"}']);
+    await assert.rejects(provider.chat(messages, { responseFormat }), error => {
+      assert.ok(error instanceof LLMPlugOutputValidationError);
+      assert.equal(error.text, '{"city":"Paris"}');
+      assert.equal(error.validationErrors.length, 1);
+      return true;
+    });
+  });
+
+  test('sends the validation errors back to the model and adds up the usage of each repair', async () => {
+    const provider = new ScriptedProvider(['{"city":"Paris"}', 'Sorry, no JSON', '{"city":"Paris","celsius":21}']);
+    const result = await provider.chat(messages, { responseFormat: { ...responseFormat, maxRepairs: 2 } });
+
+    assert.deepEqual(result.parsed, { city: 'Paris', celsius: 21 });
+    assert.equal(result.repairs, 2);
+    assert.equal(result.usage.promptTokens, 30);
+    assert.equal(result.usage.totalTokens, 45);
+
+    const repairRequest = provider.transcripts[1];
+    assert.equal(repairRequest.length, 3);
+    assert.equal(repairRequest[1].content, '{"city":"Paris"}');
+    assert.match(repairRequest[2].content, /did not match the required format/);
+  });
+});